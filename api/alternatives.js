@@ -0,0 +1,28 @@
+/**
+ * @fileoverview DIKE AI Alternative Assignments Endpoint
+ *
+ * Vercel serverless function behind "Generate Alternatives". The provider
+ * key stays on the server; the browser only sends the assignment and barriers.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runAlternatives } from '../lib/alternatives.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Alternatives handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format)
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{ alternatives: [...] }` or `{ error }`
+ * @example
+ * fetch('/api/alternatives', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ assignmentText, barriers: analysis.barriers })
+ * })
+ */
+export default createVercelHandler(runAlternatives);
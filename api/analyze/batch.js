@@ -0,0 +1,24 @@
+/**
+ * @fileoverview DIKE AI Batch Analysis Endpoint
+ *
+ * Vercel serverless function that analyzes up to 50 assignments of one
+ * course and answers `{items, summary}` once all are done. Large batches can
+ * outlast the function time limit; the client uses /api/analyze/batch/stream
+ * first and only falls back to this endpoint.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runBatch } from '../../lib/batch.js';
+import { createVercelHandler } from '../../lib/adapters.js';
+
+/**
+ * Batch analysis handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), body `{assignments: [{title, assignmentText}], gradeLevel, courseType, focusArea}`
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{items, summary}` or `{ error }`
+ */
+export default createVercelHandler(runBatch);
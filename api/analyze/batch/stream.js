@@ -0,0 +1,23 @@
+/**
+ * @fileoverview DIKE AI Streaming Batch Analysis Endpoint
+ *
+ * Vercel serverless function that streams a batch analysis as Server-Sent
+ * Events: `meta`, one `item` per finished assignment with progress, then the
+ * course `summary` (or `error`). Closing the request stops the batch.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runBatchStream } from '../../../lib/batch.js';
+import { createVercelStreamHandler } from '../../../lib/adapters.js';
+
+/**
+ * Streaming batch analysis handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), same body as /api/analyze/batch
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Writes a `text/event-stream` body, or JSON `{ error }` for invalid input
+ */
+export default createVercelStreamHandler(runBatchStream);
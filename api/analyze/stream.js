@@ -0,0 +1,23 @@
+/**
+ * @fileoverview DIKE AI Streaming Analysis Endpoint
+ *
+ * Vercel serverless function that streams an analysis as Server-Sent Events:
+ * `meta`, then `section` and `barrier` events as the model writes them, then
+ * a final `result` (or `error`). Closing the request cancels the model call.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runAnalysisStream } from '../../lib/analysis.js';
+import { createVercelStreamHandler } from '../../lib/adapters.js';
+
+/**
+ * Streaming analysis handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), same body as /api/analyze
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Writes a `text/event-stream` body, or JSON `{ error }` for invalid input
+ */
+export default createVercelStreamHandler(runAnalysisStream);
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview DIKE AI Follow-up Chat Endpoint
+ *
+ * Vercel serverless function for the "Ask AI Questions" panel. The provider
+ * key stays on the server; the browser only sends the conversation.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runChat } from '../lib/chat.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Chat handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format)
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{ message: { role, content } }` or `{ error }`
+ * @example
+ * fetch('/api/chat', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ assignmentText, analysis, messages: [{ role: 'user', content: 'How can I reduce time barriers?' }] })
+ * })
+ */
+export default createVercelHandler(runChat);
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview DIKE AI Streaming Chat Endpoint
+ *
+ * Vercel serverless function that streams a chat reply as Server-Sent
+ * Events: one `token` event per delta, then `done` with the full message.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runChatStream } from '../../lib/chat.js';
+import { createVercelStreamHandler } from '../../lib/adapters.js';
+
+/**
+ * Streaming chat handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), same body as /api/chat
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Writes a `text/event-stream` body, or JSON `{ error }` for invalid input
+ */
+export default createVercelStreamHandler(runChatStream);
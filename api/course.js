@@ -0,0 +1,24 @@
+/**
+ * @fileoverview DIKE AI Course Report Endpoint
+ *
+ * Vercel serverless function that analyzes every dated assignment of a
+ * syllabus and answers one course equity report with the course-wide
+ * patterns. Long syllabi can outlast the function time limit; the client
+ * uses /api/course/stream first and only falls back to this endpoint.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runCourseReport } from '../lib/course.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Course report handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), body `{syllabusText, year?, courseTitle?, gradeLevel, courseType, focusArea}`
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{courseTitle, items, summary, patterns}` or `{ error }`
+ */
+export default createVercelHandler(runCourseReport);
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview DIKE AI Streaming Course Report Endpoint
+ *
+ * Vercel serverless function that streams a course report as Server-Sent
+ * Events: `meta` with the assignments found in the syllabus, one `item` per
+ * analyzed assignment, then the `report` (or `error`).
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runCourseReportStream } from '../../lib/course.js';
+import { createVercelStreamHandler } from '../../lib/adapters.js';
+
+/**
+ * Streaming course report handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), same body as /api/course
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Writes a `text/event-stream` body, or JSON `{ error }` for invalid input
+ */
+export default createVercelStreamHandler(runCourseReportStream);
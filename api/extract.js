@@ -0,0 +1,24 @@
+/**
+ * @fileoverview DIKE AI Document Extraction Endpoint
+ *
+ * Vercel serverless function that turns an uploaded PDF, DOCX, HTML,
+ * Markdown or text file into assignment text with its headings, lists and
+ * tables kept. Parsing happens inside the function; nothing is sent to the
+ * model or any other service.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runExtract } from '../lib/extract.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Extraction handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format), body `{fileName, content}` with content base64-encoded
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{fileName, format, text, characters, truncated, warnings}` or `{ error }`
+ */
+export default createVercelHandler(runExtract);
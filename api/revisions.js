@@ -0,0 +1,28 @@
+/**
+ * @fileoverview DIKE AI Edit Proposals Endpoint
+ *
+ * Vercel serverless function behind "Review Edits". Returns edit proposals
+ * anchored in the assignment text; the browser applies the accepted ones.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runRevisions } from '../lib/revisions.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Revisions handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format)
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{ proposals: [...], dropped }` or `{ error }`
+ * @example
+ * fetch('/api/revisions', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ assignmentText, barriers: analysis.barriers })
+ * })
+ */
+export default createVercelHandler(runRevisions);
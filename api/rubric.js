@@ -0,0 +1,29 @@
+/**
+ * @fileoverview DIKE AI Rubric Endpoint
+ *
+ * Vercel serverless function behind the "Equity Rubric" panel. Returns a
+ * rubric drafted from the assignment and its barriers; editing and export
+ * happen in the browser.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runRubric } from '../lib/rubric.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Rubric handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format)
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{ rubric: { title, levels, criteria } }` or `{ error }`
+ * @example
+ * fetch('/api/rubric', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ assignmentText, barriers: analysis.barriers, gradeLevel, courseType })
+ * })
+ */
+export default createVercelHandler(runRubric);
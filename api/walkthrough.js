@@ -0,0 +1,29 @@
+/**
+ * @fileoverview DIKE AI Persona Walkthrough Endpoint
+ *
+ * Vercel serverless function behind the Student Perspective Simulator.
+ * Returns a step-by-step walkthrough of the assignment for each persona
+ * sent, with hours, out-of-pocket cost, blockers and accommodations.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { runWalkthrough } from '../lib/walkthrough.js';
+import { createVercelHandler } from '../lib/adapters.js';
+
+/**
+ * Walkthrough handler
+ *
+ * @function handler
+ * @param {Object} req - HTTP request object (Vercel format)
+ * @param {Object} res - HTTP response object (Vercel format)
+ * @returns {Promise<void>} Sends `{ walkthroughs: [...], missing: [...] }` or `{ error }`
+ * @example
+ * fetch('/api/walkthrough', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ assignmentText, personas, barriers: analysis.barriers, gradeLevel, courseType })
+ * })
+ */
+export default createVercelHandler(runWalkthrough);
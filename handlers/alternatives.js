@@ -0,0 +1,6 @@
+import { runAlternatives } from '../lib/alternatives.js';
+
+export const alternativesHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runAlternatives(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
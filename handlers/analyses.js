@@ -0,0 +1,6 @@
+import { runSavedAnalyses } from '../lib/savedAnalyses.js';
+
+export const savedAnalysesHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runSavedAnalyses({ method: req.method, id: req.params.id, body: req.body });
+  res.set(headers).status(statusCode).json(body);
+};
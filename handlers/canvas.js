@@ -0,0 +1,6 @@
+import { runCanvas } from '../lib/canvas.js';
+
+export const canvasHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runCanvas({ method: req.method, ...req.params, body: req.body, authorization: req.get('authorization') });
+  res.set(headers).status(statusCode).json(body);
+};
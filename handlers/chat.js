@@ -0,0 +1,8 @@
+import { runChat, runChatStream } from '../lib/chat.js';
+
+export const chatHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runChat(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
+
+export const chatStreamHandler = (req, res) => runChatStream(req.body, res);
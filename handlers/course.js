@@ -0,0 +1,8 @@
+import { runCourseReport, runCourseReportStream } from '../lib/course.js';
+
+export const courseReportHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runCourseReport(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
+
+export const courseReportStreamHandler = (req, res) => runCourseReportStream(req.body, res);
@@ -0,0 +1,6 @@
+import { runExtract } from '../lib/extract.js';
+
+export const extractHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runExtract(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
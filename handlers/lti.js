@@ -0,0 +1,21 @@
+import { runLtiLogin, runLtiLaunch, runLtiLaunchContext, runLtiDeepLink, runLtiJwks } from '../lib/lti.js';
+
+const send = (res, { statusCode, headers, body }) => res.set(headers).status(statusCode).json(body);
+
+export const ltiLoginHandler = async (req, res) => {
+  const result = await runLtiLogin({ ...req.query, ...req.body });
+  if (result.statusCode === 200) return res.set(result.headers).redirect(302, result.body.redirect);
+  send(res, result);
+};
+
+export const ltiLaunchHandler = async (req, res) => {
+  const result = await runLtiLaunch(req.body, req.get('cookie'));
+  if (result.statusCode === 200) return res.set(result.headers).redirect(303, result.body.redirect);
+  send(res, result);
+};
+
+export const ltiLaunchContextHandler = async (req, res) => send(res, await runLtiLaunchContext(req.params.ticket));
+
+export const ltiDeepLinkHandler = async (req, res) => send(res, await runLtiDeepLink(req.params.ticket, req.body));
+
+export const ltiJwksHandler = async (req, res) => send(res, await runLtiJwks());
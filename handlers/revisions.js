@@ -0,0 +1,6 @@
+import { runRevisions } from '../lib/revisions.js';
+
+export const revisionsHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runRevisions(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
@@ -0,0 +1,6 @@
+import { runRubric } from '../lib/rubric.js';
+
+export const rubricHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runRubric(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
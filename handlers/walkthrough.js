@@ -0,0 +1,6 @@
+import { runWalkthrough } from '../lib/walkthrough.js';
+
+export const walkthroughHandler = async (req, res) => {
+  const { statusCode, headers, body } = await runWalkthrough(req.body);
+  res.set(headers).status(statusCode).json(body);
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview DIKE AI Serverless Adapters
+ *
+ * Wraps a `run(body) => { statusCode, headers, body }` entry point from lib/ as a
+ * Vercel or Netlify function, including CORS preflight and method checks.
+ * Express routes in handlers/ call the same entry points directly.
+ * Streaming entry points (`runStream(body, res)`) are Vercel-only, since
+ * Netlify functions buffer the whole response.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Creates a Vercel (Node runtime) handler for a POST endpoint.
+ *
+ * @param {Function} run - Entry point such as runAnalysis
+ * @returns {Function} `(req, res) => Promise<void>` handler
+ * @example
+ * // api/chat.js
+ * export default createVercelHandler(runChat);
+ */
+export const createVercelHandler = (run) => async (req, res) => {
+  if (!acceptVercelPost(req, res)) return;
+
+  const { statusCode, headers, body } = await run(req.body);
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  res.status(statusCode).json(body);
+};
+
+/**
+ * Creates a Vercel (Node runtime) handler for a streaming POST endpoint.
+ * The entry point writes the response itself.
+ *
+ * @param {Function} runStream - Streaming entry point such as runAnalysisStream
+ * @returns {Function} `(req, res) => Promise<void>` handler
+ * @example
+ * // api/chat/stream.js
+ * export default createVercelStreamHandler(runChatStream);
+ */
+export const createVercelStreamHandler = (runStream) => async (req, res) => {
+  if (!acceptVercelPost(req, res)) return;
+
+  await runStream(req.body, res);
+};
+
+/**
+ * Sets CORS headers and answers preflight and non-POST requests.
+ *
+ * @param {Object} req - Vercel request
+ * @param {Object} res - Vercel response
+ * @returns {boolean} True when the request should be handled
+ */
+const acceptVercelPost = (req, res) => {
+  // Enable CORS for cross-origin requests
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  // Handle preflight OPTIONS requests for CORS
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return false;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Creates a Netlify function handler for a POST endpoint.
+ *
+ * @param {Function} run - Entry point such as runAnalysis
+ * @returns {Function} `(event, context) => Promise<{statusCode, headers, body}>` handler
+ * @example
+ * // netlify/functions/chat.js
+ * export const handler = createNetlifyHandler(runChat);
+ */
+export const createNetlifyHandler = (run) => async (event) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Parse request body - handle both string and already parsed body
+  let requestBody;
+  try {
+    requestBody = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' })
+    };
+  }
+
+  const result = await run(requestBody);
+
+  return {
+    statusCode: result.statusCode,
+    headers: { ...headers, ...result.headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(result.body)
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview DIKE AI Alternative Assignments
+ *
+ * Server side of "Generate Alternatives": asks the configured provider for
+ * three more equitable versions of the assignment that address the
+ * identified barriers, then validates the reply against ALTERNATIVES_SCHEMA.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, toHttpResult } from './errors.js';
+import { validateAnalysis, formatValidationErrors } from './schema.js';
+import { requestCompletion, parseAnalysisContent, validateAssignmentText, validateRequestBarriers } from './analysis.js';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * JSON Schema for the alternatives reply
+ * @type {Object}
+ */
+export const ALTERNATIVES_SCHEMA = {
+  type: 'object',
+  required: ['alternatives'],
+  properties: {
+    alternatives: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'description', 'improvements'],
+        properties: {
+          title: nonEmptyString,
+          description: nonEmptyString,
+          improvements: { type: 'array', items: nonEmptyString }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validates the alternatives request body.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.assignmentText - The analyzed assignment
+ * @param {Object[]} body.barriers - Barriers from the analysis
+ * @returns {{assignmentText: string, barriers: Object[]}}
+ * @throws {AnalysisError} 400 or 413 when the request is malformed or too large
+ */
+export const validateAlternativesRequest = (body) => {
+  const { assignmentText, barriers } = body || {};
+
+  return {
+    assignmentText: validateAssignmentText(assignmentText),
+    barriers: validateRequestBarriers(barriers).map(({ category, severity, issue }) => ({ category, severity, issue }))
+  };
+};
+
+/**
+ * Generates alternative assignment versions.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateAlternativesRequest
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{alternatives: Array<{title: string, description: string, improvements: string[]}>}>}
+ * @throws {AnalysisError} 502 when the model reply does not match ALTERNATIVES_SCHEMA
+ */
+export const generateAlternatives = async ({ assignmentText, barriers }, options = {}) => {
+  const content = await requestCompletion([
+    { role: 'system', content: 'You are an educational equity expert. Generate 3 alternative assignment versions that address the identified barriers while maintaining learning objectives. Return ONLY JSON: {"alternatives": [{"title": "text", "description": "text", "improvements": ["text"]}]}' },
+    { role: 'user', content: `Original assignment: "${assignmentText}"\n\nBarriers identified: ${JSON.stringify(barriers)}\n\nGenerate 3 more equitable alternatives.` }
+  ], { task: 'alternatives', temperature: 0.8, maxTokens: 1500, ...options });
+
+  let parsed;
+  try {
+    parsed = parseAnalysisContent(content);
+  } catch (parseError) {
+    throw new AnalysisError('Failed to parse alternatives from the AI response', 502, parseError.message);
+  }
+
+  const { valid, errors } = validateAnalysis(parsed, ALTERNATIVES_SCHEMA);
+  if (!valid) {
+    throw new AnalysisError('The AI response did not contain valid alternatives', 502, formatValidationErrors(errors));
+  }
+
+  return {
+    alternatives: parsed.alternatives.map(({ title, description, improvements }) => ({
+      title: title.trim(),
+      description: description.trim(),
+      improvements: improvements.map((improvement) => improvement.trim())
+    }))
+  };
+};
+
+/**
+ * Adapter entry point for /api/alternatives. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runAlternatives = (body, options = {}) =>
+  toHttpResult(() => generateAlternatives(validateAlternativesRequest(body), options), 'Alternatives');
@@ -0,0 +1,734 @@
+/**
+ * @fileoverview DIKE AI Shared Analysis Core
+ *
+ * Single source of truth for assignment equity analysis. The Express server,
+ * the Vercel function, the Netlify function and the Express-style handler in
+ * handlers/ are all thin adapters over this module, so every deployment sends
+ * the same prompt to the same model and returns the same response shape.
+ *
+ * PIPELINE:
+ * 1. validateAnalysisRequest - check and normalize the request body
+ * 2. buildAnalysisMessages - system and user prompt for the model
+ * 3. requestCompletion - call the configured provider (lib/providers) and
+ *    return the message content
+ * 4. parseAnalysisContent - pull the JSON object out of the model output
+ * 5. normalizeAnalysis - safe coercions (trimming, casing, category aliases)
+ * 6. validateAnalysis - field level check against ANALYSIS_SCHEMA (lib/schema.js)
+ * 7. Repair loop - re-prompt the model with the validation errors, bounded by
+ *    MAX_REPAIR_ATTEMPTS; if it still fails the result is `status: "degraded"`
+ * 8. computeEquityScore - deterministic score from the validated barriers and
+ *    strengths (lib/scoring.js); the model's number is returned as `llmScore`
+ * 9. annotateBarriers - each barrier's quotes are looked up in the assignment
+ *    text and returned as verified character `spans` (lib/annotate.js)
+ * 10. attachReadability - readability measures compared with the grade
+ *    level; findings over their limits back the model's barrier on the same
+ *    thing or are appended as measured barriers, and the score is
+ *    recomputed (lib/readability.js)
+ * 11. attachWorkload - time-on-task estimate from the assignment text, the
+ *    grade level and the window (lib/workload.js)
+ *
+ * CACHING:
+ * Successful results are cached (lib/cache.js) under a key built from the
+ * normalized assignment text, the request context, the provider and model,
+ * ANALYSIS_PROMPT_VERSION and the score weights. Hits are returned with
+ * `cached: true`; `forceRefresh: true` in the request skips the lookup and
+ * replaces the entry. Entries keep the model's quotes; spans, readability
+ * and the workload estimate are computed for every response, since two
+ * texts sharing a key can differ in whitespace and `windowDays` is not part
+ * of the key.
+ *
+ * STREAMING:
+ * streamAnalysis runs steps 2-8 with a streamed completion and emits the
+ * summary, each barrier and the other sections as soon as the model has
+ * written them. Partial sections are previews only; the final `result`
+ * event carries the validated, scored analysis exactly as runAnalysis would.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import {
+  EQUITY_DIMENSIONS,
+  SEVERITY_LEVELS,
+  UDL_LEVELS,
+  COST_TYPES,
+  validateAnalysis,
+  formatValidationErrors
+} from './schema.js';
+import { createHash } from 'crypto';
+import { computeEquityScore, getScoreWeights } from './scoring.js';
+import { AnalysisError, toHttpResult } from './errors.js';
+import { getProvider } from './providers/index.js';
+import { createJsonSectionScanner } from './jsonStream.js';
+import { runEventStream } from './sse.js';
+import { getAnalysisCache } from './cache.js';
+import { annotateBarriers } from './annotate.js';
+import { attachReadability } from './readability.js';
+import { attachWorkload } from './workload.js';
+import { validatePersonas, formatPersonasForPrompt } from './personas.js';
+
+export { AnalysisError };
+
+/** Sampling settings shared by all deploy targets */
+const ANALYSIS_TEMPERATURE = 0.7;
+const ANALYSIS_MAX_TOKENS = 2000;
+
+/** Assignment length limits, shared by every endpoint that takes an assignment */
+export const MIN_ASSIGNMENT_LENGTH = 10;
+export const MAX_ASSIGNMENT_LENGTH = 20000;
+
+/** Longest time window the workload estimate accepts, in days */
+const MAX_WINDOW_DAYS = 365;
+
+/** How many times an invalid model reply is sent back for repair */
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/** Bump whenever buildAnalysisMessages changes, so cached results from the old prompt are not reused */
+export const ANALYSIS_PROMPT_VERSION = 4;
+
+/**
+ * Checks an assignment text against the shared length limits.
+ *
+ * @param {*} assignmentText - Value from the request body
+ * @returns {string} Trimmed assignment text
+ * @throws {AnalysisError} 400 when missing, too short or too long
+ */
+export const validateAssignmentText = (assignmentText) => {
+  if (typeof assignmentText !== 'string' || !assignmentText.trim()) {
+    throw new AnalysisError('Missing required field: assignmentText', 400);
+  }
+  const text = assignmentText.trim();
+  if (text.length < MIN_ASSIGNMENT_LENGTH) {
+    throw new AnalysisError(`Assignment text must be at least ${MIN_ASSIGNMENT_LENGTH} characters`, 400);
+  }
+  if (text.length > MAX_ASSIGNMENT_LENGTH) {
+    throw new AnalysisError(`Assignment text must be at most ${MAX_ASSIGNMENT_LENGTH} characters`, 413);
+  }
+  return text;
+};
+
+/** Most barriers a follow-up request (rubric, revisions, ...) may send back */
+export const MAX_REQUEST_BARRIERS = 30;
+
+/**
+ * Checks the barriers a follow-up request sends back from an analysis. Only
+ * the shape is checked; each route picks the fields it needs.
+ *
+ * @param {*} barriers - Value from the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Whether a missing or empty list is an error
+ * @returns {Object[]} The barriers
+ * @throws {AnalysisError} 400 when not an array of objects or missing but required, 413 over MAX_REQUEST_BARRIERS
+ */
+export const validateRequestBarriers = (barriers, { required = false } = {}) => {
+  if (!Array.isArray(barriers) || (required && barriers.length === 0)) {
+    throw new AnalysisError(required ? 'Missing required field: barriers' : 'barriers must be an array', 400);
+  }
+  if (barriers.length > MAX_REQUEST_BARRIERS) {
+    throw new AnalysisError(`At most ${MAX_REQUEST_BARRIERS} barriers can be sent`, 413);
+  }
+  const invalid = barriers.findIndex((barrier) => !barrier || typeof barrier !== 'object' || Array.isArray(barrier));
+  if (invalid !== -1) {
+    throw new AnalysisError(`barriers[${invalid}] must be an object`, 400);
+  }
+  return barriers;
+};
+
+/**
+ * Validates the analyze request body and fills in context defaults.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {{assignmentText: string, gradeLevel: string, courseType: string, focusArea: string, studentProfile: string, personas: Object[], windowDays: number|null, forceRefresh: boolean}}
+ * @throws {AnalysisError} 400 when the assignment text is missing or too short, the personas are malformed (lib/personas.js)
+ *   or windowDays is not a whole number of days
+ */
+export const validateAnalysisRequest = (body) => {
+  const { assignmentText, gradeLevel, courseType, focusArea, studentProfile, personas, windowDays, forceRefresh } = body || {};
+
+  if (windowDays !== undefined && windowDays !== null && !(Number.isInteger(windowDays) && windowDays >= 1 && windowDays <= MAX_WINDOW_DAYS)) {
+    throw new AnalysisError(`windowDays must be a whole number from 1 to ${MAX_WINDOW_DAYS}`, 400);
+  }
+
+  return {
+    assignmentText: validateAssignmentText(assignmentText),
+    gradeLevel: gradeLevel || 'college',
+    courseType: courseType || 'general',
+    focusArea: focusArea || 'all',
+    studentProfile: studentProfile || '',
+    personas: validatePersonas(personas),
+    windowDays: windowDays ?? null,
+    forceRefresh: forceRefresh === true
+  };
+};
+
+/**
+ * Normalizes assignment text for cache keys: Unicode NFC, unified line
+ * endings, collapsed runs of spaces and blank lines. Wording and case are
+ * kept, since both can change the analysis.
+ *
+ * @param {string} text - Assignment text
+ * @returns {string} Normalized text
+ */
+export const normalizeAssignmentText = (text) => text
+  .normalize('NFC')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\u00a0]+/g, ' ')
+  .replace(/ ?\n ?/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Builds the cache key for an analysis request.
+ *
+ * @param {Object} input - Validated request from validateAnalysisRequest
+ * @param {{name: string, model: string}} provider - Provider that would answer
+ * @returns {string} Hex SHA-256 digest
+ */
+export const getAnalysisCacheKey = (input, provider) => createHash('sha256')
+  .update(JSON.stringify([
+    ANALYSIS_PROMPT_VERSION,
+    provider.name,
+    provider.model,
+    normalizeAssignmentText(input.assignmentText),
+    input.gradeLevel,
+    input.courseType,
+    input.focusArea,
+    input.studentProfile,
+    input.personas,
+    getScoreWeights()
+  ]))
+  .digest('hex');
+
+/**
+ * Builds the system and user messages for an analysis request.
+ *
+ * @param {Object} input - Validated request from validateAnalysisRequest
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+export const buildAnalysisMessages = ({ assignmentText, gradeLevel, courseType, focusArea, studentProfile, personas = [] }) => {
+  const systemPrompt = `You are an expert educational equity analyst. Analyze assignments for barriers across six dimensions:
+
+1. **Socioeconomic**: Costs, required purchases, resource access
+2. **Digital Access**: Technology requirements, internet needs, software
+3. **Time & Scheduling**: Deadlines, flexibility, workload
+4. **Cultural & Linguistic**: Language barriers, cultural assumptions
+5. **Accessibility**: Disability accommodations, assistive technology
+6. **Learning Supports**: Prior knowledge, scaffolding, guidance
+
+RESPONSE QUALITY STANDARDS:
+- For each barrier, name the EXACT element causing inequity (e.g. "11:59 PM Friday deadline disadvantages students working evening retail jobs")
+- For impact, explain WHO is affected and HOW
+- For suggestions, give 2-3 concrete alternatives that keep academic rigor
+- For researchBasis, give 2-5 search keywords (e.g. "digital divide education"), not a citation or URL
+- For quotes, copy 1-3 short excerpts word for word from the assignment that cause the barrier (e.g. "due Friday at 11:59 PM"); use [] when the barrier is about something the assignment leaves out
+- For personas, list the ids of the given student personas the barrier affects; use [] when none are given or none is affected
+- Strengths and recommendations are ONE concise sentence each, specific to this assignment
+- reformattedAssignment is a complete, ready to use rewrite of the assignment with the barriers addressed
+- For costs, list every purchase, subscription, device, kit, travel, printing or fee a student must pay for to complete the assignment as written, one item each, with a realistic US dollar priceLow and priceHigh, a free or low-cost alternative and the excerpt that requires it as quote; use [] when nothing costs money
+
+SCORING:
+- overallScore is your own estimate: start at 100, deduct High=15, Medium=10, Low=5 per barrier, add 5 per equity strength
+- Rate severity carefully, the final score is computed from your barriers and strengths
+
+FIELD RULES:
+- barriers[].category must be exactly one of: ${EQUITY_DIMENSIONS.join(', ')}
+- barriers[].severity must be exactly one of: ${SEVERITY_LEVELS.join(', ')}
+- Every barrier needs a non-empty issue, impact, researchBasis and at least one suggestion
+- udlAlignment rates representation, action and engagement as one of: ${UDL_LEVELS.join(', ')}
+- costs[].type must be exactly one of: ${COST_TYPES.join(', ')}
+
+Return ONLY valid JSON in this exact format:
+{
+  "overallScore": 75,
+  "summary": "brief summary here",
+  "barriers": [
+    {
+      "category": "Socioeconomic",
+      "severity": "Medium",
+      "issue": "specific problem",
+      "impact": "who is affected",
+      "suggestions": ["fix 1", "fix 2"],
+      "researchBasis": "research keywords",
+      "quotes": ["exact excerpt from the assignment"],
+      "personas": ["persona-id"]
+    }
+  ],
+  "strengths": ["strength 1", "strength 2"],
+  "recommendations": ["recommendation 1", "recommendation 2"],
+  "reformattedAssignment": "improved version here",
+  "costs": [
+    { "item": "Video editing software", "type": "subscription", "priceLow": 0, "priceHigh": 23, "alternative": "free editor or phone app", "quote": "edited video" }
+  ],
+  "udlAlignment": { "representation": "Medium", "action": "Low", "engagement": "High" }
+}`;
+
+  const userPrompt = `Analyze this assignment:
+
+**Grade Level**: ${gradeLevel}
+**Course Type**: ${courseType}
+**Focus Area**: ${focusArea === 'all' ? 'All equity dimensions' : focusArea}${studentProfile ? `\n**Student Profile**: ${studentProfile}` : ''}${personas.length ? `\n**Student Personas** (consider how each of these students would experience the assignment):\n${formatPersonasForPrompt(personas)}` : ''}
+
+**Assignment**: ${assignmentText}
+
+Return ONLY the JSON, no other text.`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ];
+};
+
+/**
+ * Sends chat messages to the configured provider and returns the assistant
+ * content, applying the shared analysis sampling settings.
+ *
+ * @async
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} [options]
+ * @param {Object} [options.provider=getProvider()] - Provider to use instead of the configured one
+ * @param {string} [options.task='analysis'] - Request type, selects the fixture for the mock provider
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Completion token limit
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} Raw assistant message content
+ * @throws {AnalysisError} When the provider is not configured or the call fails
+ */
+export const requestCompletion = async (messages, options = {}) => {
+  const provider = options.provider || getProvider();
+  return provider.complete(messages, toProviderOptions(options));
+};
+
+/**
+ * Streaming counterpart of requestCompletion, yielding content deltas.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} [options] - Same as requestCompletion, plus `signal` to cancel
+ * @returns {AsyncGenerator<string>} Content deltas
+ * @throws {AnalysisError} When the provider is not configured or the call fails
+ */
+export const streamCompletion = (messages, options = {}) => {
+  const provider = options.provider || getProvider();
+  return provider.stream(messages, toProviderOptions(options));
+};
+
+/**
+ * Maps request options onto the provider call options with the shared
+ * analysis sampling defaults.
+ *
+ * @param {Object} options - Options given to requestCompletion or streamCompletion
+ * @returns {{task: string, temperature: number, maxTokens: number, signal: AbortSignal|undefined}}
+ */
+const toProviderOptions = (options) => ({
+  task: options.task || 'analysis',
+  temperature: options.temperature ?? ANALYSIS_TEMPERATURE,
+  maxTokens: options.maxTokens ?? ANALYSIS_MAX_TOKENS,
+  signal: options.signal
+});
+
+/**
+ * Extracts and parses the JSON object from a model reply. Models wrap the
+ * object in code fences or prose often enough that a bare JSON.parse fails.
+ *
+ * @param {string} content - Raw assistant message content
+ * @returns {Object} Parsed JSON object
+ * @throws {SyntaxError} When no parseable JSON object is found
+ */
+export const parseAnalysisContent = (content) => {
+  // Strategy 1: fenced code block, with or without a json tag
+  const fenced = content.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+  if (fenced) {
+    try {
+      return JSON.parse(fenced[1].trim());
+    } catch {
+      // fall through to the brace scan
+    }
+  }
+
+  // Strategy 2: outermost braces in the reply
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    return JSON.parse(content.slice(start, end + 1));
+  }
+
+  // Strategy 3: the whole reply
+  return JSON.parse(content.trim());
+};
+
+/**
+ * Keyword aliases mapping the category names models tend to invent onto the
+ * six canonical dimensions. Checked in order, so Digital Access wins over
+ * Accessibility for "digital accessibility".
+ */
+const CATEGORY_ALIASES = [
+  ['Digital Access', ['digital', 'tech', 'internet', 'software']],
+  ['Socioeconomic', ['socio', 'economic', 'cost', 'financial']],
+  ['Time & Scheduling', ['time', 'schedul', 'deadline']],
+  ['Cultural & Linguistic', ['cultur', 'linguistic', 'language']],
+  ['Accessibility', ['accessib', 'disab']],
+  ['Learning Supports', ['learning', 'support', 'scaffold', 'prior knowledge']]
+];
+
+/**
+ * Maps a category name onto a canonical dimension when it is an obvious
+ * variant. Unknown names are returned unchanged so validation reports them.
+ *
+ * @param {*} category - Category from the model
+ * @returns {*} Canonical dimension name or the input
+ */
+const toCategory = (category) => {
+  if (typeof category !== 'string') return category;
+  const name = category.trim().toLowerCase();
+  const exact = EQUITY_DIMENSIONS.find((dimension) => dimension.toLowerCase() === name);
+  if (exact) return exact;
+  const alias = CATEGORY_ALIASES.find(([, keywords]) => keywords.some((keyword) => name.includes(keyword)));
+  return alias ? alias[0] : category.trim();
+};
+
+/**
+ * Matches a level such as "high" onto its canonical casing.
+ *
+ * @param {*} value - Level from the model
+ * @param {string[]} levels - Allowed levels
+ * @returns {*} Canonical level or the input
+ */
+const toLevel = (value, levels) => {
+  if (typeof value !== 'string') return value;
+  return levels.find((level) => level.toLowerCase() === value.trim().toLowerCase()) || value.trim();
+};
+
+/**
+ * Coerces one cost item: price strings such as "$25" become numbers, the
+ * type is lowercased and a reversed range is put in order.
+ *
+ * @param {*} cost - Cost item from the model
+ * @returns {*} Coerced item, unchanged when it is not an object
+ */
+const toCost = (cost) => {
+  if (!cost || typeof cost !== 'object' || Array.isArray(cost)) return cost;
+  const toPrice = (value) => (typeof value === 'string' && /\d/.test(value) ? Number(value.replace(/[$,\s]/g, '')) : value);
+  const low = toPrice(cost.priceLow);
+  const high = toPrice(cost.priceHigh);
+  const ordered = typeof low === 'number' && typeof high === 'number' && low > high;
+  return {
+    item: typeof cost.item === 'string' ? cost.item.trim() : cost.item,
+    type: typeof cost.type === 'string' ? cost.type.trim().toLowerCase() : cost.type,
+    priceLow: ordered ? high : low,
+    priceHigh: ordered ? low : high,
+    ...(typeof cost.alternative === 'string' && cost.alternative.trim() ? { alternative: cost.alternative.trim() } : {}),
+    ...(typeof cost.quote === 'string' && cost.quote.trim() ? { quote: cost.quote.trim() } : {})
+  };
+};
+
+/**
+ * Applies safe coercions to a parsed model result: trims strings, fixes
+ * casing, maps category aliases and turns numeric strings into numbers.
+ * Missing or malformed fields are left alone so validateAnalysis can report
+ * them; nothing is invented here.
+ *
+ * @param {Object} data - Parsed model output
+ * @returns {Object} Coerced analysis restricted to the schema fields
+ */
+export const normalizeAnalysis = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+  const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+  const trimList = (value) => (Array.isArray(value) ? value.map(trim) : value);
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+  const score = typeof data.overallScore === 'string' && data.overallScore.trim() !== ''
+    ? Number(data.overallScore)
+    : data.overallScore;
+
+  return {
+    overallScore: typeof score === 'number' ? Math.round(score) : score,
+    summary: trim(data.summary),
+    barriers: Array.isArray(data.barriers)
+      ? data.barriers.map((barrier) => (isObject(barrier) ? {
+        category: toCategory(barrier.category),
+        severity: toLevel(barrier.severity, SEVERITY_LEVELS),
+        issue: trim(barrier.issue),
+        impact: trim(barrier.impact),
+        suggestions: trimList(barrier.suggestions),
+        researchBasis: trim(barrier.researchBasis),
+        quotes: trimList(barrier.quotes),
+        personas: trimList(barrier.personas)
+      } : barrier))
+      : data.barriers,
+    strengths: trimList(data.strengths),
+    recommendations: trimList(data.recommendations),
+    reformattedAssignment: trim(data.reformattedAssignment),
+    ...(data.costs !== undefined ? { costs: Array.isArray(data.costs) ? data.costs.map(toCost) : data.costs } : {}),
+    udlAlignment: isObject(data.udlAlignment)
+      ? {
+        representation: toLevel(data.udlAlignment.representation, UDL_LEVELS),
+        action: toLevel(data.udlAlignment.action, UDL_LEVELS),
+        engagement: toLevel(data.udlAlignment.engagement, UDL_LEVELS)
+      }
+      : data.udlAlignment
+  };
+};
+
+/**
+ * Parses, normalizes and validates one model reply.
+ *
+ * @param {string} content - Raw assistant message content
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, analysis?: Object}}
+ */
+const checkAnalysisContent = (content) => {
+  let parsed;
+  try {
+    parsed = parseAnalysisContent(content);
+  } catch (parseError) {
+    return { valid: false, errors: [{ path: '', message: `is not valid JSON (${parseError.message})` }] };
+  }
+
+  const analysis = normalizeAnalysis(parsed);
+  return { ...validateAnalysis(analysis), analysis };
+};
+
+/**
+ * Builds the follow-up message asking the model to fix its previous reply.
+ *
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @returns {string} Repair instruction
+ */
+const buildRepairPrompt = (errors) => `Your previous reply did not match the required JSON format. Fix these problems:
+
+${formatValidationErrors(errors)}
+
+Return the complete corrected JSON object only, with every required field, no other text.`;
+
+/**
+ * Result returned when the model cannot produce a valid analysis. It carries
+ * no score so the UI cannot mistake it for a real result.
+ *
+ * @param {Array<{path: string, message: string}>} errors - Last validation errors
+ * @param {number} attempts - Total model calls made
+ * @returns {{status: 'degraded', error: string, validationErrors: Array, attempts: number}}
+ */
+const buildDegradedResult = (errors, attempts) => ({
+  status: 'degraded',
+  error: 'The AI response could not be validated, so no score was produced. Please try again.',
+  validationErrors: errors,
+  attempts
+});
+
+/**
+ * Turns the model's first reply into the final result: validates it,
+ * re-prompts up to MAX_REPAIR_ATTEMPTS times when it fails the schema, then
+ * scores it. Shared by the buffered and the streaming pipelines.
+ *
+ * @async
+ * @param {Array<{role: string, content: string}>} messages - Messages that produced `content`
+ * @param {string} content - The model's first reply
+ * @param {Object} options - Passed through to requestCompletion, must include `provider`
+ * @param {number} [options.maxRepairAttempts=MAX_REPAIR_ATTEMPTS] - Repair bound
+ * @returns {Promise<Object>} `{status: 'ok', ...analysis, overallScore, scoreBreakdown, llmScore, provider, model}`
+ *   or a degraded result
+ * @throws {AnalysisError} When a repair call fails
+ */
+export const resolveAnalysis = async (messages, content, options) => {
+  const maxRepairAttempts = options.maxRepairAttempts ?? MAX_REPAIR_ATTEMPTS;
+  const source = { provider: options.provider.name, model: options.provider.model };
+  const conversation = [...messages];
+
+  for (let attempt = 0; ; attempt++) {
+    const { valid, errors, analysis } = checkAnalysisContent(content);
+    if (valid) {
+      const { overallScore: llmScore, ...rest } = analysis;
+      return { status: 'ok', ...rest, ...computeEquityScore(rest), llmScore: llmScore ?? null, ...source };
+    }
+
+    console.warn(`Analysis failed validation (attempt ${attempt + 1}):\n${formatValidationErrors(errors)}`);
+    if (attempt >= maxRepairAttempts) {
+      return { ...buildDegradedResult(errors, attempt + 1), ...source };
+    }
+
+    conversation.push(
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
+    content = await requestCompletion(conversation, options);
+  }
+};
+
+/**
+ * Looks up a cached result unless the request forces a refresh.
+ *
+ * @async
+ * @param {Object} input - Validated request
+ * @param {Object} options - Resolved options with `provider` and `cache`
+ * @returns {Promise<{key: string|null, hit: Object|undefined}>} Cache key and the cached body, if any
+ */
+const readCachedAnalysis = async (input, { provider, cache }) => {
+  if (!cache) return { key: null, hit: undefined };
+
+  const key = getAnalysisCacheKey(input, provider);
+  const entry = input.forceRefresh ? undefined : await cache.get(key);
+  return { key, hit: entry && { ...entry.value, cached: true, cachedAt: entry.storedAt } };
+};
+
+/**
+ * Stores a successful result and marks it as freshly computed. Degraded
+ * results are never cached.
+ *
+ * @async
+ * @param {Object} result - Result of resolveAnalysis
+ * @param {string|null} key - Cache key from readCachedAnalysis
+ * @param {Object} options - Resolved options with `cache`
+ * @returns {Promise<Object>} The result with `cached: false`
+ */
+const cacheAnalysis = async (result, key, { cache }) => {
+  if (cache && key && result.status === 'ok') await cache.set(key, result);
+  return { ...result, cached: false };
+};
+
+/**
+ * Adds what is computed for every response, cached or not: barrier spans,
+ * measured readability barriers and the workload estimate.
+ *
+ * @param {Object} result - Cached or fresh result
+ * @param {Object} input - Validated request
+ * @returns {Object} Result with barrier `spans`, `readability` and `workload`
+ */
+const finishResult = (result, input) => attachWorkload(
+  attachReadability(annotateBarriers(result, input.assignmentText), input),
+  input
+);
+
+/**
+ * Resolves the provider and cache once per request.
+ *
+ * @param {Object} options - Caller options
+ * @returns {Object} Options with `provider` and `cache` filled in
+ */
+const withDefaults = (options) => ({
+  ...options,
+  provider: options.provider || getProvider(),
+  cache: options.cache === undefined ? getAnalysisCache() : options.cache
+});
+
+/**
+ * Runs the full analysis pipeline for an already validated request,
+ * answering from the cache when possible.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateAnalysisRequest
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @param {Object} [options.provider=getProvider()] - Provider to use for every attempt
+ * @param {Object|null} [options.cache=getAnalysisCache()] - Result cache, null to disable
+ * @param {number} [options.maxRepairAttempts=MAX_REPAIR_ATTEMPTS] - Repair bound
+ * @returns {Promise<Object>} Result of resolveAnalysis with barrier `spans`, `readability` and `workload`, plus `cached` (and `cachedAt` on hits)
+ * @throws {AnalysisError} When the provider call fails
+ */
+export const analyzeAssignment = async (input, options = {}) => {
+  const completionOptions = withDefaults(options);
+  const { key, hit } = await readCachedAnalysis(input, completionOptions);
+  if (hit) return finishResult(hit, input);
+
+  const messages = buildAnalysisMessages(input);
+  const content = await requestCompletion(messages, completionOptions);
+  const result = await cacheAnalysis(await resolveAnalysis(messages, content, completionOptions), key, completionOptions);
+  return finishResult(result, input);
+};
+
+/** Top-level fields forwarded as `section` events while streaming */
+const STREAMED_SECTIONS = ['summary', 'strengths', 'recommendations', 'reformattedAssignment', 'udlAlignment'];
+
+/**
+ * Converts one completed value from the section scanner into a stream event.
+ *
+ * @param {Array<string|number>} path - Path of the completed value
+ * @param {*} value - Parsed value
+ * @returns {Array|null} `[event, data]` to send, or null when the value is not forwarded
+ */
+const toSectionEvent = (path, value) => {
+  if (path.length === 1 && STREAMED_SECTIONS.includes(path[0])) {
+    return ['section', { name: path[0], value: normalizeAnalysis({ [path[0]]: value })[path[0]] }];
+  }
+  if (path.length === 2 && path[0] === 'barriers' && typeof path[1] === 'number' && value && typeof value === 'object') {
+    return ['barrier', { index: path[1], barrier: normalizeAnalysis({ barriers: [value] }).barriers[0] }];
+  }
+  return null;
+};
+
+/**
+ * Runs the analysis pipeline with a streamed completion.
+ *
+ * EVENTS:
+ * - `meta` - `{provider, model}`, sent first
+ * - `section` - `{name, value}` for summary, strengths, recommendations,
+ *   reformattedAssignment and udlAlignment
+ * - `barrier` - `{index, barrier}` for each barrier as it completes
+ * - `result` - the same body runAnalysis returns (ok or degraded); a cache
+ *   hit sends `result` right after `meta`
+ *
+ * @async
+ * @param {Object} input - Validated request from validateAnalysisRequest
+ * @param {Function} send - `(event, data) => void`
+ * @param {Object} [options] - Same as analyzeAssignment, plus an abort signal
+ * @returns {Promise<void>} Resolves after the `result` event
+ * @throws {AnalysisError} When the provider call fails
+ */
+export const streamAnalysis = async (input, send, options = {}) => {
+  const completionOptions = withDefaults(options);
+  const { provider } = completionOptions;
+  send('meta', { provider: provider.name, model: provider.model });
+
+  const { key, hit } = await readCachedAnalysis(input, completionOptions);
+  if (hit) {
+    send('result', finishResult(hit, input));
+    return;
+  }
+
+  const messages = buildAnalysisMessages(input);
+  const scanner = createJsonSectionScanner();
+  let content = '';
+
+  for await (const delta of streamCompletion(messages, completionOptions)) {
+    content += delta;
+    for (const { path, value } of scanner.push(delta)) {
+      const event = toSectionEvent(path, value);
+      if (event) send(...event);
+    }
+  }
+
+  const result = await cacheAnalysis(await resolveAnalysis(messages, content, completionOptions), key, completionOptions);
+  send('result', finishResult(result, input));
+};
+
+/**
+ * Adapter entry point: validates a raw request body, runs the analysis and
+ * maps the outcome to an HTTP status and JSON body. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ * @example
+ * const { statusCode, headers, body } = await runAnalysis(req.body);
+ * res.set(headers).status(statusCode).json(body);
+ */
+export const runAnalysis = (body, options = {}) =>
+  toHttpResult(() => analyzeAssignment(validateAnalysisRequest(body), options), 'Analysis');
+
+/**
+ * Streaming adapter entry point for /api/analyze/stream. Writes a JSON error
+ * when the body is invalid, otherwise an event stream from streamAnalysis
+ * ending with a `result` or `error` event. Closing the connection cancels
+ * the provider request.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} res - Node response (Express or Vercel)
+ * @param {Object} [options] - Passed through to streamAnalysis
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+export const runAnalysisStream = (body, res, options = {}) =>
+  runEventStream(
+    res,
+    () => validateAnalysisRequest(body),
+    (input, send, signal) => streamAnalysis(input, send, { ...options, signal }),
+    'Analysis'
+  );
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Barrier Annotation
+ *
+ * Ties each barrier to the places in the assignment that cause it. The model
+ * returns `quotes`, short excerpts it claims to have copied from the
+ * assignment; this module looks every quote up in the original text and
+ * replaces them with character spans the UI can highlight. Quotes that cannot
+ * be found are dropped, so a span always points at text the student will
+ * actually read.
+ *
+ * MATCHING:
+ * An exact match is tried first. Otherwise both sides are folded (case,
+ * runs of whitespace, curly quotes and dashes) and the folded match is mapped
+ * back to offsets in the original text. Leading and trailing ellipses are
+ * stripped, and a quote with an ellipsis in the middle is looked up as
+ * separate fragments.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/** Quotes shorter than this match too much of the text to be useful */
+const MIN_QUOTE_LENGTH = 3;
+
+/** Spans kept per barrier */
+export const MAX_SPANS_PER_BARRIER = 3;
+
+/** Typographic characters models swap when copying text */
+const FOLDED_CHARACTERS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-'
+};
+
+/**
+ * Folds text for matching and records where every folded character came from.
+ *
+ * @param {string} text - Text to fold
+ * @returns {{folded: string, offsets: number[]}} Folded text and, per folded character, its index in `text`
+ */
+const foldText = (text) => {
+  let folded = '';
+  const offsets = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      if (folded === '' || folded.endsWith(' ')) continue;
+      folded += ' ';
+      offsets.push(index);
+      continue;
+    }
+    for (const part of (FOLDED_CHARACTERS[char] || char).toLowerCase()) {
+      folded += part;
+      offsets.push(index);
+    }
+  }
+
+  return { folded, offsets };
+};
+
+/**
+ * Splits a model quote into the fragments to look up.
+ *
+ * @param {string} quote - Quote from the model
+ * @returns {string[]} Fragments without wrapping quotes or ellipses
+ */
+const toFragments = (quote) => quote
+  .split(/\.{3}|…/)
+  .map((fragment) => fragment.trim().replace(/^["'“‘]+|["'”’]+$/g, '').trim())
+  .filter((fragment) => fragment.length >= MIN_QUOTE_LENGTH);
+
+/**
+ * Finds a quote in the assignment text.
+ *
+ * @param {string} text - Assignment text the spans refer to
+ * @param {string} quote - Excerpt to find
+ * @param {{folded: string, offsets: number[]}} [foldedText=foldText(text)] - Precomputed fold of `text`
+ * @returns {{start: number, end: number}|null} Span in `text`, end exclusive, or null when not found
+ * @example
+ * locateQuote('Due Friday at 11:59 PM.', 'friday at 11:59  pm');
+ * // => { start: 4, end: 22 }
+ */
+export const locateQuote = (text, quote, foldedText = foldText(text)) => {
+  const exact = text.indexOf(quote);
+  if (exact !== -1) return { start: exact, end: exact + quote.length };
+
+  const needle = foldText(quote).folded.trim();
+  if (needle.length < MIN_QUOTE_LENGTH) return null;
+
+  const index = foldedText.folded.indexOf(needle);
+  if (index === -1) return null;
+  return { start: foldedText.offsets[index], end: foldedText.offsets[index + needle.length - 1] + 1 };
+};
+
+/**
+ * Replaces the model's `quotes` on every barrier with verified `spans`.
+ * Results without barriers (degraded ones) are returned unchanged.
+ *
+ * @param {Object} result - Analysis result
+ * @param {string} assignmentText - The validated (trimmed) text that was analyzed
+ * @returns {Object} Result whose barriers carry `spans: [{start, end, text}]` instead of `quotes`
+ * @example
+ * annotateBarriers({ barriers: [{ issue: 'Late deadline', quotes: ['“Friday at 11:59 PM”'] }] }, 'Due Friday at 11:59 PM.');
+ * // => { barriers: [{ issue: 'Late deadline', spans: [{ start: 4, end: 22, text: 'Friday at 11:59 PM' }] }] }
+ */
+export const annotateBarriers = (result, assignmentText) => {
+  if (!Array.isArray(result.barriers)) return result;
+  const foldedText = foldText(assignmentText);
+
+  const barriers = result.barriers.map(({ quotes, ...barrier }) => {
+    const spans = [];
+    (Array.isArray(quotes) ? quotes : [])
+      .filter((quote) => typeof quote === 'string')
+      .flatMap(toFragments)
+      .forEach((fragment) => {
+        const span = locateQuote(assignmentText, fragment, foldedText);
+        if (span && spans.length < MAX_SPANS_PER_BARRIER && !spans.some(({ start }) => start === span.start)) {
+          spans.push({ ...span, text: assignmentText.slice(span.start, span.end) });
+        }
+      });
+    return { ...barrier, spans: spans.sort((a, b) => a.start - b.start) };
+  });
+
+  return { ...result, barriers };
+};
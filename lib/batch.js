@@ -0,0 +1,258 @@
+/**
+ * @fileoverview DIKE AI Batch Analysis
+ *
+ * Analyzes many assignments of one course in a single request and summarizes
+ * them as a course dashboard. Each assignment goes through analyzeAssignment,
+ * so results are cached and validated exactly like single analyses. A failed
+ * assignment is reported on its own and never fails the batch.
+ *
+ * ENDPOINTS:
+ * - /api/analyze/batch - buffered JSON `{items, summary}`; long batches can
+ *   exceed serverless time limits, use the stream there
+ * - /api/analyze/batch/stream - Server-Sent Events: `meta`, one `item` per
+ *   finished assignment (in completion order, with progress), then `summary`
+ *
+ * CONFIGURATION:
+ * - BATCH_CONCURRENCY: assignments analyzed at the same time (default 3, max 10)
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { EQUITY_DIMENSIONS } from './schema.js';
+import { AnalysisError, toHttpResult } from './errors.js';
+import { analyzeAssignment, validateAnalysisRequest } from './analysis.js';
+import { getProvider } from './providers/index.js';
+import { runEventStream } from './sse.js';
+
+/** Assignments accepted per batch */
+export const MAX_BATCH_SIZE = 50;
+
+/** How many of the lowest-scoring assignments the dashboard lists */
+const WORST_ASSIGNMENTS_SHOWN = 5;
+
+/** A barrier category counts as repeated once it appears in this many assignments */
+const REPEATED_CATEGORY_MIN_ASSIGNMENTS = 2;
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Reads the batch concurrency from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {number} Parallel analyses, 1-10
+ */
+export const getBatchConcurrency = (env = process.env) =>
+  Math.min(10, Math.max(1, Math.floor(Number(env.BATCH_CONCURRENCY)) || 3));
+
+/**
+ * Validates the batch request body. The course context applies to every
+ * assignment.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {Array<{title?: string, assignmentText: string}>} body.assignments - Assignments to analyze
+ * @param {string} [body.gradeLevel] - Shared context, see validateAnalysisRequest
+ * @param {string} [body.courseType] - Shared context
+ * @param {string} [body.focusArea] - Shared context
+ * @param {boolean} [body.forceRefresh] - Skip the analysis cache for every assignment
+ * @returns {{assignments: Array<{title: string, input: Object}>}}
+ * @throws {AnalysisError} 400 or 413 naming the first invalid assignment
+ */
+export const validateBatchRequest = (body) => {
+  const { assignments, ...context } = body || {};
+
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    throw new AnalysisError('Missing required field: assignments', 400);
+  }
+  if (assignments.length > MAX_BATCH_SIZE) {
+    throw new AnalysisError(`A batch is limited to ${MAX_BATCH_SIZE} assignments`, 413);
+  }
+
+  return {
+    assignments: assignments.map((assignment, index) => {
+      try {
+        const title = typeof assignment?.title === 'string' && assignment.title.trim()
+          ? assignment.title.trim().slice(0, MAX_TITLE_LENGTH)
+          : `Assignment ${index + 1}`;
+        return { title, input: validateAnalysisRequest({ ...context, assignmentText: assignment?.assignmentText }) };
+      } catch (error) {
+        throw new AnalysisError(`assignments[${index}]: ${error.message}`, error.statusCode || 400);
+      }
+    })
+  };
+};
+
+/**
+ * Counts the analyses a batch request asks for, for the per-assignment rate
+ * limit. Runs before validation, so it is capped at MAX_BATCH_SIZE; larger
+ * and malformed bodies are refused by validateBatchRequest anyway.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {number} Assignments in the batch, 1-MAX_BATCH_SIZE
+ */
+export const countBatchItems = (body) =>
+  Math.min(MAX_BATCH_SIZE, Math.max(1, Array.isArray(body?.assignments) ? body.assignments.length : 1));
+
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight.
+ *
+ * @async
+ * @param {Array} items - Work items
+ * @param {number} limit - Maximum parallel calls
+ * @param {Function} worker - `(item, index) => Promise<void>`
+ * @param {AbortSignal} [signal] - Stops starting new items once aborted
+ * @returns {Promise<void>} Resolves when every started item has finished
+ */
+const mapWithConcurrency = async (items, limit, worker, signal) => {
+  let next = 0;
+  const runLane = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runLane));
+};
+
+/**
+ * Analyzes one assignment of the batch, turning failures into an item.
+ *
+ * @async
+ * @param {{title: string, input: Object}} assignment - Validated assignment
+ * @param {number} index - Position in the request
+ * @param {Object} options - Passed through to analyzeAssignment
+ * @returns {Promise<Object>} `{index, title, status: 'ok'|'degraded', result}` or `{index, title, status: 'error', error, statusCode}`
+ */
+const analyzeBatchItem = async ({ title, input }, index, options) => {
+  try {
+    const result = await analyzeAssignment(input, options);
+    return { index, title, status: result.status, result };
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    console.error(`Batch item ${index} failed:`, error.message);
+    return {
+      index,
+      title,
+      status: 'error',
+      error: error instanceof AnalysisError ? error.message : 'Internal server error',
+      statusCode: error instanceof AnalysisError ? error.statusCode : 500
+    };
+  }
+};
+
+/**
+ * Builds the course dashboard from the finished items.
+ *
+ * @param {Object[]} items - Items from analyzeBatchItem, in request order
+ * @returns {{counts: Object, averageScore: number|null, worst: Object[], categories: Object[]}}
+ *   `categories` lists every dimension with barriers, most widespread first, with
+ *   `assignments` (how many have at least one), `share`, `barriers`, `high` and `repeated`
+ * @example
+ * summarizeBatch(items).categories[0];
+ * // => { category: 'Digital Access', assignments: 12, share: 0.6, barriers: 15, high: 4, repeated: true }
+ */
+export const summarizeBatch = (items) => {
+  const scored = items.filter((item) => item.status === 'ok');
+
+  const averageScore = scored.length
+    ? Math.round(scored.reduce((sum, item) => sum + item.result.overallScore, 0) / scored.length)
+    : null;
+
+  const worst = [...scored]
+    .sort((a, b) => a.result.overallScore - b.result.overallScore)
+    .slice(0, WORST_ASSIGNMENTS_SHOWN)
+    .map(({ index, title, result }) => ({ index, title, overallScore: result.overallScore, barrierCount: result.barriers.length }));
+
+  const categories = EQUITY_DIMENSIONS
+    .map((category) => {
+      const barriersPerItem = scored.map((item) => item.result.barriers.filter((barrier) => barrier.category === category));
+      const assignments = barriersPerItem.filter((barriers) => barriers.length > 0).length;
+      return {
+        category,
+        assignments,
+        share: scored.length ? assignments / scored.length : 0,
+        barriers: barriersPerItem.reduce((sum, barriers) => sum + barriers.length, 0),
+        high: barriersPerItem.flat().filter((barrier) => barrier.severity === 'High').length,
+        repeated: assignments >= REPEATED_CATEGORY_MIN_ASSIGNMENTS
+      };
+    })
+    .filter((category) => category.assignments > 0)
+    .sort((a, b) => b.assignments - a.assignments || b.barriers - a.barriers);
+
+  return {
+    counts: {
+      total: items.length,
+      ok: scored.length,
+      degraded: items.filter((item) => item.status === 'degraded').length,
+      failed: items.filter((item) => item.status === 'error').length
+    },
+    averageScore,
+    worst,
+    categories
+  };
+};
+
+/**
+ * Analyzes a validated batch, reporting each item as it finishes.
+ *
+ * @async
+ * @param {{assignments: Array}} batch - Validated request from validateBatchRequest
+ * @param {Function} [onItem] - `(item, completed, total) => void`
+ * @param {Object} [options] - Passed through to analyzeAssignment, plus `concurrency` and `signal`
+ * @returns {Promise<{items: Object[], summary: Object}>} Items in request order and the dashboard
+ * @throws {AnalysisError} When no provider is configured
+ */
+export const analyzeBatch = async ({ assignments }, onItem = () => {}, options = {}) => {
+  const { concurrency = getBatchConcurrency(), ...rest } = options;
+  const itemOptions = { ...rest, provider: rest.provider || getProvider() };
+  const items = new Array(assignments.length);
+  let completed = 0;
+
+  await mapWithConcurrency(assignments, concurrency, async (assignment, index) => {
+    items[index] = await analyzeBatchItem(assignment, index, itemOptions);
+    completed += 1;
+    onItem(items[index], completed, assignments.length);
+  }, itemOptions.signal);
+
+  return { items, summary: summarizeBatch(items) };
+};
+
+/**
+ * Adapter entry point for /api/analyze/batch. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to analyzeBatch
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runBatch = (body, options = {}) =>
+  toHttpResult(() => analyzeBatch(validateBatchRequest(body), undefined, options), 'Batch');
+
+/**
+ * Streaming adapter entry point for /api/analyze/batch/stream. Sends `meta`
+ * `{total, concurrency}`, an `item` event `{...item, completed, total}` per
+ * finished assignment, then `summary`.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} res - Node response (Express or Vercel)
+ * @param {Object} [options] - Passed through to analyzeBatch
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+export const runBatchStream = (body, res, options = {}) =>
+  runEventStream(
+    res,
+    () => validateBatchRequest(body),
+    async (batch, send, signal) => {
+      const concurrency = options.concurrency ?? getBatchConcurrency();
+      send('meta', { total: batch.assignments.length, concurrency });
+      const { summary } = await analyzeBatch(
+        batch,
+        (item, completed, total) => send('item', { ...item, completed, total }),
+        { ...options, concurrency, signal }
+      );
+      send('summary', summary);
+    },
+    'Batch'
+  );
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview DIKE AI Analysis Cache
+ *
+ * TTL cache for analysis results, so re-running the same assignment with
+ * the same settings returns the same score without another model call.
+ * Keys are built by the caller (see getAnalysisCacheKey in lib/analysis.js);
+ * this module only stores and expires entries.
+ *
+ * STORES:
+ * - `memory` (default): per-process Map, bounded by ANALYSIS_CACHE_MAX_ENTRIES,
+ *   oldest entries evicted first
+ * - `file`: one JSON file per key in ANALYSIS_CACHE_DIR, survives restarts
+ *   and is shared by processes on the same disk
+ * - `off`: no caching
+ *
+ * CONFIGURATION:
+ * - ANALYSIS_CACHE: `memory`, `file` or `off`
+ * - ANALYSIS_CACHE_TTL_SECONDS: entry lifetime (default 86400, one day)
+ * - ANALYSIS_CACHE_MAX_ENTRIES: memory store bound (default 500)
+ * - ANALYSIS_CACHE_DIR: file store directory (default .cache/analyses)
+ *
+ * A failing store is logged and treated as a miss; the cache never fails a
+ * request.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { AnalysisError } from './errors.js';
+
+/**
+ * Reads the cache settings from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{store: string, ttlMs: number, maxEntries: number, dir: string}}
+ */
+export const getCacheConfig = (env = process.env) => ({
+  store: (env.ANALYSIS_CACHE || 'memory').toLowerCase(),
+  ttlMs: (Number(env.ANALYSIS_CACHE_TTL_SECONDS) || 86400) * 1000,
+  maxEntries: Number(env.ANALYSIS_CACHE_MAX_ENTRIES) || 500,
+  dir: env.ANALYSIS_CACHE_DIR || path.join(process.cwd(), '.cache', 'analyses')
+});
+
+/**
+ * In-memory store. Map insertion order doubles as eviction order.
+ *
+ * @param {Object} config
+ * @param {number} config.maxEntries - Entries kept before the oldest is evicted
+ * @returns {{get: Function, set: Function, delete: Function}} Store of raw entries
+ */
+export const createMemoryStore = ({ maxEntries }) => {
+  const entries = new Map();
+
+  return {
+    get: async (key) => entries.get(key),
+    set: async (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+/**
+ * File store, one `<key>.json` per entry. Writes go through a temporary file
+ * and a rename so readers never see half-written JSON.
+ *
+ * @param {Object} config
+ * @param {string} config.dir - Directory for entry files, created on first write
+ * @returns {{get: Function, set: Function, delete: Function}} Store of raw entries
+ */
+export const createFileStore = ({ dir }) => {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    get: async (key) => {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+    set: async (key, entry) => {
+      await fs.mkdir(dir, { recursive: true });
+      const temporary = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(entry));
+      await fs.rename(temporary, fileFor(key));
+    },
+    delete: async (key) => {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+/**
+ * Creates a TTL cache over the configured store.
+ *
+ * @param {Object} [config=getCacheConfig()] - Cache settings
+ * @returns {{get: Function, set: Function}|null} Cache, or null when disabled.
+ *   `get(key)` resolves to `{value, storedAt}` or undefined; `set(key, value)` stores a value.
+ * @throws {AnalysisError} 500 when the store name is unknown
+ * @example
+ * const cache = createCache({ store: 'memory', ttlMs: 60000, maxEntries: 10 });
+ * await cache.set('key', { status: 'ok' });
+ * await cache.get('key'); // => { value: { status: 'ok' }, storedAt: '2025-...' }
+ */
+export const createCache = (config = getCacheConfig()) => {
+  let store;
+  switch (config.store) {
+    case 'off':
+      return null;
+    case 'memory':
+      store = createMemoryStore(config);
+      break;
+    case 'file':
+      store = createFileStore(config);
+      break;
+    default:
+      throw new AnalysisError(`Unknown ANALYSIS_CACHE "${config.store}"`, 500);
+  }
+
+  const get = async (key) => {
+    try {
+      const entry = await store.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        await store.delete(key);
+        return undefined;
+      }
+      return { value: entry.value, storedAt: entry.storedAt };
+    } catch (error) {
+      console.error('Analysis cache read failed:', error.message);
+      return undefined;
+    }
+  };
+
+  const set = async (key, value) => {
+    const now = Date.now();
+    try {
+      await store.set(key, { value, storedAt: new Date(now).toISOString(), expiresAt: now + config.ttlMs });
+    } catch (error) {
+      console.error('Analysis cache write failed:', error.message);
+    }
+  };
+
+  return { get, set };
+};
+
+let analysisCache;
+
+/**
+ * Process-wide cache built from the environment on first use.
+ *
+ * @returns {{get: Function, set: Function}|null} Shared cache, or null when disabled
+ */
+export const getAnalysisCache = () => {
+  if (analysisCache === undefined) analysisCache = createCache();
+  return analysisCache;
+};
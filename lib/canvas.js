@@ -0,0 +1,322 @@
+/**
+ * @fileoverview DIKE AI Canvas Connector
+ *
+ * Server-side bridge to the Canvas LMS REST API, so teachers can pull an
+ * assignment straight into the analyzer and send the revised description
+ * back without copying text or importing files. The API token stays on the
+ * server; the browser only talks to the /api/canvas routes.
+ *
+ * ROUTES:
+ * - GET /api/canvas/courses - courses the token's user teaches
+ * - GET /api/canvas/courses/:courseId/assignments - assignments of a course
+ * - GET /api/canvas/courses/:courseId/assignments/:assignmentId - one
+ *   assignment with its description as Markdown-flavored text
+ * - POST /api/canvas/courses/:courseId/assignments/:assignmentId - save a
+ *   revised description as a draft of the assignment; the body must carry
+ *   `approved: true`, the teacher's confirmation in the UI
+ *
+ * DRAFTS:
+ * The original assignment is never written to. Its description may hold
+ * links, images, tables and embeds that do not survive the trip through
+ * the analyzer's text, so every revision is created next to it as a new
+ * unpublished assignment with the same settings, and students never see it
+ * before the teacher publishes it.
+ *
+ * CONFIGURATION:
+ * - CANVAS_BASE_URL: instance URL, e.g. https://school.instructure.com
+ * - CANVAS_API_TOKEN: access token generated in Canvas account settings
+ * - CANVAS_TIMEOUT_MS: time allowed per Canvas request (default 15000)
+ * - CANVAS_ACCESS_KEY: shared secret every /api/canvas request must send as
+ *   `Authorization: Bearer <key>`, required with URL and token; the UI asks
+ *   the teacher for it
+ * Without both URL and token the routes answer 404 and the UI hides the
+ * connector. There are no user accounts: every caller acts as the single
+ * Canvas user behind CANVAS_API_TOKEN, so the connector is for one teacher
+ * per deployment, and it refuses to start without CANVAS_ACCESS_KEY rather
+ * than let anyone who can reach the server read the courses and create
+ * drafts. `npm run mock:canvas` starts a local Canvas stand-in
+ * (lib/canvasMock.js) to develop and test against.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { AnalysisError, RateLimitError, toHttpResult } from './errors.js';
+import { htmlToMarkdown } from './extract.js';
+
+/** Items requested per Canvas page and pages followed per list */
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+
+/** Largest description accepted for a push */
+export const MAX_DESCRIPTION_LENGTH = 100000;
+
+/** Wait suggested to clients when Canvas throttles without a hint */
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+
+const ID_PATTERN = /^\d+$/;
+
+/**
+ * Reads the connector settings from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{enabled: boolean, baseUrl: string, token: string, timeoutMs: number, accessKey: string}}
+ * @throws {AnalysisError} 500 when URL and token are set without CANVAS_ACCESS_KEY
+ */
+export const getCanvasConfig = (env = process.env) => {
+  const baseUrl = (env.CANVAS_BASE_URL || '').replace(/\/+$/, '');
+  const token = env.CANVAS_API_TOKEN || '';
+  const enabled = Boolean(baseUrl && token);
+  const accessKey = env.CANVAS_ACCESS_KEY || '';
+  if (enabled && !accessKey) throw new AnalysisError('CANVAS_ACCESS_KEY must be set when the Canvas connector is', 500);
+  return {
+    enabled,
+    baseUrl,
+    token,
+    timeoutMs: Number(env.CANVAS_TIMEOUT_MS) || 15000,
+    accessKey
+  };
+};
+
+/**
+ * Finds the `rel="next"` URL in a Canvas Link header.
+ *
+ * @param {string|null} link - Link header
+ * @returns {string|null} Next page URL
+ */
+const parseNextLink = (link) => {
+  const next = (link || '').split(',').find((part) => /rel="next"/.test(part));
+  return next ? next.match(/<([^>]+)>/)?.[1] ?? null : null;
+};
+
+/**
+ * Creates a client for one Canvas instance.
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - Instance URL without a trailing slash
+ * @param {string} config.token - API access token
+ * @param {number} [config.timeoutMs=15000] - Time allowed per request
+ * @returns {{listCourses: Function, listAssignments: Function, getAssignment: Function, createAssignment: Function}}
+ */
+export const createCanvasClient = ({ baseUrl, token, timeoutMs = 15000 }) => {
+  /**
+   * Sends one request and maps Canvas failures to AnalysisErrors.
+   *
+   * @async
+   * @param {string} url - Absolute URL
+   * @param {Object} [options] - `method` and JSON `body`
+   * @returns {Promise<Response>} Successful response
+   * @throws {AnalysisError} 404 when Canvas has no such object, 429 when it throttles, 502 otherwise
+   */
+  const send = async (url, { method = 'GET', body } = {}) => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body && JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (fetchError) {
+      const timedOut = fetchError.name === 'TimeoutError';
+      throw new AnalysisError(timedOut ? 'Canvas timed out' : 'Failed to connect to Canvas', timedOut ? 504 : 502, fetchError.message);
+    }
+
+    if (response.ok) return response;
+
+    const errorData = await response.json().catch(() => ({}));
+    const message = errorData.errors?.[0]?.message || errorData.message;
+    // Canvas throttles with 403 "Rate Limit Exceeded" rather than 429
+    if (response.status === 429 || /rate limit/i.test(message || '')) {
+      throw new RateLimitError('Canvas is rate limiting requests, please retry later', Number(response.headers.get('retry-after')) || DEFAULT_RETRY_AFTER_SECONDS);
+    }
+    if (response.status === 404) throw new AnalysisError('Not found in Canvas', 404, message);
+    if (response.status === 401) throw new AnalysisError('Canvas rejected the API token', 502, message);
+    throw new AnalysisError(message || `Canvas API error: ${response.status}`, 502, errorData);
+  };
+
+  const api = (path) => `${baseUrl}/api/v1${path}`;
+
+  /**
+   * Fetches every page of a list endpoint, up to MAX_PAGES.
+   *
+   * @async
+   * @param {string} path - API path with query string
+   * @returns {Promise<Object[]>} All items
+   */
+  const paginate = async (path) => {
+    const items = [];
+    let url = api(`${path}${path.includes('?') ? '&' : '?'}per_page=${PAGE_SIZE}`);
+    for (let page = 0; url && page < MAX_PAGES; page++) {
+      const response = await send(url);
+      items.push(...await response.json());
+      url = parseNextLink(response.headers.get('link'));
+    }
+    return items;
+  };
+
+  const json = async (path, options) => (await send(api(path), options)).json();
+
+  return {
+    listCourses: () => paginate('/courses?enrollment_type=teacher&state[]=available&state[]=unpublished'),
+    listAssignments: (courseId) => paginate(`/courses/${courseId}/assignments?order_by=due_at`),
+    getAssignment: (courseId, assignmentId) => json(`/courses/${courseId}/assignments/${assignmentId}`),
+    createAssignment: (courseId, assignment) => json(`/courses/${courseId}/assignments`, { method: 'POST', body: { assignment } })
+  };
+};
+
+/**
+ * Assignment fields the UI needs, without the description.
+ *
+ * @param {Object} assignment - Canvas assignment object
+ * @returns {{id: number, name: string, dueAt: string|null, published: boolean, htmlUrl: string}}
+ */
+const toAssignmentSummary = (assignment) => ({
+  id: assignment.id,
+  name: assignment.name,
+  dueAt: assignment.due_at ?? null,
+  published: Boolean(assignment.published),
+  htmlUrl: assignment.html_url
+});
+
+/**
+ * Checks a Canvas id from the route.
+ *
+ * @param {*} id - Route parameter
+ * @param {string} name - Parameter name for the error message
+ * @returns {string} The id
+ * @throws {AnalysisError} 400 when it is not numeric
+ */
+const validateId = (id, name) => {
+  if (!ID_PATTERN.test(String(id || ''))) throw new AnalysisError(`${name} must be a numeric Canvas id`, 400);
+  return String(id);
+};
+
+/**
+ * Validates a push request body.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.description - Revised description as HTML
+ * @param {boolean} body.approved - Must be true, confirms the teacher reviewed the revision (a UI check, not authorization)
+ * @returns {{description: string}}
+ * @throws {AnalysisError} 400 or 413 when malformed, unapproved or too large
+ */
+export const validatePushRequest = (body) => {
+  const { description, approved } = body || {};
+  if (approved !== true) {
+    throw new AnalysisError('The teacher must approve the revision before it is sent to Canvas', 400);
+  }
+  if (typeof description !== 'string' || !description.trim()) {
+    throw new AnalysisError('Missing required field: description', 400);
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new AnalysisError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`, 413);
+  }
+  return { description };
+};
+
+/**
+ * Saves a revised description as a new draft next to the assignment, see
+ * DRAFTS above.
+ *
+ * @async
+ * @param {Object} client - Client from createCanvasClient
+ * @param {string} courseId - Canvas course id
+ * @param {string} assignmentId - Canvas assignment id the revision is based on
+ * @param {string} description - Revised description as HTML
+ * @returns {Promise<{assignment: Object}>} Summary of the created draft
+ */
+export const pushDraft = async (client, courseId, assignmentId, description) => {
+  const current = await client.getAssignment(courseId, assignmentId);
+  const created = await client.createAssignment(courseId, {
+    name: `${current.name} (equity revision)`,
+    description,
+    published: false,
+    points_possible: current.points_possible,
+    grading_type: current.grading_type,
+    submission_types: current.submission_types,
+    assignment_group_id: current.assignment_group_id,
+    due_at: current.due_at
+  });
+  return { assignment: toAssignmentSummary(created) };
+};
+
+/**
+ * Applies one /api/canvas request.
+ *
+ * @async
+ * @param {Object} client - Client from createCanvasClient
+ * @param {{method: string, courseId?: string, assignmentId?: string, body?: Object}} request - HTTP method, route ids and parsed body
+ * @returns {Promise<Object>} Response body
+ * @throws {AnalysisError} 400 or 405 for invalid requests, Canvas errors as mapped by the client
+ */
+const handleCanvasRequest = async (client, { method, courseId, assignmentId, body }) => {
+  if (courseId === undefined) {
+    if (method !== 'GET') throw new AnalysisError('Method not allowed', 405);
+    const courses = await client.listCourses();
+    return { courses: courses.map(({ id, name, course_code: code }) => ({ id, name, code })) };
+  }
+
+  const course = validateId(courseId, 'courseId');
+  if (assignmentId === undefined) {
+    if (method !== 'GET') throw new AnalysisError('Method not allowed', 405);
+    return { assignments: (await client.listAssignments(course)).map(toAssignmentSummary) };
+  }
+
+  const assignment = validateId(assignmentId, 'assignmentId');
+  if (method === 'GET') {
+    const data = await client.getAssignment(course, assignment);
+    return { assignment: { ...toAssignmentSummary(data), courseId: Number(course), text: htmlToMarkdown(data.description || '') } };
+  }
+  if (method === 'POST') {
+    const { description } = validatePushRequest(body);
+    return pushDraft(client, course, assignment, description);
+  }
+  throw new AnalysisError('Method not allowed', 405);
+};
+
+/**
+ * Checks the access key. Both sides are hashed first so the comparison
+ * takes the same time for any input; without a configured key every
+ * request is refused.
+ *
+ * @param {string} accessKey - Configured key, '' when unset
+ * @param {string} [authorization] - Authorization header of the request
+ * @throws {AnalysisError} 401 when the key is missing or wrong
+ */
+const checkAccessKey = (accessKey, authorization) => {
+  const sent = String(authorization || '').replace(/^Bearer\s+/i, '');
+  const digest = (value) => createHash('sha256').update(value).digest();
+  if (!accessKey || !sent || !timingSafeEqual(digest(sent), digest(accessKey))) {
+    throw new AnalysisError('Canvas access key required', 401);
+  }
+};
+
+/**
+ * Adapter entry point for the /api/canvas routes. Never throws.
+ *
+ * @async
+ * @param {{method: string, courseId?: string, assignmentId?: string, body?: Object, authorization?: string}} request - HTTP method, route ids, parsed body and Authorization header
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Canvas client to use, defaults to one built from getCanvasConfig
+ * @param {Object} [options.config=getCanvasConfig()] - Connector settings
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ * @example
+ * const { statusCode, headers, body } = await runCanvas({ method: req.method, ...req.params, body: req.body, authorization: req.get('authorization') });
+ */
+export const runCanvas = (request, options = {}) =>
+  toHttpResult(() => {
+    const config = options.config || getCanvasConfig();
+    let { client } = options;
+    if (!client) {
+      if (!config.enabled) throw new AnalysisError('Canvas is not configured on this server', 404);
+      client = createCanvasClient(config);
+    }
+    checkAccessKey(config.accessKey, request.authorization);
+    return handleCanvasRequest(client, request);
+  }, 'Canvas');
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Mock Canvas Server
+ *
+ * In-memory stand-in for the parts of the Canvas REST API the connector in
+ * lib/canvas.js uses, so it can be developed and tested without a Canvas
+ * instance. Data resets on every start.
+ *
+ * ROUTES (under /api/v1, Bearer token required):
+ * - GET /courses - teacher courses, paginated with a Link header
+ * - GET /courses/:courseId/assignments - paginated
+ * - GET /courses/:courseId/assignments/:assignmentId
+ * - POST /courses/:courseId/assignments - `{assignment: {...}}`
+ *
+ * USAGE:
+ *   npm run mock:canvas
+ *   CANVAS_BASE_URL=http://localhost:3002 CANVAS_API_TOKEN=mock-canvas-token CANVAS_ACCESS_KEY=dev-key npm start
+ *
+ * CONFIGURATION:
+ * - CANVAS_MOCK_PORT: port to listen on (default 3002)
+ * - CANVAS_MOCK_TOKEN: token to accept (default mock-canvas-token)
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+/**
+ * Builds the seed data: published and unpublished assignments to pull and
+ * to create drafts next to.
+ *
+ * @returns {{courses: Object[], assignments: Object[]}}
+ */
+const createSeedData = () => ({
+  courses: [
+    { id: 101, name: 'Biology 9', course_code: 'BIO-9' },
+    { id: 102, name: 'US History', course_code: 'HIST-11' }
+  ],
+  assignments: [
+    {
+      id: 1001,
+      course_id: 101,
+      name: 'Ecosystem Field Study',
+      description: '<p>Visit a local park this weekend and record a video of at least three species. Upload the video and a typed lab report by Friday at 8am.</p><ul><li>Use a camera or smartphone</li><li>Print photos for your poster</li></ul>',
+      published: true,
+      points_possible: 50,
+      grading_type: 'points',
+      submission_types: ['online_upload'],
+      assignment_group_id: 1,
+      due_at: '2025-10-17T08:00:00Z'
+    },
+    {
+      id: 1002,
+      course_id: 101,
+      name: 'Cell Model Project',
+      description: '<p>Build a 3D cell model using materials from a craft store and present it to the class.</p>',
+      published: false,
+      points_possible: 100,
+      grading_type: 'points',
+      submission_types: ['on_paper'],
+      assignment_group_id: 1,
+      due_at: null
+    },
+    {
+      id: 2001,
+      course_id: 102,
+      name: 'Family History Interview',
+      description: '<p>Interview your parents about your family\'s immigration story and write a 5 page essay.</p>',
+      published: true,
+      points_possible: 100,
+      grading_type: 'points',
+      submission_types: ['online_text_entry'],
+      assignment_group_id: 2,
+      due_at: '2025-11-01T23:59:00Z'
+    }
+  ]
+});
+
+/**
+ * Creates the mock server app.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.token='mock-canvas-token'] - Token to accept
+ * @returns {import('express').Express} App with `app.locals.data` holding the current data
+ * @example
+ * const server = createCanvasMock().listen(3002);
+ */
+export const createCanvasMock = ({ token = 'mock-canvas-token' } = {}) => {
+  const app = express();
+  const data = createSeedData();
+  let nextId = 5000;
+  app.locals.data = data;
+
+  app.use(express.json());
+
+  app.use('/api/v1', (req, res, next) => {
+    if (req.get('authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ errors: [{ message: 'Invalid access token.' }] });
+    }
+    next();
+  });
+
+  /** Sends one page of items with a Canvas-style Link header */
+  const sendPage = (req, res, items) => {
+    const perPage = Math.min(Number(req.query.per_page) || 10, 100);
+    const page = Number(req.query.page) || 1;
+    if (page * perPage < items.length) {
+      const next = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+      next.searchParams.set('page', page + 1);
+      res.set('Link', `<${next}>; rel="next"`);
+    }
+    res.json(items.slice((page - 1) * perPage, page * perPage));
+  };
+
+  const withHtmlUrl = (assignment) => ({
+    ...assignment,
+    html_url: `http://localhost/courses/${assignment.course_id}/assignments/${assignment.id}`
+  });
+
+  const findAssignment = (req, res) => {
+    const assignment = data.assignments.find((a) => a.course_id === Number(req.params.courseId) && a.id === Number(req.params.assignmentId));
+    if (!assignment) res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    return assignment;
+  };
+
+  app.get('/api/v1/courses', (req, res) => sendPage(req, res, data.courses));
+
+  app.get('/api/v1/courses/:courseId/assignments', (req, res) => {
+    const courseId = Number(req.params.courseId);
+    if (!data.courses.some((c) => c.id === courseId)) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+    sendPage(req, res, data.assignments.filter((a) => a.course_id === courseId).map(withHtmlUrl));
+  });
+
+  app.get('/api/v1/courses/:courseId/assignments/:assignmentId', (req, res) => {
+    const assignment = findAssignment(req, res);
+    if (assignment) res.json(withHtmlUrl(assignment));
+  });
+
+  app.post('/api/v1/courses/:courseId/assignments', (req, res) => {
+    const courseId = Number(req.params.courseId);
+    if (!data.courses.some((c) => c.id === courseId)) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+    const assignment = { published: true, ...req.body.assignment, id: nextId++, course_id: courseId };
+    data.assignments.push(assignment);
+    res.status(201).json(withHtmlUrl(assignment));
+  });
+
+  return app;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.CANVAS_MOCK_PORT) || 3002;
+  createCanvasMock({ token: process.env.CANVAS_MOCK_TOKEN }).listen(port, () => {
+    console.log(`Mock Canvas listening on http://localhost:${port}`);
+  });
+}
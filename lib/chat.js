@@ -0,0 +1,164 @@
+/**
+ * @fileoverview DIKE AI Follow-up Chat
+ *
+ * Server side of the "Ask AI Questions" panel. The browser sends the
+ * assignment, its analysis and the conversation so far; the server adds the
+ * system prompt and calls the configured provider with the server-side key.
+ * /api/chat/stream sends the same reply token by token.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, toHttpResult } from './errors.js';
+import { requestCompletion, streamCompletion, validateAssignmentText } from './analysis.js';
+import { runEventStream } from './sse.js';
+
+/** Conversation limits so a single request cannot grow without bound */
+export const MAX_CHAT_MESSAGES = 20;
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+const MAX_ANALYSIS_CONTEXT_LENGTH = 50000;
+
+const CHAT_ROLES = ['user', 'assistant'];
+
+/**
+ * Validates the chat request body.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.assignmentText - The analyzed assignment
+ * @param {Object} body.analysis - Analysis shown in the UI
+ * @param {Array<{role: string, content: string}>} body.messages - Conversation, ending with the user's question
+ * @returns {{assignmentText: string, analysis: Object, messages: Array<{role: string, content: string}>}}
+ * @throws {AnalysisError} 400 or 413 when the request is malformed or too large
+ */
+export const validateChatRequest = (body) => {
+  const { assignmentText, analysis, messages } = body || {};
+
+  if (!analysis || typeof analysis !== 'object') {
+    throw new AnalysisError('Missing required field: analysis', 400);
+  }
+  if (JSON.stringify(analysis).length > MAX_ANALYSIS_CONTEXT_LENGTH) {
+    throw new AnalysisError('Analysis context is too large', 413);
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new AnalysisError('Missing required field: messages', 400);
+  }
+  if (messages.length > MAX_CHAT_MESSAGES) {
+    throw new AnalysisError(`Conversation is limited to ${MAX_CHAT_MESSAGES} messages`, 413);
+  }
+
+  const cleaned = messages.map((message, index) => {
+    if (!message || !CHAT_ROLES.includes(message.role) || typeof message.content !== 'string' || !message.content.trim()) {
+      throw new AnalysisError(`messages[${index}] must have a role of user or assistant and non-empty content`, 400);
+    }
+    if (message.content.length > MAX_CHAT_MESSAGE_LENGTH) {
+      throw new AnalysisError(`messages[${index}] is longer than ${MAX_CHAT_MESSAGE_LENGTH} characters`, 413);
+    }
+    return { role: message.role, content: message.content.trim() };
+  });
+
+  if (cleaned[cleaned.length - 1].role !== 'user') {
+    throw new AnalysisError('The last message must be from the user', 400);
+  }
+
+  return { assignmentText: validateAssignmentText(assignmentText), analysis, messages: cleaned };
+};
+
+/**
+ * Builds the system prompt grounding the chat in the analysis.
+ *
+ * @param {string} assignmentText - The analyzed assignment
+ * @param {Object} analysis - Analysis shown in the UI
+ * @returns {string} System prompt
+ */
+const buildChatSystemPrompt = (assignmentText, analysis) => `You are an educational equity expert. The user has analyzed this assignment: "${assignmentText}". Analysis results: ${JSON.stringify(analysis)}.
+
+FORMATTING RULES:
+• Use bullet points (•) for lists
+• Break content into SHORT paragraphs (2-3 sentences max)
+• Use bold text with ** for emphasis
+• Add line breaks between sections
+• Keep responses concise and scannable
+• Use numbered lists (1., 2., 3.) for steps or priorities
+
+Answer follow-up questions about barriers, suggest improvements, and provide research-backed guidance. Make your responses easy to read and visually organized.`;
+
+/** Sampling settings for chat replies */
+const CHAT_OPTIONS = { task: 'chat', temperature: 0.7, maxTokens: 1000 };
+
+/**
+ * Prepends the system prompt to the conversation.
+ *
+ * @param {Object} input - Validated request from validateChatRequest
+ * @returns {Array<{role: string, content: string}>} Messages for the provider
+ */
+const buildChatMessages = ({ assignmentText, analysis, messages }) => [
+  { role: 'system', content: buildChatSystemPrompt(assignmentText, analysis) },
+  ...messages
+];
+
+/**
+ * Answers the latest user message in the conversation.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateChatRequest
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{message: {role: 'assistant', content: string}}>} Assistant reply
+ */
+export const answerChat = async (input, options = {}) => {
+  const content = await requestCompletion(buildChatMessages(input), { ...CHAT_OPTIONS, ...options });
+
+  return { message: { role: 'assistant', content } };
+};
+
+/**
+ * Streams the answer to the latest user message. Sends a `token` event
+ * `{content}` per delta and a final `done` event with the same body
+ * answerChat returns.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateChatRequest
+ * @param {Function} send - `(event, data) => void`
+ * @param {Object} [options] - Passed through to streamCompletion
+ * @returns {Promise<void>} Resolves after the `done` event
+ */
+export const streamChat = async (input, send, options = {}) => {
+  let content = '';
+  for await (const delta of streamCompletion(buildChatMessages(input), { ...CHAT_OPTIONS, ...options })) {
+    content += delta;
+    send('token', { content: delta });
+  }
+
+  if (!content) {
+    throw new AnalysisError('Invalid API response structure', 502, 'Missing message content');
+  }
+  send('done', { message: { role: 'assistant', content } });
+};
+
+/**
+ * Adapter entry point for /api/chat. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runChat = (body, options = {}) =>
+  toHttpResult(() => answerChat(validateChatRequest(body), options), 'Chat');
+
+/**
+ * Streaming adapter entry point for /api/chat/stream.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} res - Node response (Express or Vercel)
+ * @param {Object} [options] - Passed through to streamChat
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+export const runChatStream = (body, res, options = {}) =>
+  runEventStream(
+    res,
+    () => validateChatRequest(body),
+    (input, send, signal) => streamChat(input, send, { ...options, signal }),
+    'Chat'
+  );
@@ -0,0 +1,358 @@
+/**
+ * @fileoverview DIKE AI Course Equity Report
+ *
+ * Analyzes every dated assignment of a course with the six equity dimensions
+ * (through the batch pipeline) and adds the course-wide patterns a single
+ * assignment cannot show:
+ * - deadline clustering: CLUSTER_MIN_DEADLINES or more due dates within
+ *   CLUSTER_WINDOW_DAYS
+ * - repeated paid tools: the same kind of purchase (textbook, access code,
+ *   paid software, kits, ...) required by two or more assignments
+ * - repeated synchronous requirements: live sessions, in-person or fixed-time
+ *   work in two or more assignments
+ * - lack of format variety: most assignments share one format and few offer
+ *   a choice
+ *
+ * Tools, synchronous requirements and formats are detected with the keyword
+ * lists below, so every flag points at the words that triggered it. The
+ * per-assignment scores come from the model as usual.
+ *
+ * ENDPOINTS:
+ * - /api/course - buffered JSON report
+ * - /api/course/stream - Server-Sent Events: `meta` with the extracted
+ *   assignments, `item` per analyzed assignment, then `report`
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, toHttpResult } from './errors.js';
+import { MIN_ASSIGNMENT_LENGTH, MAX_ASSIGNMENT_LENGTH } from './analysis.js';
+import { MAX_BATCH_SIZE, analyzeBatch, getBatchConcurrency, validateBatchRequest } from './batch.js';
+import { parseSyllabus } from './syllabus.js';
+import { runEventStream } from './sse.js';
+
+/** Longest syllabus accepted, in characters */
+export const MAX_SYLLABUS_LENGTH = 100000;
+
+/** Deadline clustering: this many due dates within this many days */
+export const CLUSTER_WINDOW_DAYS = 7;
+export const CLUSTER_MIN_DEADLINES = 3;
+
+/** A tool or requirement is "repeated" once this many assignments need it */
+const REPEATED_MIN_ASSIGNMENTS = 2;
+
+/** Format variety is only judged for courses with at least this many assignments */
+const FORMAT_VARIETY_MIN_ASSIGNMENTS = 4;
+
+/** Share of assignments in one format above which variety is flagged */
+const DOMINANT_FORMAT_SHARE = 0.6;
+
+/** Assignments scoring below this make a deadline cluster High severity */
+const LOW_SCORE_THRESHOLD = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Purchases students may have to make, by kind */
+const PAID_TOOLS = [
+  { name: 'Textbook or course pack', pattern: /\b(textbooks?|course ?packs?|purchase (the|a) book)\b/i },
+  { name: 'Publisher access code', pattern: /\b(access codes?|mylab|mastering \w+|webassign|aleks|cengage|wileyplus|macmillan achieve)\b/i },
+  { name: 'Classroom response system', pattern: /\b(i>?clickers?|clickers?|top ?hat)\b/i },
+  { name: 'Paid software', pattern: /\b(adobe|photoshop|premiere|illustrator|matlab|spss|stata|tableau|autocad|solidworks|final cut|microsoft office|ms office)\b/i },
+  { name: 'Kits and supplies', pattern: /\b(lab kits?|home kits?|kits?|art supplies|supplies|materials fee)\b/i },
+  { name: 'Graphing calculator', pattern: /\b(graphing calculators?|scientific calculators?|ti-8\d)\b/i },
+  { name: 'Printing', pattern: /\b(printed cop(y|ies)|print (out|a copy)|printing|poster boards?|tri-?fold)\b/i },
+  { name: 'Proctoring or subscription', pattern: /\b(proctoru|proctorio|honorlock|respondus|subscriptions?|memberships?)\b/i },
+  { name: 'Admission or travel', pattern: /\b(museum|field trips?|admission|tickets?|travel to)\b/i }
+];
+
+/** Requirements that fix when or where the work happens */
+const SYNCHRONOUS_REQUIREMENT = /\b(zoom|teams meeting|webex|google meet|live (session|discussion|class|lecture|presentation|quiz|exam|chat)|synchronous(ly)?|in[- ]person|real[- ]time|on campus|in class|during class|attend(ance)?|scheduled (session|meeting|time)|at \d{1,2}(:\d{2})?\s?(am|pm))\b/i;
+
+/** Assignment formats, first match wins */
+const ASSIGNMENT_FORMATS = [
+  { name: 'Exam or quiz', pattern: /\b(exams?|midterms?|final exam|quiz(zes)?|tests?)\b/i },
+  { name: 'Presentation', pattern: /\b(presentations?|present|slides|pitch)\b/i },
+  { name: 'Video or audio', pattern: /\b(videos?|vlogs?|podcasts?|recordings?|record)\b/i },
+  { name: 'Lab or experiment', pattern: /\b(labs?|experiments?)\b/i },
+  { name: 'Discussion', pattern: /\b(discussions?|forums?|posts?|reply|replies)\b/i },
+  { name: 'Problem set', pattern: /\b(problem sets?|homework|hw\d*|exercises|worksheets?)\b/i },
+  { name: 'Project or portfolio', pattern: /\b(projects?|portfolios?|prototypes?|posters?)\b/i },
+  { name: 'Written paper', pattern: /\b(essays?|papers?|reports?|reflections?|responses?|journals?|proposals?|reviews?|drafts?|write|writing)\b/i }
+];
+
+/** Wording that offers students a choice of format or topic */
+const OFFERS_CHOICE = /\b(choose|choice|options?|alternatively|or (a|an) (video|podcast|essay|paper|presentation|poster))\b/i;
+
+/**
+ * Validates the course request. Either `syllabusText` (parsed with
+ * parseSyllabus) or `assignments` with explicit due dates must be sent.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} [body.syllabusText] - Syllabus as plain text
+ * @param {number} [body.year] - Year for syllabus dates without one
+ * @param {Array<{title?: string, dueDate: string, assignmentText: string}>} [body.assignments] - Pre-extracted assignments, dueDate as YYYY-MM-DD
+ * @param {string} [body.courseTitle] - Shown on the report; defaults to the first syllabus line
+ * @param {string} [body.gradeLevel] - Shared context, see validateAnalysisRequest
+ * @returns {{courseTitle: string, assignments: Object[], batch: Object}} Assignments with due dates and the validated batch
+ * @throws {AnalysisError} 400 or 413
+ */
+export const validateCourseRequest = (body) => {
+  const { syllabusText, year, assignments: given, courseTitle, ...context } = body || {};
+
+  let assignments;
+  if (Array.isArray(given)) {
+    assignments = given.map((assignment, index) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(assignment?.dueDate ?? '') || Number.isNaN(Date.parse(assignment.dueDate))) {
+        throw new AnalysisError(`assignments[${index}]: dueDate must be a YYYY-MM-DD date`, 400);
+      }
+      return { title: assignment.title, dueDate: assignment.dueDate, assignmentText: assignment.assignmentText };
+    });
+  } else {
+    if (typeof syllabusText !== 'string' || !syllabusText.trim()) {
+      throw new AnalysisError('Missing required field: syllabusText or assignments', 400);
+    }
+    if (syllabusText.length > MAX_SYLLABUS_LENGTH) {
+      throw new AnalysisError(`Syllabus must be at most ${MAX_SYLLABUS_LENGTH} characters`, 413);
+    }
+    if (year !== undefined && !(Number.isInteger(year) && year >= 2000 && year <= 2100)) {
+      throw new AnalysisError('year must be a four-digit year', 400);
+    }
+
+    // Entries too short to analyze are dropped, long ones cut to the analysis limit
+    assignments = parseSyllabus(syllabusText, { year })
+      .filter((entry) => entry.assignmentText.length >= MIN_ASSIGNMENT_LENGTH)
+      .map((entry) => ({ ...entry, assignmentText: entry.assignmentText.slice(0, MAX_ASSIGNMENT_LENGTH) }));
+    if (assignments.length === 0) {
+      throw new AnalysisError('No dated assignments found in the syllabus', 400, 'Put each assignment on a line with its due date, e.g. "Sep 14 - Essay 1 due"');
+    }
+  }
+
+  if (assignments.length > MAX_BATCH_SIZE) {
+    throw new AnalysisError(`A course report is limited to ${MAX_BATCH_SIZE} assignments, found ${assignments.length}`, 413);
+  }
+
+  const defaultTitle = typeof syllabusText === 'string' ? syllabusText.trim().split('\n')[0].slice(0, 120) : 'Course';
+  return {
+    courseTitle: typeof courseTitle === 'string' && courseTitle.trim() ? courseTitle.trim().slice(0, 200) : defaultTitle,
+    assignments,
+    batch: validateBatchRequest({ ...context, assignments })
+  };
+};
+
+/**
+ * Counts the analyses a course request asks for, for the per-assignment rate
+ * limit: the given assignments or the dated entries of the syllabus.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {number} Assignments in the report, 1-MAX_BATCH_SIZE
+ */
+export const countCourseItems = (body) => {
+  const { syllabusText, year, assignments } = body || {};
+  let count = 1;
+  if (Array.isArray(assignments)) count = assignments.length;
+  else if (typeof syllabusText === 'string' && syllabusText.length <= MAX_SYLLABUS_LENGTH) {
+    count = parseSyllabus(syllabusText, { year: Number.isInteger(year) ? year : undefined }).length;
+  }
+  return Math.min(MAX_BATCH_SIZE, Math.max(1, count));
+};
+
+/**
+ * Groups due dates that fall close together. Overlapping windows merge, so
+ * a cluster can span more than CLUSTER_WINDOW_DAYS when deadlines chain.
+ *
+ * @param {Array<{dueDate: string}>} assignments - Assignments with due dates
+ * @returns {Array<{from: string, to: string, assignments: number[]}>} Clusters with assignment indexes in date order
+ */
+export const findDeadlineClusters = (assignments) => {
+  const dated = assignments
+    .map((assignment, index) => ({ index, time: Date.parse(assignment.dueDate) }))
+    .sort((a, b) => a.time - b.time || a.index - b.index);
+
+  const ranges = [];
+  let start = 0;
+  for (let end = 0; end < dated.length; end++) {
+    while (dated[end].time - dated[start].time >= CLUSTER_WINDOW_DAYS * DAY_MS) start += 1;
+    if (end - start + 1 < CLUSTER_MIN_DEADLINES) continue;
+
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else ranges.push({ start, end });
+  }
+
+  return ranges.map(({ start: first, end: last }) => ({
+    from: assignments[dated[first].index].dueDate,
+    to: assignments[dated[last].index].dueDate,
+    assignments: dated.slice(first, last + 1).map((entry) => entry.index)
+  }));
+};
+
+/**
+ * Classifies an assignment by format.
+ *
+ * @param {string} text - Assignment text
+ * @returns {string} Format name from ASSIGNMENT_FORMATS, or 'Other'
+ */
+export const detectFormat = (text) => ASSIGNMENT_FORMATS.find(({ pattern }) => pattern.test(text))?.name ?? 'Other';
+
+/**
+ * Finds the course-wide patterns.
+ *
+ * @param {Object[]} assignments - Assignments with `dueDate` and `assignmentText`, in request order
+ * @param {Object[]} items - Batch items for the same assignments
+ * @returns {Array<{type: string, severity: string, title: string, detail: string, assignments: number[], evidence: Object[]}>}
+ *   Patterns, most severe first; `type` is deadline-cluster, paid-tools, synchronous or format-variety
+ */
+export const findCoursePatterns = (assignments, items) => {
+  const patterns = [];
+  const total = assignments.length;
+  const score = (index) => (items[index]?.status === 'ok' ? items[index].result.overallScore : null);
+
+  for (const cluster of findDeadlineClusters(assignments)) {
+    const lowScoring = cluster.assignments.filter((index) => score(index) !== null && score(index) < LOW_SCORE_THRESHOLD);
+    patterns.push({
+      type: 'deadline-cluster',
+      severity: cluster.assignments.length > CLUSTER_MIN_DEADLINES || lowScoring.length > 0 ? 'High' : 'Medium',
+      title: `${cluster.assignments.length} deadlines between ${cluster.from} and ${cluster.to}`,
+      detail: lowScoring.length > 0
+        ? `${lowScoring.length} of them already score below ${LOW_SCORE_THRESHOLD}. Spread the due dates or allow flexible submission windows.`
+        : 'Students working or caregiving have little room to absorb a week like this. Spread the due dates or allow flexible submission windows.',
+      assignments: cluster.assignments,
+      evidence: cluster.assignments.map((index) => ({ index, dueDate: assignments[index].dueDate }))
+    });
+  }
+
+  const tools = PAID_TOOLS
+    .map(({ name, pattern }) => ({
+      tool: name,
+      assignments: assignments.flatMap((assignment, index) => (pattern.test(assignment.assignmentText) ? [index] : []))
+    }))
+    .filter((tool) => tool.assignments.length >= REPEATED_MIN_ASSIGNMENTS);
+  if (tools.length > 0) {
+    const affected = [...new Set(tools.flatMap((tool) => tool.assignments))].sort((a, b) => a - b);
+    patterns.push({
+      type: 'paid-tools',
+      severity: affected.length > REPEATED_MIN_ASSIGNMENTS || tools.length > 1 ? 'High' : 'Medium',
+      title: `Paid tools required repeatedly: ${tools.map((tool) => tool.tool).join(', ')}`,
+      detail: `${affected.length} of ${total} assignments depend on purchases. Name free alternatives or provide loaner access once for the whole course.`,
+      assignments: affected,
+      evidence: tools
+    });
+  }
+
+  const synchronous = assignments.flatMap((assignment, index) => {
+    const match = assignment.assignmentText.match(SYNCHRONOUS_REQUIREMENT);
+    return match ? [{ index, match: match[0] }] : [];
+  });
+  if (synchronous.length >= REPEATED_MIN_ASSIGNMENTS) {
+    patterns.push({
+      type: 'synchronous',
+      severity: synchronous.length / total >= 0.5 ? 'High' : 'Medium',
+      title: `${synchronous.length} of ${total} assignments require fixed-time or in-person participation`,
+      detail: 'Repeated live requirements compound for students with jobs, caregiving or time-zone differences. Offer recorded or asynchronous options.',
+      assignments: synchronous.map((entry) => entry.index),
+      evidence: synchronous
+    });
+  }
+
+  if (total >= FORMAT_VARIETY_MIN_ASSIGNMENTS) {
+    const formats = {};
+    assignments.forEach((assignment, index) => {
+      const format = detectFormat(assignment.assignmentText);
+      (formats[format] ||= []).push(index);
+    });
+    const byFormat = Object.entries(formats)
+      .map(([format, indexes]) => ({ format, assignments: indexes }))
+      .sort((a, b) => b.assignments.length - a.assignments.length);
+    const dominant = byFormat[0];
+    const withChoice = assignments.filter((assignment) => OFFERS_CHOICE.test(assignment.assignmentText)).length;
+
+    if (dominant.assignments.length / total >= DOMINANT_FORMAT_SHARE || byFormat.length <= 2) {
+      patterns.push({
+        type: 'format-variety',
+        severity: dominant.assignments.length / total >= 0.8 && withChoice === 0 ? 'High' : 'Medium',
+        title: `${dominant.assignments.length} of ${total} assignments are ${dominant.format.toLowerCase()}`,
+        detail: `${withChoice === 0 ? 'No assignment offers' : `Only ${withChoice} assignment${withChoice === 1 ? ' offers' : 's offer'}`} a choice of format. Vary formats or let students pick how they show what they learned.`,
+        assignments: dominant.assignments,
+        evidence: byFormat
+      });
+    }
+  }
+
+  const rank = { High: 0, Medium: 1, Low: 2 };
+  return patterns.sort((a, b) => rank[a.severity] - rank[b.severity]);
+};
+
+/**
+ * Analyzes a validated course and builds the report.
+ *
+ * @async
+ * @param {Object} course - Result of validateCourseRequest
+ * @param {Function} [onItem] - `(item, completed, total) => void`, see analyzeBatch
+ * @param {Object} [options] - Passed through to analyzeBatch
+ * @returns {Promise<Object>} `{courseTitle, items, summary, patterns, generatedAt}`; items carry `assignmentText`, `dueDate` and `format`
+ */
+export const analyzeCourse = async ({ courseTitle, assignments, batch }, onItem, options = {}) => {
+  const { items, summary } = await analyzeBatch(batch, onItem, options);
+  return {
+    courseTitle,
+    items: items.map((item) => ({
+      ...item,
+      assignmentText: assignments[item.index].assignmentText,
+      dueDate: assignments[item.index].dueDate,
+      format: detectFormat(assignments[item.index].assignmentText)
+    })),
+    summary,
+    patterns: findCoursePatterns(assignments, items),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Adapter entry point for /api/course. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to analyzeBatch
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runCourseReport = (body, options = {}) =>
+  toHttpResult(() => analyzeCourse(validateCourseRequest(body), undefined, options), 'Course report');
+
+/**
+ * Streaming adapter entry point for /api/course/stream. Sends `meta`
+ * `{courseTitle, total, concurrency, assignments: [{index, title, dueDate, assignmentText}]}`,
+ * an `item` event per analyzed assignment, then `report`.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} res - Node response (Express or Vercel)
+ * @param {Object} [options] - Passed through to analyzeBatch
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+export const runCourseReportStream = (body, res, options = {}) =>
+  runEventStream(
+    res,
+    () => validateCourseRequest(body),
+    async (course, send, signal) => {
+      const concurrency = options.concurrency ?? getBatchConcurrency();
+      send('meta', {
+        courseTitle: course.courseTitle,
+        total: course.assignments.length,
+        concurrency,
+        assignments: course.batch.assignments.map(({ title, input }, index) => ({
+          index,
+          title,
+          dueDate: course.assignments[index].dueDate,
+          assignmentText: input.assignmentText
+        }))
+      });
+      const report = await analyzeCourse(
+        course,
+        (item, completed, total) => send('item', { ...item, completed, total }),
+        { ...options, concurrency, signal }
+      );
+      send('report', report);
+    },
+    'Course report'
+  );
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview DIKE AI Server Errors
+ *
+ * Error type shared by the analysis core and the LLM providers. It carries
+ * the HTTP status the adapters should answer with, so they never have to
+ * inspect error messages. toHttpResult turns any outcome into the
+ * `{ statusCode, headers, body }` triple every adapter sends.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Error raised inside the analysis pipeline or a provider call.
+ */
+export class AnalysisError extends Error {
+  /**
+   * @param {string} message - User facing error message
+   * @param {number} [statusCode=500] - HTTP status for the response
+   * @param {*} [details] - Optional extra context for debugging
+   */
+  constructor(message, statusCode = 500, details) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * 429 raised when a quota is exhausted, ours or the upstream provider's.
+ * The adapters turn `retryAfter` into a `Retry-After` header.
+ */
+export class RateLimitError extends AnalysisError {
+  /**
+   * @param {string} message - User facing error message
+   * @param {number} retryAfter - Seconds until a retry may succeed
+   * @param {*} [details] - Optional extra context for debugging
+   */
+  constructor(message, retryAfter, details) {
+    super(message, 429, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Runs a unit of work and maps its outcome to an HTTP status and JSON body.
+ * AnalysisErrors keep their status; anything else becomes a 500. Never throws.
+ *
+ * @async
+ * @param {Function} work - Async function returning the success body
+ * @param {string} [label='Request'] - Prefix for error logs
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ * @example
+ * return toHttpResult(() => analyzeAssignment(validateAnalysisRequest(body)), 'Analysis');
+ */
+export const toHttpResult = async (work, label = 'Request') => {
+  try {
+    return { statusCode: 200, headers: {}, body: await work() };
+  } catch (error) {
+    return describeError(error, label);
+  }
+};
+
+/**
+ * Logs an error and maps it to an HTTP status, headers and JSON body.
+ * AnalysisErrors keep their status and message; anything else becomes a
+ * generic 500. Rate limit errors add `Retry-After` and `retryAfter`.
+ *
+ * @param {Error} error - Caught error
+ * @param {string} [label='Request'] - Prefix for error logs
+ * @returns {{statusCode: number, headers: Object, body: {error: string, details?: *, retryAfter?: number}}}
+ */
+export const describeError = (error, label = 'Request') => {
+  if (error instanceof RateLimitError) {
+    console.warn(`${label} rate limited:`, error.message, `retry in ${error.retryAfter}s`);
+    return {
+      statusCode: 429,
+      headers: { 'Retry-After': String(error.retryAfter) },
+      body: { error: error.message, retryAfter: error.retryAfter }
+    };
+  }
+
+  if (error instanceof AnalysisError) {
+    console.error(`${label} error:`, error.message, error.details ?? '');
+    return {
+      statusCode: error.statusCode,
+      headers: {},
+      body: { error: error.message, ...(error.details ? { details: error.details } : {}) }
+    };
+  }
+
+  console.error(`Unexpected ${label.toLowerCase()} error:`, error);
+  return { statusCode: 500, headers: {}, body: { error: 'Internal server error' } };
+};
@@ -0,0 +1,409 @@
+/**
+ * @fileoverview DIKE AI Document Extraction
+ *
+ * Turns an uploaded assignment document into Markdown-style text for the
+ * analyzer, keeping the layout that matters: headings (#), bulleted and
+ * numbered lists, and tables (| cell | cell |). Everything is parsed
+ * locally; no document leaves the server.
+ *
+ * FORMATS:
+ * - PDF (pdfjs-dist): lines are rebuilt from text positions; larger type
+ *   becomes headings, bullet glyphs become list items, and rows of widely
+ *   spaced cells become tables. Scanned PDFs have no text layer and are
+ *   rejected, there is no OCR.
+ * - DOCX (mammoth): converted to HTML with Word's heading, list and table
+ *   structure, then handled like HTML
+ * - HTML: converted to Markdown; scripts, styles and page chrome are dropped
+ * - Markdown and plain text: passed through with line endings normalized
+ *
+ * LIMITS:
+ * Files are sent base64-encoded in JSON, like every other endpoint, so the
+ * size limit keeps the request under the 4.5 MB serverless body limit. The
+ * file type is checked against its extension and its first bytes.
+ *
+ * CONFIGURATION:
+ * - UPLOAD_MAX_BYTES: largest accepted file (default 3 MB)
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import mammoth from 'mammoth';
+import { parse as parseHtml, NodeType } from 'node-html-parser';
+import { AnalysisError, toHttpResult } from './errors.js';
+import { MAX_ASSIGNMENT_LENGTH } from './analysis.js';
+
+/** File extensions accepted per format */
+export const EXTRACT_FORMATS = {
+  pdf: ['.pdf'],
+  docx: ['.docx'],
+  html: ['.html', '.htm'],
+  markdown: ['.md', '.markdown'],
+  text: ['.txt']
+};
+
+/** Pages read from a PDF before the rest is skipped */
+const MAX_PDF_PAGES = 50;
+
+/** Elements whose content is never assignment text */
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'nav', 'svg', 'iframe', 'form', 'button']);
+
+/** Elements that end the current paragraph */
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'figure', 'figcaption',
+  'dl', 'dt', 'dd', 'address', 'details', 'summary', 'body', 'html', 'hr'
+]);
+
+/** Leading glyphs that mark a list item in PDF text */
+const PDF_BULLET = /^\s*([•●◦▪▫■□‣⁃∙·*–-]|\d{1,2}[.)]|[a-z][.)])\s+/;
+
+/**
+ * Reads the upload size limit from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {number} Maximum file size in bytes
+ */
+export const getMaxUploadBytes = (env = process.env) => Number(env.UPLOAD_MAX_BYTES) || 3 * 1024 * 1024;
+
+/**
+ * Validates the upload and identifies its format.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.fileName - Original file name, used for the extension
+ * @param {string} body.content - File content, base64-encoded
+ * @returns {{fileName: string, format: string, buffer: Buffer}} Decoded upload
+ * @throws {AnalysisError} 400 for a malformed request, 413 for a file over the limit, 415 for an unsupported or mislabeled type
+ */
+export const validateExtractRequest = (body) => {
+  const { fileName, content } = body || {};
+
+  if (typeof fileName !== 'string' || !fileName.trim()) {
+    throw new AnalysisError('Missing required field: fileName', 400);
+  }
+  if (typeof content !== 'string' || !content) {
+    throw new AnalysisError('Missing required field: content', 400);
+  }
+
+  const maxBytes = getMaxUploadBytes();
+  // Base64 needs 4 characters per 3 bytes; reject before decoding
+  if (content.length > Math.ceil(maxBytes / 3) * 4 + 4) {
+    throw new AnalysisError(`File must be at most ${Math.floor(maxBytes / 1024 / 1024 * 10) / 10} MB`, 413);
+  }
+
+  const extension = (fileName.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+  const format = Object.keys(EXTRACT_FORMATS).find((name) => EXTRACT_FORMATS[name].includes(extension));
+  if (!format) {
+    throw new AnalysisError('Unsupported file type', 415, `Upload one of: ${Object.values(EXTRACT_FORMATS).flat().join(', ')}`);
+  }
+
+  const buffer = Buffer.from(content, 'base64');
+  if (buffer.length === 0) {
+    throw new AnalysisError('The file is empty', 400);
+  }
+  if (buffer.length > maxBytes) {
+    throw new AnalysisError(`File must be at most ${Math.floor(maxBytes / 1024 / 1024 * 10) / 10} MB`, 413);
+  }
+
+  // The extension has to match the content; files shorter than a magic number match nothing
+  const looksLike = {
+    pdf: () => buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+    docx: () => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50,
+    html: () => !buffer.includes(0),
+    markdown: () => !buffer.includes(0),
+    text: () => !buffer.includes(0)
+  };
+  if (!looksLike[format]()) {
+    throw new AnalysisError(`The file content does not match its ${extension} extension`, 415);
+  }
+
+  return { fileName: fileName.trim().slice(0, 255), format, buffer };
+};
+
+/**
+ * Collapses inline whitespace.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Text on one line
+ */
+const squash = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Converts HTML to Markdown-style text.
+ *
+ * @param {string} html - HTML document or fragment
+ * @returns {string} Text with headings, lists and tables in Markdown syntax
+ * @example
+ * htmlToMarkdown('<h2>Steps</h2><ol><li>Read</li><li>Write</li></ol>');
+ * // => '## Steps\n\n1. Read\n2. Write'
+ */
+export const htmlToMarkdown = (html) => {
+  const root = parseHtml(html, { comment: false, blockTextElements: { pre: true } });
+  const blocks = []; // {text, list} - consecutive list lines are joined without blank lines
+  let inline = '';
+
+  const flush = (prefix = '') => {
+    const text = squash(inline);
+    if (text) blocks.push({ text: prefix + text, list: false });
+    inline = '';
+  };
+
+  // Text of an element, skipping nested lists which are rendered separately
+  const inlineText = (node) => squash(node.childNodes
+    .filter((child) => !(child.nodeType === NodeType.ELEMENT_NODE && ['ul', 'ol'].includes(child.rawTagName?.toLowerCase())))
+    .map((child) => (child.nodeType === NodeType.ELEMENT_NODE && child.rawTagName?.toLowerCase() === 'br' ? ' ' : child.text))
+    .join(' '));
+
+  const renderList = (list, depth) => {
+    let number = Number(list.getAttribute('start')) || 1;
+    const ordered = list.rawTagName.toLowerCase() === 'ol';
+    for (const item of list.childNodes) {
+      if (item.nodeType !== NodeType.ELEMENT_NODE || item.rawTagName.toLowerCase() !== 'li') continue;
+      const marker = ordered ? `${number++}.` : '-';
+      const text = inlineText(item);
+      if (text) blocks.push({ text: `${'  '.repeat(depth)}${marker} ${text}`, list: true });
+      item.childNodes
+        .filter((child) => child.nodeType === NodeType.ELEMENT_NODE && ['ul', 'ol'].includes(child.rawTagName.toLowerCase()))
+        .forEach((nested) => renderList(nested, depth + 1));
+    }
+  };
+
+  const renderTable = (table) => {
+    const rows = table.querySelectorAll('tr')
+      .map((row) => row.childNodes
+        .filter((cell) => cell.nodeType === NodeType.ELEMENT_NODE && ['td', 'th'].includes(cell.rawTagName.toLowerCase()))
+        .map((cell) => squash(cell.text).replace(/\|/g, '\\|')))
+      .filter((cells) => cells.some(Boolean));
+    if (rows.length === 0) return;
+
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+    blocks.push({
+      text: [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'),
+      list: false
+    });
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === NodeType.TEXT_NODE) {
+      inline += node.text;
+      return;
+    }
+    if (node.nodeType !== NodeType.ELEMENT_NODE) return;
+
+    const tag = node.rawTagName?.toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) return;
+
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      inline = node.text;
+      flush(`${'#'.repeat(Number(tag[1]))} `);
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      renderList(node, 0);
+    } else if (tag === 'table') {
+      flush();
+      renderTable(node);
+    } else if (tag === 'pre') {
+      flush();
+      const text = node.text.replace(/^\n+|\s+$/g, '');
+      if (text) blocks.push({ text, list: false });
+    } else if (tag === 'blockquote') {
+      flush();
+      const quoted = htmlToMarkdown(node.innerHTML);
+      if (quoted) blocks.push({ text: quoted.split('\n').map((line) => `> ${line}`.trimEnd()).join('\n'), list: false });
+    } else if (tag === 'br') {
+      flush();
+    } else if (BLOCK_TAGS.has(tag) || tag === undefined || tag === null) {
+      flush();
+      node.childNodes.forEach(walk);
+      flush();
+    } else {
+      node.childNodes.forEach(walk);
+    }
+  };
+
+  walk(root);
+  flush();
+
+  return blocks
+    .map((block, i) => (i === 0 ? '' : block.list && blocks[i - 1].list ? '\n' : '\n\n') + block.text)
+    .join('');
+};
+
+/**
+ * Extracts structured text from a PDF text layer.
+ *
+ * @async
+ * @param {Buffer} buffer - PDF file
+ * @returns {Promise<{text: string, warnings: string[]}>} Markdown-style text
+ * @throws {AnalysisError} 422 when the PDF cannot be opened or has no text
+ */
+const extractPdf = async (buffer) => {
+  // Loaded on first use; the parser is large and most requests never need it
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  let document;
+  try {
+    document = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    throw new AnalysisError(
+      error.name === 'PasswordException' ? 'The PDF is password protected' : 'The PDF could not be read',
+      422,
+      error.message
+    );
+  }
+
+  const warnings = [];
+  const pageCount = Math.min(document.numPages, MAX_PDF_PAGES);
+  if (document.numPages > MAX_PDF_PAGES) {
+    warnings.push(`Only the first ${MAX_PDF_PAGES} of ${document.numPages} pages were read`);
+  }
+
+  // Lines of positioned text, top to bottom, across pages
+  const lines = [];
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const page = await document.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    const pageLines = [];
+
+    for (const item of items) {
+      if (!item.str.trim()) continue;
+      const [, , c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d) || item.height;
+      let line = pageLines.find((candidate) => Math.abs(candidate.y - y) < Math.max(candidate.size, size) * 0.5);
+      if (!line) {
+        line = { y, size, parts: [] };
+        pageLines.push(line);
+      }
+      line.size = Math.max(line.size, size);
+      line.parts.push({ x, end: x + item.width, text: item.str, size });
+    }
+
+    pageLines.sort((a, b) => b.y - a.y);
+    for (const line of pageLines) {
+      line.parts.sort((a, b) => a.x - b.x);
+
+      // Gaps wider than two character heights separate table cells
+      const cells = [];
+      for (const part of line.parts) {
+        const previous = cells[cells.length - 1];
+        if (previous && part.x - previous.end <= line.size * 2) {
+          previous.text += (part.x - previous.end > line.size * 0.15 && !/\s$/.test(previous.text) ? ' ' : '') + part.text;
+          previous.end = part.end;
+        } else {
+          cells.push({ text: part.text, end: part.end });
+        }
+      }
+      lines.push({ page: pageNumber, y: line.y, size: line.size, cells: cells.map((cell) => squash(cell.text)) });
+    }
+    page.cleanup();
+  }
+  await document.destroy();
+
+  if (lines.length === 0) {
+    throw new AnalysisError('The PDF has no text layer', 422, 'Scanned PDFs are not supported; export the document as text or DOCX instead');
+  }
+
+  // Body size is the most common line size; larger lines are headings
+  const sizeCounts = {};
+  for (const line of lines) sizeCounts[Math.round(line.size)] = (sizeCounts[Math.round(line.size)] || 0) + 1;
+  const bodySize = Number(Object.entries(sizeCounts).sort((a, b) => b[1] - a[1])[0][0]);
+
+  const blocks = []; // {text, kind: 'heading'|'list'|'table'|'paragraph'}
+  let previous = null;
+  for (const line of lines) {
+    const text = line.cells.join(' ');
+    const gap = previous && previous.page === line.page ? previous.y - line.y : Infinity;
+    const last = blocks[blocks.length - 1];
+
+    if (line.cells.length >= 2) {
+      const row = `| ${line.cells.map((cell) => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+      if (last?.kind === 'table' && last.width === line.cells.length) {
+        last.text += `\n${row}`;
+      } else {
+        blocks.push({ kind: 'table', width: line.cells.length, text: `${row}\n| ${Array(line.cells.length).fill('---').join(' | ')} |` });
+      }
+    } else if (line.size >= bodySize * 1.2 && text.length <= 120) {
+      blocks.push({ kind: 'heading', text: `${line.size >= bodySize * 1.6 ? '#' : '##'} ${text}` });
+    } else if (PDF_BULLET.test(text)) {
+      const marker = text.match(PDF_BULLET)[1];
+      blocks.push({ kind: 'list', text: `${/^\d/.test(marker) || /^[a-z]/.test(marker) ? marker.replace(')', '.') : '-'} ${text.replace(PDF_BULLET, '')}` });
+    } else if (last && (last.kind === 'paragraph' || last.kind === 'list') && gap <= line.size * 1.6) {
+      // Wrapped line: join, undoing end-of-line hyphenation
+      last.text = /[a-z]-$/.test(last.text) && /^[a-z]/.test(text) ? last.text.slice(0, -1) + text : `${last.text} ${text}`;
+    } else {
+      blocks.push({ kind: 'paragraph', text });
+    }
+    previous = line;
+  }
+
+  const text = blocks
+    .map((block, i) => (i === 0 ? '' : block.kind === 'list' && blocks[i - 1].kind === 'list' ? '\n' : '\n\n') + block.text)
+    .join('');
+  return { text, warnings };
+};
+
+/**
+ * Extracts the text of a validated upload.
+ *
+ * @async
+ * @param {{format: string, buffer: Buffer}} upload - Result of validateExtractRequest
+ * @returns {Promise<{text: string, warnings: string[]}>} Markdown-style text and anything the reader should know
+ * @throws {AnalysisError} 422 when the document cannot be read or contains no text
+ */
+export const extractDocument = async ({ format, buffer }) => {
+  let result;
+  if (format === 'pdf') {
+    result = await extractPdf(buffer);
+  } else if (format === 'docx') {
+    let converted;
+    try {
+      converted = await mammoth.convertToHtml({ buffer });
+    } catch (error) {
+      throw new AnalysisError('The DOCX file could not be read', 422, error.message);
+    }
+    result = {
+      text: htmlToMarkdown(converted.value),
+      warnings: [...new Set(converted.messages.filter((message) => message.type === 'warning').map((message) => message.message))].slice(0, 5)
+    };
+  } else if (format === 'html') {
+    result = { text: htmlToMarkdown(buffer.toString('utf8')), warnings: [] };
+  } else {
+    result = { text: buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'), warnings: [] };
+  }
+
+  const text = result.text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+  if (!text) {
+    throw new AnalysisError('No text found in the document', 422);
+  }
+  return { text, warnings: result.warnings };
+};
+
+/**
+ * Adapter entry point for /api/extract. Never throws. Text longer than the
+ * analysis limit is cut and flagged with `truncated`.
+ *
+ * @async
+ * @param {Object} body - Parsed request body `{fileName, content}`
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send;
+ *   the body is `{fileName, format, text, characters, truncated, warnings}`
+ */
+export const runExtract = (body) =>
+  toHttpResult(async () => {
+    const upload = validateExtractRequest(body);
+    const { text, warnings } = await extractDocument(upload);
+    const truncated = text.length > MAX_ASSIGNMENT_LENGTH;
+    return {
+      fileName: upload.fileName,
+      format: upload.format,
+      text: truncated ? text.slice(0, MAX_ASSIGNMENT_LENGTH) : text,
+      characters: text.length,
+      truncated,
+      warnings: truncated ? [...warnings, `Only the first ${MAX_ASSIGNMENT_LENGTH} characters are kept for analysis`] : warnings
+    };
+  }, 'Extract');
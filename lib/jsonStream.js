@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Incremental JSON Section Scanner
+ *
+ * Watches a JSON document arrive in arbitrary chunks and reports every value
+ * the moment it is complete, together with its path. The streaming analyze
+ * endpoint uses it to forward the summary, each barrier and the other
+ * sections while the model is still writing the rest.
+ *
+ * Text before the first `{` (code fences, prose) is ignored, as is anything
+ * after the root object closes.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+const WHITESPACE = /\s/;
+
+/**
+ * Creates a scanner.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=2] - Only values at this path length or shorter are reported
+ * @returns {{push: Function}} Scanner; `push(chunk)` returns the values completed by that chunk
+ * @example
+ * const scanner = createJsonSectionScanner();
+ * scanner.push('{"summary": "Two barr');   // => []
+ * scanner.push('iers", "barriers": [{');    // => [{ path: ['summary'], value: 'Two barriers' }]
+ */
+export const createJsonSectionScanner = ({ maxDepth = 2 } = {}) => {
+  let text = '';
+  let position = 0;
+  let started = false;
+  let finished = false;
+
+  // One frame per open object or array: { type, start, key, index, expectKey }
+  const stack = [];
+
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let stringIsKey = false;
+  let primitiveStart = -1;
+
+  /**
+   * Records a completed value spanning text[start, end) at the current slot.
+   */
+  const completeValue = (start, end, events) => {
+    const path = stack.map((frame) => (frame.type === 'object' ? frame.key : frame.index));
+    if (path.length > maxDepth) return;
+
+    try {
+      events.push({ path, value: JSON.parse(text.slice(start, end)) });
+    } catch {
+      // Malformed value, the final validation reports it
+    }
+  };
+
+  /**
+   * Feeds the next chunk of model output.
+   *
+   * @param {string} chunk - Newly received text
+   * @returns {Array<{path: Array<string|number>, value: *}>} Values completed by this chunk
+   */
+  const push = (chunk) => {
+    const events = [];
+    text += chunk;
+
+    for (; position < text.length && !finished; position++) {
+      const char = text[position];
+
+      if (!started) {
+        if (char === '{') {
+          started = true;
+          stack.push({ type: 'object', start: position, key: null, index: 0, expectKey: true });
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (stringIsKey) {
+            stack[stack.length - 1].key = JSON.parse(text.slice(stringStart, position + 1));
+          } else {
+            completeValue(stringStart, position + 1, events);
+          }
+        }
+        continue;
+      }
+
+      if (primitiveStart !== -1) {
+        if (char !== ',' && char !== '}' && char !== ']' && !WHITESPACE.test(char)) continue;
+        completeValue(primitiveStart, position, events);
+        primitiveStart = -1;
+      }
+
+      const frame = stack[stack.length - 1];
+
+      switch (char) {
+        case '"':
+          inString = true;
+          stringStart = position;
+          stringIsKey = frame.type === 'object' && frame.expectKey;
+          break;
+        case ':':
+          frame.expectKey = false;
+          break;
+        case ',':
+          if (frame.type === 'object') frame.expectKey = true;
+          else frame.index += 1;
+          break;
+        case '{':
+        case '[':
+          stack.push({ type: char === '{' ? 'object' : 'array', start: position, key: null, index: 0, expectKey: char === '{' });
+          break;
+        case '}':
+        case ']': {
+          const closed = stack.pop();
+          completeValue(closed.start, position + 1, events);
+          if (stack.length === 0) finished = true;
+          break;
+        }
+        default:
+          if (!WHITESPACE.test(char)) primitiveStart = position;
+      }
+    }
+
+    return events;
+  };
+
+  return { push };
+};
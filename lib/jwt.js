@@ -0,0 +1,111 @@
+/**
+ * @fileoverview DIKE AI JSON Web Tokens
+ *
+ * The RS256 subset of JWT, JWK and JWKS that LTI 1.3 needs, built on
+ * node:crypto so the LTI launch carries no extra dependency. Used by the
+ * tool (lib/lti.js) and by the local platform simulator.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+import { AnalysisError } from './errors.js';
+
+/** Clock skew tolerated when checking exp and iat, in seconds */
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+/**
+ * Splits a compact JWT without verifying it.
+ *
+ * @param {string} token - Compact JWT
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ * @throws {AnalysisError} 401 when the token is malformed
+ */
+export const decodeJwt = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new AnalysisError('Malformed JWT', 401);
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw new AnalysisError('Malformed JWT', 401);
+  }
+};
+
+/**
+ * Signs a payload with RS256.
+ *
+ * @param {Object} payload - Claims
+ * @param {import('crypto').KeyObject} privateKey - RSA private key
+ * @param {string} kid - Key id placed in the header
+ * @returns {string} Compact JWT
+ * @example
+ * const jwt = signJwt({ iss, aud, nonce, exp }, keys.privateKey, keys.kid);
+ */
+export const signJwt = (payload, privateKey, kid) => {
+  const signingInput = `${base64url({ alg: 'RS256', typ: 'JWT', kid })}.${base64url(payload)}`;
+  return `${signingInput}.${sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url')}`;
+};
+
+/**
+ * Verifies an RS256 JWT against a key set and checks exp and iat.
+ * Audience, issuer and nonce are the caller's to check.
+ *
+ * @param {string} token - Compact JWT
+ * @param {{keys: Object[]}} jwks - Key set of the issuer
+ * @returns {Object} Verified payload
+ * @throws {AnalysisError} 401 when the signature, algorithm or lifetime is invalid
+ */
+export const verifyJwt = (token, jwks) => {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+  if (header.alg !== 'RS256') throw new AnalysisError(`Unsupported JWT algorithm: ${header.alg}`, 401);
+
+  const candidates = (jwks.keys || []).filter((key) => key.kty === 'RSA' && (!header.kid || key.kid === header.kid));
+  if (!candidates.length) throw new AnalysisError('No matching key in the issuer key set', 401, header.kid);
+
+  const valid = candidates.some((jwk) => {
+    try {
+      return verify('RSA-SHA256', Buffer.from(signingInput), createPublicKey({ key: jwk, format: 'jwk' }), signature);
+    } catch {
+      return false;
+    }
+  });
+  if (!valid) throw new AnalysisError('Invalid JWT signature', 401);
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+    throw new AnalysisError('JWT has expired', 401);
+  }
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new AnalysisError('JWT is issued in the future', 401);
+  }
+  return payload;
+};
+
+/**
+ * Loads an RSA signing key, or generates a throwaway one.
+ *
+ * @param {string} [pem] - PKCS#8 or PKCS#1 private key PEM
+ * @param {string} [kid] - Key id, defaults to one derived from the key
+ * @returns {{privateKey: import('crypto').KeyObject, kid: string, jwks: {keys: Object[]}, generated: boolean}}
+ */
+export const loadSigningKey = (pem, kid) => {
+  const privateKey = pem
+    ? createPrivateKey(pem.replace(/\\n/g, '\n'))
+    : generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const jwk = createPublicKey(privateKey).export({ format: 'jwk' });
+  const keyId = kid || jwk.n.slice(0, 16);
+  return {
+    privateKey,
+    kid: keyId,
+    jwks: { keys: [{ ...jwk, kid: keyId, alg: 'RS256', use: 'sig' }] },
+    generated: !pem
+  };
+};
@@ -0,0 +1,481 @@
+/**
+ * @fileoverview DIKE AI LTI 1.3 Tool
+ *
+ * Lets Canvas, Moodle, Blackboard and other LTI 1.3 platforms launch DIKE
+ * inside the course. A launch from an assignment opens the analyzer with
+ * the assignment text and course context filled in; a deep-linking launch
+ * lets the teacher add DIKE to the course as a link.
+ *
+ * FLOW:
+ * 1. The platform calls /api/lti/login (OIDC login initiation). The tool
+ *    stores a state and nonce, sets a cookie named after the state and
+ *    redirects to the platform's auth URL.
+ * 2. The platform posts a signed id_token to /api/lti/launch. The tool
+ *    checks that the browser still has the state cookie, so a launch
+ *    cannot be replayed into another browser, then checks the token
+ *    against the platform's JWKS, the state and the nonce, keeps the
+ *    launch under a one-time ticket and redirects the browser to the app
+ *    with `?lti_launch=<ticket>`.
+ * 3. The app reads the launch from /api/lti/launches/:ticket. For deep
+ *    linking it posts the chosen link to /api/lti/launches/:ticket/deep-link
+ *    and submits the signed response to the platform's return URL.
+ *
+ * ROUTES:
+ * - GET|POST /api/lti/login - OIDC login initiation
+ * - POST /api/lti/launch - id_token form post from the platform
+ * - GET /api/lti/launches/:ticket - launch context for the app
+ * - POST /api/lti/launches/:ticket/deep-link - `{title, text?, gradeLevel?, courseType?}`,
+ *   answers `{returnUrl, jwt}`
+ * - GET /api/lti/jwks - the tool's public keys, registered with the platform
+ *
+ * CONFIGURATION:
+ * - LTI_PLATFORMS: JSON array of registrations, each
+ *   `{issuer, clientId, authLoginUrl, jwksUrl, deploymentIds?}`
+ * - LTI_PRIVATE_KEY: PEM key that signs deep-linking responses. Without
+ *   it a throwaway key is generated at startup, which platforms forget on
+ *   every restart: set it in production
+ * - LTI_KEY_ID: key id published in the JWKS (default derived from the key)
+ * - LTI_TOOL_URL: public origin of this server, required with LTI_PLATFORMS.
+ *   Redirect and return URLs are built from it, never from the Host header
+ * - LTI_APP_URL: origin of the app the launch opens (default LTI_TOOL_URL)
+ * Without LTI_PLATFORMS every route answers 404.
+ *
+ * The state cookie is `SameSite=None; Secure` because the launch is a
+ * cross-site form post, often inside an iframe, so the tool has to be
+ * served over HTTPS (browsers also accept it on http://localhost).
+ *
+ * States and launches are kept in memory, so the tool runs on the Express
+ * server only, as a single instance. `npm run mock:lti` starts a local
+ * platform (lib/ltiSimulator.js) to launch against.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { randomBytes } from 'crypto';
+import { AnalysisError, toHttpResult } from './errors.js';
+import { decodeJwt, loadSigningKey, signJwt, verifyJwt } from './jwt.js';
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const DL_CLAIM = 'https://purl.imsglobal.org/spec/lti-dl/claim/';
+
+/** How long a login may take and how long a launch stays readable */
+const STATE_TTL_MS = 10 * 60 * 1000;
+const LAUNCH_TTL_MS = 60 * 60 * 1000;
+
+/** How long platform key sets are reused before they are fetched again */
+const JWKS_TTL_MS = 10 * 60 * 1000;
+
+/** Longest assignment text embedded in a deep link's custom parameters */
+const MAX_CUSTOM_TEXT_LENGTH = 4000;
+
+/** Values of the app's context selects, for the grade_level and course_type custom parameters */
+export const GRADE_LEVELS = ['elementary', 'middle', 'high', 'college', 'graduate', 'adult'];
+export const COURSE_TYPES = ['general', 'stem', 'humanities', 'social-sciences', 'professional', 'online', 'hybrid'];
+
+const TICKET_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+/** Cookie name prefix; one cookie per login, so launches in several tabs do not clash */
+const STATE_COOKIE_PREFIX = 'lti_state_';
+
+/**
+ * Reads the tool settings from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{enabled: boolean, platforms: Object[], toolUrl: string, appUrl: string, privateKey: string, keyId: string}}
+ * @throws {AnalysisError} 500 when LTI_PLATFORMS is not valid JSON, or is set without LTI_TOOL_URL
+ */
+export const getLtiConfig = (env = process.env) => {
+  let platforms = [];
+  if (env.LTI_PLATFORMS) {
+    try {
+      platforms = JSON.parse(env.LTI_PLATFORMS);
+    } catch (parseError) {
+      throw new AnalysisError('LTI_PLATFORMS is not valid JSON', 500, parseError.message);
+    }
+  }
+  const toolUrl = (env.LTI_TOOL_URL || '').replace(/\/+$/, '');
+  const enabled = Array.isArray(platforms) && platforms.length > 0;
+  if (enabled && !toolUrl) throw new AnalysisError('LTI_TOOL_URL must be set when LTI_PLATFORMS is', 500);
+  return {
+    enabled,
+    platforms: Array.isArray(platforms) ? platforms : [],
+    toolUrl,
+    appUrl: (env.LTI_APP_URL || '').replace(/\/+$/, '') || toolUrl,
+    privateKey: env.LTI_PRIVATE_KEY || '',
+    keyId: env.LTI_KEY_ID || ''
+  };
+};
+
+/**
+ * Map whose entries expire.
+ *
+ * @param {number} ttlMs - Lifetime of an entry
+ * @returns {{set: Function, get: Function, take: Function}}
+ */
+const createExpiringMap = (ttlMs) => {
+  const entries = new Map();
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.expires < now) entries.delete(key);
+  };
+  return {
+    set: (key, value) => {
+      sweep();
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+    },
+    get: (key) => {
+      sweep();
+      return entries.get(key)?.value;
+    },
+    take: (key) => {
+      sweep();
+      const value = entries.get(key)?.value;
+      entries.delete(key);
+      return value;
+    }
+  };
+};
+
+const states = createExpiringMap(STATE_TTL_MS);
+const launches = createExpiringMap(LAUNCH_TTL_MS);
+const jwksCache = new Map();
+let signingKey;
+
+const randomToken = () => randomBytes(24).toString('base64url');
+
+/**
+ * Builds the Set-Cookie value that ties a login's state to the browser.
+ *
+ * @param {string} state - State from startLogin
+ * @param {number} [maxAgeMs=STATE_TTL_MS] - Lifetime, 0 deletes the cookie
+ * @returns {string} Set-Cookie header value
+ */
+const toStateCookie = (state, maxAgeMs = STATE_TTL_MS) =>
+  `${STATE_COOKIE_PREFIX}${state}=1; Path=/api/lti; Max-Age=${Math.floor(maxAgeMs / 1000)}; HttpOnly; Secure; SameSite=None`;
+
+/**
+ * Tells whether a Cookie header carries the cookie of a state.
+ *
+ * @param {string} [cookieHeader] - Cookie request header
+ * @param {string} state - State the platform posted back
+ * @returns {boolean}
+ */
+const hasStateCookie = (cookieHeader, state) => String(cookieHeader || '')
+  .split(';')
+  .some((cookie) => cookie.trim() === `${STATE_COOKIE_PREFIX}${state}=1`);
+
+/**
+ * Returns the tool's signing key, loading or generating it once.
+ *
+ * @param {Object} config - From getLtiConfig
+ * @returns {ReturnType<typeof loadSigningKey>}
+ */
+const getSigningKey = (config) => {
+  if (!signingKey) {
+    signingKey = loadSigningKey(config.privateKey, config.keyId);
+    if (signingKey.generated) console.warn('LTI_PRIVATE_KEY is not set; using a throwaway key until restart');
+  }
+  return signingKey;
+};
+
+/**
+ * Finds the registration for an issuer and, when given, a client id.
+ *
+ * @param {Object} config - From getLtiConfig
+ * @param {string} issuer - Platform issuer
+ * @param {string} [clientId] - Client id the platform sent
+ * @returns {Object} Platform registration
+ * @throws {AnalysisError} 400 when the platform is not registered
+ */
+const findPlatform = (config, issuer, clientId) => {
+  const platform = config.platforms.find((p) => p.issuer === issuer && (!clientId || p.clientId === clientId));
+  if (!platform) throw new AnalysisError('This LMS is not registered with DIKE', 400, issuer);
+  return platform;
+};
+
+/**
+ * Fetches a platform's key set, from cache unless `refresh` is set.
+ *
+ * @async
+ * @param {string} jwksUrl - Platform JWKS URL
+ * @param {boolean} [refresh=false] - Skip the cache, used when a key id is unknown
+ * @returns {Promise<{keys: Object[]}>} Key set
+ * @throws {AnalysisError} 502 when the key set cannot be fetched
+ */
+const fetchPlatformJwks = async (jwksUrl, refresh = false) => {
+  const cached = jwksCache.get(jwksUrl);
+  if (!refresh && cached && cached.expires > Date.now()) return cached.jwks;
+
+  let response;
+  try {
+    response = await fetch(jwksUrl, { signal: AbortSignal.timeout(10000) });
+  } catch (fetchError) {
+    throw new AnalysisError('Failed to fetch the LMS signing keys', 502, fetchError.message);
+  }
+  if (!response.ok) throw new AnalysisError(`LMS signing keys answered ${response.status}`, 502, jwksUrl);
+
+  const jwks = await response.json();
+  jwksCache.set(jwksUrl, { jwks, expires: Date.now() + JWKS_TTL_MS });
+  return jwks;
+};
+
+/**
+ * Handles OIDC login initiation.
+ *
+ * @param {Object} config - From getLtiConfig
+ * @param {Object} params - Query or form parameters from the platform
+ * @returns {{redirect: string, state: string}} Platform auth URL to redirect to and the state to set a cookie for
+ * @throws {AnalysisError} 400 when parameters are missing or the platform is unknown
+ */
+export const startLogin = (config, params) => {
+  const { toolUrl } = config;
+  const { iss, login_hint: loginHint, target_link_uri: targetLinkUri, lti_message_hint: messageHint, client_id: clientId, lti_deployment_id: deploymentId } = params || {};
+  if (!iss || !loginHint || !targetLinkUri) {
+    throw new AnalysisError('Login initiation needs iss, login_hint and target_link_uri', 400);
+  }
+  const platform = findPlatform(config, iss, clientId);
+  if (!targetLinkUri.startsWith(`${toolUrl}/`)) throw new AnalysisError('target_link_uri does not point to this tool', 400, targetLinkUri);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  states.set(state, { nonce, issuer: platform.issuer, clientId: platform.clientId, deploymentId });
+
+  const auth = new URL(platform.authLoginUrl);
+  Object.entries({
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: platform.clientId,
+    redirect_uri: `${toolUrl}/api/lti/launch`,
+    login_hint: loginHint,
+    state,
+    nonce,
+    ...(messageHint ? { lti_message_hint: messageHint } : {})
+  }).forEach(([key, value]) => auth.searchParams.set(key, value));
+  return { redirect: auth.toString(), state };
+};
+
+/**
+ * Reads an optional custom parameter limited to a list of values.
+ *
+ * @param {Object} custom - Custom claim
+ * @param {string} name - Parameter name
+ * @param {string[]} allowed - Accepted values
+ * @returns {string|null}
+ */
+const pickCustom = (custom, name, allowed) => (allowed.includes(custom?.[name]) ? custom[name] : null);
+
+/**
+ * Validates an id_token and turns it into the launch context the app reads.
+ *
+ * @async
+ * @param {Object} config - From getLtiConfig
+ * @param {{id_token: string, state: string}} body - Form post from the platform
+ * @param {string} [cookieHeader] - Cookie header of the browser posting it
+ * @returns {Promise<{ticket: string, launch: Object}>} Ticket for the app and the stored launch
+ * @throws {AnalysisError} 400 for unknown or expired state, 401 for a missing state cookie or an invalid token
+ */
+export const completeLaunch = async (config, body, cookieHeader) => {
+  const { id_token: idToken, state } = body || {};
+  if (!idToken || !state) throw new AnalysisError('Launch needs id_token and state', 400);
+  if (!hasStateCookie(cookieHeader, state)) {
+    throw new AnalysisError('This launch was not started in this browser, open DIKE from the LMS again', 401);
+  }
+
+  const login = states.take(state);
+  if (!login) throw new AnalysisError('Launch state is unknown or expired, open DIKE from the LMS again', 400);
+
+  const { header, payload: unverified } = decodeJwt(idToken);
+  if (unverified.iss !== login.issuer) throw new AnalysisError('id_token issuer does not match the login', 401);
+  const platform = findPlatform(config, login.issuer, login.clientId);
+
+  let jwks = await fetchPlatformJwks(platform.jwksUrl);
+  if (header.kid && !jwks.keys?.some((key) => key.kid === header.kid)) jwks = await fetchPlatformJwks(platform.jwksUrl, true);
+  const claims = verifyJwt(idToken, jwks);
+
+  const audiences = [].concat(claims.aud);
+  if (!audiences.includes(platform.clientId) || (audiences.length > 1 && claims.azp !== platform.clientId)) {
+    throw new AnalysisError('id_token is not meant for this tool', 401);
+  }
+  if (claims.nonce !== login.nonce) throw new AnalysisError('id_token nonce does not match the login', 401);
+  if (claims[`${LTI_CLAIM}version`] !== '1.3.0') throw new AnalysisError('Only LTI 1.3 launches are supported', 400);
+
+  const deploymentId = claims[`${LTI_CLAIM}deployment_id`];
+  if (!deploymentId || (platform.deploymentIds && !platform.deploymentIds.includes(deploymentId))) {
+    throw new AnalysisError('This deployment is not registered with DIKE', 401, deploymentId);
+  }
+
+  const messageType = claims[`${LTI_CLAIM}message_type`];
+  const context = claims[`${LTI_CLAIM}context`] || {};
+  const resourceLink = claims[`${LTI_CLAIM}resource_link`] || {};
+  const custom = claims[`${LTI_CLAIM}custom`] || {};
+  const roles = claims[`${LTI_CLAIM}roles`] || [];
+
+  const launch = {
+    messageType,
+    platform: claims[`${LTI_CLAIM}tool_platform`]?.name || platform.issuer,
+    course: context.id ? { id: context.id, title: context.title || context.label || '', label: context.label || '' } : null,
+    resourceLink: resourceLink.id ? { id: resourceLink.id, title: resourceLink.title || '' } : null,
+    assignmentText: String(custom.assignment_text || resourceLink.description || '').trim(),
+    gradeLevel: pickCustom(custom, 'grade_level', GRADE_LEVELS),
+    courseType: pickCustom(custom, 'course_type', COURSE_TYPES),
+    instructor: roles.some((role) => /#(Instructor|ContentDeveloper|Administrator)$/.test(role))
+  };
+
+  if (messageType === 'LtiDeepLinkingRequest') {
+    const settings = claims[`${DL_CLAIM}deep_linking_settings`];
+    if (!settings?.deep_link_return_url) throw new AnalysisError('Deep linking launch has no return URL', 400);
+    if (!(settings.accept_types || []).includes('ltiResourceLink')) {
+      throw new AnalysisError('The LMS does not accept links here', 400, settings.accept_types);
+    }
+    launch.deepLinking = { returnUrl: settings.deep_link_return_url, data: settings.data };
+  } else if (messageType !== 'LtiResourceLinkRequest') {
+    throw new AnalysisError(`Unsupported LTI message type: ${messageType}`, 400);
+  }
+
+  const ticket = randomToken();
+  launches.set(ticket, { ...launch, issuer: platform.issuer, clientId: platform.clientId, deploymentId });
+  return { ticket, launch };
+};
+
+/**
+ * Returns the launch context the app may see.
+ *
+ * @param {string} ticket - Ticket from completeLaunch
+ * @returns {Object} Launch without platform routing details
+ * @throws {AnalysisError} 400 for a malformed ticket, 404 when unknown or expired
+ */
+export const getLaunch = (ticket) => {
+  if (!TICKET_PATTERN.test(String(ticket || ''))) throw new AnalysisError('Invalid launch ticket', 400);
+  const launch = launches.get(ticket);
+  if (!launch) throw new AnalysisError('Launch not found or expired, open DIKE from the LMS again', 404);
+  const { issuer, clientId, deploymentId, deepLinking, ...visible } = launch;
+  return { ...visible, deepLinking: Boolean(deepLinking) };
+};
+
+/**
+ * Signs the deep-linking response for a deep-linking launch. The ticket is
+ * used up, a platform accepts one response per request.
+ *
+ * @param {Object} config - From getLtiConfig
+ * @param {string} ticket - Ticket of a deep-linking launch
+ * @param {{title: string, text?: string, gradeLevel?: string, courseType?: string}} body - Link to create
+ * @returns {{returnUrl: string, jwt: string}} Where the app posts the `JWT` form field
+ * @throws {AnalysisError} 400 when the launch is not deep linking or the title is missing
+ */
+export const createDeepLinkResponse = (config, ticket, body) => {
+  getLaunch(ticket);
+  const launch = launches.get(ticket);
+  if (!launch.deepLinking) throw new AnalysisError('This launch is not a deep linking request', 400);
+
+  const { title, text, gradeLevel, courseType } = body || {};
+  if (typeof title !== 'string' || !title.trim()) throw new AnalysisError('Missing required field: title', 400);
+
+  const custom = {
+    ...(typeof text === 'string' && text.trim() && text.length <= MAX_CUSTOM_TEXT_LENGTH ? { assignment_text: text.trim() } : {}),
+    ...(GRADE_LEVELS.includes(gradeLevel) ? { grade_level: gradeLevel } : {}),
+    ...(COURSE_TYPES.includes(courseType) ? { course_type: courseType } : {})
+  };
+
+  const key = getSigningKey(config);
+  const now = Math.floor(Date.now() / 1000);
+  const jwt = signJwt({
+    iss: launch.clientId,
+    aud: launch.issuer,
+    iat: now,
+    exp: now + 300,
+    nonce: randomToken(),
+    [`${LTI_CLAIM}deployment_id`]: launch.deploymentId,
+    [`${LTI_CLAIM}message_type`]: 'LtiDeepLinkingResponse',
+    [`${LTI_CLAIM}version`]: '1.3.0',
+    [`${DL_CLAIM}content_items`]: [{
+      type: 'ltiResourceLink',
+      title: title.trim(),
+      text: 'Equity analysis of this assignment with DIKE',
+      url: `${config.toolUrl}/api/lti/launch`,
+      ...(Object.keys(custom).length ? { custom } : {})
+    }],
+    ...(launch.deepLinking.data !== undefined ? { [`${DL_CLAIM}data`]: launch.deepLinking.data } : {})
+  }, key.privateKey, key.kid);
+
+  launches.take(ticket);
+  return { returnUrl: launch.deepLinking.returnUrl, jwt };
+};
+
+/**
+ * Loads the configuration or refuses when LTI is off.
+ *
+ * @returns {Object} Config from getLtiConfig
+ * @throws {AnalysisError} 404 when no platform is registered
+ */
+const requireLtiConfig = () => {
+  const config = getLtiConfig();
+  if (!config.enabled) throw new AnalysisError('LTI is not enabled on this server', 404);
+  return config;
+};
+
+/**
+ * Adapter entry point for login initiation. Never throws.
+ *
+ * @param {Object} params - Query and form parameters from the platform
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} `{redirect}` with the state cookie in `Set-Cookie`
+ * @example
+ * const { statusCode, headers, body } = await runLtiLogin({ ...req.query, ...req.body });
+ * if (statusCode === 200) res.set(headers).redirect(302, body.redirect);
+ */
+export const runLtiLogin = async (params) => {
+  const result = await toHttpResult(() => startLogin(requireLtiConfig(), params), 'LTI login');
+  if (result.statusCode !== 200) return result;
+  const { redirect, state } = result.body;
+  return { ...result, headers: { 'Set-Cookie': toStateCookie(state) }, body: { redirect } };
+};
+
+/**
+ * Adapter entry point for the id_token post. Never throws.
+ *
+ * @param {Object} body - Form post from the platform
+ * @param {string} [cookieHeader] - Cookie header of the request
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} `{redirect}` to the app, the state cookie cleared
+ */
+export const runLtiLaunch = async (body, cookieHeader) => {
+  const result = await toHttpResult(async () => {
+    const config = requireLtiConfig();
+    const { ticket } = await completeLaunch(config, body, cookieHeader);
+    return { redirect: `${config.appUrl}/?lti_launch=${ticket}` };
+  }, 'LTI launch');
+  if (result.statusCode !== 200) return result;
+  return { ...result, headers: { 'Set-Cookie': toStateCookie(body.state, 0) } };
+};
+
+/**
+ * Adapter entry point for the app reading a launch. Never throws.
+ *
+ * @param {string} ticket - Ticket from the launch redirect
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} `{launch}`
+ */
+export const runLtiLaunchContext = (ticket) =>
+  toHttpResult(() => {
+    requireLtiConfig();
+    return { launch: getLaunch(ticket) };
+  }, 'LTI launch');
+
+/**
+ * Adapter entry point for the app answering a deep-linking launch. Never
+ * throws.
+ *
+ * @param {string} ticket - Ticket of a deep-linking launch
+ * @param {Object} body - Link to create
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} `{returnUrl, jwt}`
+ */
+export const runLtiDeepLink = (ticket, body) =>
+  toHttpResult(() => createDeepLinkResponse(requireLtiConfig(), ticket, body), 'LTI deep link');
+
+/**
+ * Adapter entry point for the tool's key set. Never throws.
+ *
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} JWKS
+ */
+export const runLtiJwks = () =>
+  toHttpResult(() => getSigningKey(requireLtiConfig()).jwks, 'LTI keys');
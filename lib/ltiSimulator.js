@@ -0,0 +1,196 @@
+/**
+ * @fileoverview LTI 1.3 Platform Simulator
+ *
+ * A minimal LMS that launches DIKE the way Canvas, Moodle or Blackboard
+ * would, so the LTI routes in lib/lti.js can be tested locally. It signs
+ * id_tokens with its own throwaway key, verifies deep-linking responses
+ * against the tool's /api/lti/jwks and lists the links teachers created,
+ * which can then be launched with their custom parameters.
+ *
+ * ROUTES:
+ * - GET / - launch page with the registration to paste into the tool's env
+ * - GET /auth - OIDC authorization endpoint, posts the id_token back
+ * - GET /jwks - the platform's public keys
+ * - POST /deep-link-return - receives the tool's deep-linking response
+ * - GET /items - links created through deep linking, as JSON
+ *
+ * USAGE:
+ *   npm run mock:lti
+ *   LTI_PLATFORMS='<printed registration>' LTI_TOOL_URL=http://localhost:3001 npm start
+ *   open http://localhost:3003
+ *
+ * CONFIGURATION:
+ * - LTI_SIM_PORT: port to listen on (default 3003)
+ * - LTI_SIM_TOOL_URL: origin of the DIKE server (default http://localhost:3001)
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+import { loadSigningKey, signJwt, verifyJwt } from './jwt.js';
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const DL_CLAIM = 'https://purl.imsglobal.org/spec/lti-dl/claim/';
+
+const CLIENT_ID = 'dike-local';
+const DEPLOYMENT_ID = 'deployment-1';
+
+const COURSE = { id: 'course-101', label: 'BIO-9', title: 'Biology 9' };
+const SAMPLE_ASSIGNMENT = {
+  id: 'resource-1001',
+  title: 'Ecosystem Field Study',
+  description: 'Visit a local park this weekend and record a video of at least three species. Upload the video and a typed lab report by Friday at 8am.'
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Page that posts fields to a URL as soon as it loads, the way platforms
+ * and tools hand tokens to each other.
+ */
+const autoPostForm = (action, fields) => `<!DOCTYPE html>
+<html><body onload="document.forms[0].submit()">
+  <form method="POST" action="${escapeHtml(action)}">
+    ${Object.entries(fields).map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n    ')}
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+</body></html>`;
+
+/**
+ * Creates the simulator app.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.issuer='http://localhost:3003'] - Platform issuer, its public origin
+ * @param {string} [options.toolUrl='http://localhost:3001'] - Origin of the DIKE server
+ * @returns {import('express').Express} App with `app.locals.registration` and `app.locals.items`
+ * @example
+ * createLtiSimulator({ issuer: 'http://localhost:3003' }).listen(3003);
+ */
+export const createLtiSimulator = ({ issuer = 'http://localhost:3003', toolUrl = 'http://localhost:3001' } = {}) => {
+  const app = express();
+  const key = loadSigningKey();
+  const items = [];
+  const registration = {
+    issuer,
+    clientId: CLIENT_ID,
+    authLoginUrl: `${issuer}/auth`,
+    jwksUrl: `${issuer}/jwks`,
+    deploymentIds: [DEPLOYMENT_ID]
+  };
+  app.locals.registration = registration;
+  app.locals.items = items;
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const loginUrl = (hint) => {
+    const url = new URL(`${toolUrl}/api/lti/login`);
+    Object.entries({
+      iss: issuer,
+      login_hint: 'teacher-1',
+      target_link_uri: `${toolUrl}/api/lti/launch`,
+      lti_message_hint: hint,
+      client_id: CLIENT_ID,
+      lti_deployment_id: DEPLOYMENT_ID
+    }).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  };
+
+  app.get('/', (req, res) => {
+    res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>LTI Platform Simulator</title>
+<style>body { font-family: system-ui; max-width: 760px; margin: 40px auto; color: #333; } pre { background: #f3f4f6; padding: 12px; white-space: pre-wrap; word-break: break-all; } li { margin: 8px 0; }</style>
+</head>
+<body>
+  <h1>LTI Platform Simulator</h1>
+  <p>Start DIKE with this registration:</p>
+  <pre>LTI_PLATFORMS='${escapeHtml(JSON.stringify([registration]))}' LTI_TOOL_URL=${escapeHtml(toolUrl)}</pre>
+  <h2>${escapeHtml(COURSE.title)}</h2>
+  <ul>
+    <li><a href="${escapeHtml(loginUrl('assignment'))}">Launch from "${escapeHtml(SAMPLE_ASSIGNMENT.title)}"</a></li>
+    <li><a href="${escapeHtml(loginUrl('deep-link'))}">Add DIKE to the course (deep linking)</a></li>
+    ${items.map((item, index) => `<li><a href="${escapeHtml(loginUrl(`item-${index}`))}">Launch link "${escapeHtml(item.title)}"</a></li>`).join('\n    ')}
+  </ul>
+</body>
+</html>`);
+  });
+
+  app.get('/jwks', (req, res) => res.json(key.jwks));
+
+  app.get('/items', (req, res) => res.json(items));
+
+  app.get('/auth', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, scope, state, nonce, lti_message_hint: hint = 'assignment' } = req.query;
+    if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+    if (responseType !== 'id_token' || scope !== 'openid' || !nonce) return res.status(400).send('Invalid authentication request');
+    if (!String(redirectUri).startsWith(`${toolUrl}/`)) return res.status(400).send('redirect_uri is not registered');
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      iss: issuer,
+      aud: CLIENT_ID,
+      sub: 'teacher-1',
+      iat: now,
+      exp: now + 300,
+      nonce,
+      name: 'Sample Teacher',
+      [`${LTI_CLAIM}version`]: '1.3.0',
+      [`${LTI_CLAIM}deployment_id`]: DEPLOYMENT_ID,
+      [`${LTI_CLAIM}target_link_uri`]: `${toolUrl}/api/lti/launch`,
+      [`${LTI_CLAIM}roles`]: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor'],
+      [`${LTI_CLAIM}context`]: { ...COURSE, type: ['http://purl.imsglobal.org/vocab/lis/v2/course#CourseOffering'] },
+      [`${LTI_CLAIM}tool_platform`]: { guid: 'lti-simulator', name: 'LTI Platform Simulator' }
+    };
+
+    const item = /^item-(\d+)$/.test(hint) ? items[Number(hint.slice(5))] : null;
+    if (hint === 'deep-link') {
+      claims[`${LTI_CLAIM}message_type`] = 'LtiDeepLinkingRequest';
+      claims[`${DL_CLAIM}deep_linking_settings`] = {
+        deep_link_return_url: `${issuer}/deep-link-return`,
+        accept_types: ['ltiResourceLink'],
+        accept_presentation_document_targets: ['iframe', 'window'],
+        accept_multiple: false,
+        data: randomUUID()
+      };
+    } else {
+      const resource = item ? { id: `resource-item-${hint.slice(5)}`, title: item.title } : SAMPLE_ASSIGNMENT;
+      claims[`${LTI_CLAIM}message_type`] = 'LtiResourceLinkRequest';
+      claims[`${LTI_CLAIM}resource_link`] = resource;
+      claims[`${LTI_CLAIM}custom`] = item?.custom ?? { grade_level: 'high', course_type: 'stem' };
+    }
+
+    res.send(autoPostForm(redirectUri, { id_token: signJwt(claims, key.privateKey, key.kid), state }));
+  });
+
+  app.post('/deep-link-return', async (req, res) => {
+    try {
+      const jwks = await (await fetch(`${toolUrl}/api/lti/jwks`)).json();
+      const response = verifyJwt(req.body.JWT, jwks);
+      if (response.iss !== CLIENT_ID || response.aud !== issuer) throw new Error('Response is not addressed to this platform');
+      if (response[`${LTI_CLAIM}message_type`] !== 'LtiDeepLinkingResponse') throw new Error('Not a deep linking response');
+      const created = response[`${DL_CLAIM}content_items`] || [];
+      items.push(...created);
+      res.send(`<!DOCTYPE html><html><body style="font-family: system-ui; margin: 40px">
+  <h1>Added ${created.length} link(s)</h1>
+  <ul>${created.map((i) => `<li>${escapeHtml(i.title)}</li>`).join('')}</ul>
+  <p><a href="/">Back to the course</a></p>
+</body></html>`);
+    } catch (error) {
+      res.status(400).send(`Deep linking response rejected: ${escapeHtml(error.message)}`);
+    }
+  });
+
+  return app;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.LTI_SIM_PORT) || 3003;
+  const app = createLtiSimulator({ issuer: `http://localhost:${port}`, toolUrl: process.env.LTI_SIM_TOOL_URL });
+  app.listen(port, () => {
+    console.log(`LTI platform simulator on http://localhost:${port}`);
+    console.log(`Start DIKE with LTI_PLATFORMS='${JSON.stringify([app.locals.registration])}' LTI_TOOL_URL=${process.env.LTI_SIM_TOOL_URL || 'http://localhost:3001'}`);
+  });
+}
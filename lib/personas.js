@@ -0,0 +1,122 @@
+/**
+ * @fileoverview DIKE AI Student Personas
+ *
+ * Student personas the teacher selected for an analysis. Teams define their
+ * own in the browser (rural students without broadband, military-connected
+ * students, students experiencing housing insecurity, ...) and the
+ * selected ones travel with the analyze request, so the model weighs the
+ * assignment against those students and tags each barrier with the personas
+ * it affects.
+ *
+ * PERSONA:
+ * - id: short identifier, letters, digits, `-` and `_`
+ * - name, description: who the student is
+ * - constraints: circumstances that limit how they can do the work
+ * - attributes: free-form facts as label/value pairs (e.g. "Internet":
+ *   "Phone hotspot only")
+ * - dimensions: equity dimensions the persona is most exposed to, used by
+ *   the browser to match barriers when the model did not tag them
+ * - weeklyHours: optional, hours a week the student can give this course,
+ *   compared with the workload estimate (lib/workload.js)
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError } from './errors.js';
+import { EQUITY_DIMENSIONS } from './schema.js';
+
+/** Limits that keep the persona block a small part of the prompt */
+export const MAX_PERSONAS = 8;
+const MAX_CONSTRAINTS = 12;
+const MAX_ATTRIBUTES = 12;
+const MAX_FIELD_LENGTH = 200;
+const HOURS_PER_WEEK = 168;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Trims a string field and checks its length.
+ *
+ * @param {*} value - Field value
+ * @param {string} path - Field path for the error message
+ * @param {boolean} [required=false] - Whether an empty value is an error
+ * @returns {string} Trimmed value
+ * @throws {AnalysisError} 400 when the value is not a string, missing or too long
+ */
+const text = (value, path, required = false) => {
+  if (value === undefined && !required) return '';
+  if (typeof value !== 'string') throw new AnalysisError(`${path} must be a string`, 400);
+  const trimmed = value.trim();
+  if (required && !trimmed) throw new AnalysisError(`Missing required field: ${path}`, 400);
+  if (trimmed.length > MAX_FIELD_LENGTH) throw new AnalysisError(`${path} must be at most ${MAX_FIELD_LENGTH} characters`, 400);
+  return trimmed;
+};
+
+/**
+ * Validates the personas of an analyze request.
+ *
+ * @param {*} personas - `personas` from the request body, may be undefined
+ * @returns {Array<{id: string, name: string, description: string, constraints: string[], attributes: Array<{label: string, value: string}>, dimensions: string[], weeklyHours?: number}>}
+ *   Validated personas, sorted by id so the cache key does not depend on selection order
+ * @throws {AnalysisError} 400 or 413 when malformed or too many
+ */
+export const validatePersonas = (personas) => {
+  if (personas === undefined || personas === null) return [];
+  if (!Array.isArray(personas)) throw new AnalysisError('personas must be an array', 400);
+  if (personas.length > MAX_PERSONAS) throw new AnalysisError(`At most ${MAX_PERSONAS} personas can be sent`, 413);
+
+  const seen = new Set();
+  return personas.map((persona, index) => {
+    const path = `personas[${index}]`;
+    if (!persona || typeof persona !== 'object') throw new AnalysisError(`${path} must be an object`, 400);
+    if (!ID_PATTERN.test(String(persona.id || ''))) throw new AnalysisError(`${path}.id must be 1-40 letters, digits, - or _`, 400);
+    if (seen.has(persona.id)) throw new AnalysisError(`Duplicate persona id: ${persona.id}`, 400);
+    seen.add(persona.id);
+
+    const { constraints = [], attributes = [], dimensions = [], weeklyHours } = persona;
+    if (!Array.isArray(constraints) || constraints.length > MAX_CONSTRAINTS) {
+      throw new AnalysisError(`${path}.constraints must be an array of at most ${MAX_CONSTRAINTS} strings`, 400);
+    }
+    if (!Array.isArray(attributes) || attributes.length > MAX_ATTRIBUTES) {
+      throw new AnalysisError(`${path}.attributes must be an array of at most ${MAX_ATTRIBUTES} entries`, 400);
+    }
+    if (!Array.isArray(dimensions) || dimensions.some((dimension) => !EQUITY_DIMENSIONS.includes(dimension))) {
+      throw new AnalysisError(`${path}.dimensions must only contain: ${EQUITY_DIMENSIONS.join(', ')}`, 400);
+    }
+    if (weeklyHours !== undefined && !(typeof weeklyHours === 'number' && weeklyHours >= 0 && weeklyHours <= HOURS_PER_WEEK)) {
+      throw new AnalysisError(`${path}.weeklyHours must be a number from 0 to ${HOURS_PER_WEEK}`, 400);
+    }
+
+    return {
+      id: persona.id,
+      name: text(persona.name, `${path}.name`, true),
+      description: text(persona.description, `${path}.description`),
+      constraints: constraints.map((constraint, i) => text(constraint, `${path}.constraints[${i}]`)).filter(Boolean),
+      attributes: attributes
+        .map((attribute, i) => ({
+          label: text(attribute?.label, `${path}.attributes[${i}].label`),
+          value: text(attribute?.value, `${path}.attributes[${i}].value`)
+        }))
+        .filter(({ label, value }) => label && value),
+      dimensions: [...new Set(dimensions)],
+      ...(weeklyHours !== undefined ? { weeklyHours } : {})
+    };
+  }).sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * Describes the personas for the analysis prompt.
+ *
+ * @param {Object[]} personas - Validated personas
+ * @returns {string} Markdown list, empty when there are none
+ */
+export const formatPersonasForPrompt = (personas) => personas.map((persona) => {
+  const details = [
+    persona.description,
+    ...persona.attributes.map(({ label, value }) => `${label}: ${value}`),
+    ...persona.constraints,
+    persona.weeklyHours !== undefined && `${persona.weeklyHours} hours a week for this course`
+  ].filter(Boolean);
+  return `- ${persona.id} (${persona.name})${details.length ? `: ${details.join('; ')}` : ''}`;
+}).join('\n');
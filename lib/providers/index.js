@@ -0,0 +1,96 @@
+/**
+ * @fileoverview DIKE AI LLM Provider Selection
+ *
+ * Every model call goes through a provider with two methods:
+ * `complete(messages, { temperature, maxTokens, task, signal })` returning
+ * the assistant text, and `stream(...)` with the same arguments yielding
+ * content deltas. The provider and model are chosen by environment config,
+ * never by editing code.
+ *
+ * CONFIGURATION:
+ * - LLM_PROVIDER: `openrouter` (default), `openai-compatible` or `mock`
+ * - LLM_MODEL: model identifier, defaults per provider
+ * - LLM_BASE_URL: base URL for `openai-compatible` (default Ollama, http://localhost:11434/v1)
+ * - LLM_API_KEY: bearer token for `openai-compatible`, optional for local servers
+ * - OPENROUTER_API_KEY: key for `openrouter`
+ * - LLM_TIMEOUT_MS: request timeout in milliseconds (default 60000)
+ * - MOCK_FIXTURES_DIR: fixture directory for `mock` (default lib/providers/fixtures)
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError } from '../errors.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+/** Default model per provider */
+export const DEFAULT_MODELS = {
+  openrouter: 'nvidia/nemotron-3-nano-30b-a3b:free',
+  'openai-compatible': 'llama3.1',
+  mock: 'mock-equity-analyst'
+};
+
+/**
+ * Reads the provider settings from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{provider: string, model: string, baseUrl: string, apiKey: string|undefined, timeoutMs: number, fixturesDir: string|undefined}}
+ */
+export const getProviderConfig = (env = process.env) => {
+  const provider = (env.LLM_PROVIDER || 'openrouter').toLowerCase();
+
+  return {
+    provider,
+    model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: provider === 'openrouter' ? env.OPENROUTER_API_KEY : env.LLM_API_KEY,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 60000,
+    fixturesDir: env.MOCK_FIXTURES_DIR
+  };
+};
+
+/**
+ * Creates the provider described by a config object.
+ *
+ * @param {Object} [config=getProviderConfig()] - Provider settings
+ * @returns {{name: string, model: string, complete: Function, stream: Function}} Provider
+ * @throws {AnalysisError} 500 when the provider is unknown or not configured
+ * @example
+ * const provider = getProvider();
+ * const content = await provider.complete(messages, { temperature: 0.7, maxTokens: 2000 });
+ */
+export const getProvider = (config = getProviderConfig()) => {
+  switch (config.provider) {
+    case 'openrouter':
+      if (!config.apiKey) {
+        throw new AnalysisError('API key not configured', 500);
+      }
+      return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        model: config.model,
+        apiKey: config.apiKey,
+        timeoutMs: config.timeoutMs,
+        headers: {
+          'HTTP-Referer': process.env.APP_URL || 'https://dike-equity-ai.onrender.com',
+          'X-Title': 'DIKE AI Educational Equity Analyzer'
+        }
+      });
+
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({
+        name: 'openai-compatible',
+        baseUrl: config.baseUrl,
+        model: config.model,
+        apiKey: config.apiKey,
+        timeoutMs: config.timeoutMs
+      });
+
+    case 'mock':
+      return createMockProvider({ model: config.model, ...(config.fixturesDir ? { fixturesDir: config.fixturesDir } : {}) });
+
+    default:
+      throw new AnalysisError(`Unknown LLM_PROVIDER "${config.provider}"`, 500);
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Mock Chat Provider
+ *
+ * Deterministic, offline provider backed by fixture files. Each request type
+ * (`task`) maps to `<fixturesDir>/<task>.json` or `<task>.txt`; JSON fixtures
+ * are returned as a JSON string, text fixtures verbatim. Lets the whole
+ * analyze pipeline run without network access or an API key. `stream`
+ * replays the same fixture in fixed-size chunks.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AnalysisError } from '../errors.js';
+
+/** Chunk size and delay used when replaying a fixture as a stream */
+const STREAM_CHUNK_SIZE = 24;
+const STREAM_CHUNK_DELAY_MS = 10;
+
+/** Fixtures shipped with the repo */
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Creates the fixture-backed mock provider.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.fixturesDir=DEFAULT_FIXTURES_DIR] - Directory holding fixture files
+ * @param {string} [config.model='mock-equity-analyst'] - Model name reported in responses
+ * @returns {{name: string, model: string, complete: Function, stream: Function}} Provider
+ */
+export const createMockProvider = ({ fixturesDir = DEFAULT_FIXTURES_DIR, model = 'mock-equity-analyst' } = {}) => {
+  /**
+   * Returns the fixture for the request's task. Messages are ignored so the
+   * same task always yields the same reply.
+   *
+   * @async
+   * @param {Array<{role: string, content: string}>} messages - Chat messages (unused)
+   * @param {Object} [options]
+   * @param {string} [options.task='analysis'] - Fixture name to load
+   * @returns {Promise<string>} Fixture content
+   * @throws {AnalysisError} 500 when no fixture exists for the task
+   */
+  const complete = async (messages, { task = 'analysis' } = {}) => {
+    try {
+      const json = await fs.readFile(path.join(fixturesDir, `${task}.json`), 'utf8');
+      return JSON.stringify(JSON.parse(json));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new AnalysisError(`Invalid mock fixture for task "${task}"`, 500, error.message);
+      }
+    }
+
+    try {
+      return await fs.readFile(path.join(fixturesDir, `${task}.txt`), 'utf8');
+    } catch {
+      throw new AnalysisError(`No mock fixture for task "${task}"`, 500, fixturesDir);
+    }
+  };
+
+  /**
+   * Replays the task's fixture in fixed-size chunks.
+   *
+   * @async
+   * @generator
+   * @param {Array<{role: string, content: string}>} messages - Chat messages (unused)
+   * @param {Object} [options] - Same as complete, plus an optional abort signal
+   * @yields {string} Fixture chunk
+   */
+  const stream = async function* (messages, options = {}) {
+    const content = await complete(messages, options);
+    for (let index = 0; index < content.length; index += STREAM_CHUNK_SIZE) {
+      options.signal?.throwIfAborted();
+      await new Promise((resolve) => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+      yield content.slice(index, index + STREAM_CHUNK_SIZE);
+    }
+  };
+
+  return { name: 'mock', model, complete, stream };
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview OpenAI-Compatible Chat Provider
+ *
+ * Talks to any server implementing the OpenAI `/chat/completions` API:
+ * OpenRouter, Ollama, vLLM, llama.cpp server and similar campus-hosted
+ * deployments. Only the base URL, key and extra headers differ between them.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, RateLimitError } from '../errors.js';
+
+/** Wait suggested to clients when an upstream 429 carries no reset hint */
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Reads how long to wait after an upstream 429. Understands `Retry-After`
+ * (seconds or HTTP date) and OpenRouter's `X-RateLimit-Reset` (epoch ms).
+ *
+ * @param {Headers} headers - Upstream response headers
+ * @returns {number} Whole seconds, at least 1
+ */
+const parseRetryAfter = (headers) => {
+  const retryAfter = headers.get('retry-after');
+  const reset = Number(headers.get('x-ratelimit-reset'));
+
+  let seconds = DEFAULT_RETRY_AFTER_SECONDS;
+  if (retryAfter && Number.isFinite(Number(retryAfter))) {
+    seconds = Number(retryAfter);
+  } else if (retryAfter && !Number.isNaN(Date.parse(retryAfter))) {
+    seconds = (Date.parse(retryAfter) - Date.now()) / 1000;
+  } else if (reset > 0) {
+    seconds = (reset - Date.now()) / 1000;
+  }
+
+  return Math.max(1, Math.ceil(seconds));
+};
+
+/**
+ * Creates a provider for an OpenAI-compatible endpoint.
+ *
+ * @param {Object} config
+ * @param {string} config.name - Provider name reported in responses
+ * @param {string} config.baseUrl - Base URL up to and including the API version, e.g. http://localhost:11434/v1
+ * @param {string} config.model - Model identifier sent with every request
+ * @param {string} [config.apiKey] - Bearer token, omitted when empty
+ * @param {Object} [config.headers] - Extra request headers
+ * @param {number} [config.timeoutMs=60000] - Time allowed until the response headers arrive
+ * @returns {{name: string, model: string, complete: Function, stream: Function}} Provider
+ */
+export const createOpenAICompatibleProvider = ({ name, baseUrl, model, apiKey, headers = {}, timeoutMs = 60000 }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  /**
+   * Posts a chat completion request and checks the status. The timeout only
+   * covers the wait for response headers, so long streams are not cut off.
+   *
+   * @async
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - Sampling options and optional abort signal
+   * @param {boolean} stream - Whether to request server-sent deltas
+   * @returns {Promise<Response>} Successful fetch response
+   * @throws {AnalysisError} When the request fails, times out or returns an error status;
+   *   a RateLimitError for upstream 429s
+   */
+  const post = async (messages, options, stream) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new DOMException('Timed out', 'TimeoutError')), timeoutMs);
+    const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          ...headers
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature: options.temperature,
+          max_tokens: options.maxTokens,
+          ...(stream ? { stream: true } : {})
+        }),
+        signal
+      });
+    } catch (fetchError) {
+      if (options.signal?.aborted) throw fetchError;
+      const timedOut = controller.signal.aborted;
+      throw new AnalysisError(
+        timedOut ? 'AI service timed out' : 'Failed to connect to AI service',
+        timedOut ? 504 : 502,
+        fetchError.message
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      if (response.status === 429) {
+        throw new RateLimitError('The AI service is rate limited, please retry later', parseRetryAfter(response.headers), errorData);
+      }
+      throw new AnalysisError(
+        errorData.error?.message || `API Error: ${response.status}`,
+        response.status,
+        errorData
+      );
+    }
+
+    return response;
+  };
+
+  /**
+   * Sends chat messages and returns the assistant content.
+   *
+   * @async
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options]
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {number} [options.maxTokens] - Completion token limit
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>} Raw assistant message content
+   * @throws {AnalysisError} When the request fails or the reply has no content
+   */
+  const complete = async (messages, options = {}) => {
+    const response = await post(messages, options, false);
+
+    const data = await response.json().catch(() => null);
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new AnalysisError('Invalid API response structure', 502, 'Missing message content');
+    }
+
+    return content;
+  };
+
+  /**
+   * Sends chat messages with `stream: true` and yields content deltas as
+   * they arrive.
+   *
+   * @async
+   * @generator
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Same as complete
+   * @yields {string} Content delta
+   * @throws {AnalysisError} When the request fails
+   */
+  const stream = async function* (messages, options = {}) {
+    const response = await post(messages, options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line.startsWith('data:')) continue;
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        try {
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        } catch {
+          // Keep-alive comments and partial payloads are skipped
+        }
+      }
+    }
+  };
+
+  return { name, model, complete, stream };
+};
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview DIKE AI Rate Limits
+ *
+ * Per-route quotas for the Express server, built on express-rate-limit.
+ * Every route that calls the model, parses documents or calls Canvas with
+ * the teacher's token has its own budget, so a burst of chat messages
+ * cannot use up the analysis quota. The `batch` quota counts assignments,
+ * not requests: a batch or course report is charged once per assignment it
+ * holds (see perItem), so one request cannot buy many model calls.
+ * Requests are counted per client IP, or per API token when the request
+ * carries a token listed in the config; tokens can have their own, larger
+ * quotas.
+ *
+ * Exceeded quotas answer 429 with `Retry-After`, the same shape the adapters
+ * use when the upstream provider itself returns 429.
+ *
+ * CONFIGURATION:
+ * Limits can be overridden with the RATE_LIMITS environment variable, a JSON
+ * object merged over DEFAULT_RATE_LIMITS, e.g.
+ * RATE_LIMITS='{"routes":{"analyze":20},"tokens":{"cs101-team":{"analyze":100}}}'
+ * A limit of 0 disables limiting, for a route or for one token on a route;
+ * a token with its own limit is limited even when the route's default is 0.
+ * Tokens are sent as
+ * `Authorization: Bearer <token>` or `X-API-Key: <token>`.
+ *
+ * The counters live in memory, so they apply to the long-running server
+ * (Render). Serverless deploys rely on the platform's limits and on the
+ * upstream 429 mapping.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { rateLimit, MemoryStore } from 'express-rate-limit';
+import { RateLimitError, describeError } from './errors.js';
+
+/**
+ * Default quotas: requests per client per window, by route; assignments
+ * for `batch`, one full batch (MAX_BATCH_SIZE in lib/batch.js) per window
+ * @type {{windowMs: number, routes: {analyze: number, batch: number, chat: number, alternatives: number, revisions: number, rubric: number, walkthrough: number, extract: number, canvas: number}, tokens: Object}}
+ */
+export const DEFAULT_RATE_LIMITS = {
+  windowMs: 60 * 1000,
+  routes: { analyze: 5, batch: 50, chat: 20, alternatives: 5, revisions: 5, rubric: 5, walkthrough: 5, extract: 20, canvas: 30 },
+  tokens: {}
+};
+
+/**
+ * Resolves the limits: defaults, then RATE_LIMITS. Invalid JSON in the
+ * environment is logged and ignored.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{windowMs: number, routes: Object, tokens: Object}} Resolved limits
+ */
+export const getRateLimitConfig = (env = process.env) => {
+  let fromEnv = {};
+  if (env.RATE_LIMITS) {
+    try {
+      fromEnv = JSON.parse(env.RATE_LIMITS);
+    } catch (error) {
+      console.error('Ignoring invalid RATE_LIMITS:', error.message);
+    }
+  }
+
+  return {
+    windowMs: fromEnv.windowMs ?? DEFAULT_RATE_LIMITS.windowMs,
+    routes: { ...DEFAULT_RATE_LIMITS.routes, ...fromEnv.routes },
+    tokens: { ...DEFAULT_RATE_LIMITS.tokens, ...fromEnv.tokens }
+  };
+};
+
+/**
+ * Reads the API token from the request headers.
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} Token, or null when none was sent
+ */
+const readApiToken = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim() || null;
+  return req.get('X-API-Key')?.trim() || null;
+};
+
+/**
+ * Creates the limiter for one route.
+ *
+ * @param {string} route - Route name in `config.routes`
+ * @param {Object} config - Limits from getRateLimitConfig
+ * @returns {Function} Express middleware, with `perItem(count)` returning
+ *   middleware that charges `count(req.body)` instead of 1
+ */
+const createRouteLimiter = (route, config) => {
+  const store = new MemoryStore();
+
+  // Unknown tokens are counted by IP like anonymous requests
+  const knownToken = (req) => {
+    const token = readApiToken(req);
+    return token && Object.hasOwn(config.tokens, token) ? token : null;
+  };
+
+  const limitFor = (req) => {
+    const token = knownToken(req);
+    return (token && config.tokens[token][route]) ?? config.routes[route];
+  };
+
+  const keyFor = (req) => {
+    const token = knownToken(req);
+    return token ? `token:${token}` : `ip:${req.ip}`;
+  };
+
+  const reject = (res, message, resetTime) => {
+    const retryAfter = Math.max(1, Math.ceil((resetTime - Date.now()) / 1000));
+    const { statusCode, headers, body } = describeError(
+      new RateLimitError(`${message}, please retry in ${retryAfter} seconds`, retryAfter),
+      `Client ${route}`
+    );
+    res.set(headers).status(statusCode).json(body);
+  };
+
+  const limiter = rateLimit({
+    windowMs: config.windowMs,
+    limit: limitFor,
+    keyGenerator: keyFor,
+    store,
+    skip: (req) => !limitFor(req),
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res) => reject(res, `Too many ${route} requests`, req.rateLimit.resetTime)
+  });
+
+  /**
+   * Charges the rest of a weighted request after the limiter has counted
+   * its first unit. Over the limit, every unit is taken back, so a smaller
+   * request can still use what is left, and the request is refused with 429.
+   *
+   * @param {Function} count - `(body) => number` units the request costs, at least 1
+   * @returns {Function[]} The limiter followed by the charging middleware
+   */
+  limiter.perItem = (count) => [limiter, async (req, res, next) => {
+    if (!req.rateLimit) return next(); // Skipped, no limit for this client
+    const extra = Math.max(1, count(req.body)) - 1;
+    const key = keyFor(req);
+    let hits = { totalHits: req.rateLimit.used, resetTime: req.rateLimit.resetTime };
+    for (let i = 0; i < extra; i++) hits = await store.increment(key);
+    if (hits.totalHits <= req.rateLimit.limit) return next();
+
+    for (let i = 0; i <= extra; i++) await store.decrement(key);
+    reject(res, `This request needs ${extra + 1} of the ${req.rateLimit.limit} ${route} units allowed per window, ${req.rateLimit.remaining + 1} left`, hits.resetTime);
+  }];
+
+  return limiter;
+};
+
+/**
+ * Creates one limiter per model-backed route. Streaming and buffered
+ * variants of a route should share the same limiter; batch routes use
+ * `limiters.batch.perItem(count)` so every assignment is charged.
+ *
+ * @param {Object} [config=getRateLimitConfig()] - Limits
+ * @returns {{analyze: Function, batch: Function, chat: Function, alternatives: Function, revisions: Function, rubric: Function, walkthrough: Function, extract: Function, canvas: Function}} Express middleware by route
+ * @example
+ * const limiters = createRateLimiters();
+ * app.post('/api/analyze', limiters.analyze, analyzeHandler);
+ * app.post('/api/analyze/batch', limiters.batch.perItem(countBatchItems), analyzeBatchHandler);
+ */
+export const createRateLimiters = (config = getRateLimitConfig()) =>
+  Object.fromEntries(Object.keys(config.routes).map((route) => [route, createRouteLimiter(route, config)]));
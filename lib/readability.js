@@ -0,0 +1,532 @@
+/**
+ * @fileoverview DIKE AI Readability Measures
+ *
+ * Measures how hard the assignment text is to read, without the model:
+ * Flesch-Kincaid grade, sentence length, passive voice, rare vocabulary,
+ * idioms, undefined acronyms and jargon. The measures are compared with the
+ * request's grade level and every finding over its limit becomes a
+ * Cultural & Linguistic barrier marked `measured`, whose spans are the
+ * sentences that caused it. Like the workload estimate it is computed for
+ * every response rather than cached with the model's answer.
+ *
+ * METHOD:
+ * - Sentences end at . ! ? followed by a space, and at line breaks. A period
+ *   after a title ("Dr.") never ends one; after an abbreviation ("p.m.",
+ *   "approx.") it does only before a capital. An abbreviation that really
+ *   ends a sentence before a lowercase word or a number is read as part of
+ *   the next one
+ * - Syllables are vowel groups without a silent final e, corrected for the
+ *   common cases where two vowels are two syllables ("cre-ate", "vi-de-o").
+ *   The count can still be one off for rarer words ("treated"); over a text
+ *   the errors are small next to the grade limits
+ * - Flesch-Kincaid grade = 0.39 * words per sentence + 11.8 * syllables per
+ *   word - 15.59; texts under MIN_WORDS are too short to grade
+ * - Passive voice: a form of "be" followed by a past participle
+ * - Rare words: three or more syllables and not in COMMON_LONG_WORDS
+ * - Acronyms count as defined when the text spells them out, "(LMS)" or
+ *   "LMS (learning management system)"; jargon when the sentence explains
+ *   it, "(...)", "which means" or "refers to"
+ *
+ * SCORING:
+ * A measured finding the model already reported (a Cultural & Linguistic
+ * barrier about the same thing, e.g. "jargon" for the vocabulary measure)
+ * is merged into the model's barrier, which keeps its severity, so it is
+ * not penalised twice. The others are added and go through
+ * computeEquityScore with the analysis' weights, so the score and its
+ * breakdown always match the barrier list.
+ *
+ * SIZE:
+ * Results are kept in chat context and saved analyses, so they carry
+ * counts and term lists rather than the flagged sentences, and span
+ * excerpts are cut at MAX_EXCERPT_LENGTH.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { computeEquityScore } from './scoring.js';
+import { MAX_SPANS_PER_BARRIER } from './annotate.js';
+
+/** Texts shorter than this get measures but no reading-level barrier */
+const MIN_WORDS = 40;
+
+/** Longest sentence excerpt kept in a span */
+const MAX_EXCERPT_LENGTH = 200;
+
+/** Most rare words kept in the stored measures */
+const MAX_RARE_WORDS = 20;
+
+/**
+ * Limits by grade level: the highest Flesch-Kincaid grade, the longest
+ * sentence in words and the share of rare words a student at the level can
+ * be expected to read comfortably.
+ * @type {Object<string, {maxGrade: number, maxSentenceWords: number, maxRareShare: number}>}
+ */
+export const READABILITY_LIMITS = {
+  elementary: { maxGrade: 5, maxSentenceWords: 15, maxRareShare: 0.05 },
+  middle: { maxGrade: 8, maxSentenceWords: 20, maxRareShare: 0.08 },
+  high: { maxGrade: 12, maxSentenceWords: 25, maxRareShare: 0.1 },
+  college: { maxGrade: 14, maxSentenceWords: 30, maxRareShare: 0.12 },
+  graduate: { maxGrade: 16, maxSentenceWords: 35, maxRareShare: 0.15 },
+  adult: { maxGrade: 8, maxSentenceWords: 20, maxRareShare: 0.08 }
+};
+
+/**
+ * Long words every assignment uses, never counted as rare, plus two-syllable
+ * verbs whose -ed forms have three ("expected", "submitted")
+ */
+const COMMON_LONG_WORDS = new Set(`
+  according already animal anybody attach attend collect compare connect correct create decide direct edit
+  expect explain include invite limit prepare present record reflect report require select several submit suggest visit
+  ability academic activity actually additional adequate another anything anyone application apply approximately
+  area assessment assignment assistance attendance available average beautiful begin beginning below
+  calendar camera carefully category celebrate certainly chapter classmate classroom collaborate collaboration
+  communicate communication community company complete completely computer condition consider continue conversation
+  correctly creative creativity criteria curriculum deadline decision definitely demonstrate describe description
+  develop development different difficult difficulty digital directions discussion document during educate education
+  effective electronic eligible elementary energy especially essential evaluate evaluation event every everybody
+  everyone everything evidence example excellent exercise experience experiment explanation family favorite final
+  following formatting general generally government graduate grammar history holiday however idea imagine
+  immediately important including independent individual information instruction instructor interest interested
+  interesting interview introduction invitation journal language library literature material mathematics media
+  memory minimum minute necessary negative neighborhood notebook numerous objective observation official online
+  opinion opportunity organization organize original paragraph participate participation particular perhaps period
+  personal photograph physical policy political popular portfolio positive possible presentation previous principal
+  probably problem process professor project property provide question radio reality really recommend reflection
+  regular relationship remember requirement research resources responsible result reviewer science semester similar
+  situation society specific student studio submission summary support syllabus technology telephone television
+  together tomorrow understand university usually various video vocabulary websites whatever whenever yesterday
+`.trim().split(/\s+/));
+
+/** Idioms and figurative phrases a newcomer to English may read literally */
+const IDIOMS = [
+  'piece of cake', 'hit the books', 'break a leg', 'ballpark', 'on the same page', 'touch base', 'think outside the box',
+  'hit the ground running', 'go the extra mile', 'in a nutshell', 'bottom line', 'cut corners', 'call it a day',
+  'get the ball rolling', 'rule of thumb', 'bite the bullet', 'beat around the bush', 'by the book', 'up to speed',
+  'ahead of the curve', 'low-hanging fruit', 'food for thought', 'back to square one', 'from scratch', 'learn the ropes',
+  'ball is in your court', 'on the fence', 'jump the gun', 'cut to the chase', 'hit the nail on the head', 'a dime a dozen',
+  'burn the midnight oil', 'drop the ball', 'raise the bar', 'step up to the plate', 'out of the park', 'slam dunk',
+  'game changer', 'whole nine yards', 'across the board', 'at the drop of a hat', 'take a stab at', 'give it a shot',
+  'bring to the table', 'no-brainer', 'tip of the iceberg', 'put pen to paper', 'deep dive', 'circle back',
+  'under the weather', 'in hot water', 'spill the beans', 'get cold feet', 'wrap your head around', 'nail down',
+  'flesh out', 'pull (?:your|their|his|her|our|my) (?:own )?weight', 'pick (?:\\w+\'s )?brains?', 'on the ball',
+  'sink or swim', 'hands are tied', 'the big picture', 'red tape', 'up in the air', 'get the hang of'
+];
+
+/**
+ * Academic jargon a student may not have been taught, with a plain
+ * alternative for the suggestion.
+ * @type {Object<string, string>}
+ */
+const JARGON = {
+  'annotated bibliography': 'a list of sources with a short note on each',
+  'literature review': 'a summary of what other researchers found',
+  'peer-reviewed': 'checked by other experts before publishing',
+  'scholarly source': 'an article or book written by experts',
+  'primary source': 'an original document, like a letter or data',
+  'secondary source': 'a source that explains or discusses a primary source',
+  'thesis statement': 'the main claim of the paper in one sentence',
+  'in-text citation': 'the author and page in parentheses after a quote',
+  'works cited': 'the list of sources at the end',
+  'MLA': 'the MLA citation style, with a link to an example',
+  'APA': 'the APA citation style, with a link to an example',
+  'synthesize': 'combine ideas from several sources',
+  'critically analyze': 'explain what works, what does not and why',
+  'rhetorical analysis': 'an explanation of how the author persuades',
+  'close reading': 'a careful, line-by-line reading',
+  'juxtapose': 'compare side by side',
+  'paradigm': 'model or way of thinking',
+  'discourse': 'discussion or way of talking about a topic',
+  'praxis': 'putting ideas into practice',
+  'pedagogy': 'teaching methods',
+  'epistemology': 'how we know what we know',
+  'hegemony': 'dominance of one group',
+  'intersectionality': 'how identities like race and gender overlap',
+  'operationalize': 'define in a way that can be measured',
+  'theoretical framework': 'the theory the work is based on',
+  'metacognition': 'thinking about your own thinking',
+  'deliverable': 'what to hand in',
+  'asynchronous': 'on your own schedule',
+  'synchronous': 'at the same time as the class'
+};
+
+/** Capitalized words that are not acronyms to define */
+const KNOWN_ACRONYMS = new Set(['AM', 'PM', 'US', 'USA', 'UK', 'TV', 'PDF', 'OK', 'ID', 'URL', 'FAQ', 'DIY', 'ASAP', 'RSVP', 'MLA', 'APA']);
+const SHOUTED_WORDS = new Set(['DUE', 'NOT', 'NO', 'ALL', 'MUST', 'ONLY', 'DO', 'NOTE', 'LATE', 'EACH', 'ONE', 'TWO', 'AND', 'OR', 'THE', 'BY', 'IS', 'ARE', 'BE', 'WILL', 'NEVER', 'ALWAYS', 'NEW', 'FREE']);
+
+/** Past participles that do not end in -ed */
+const IRREGULAR_PARTICIPLES = 'written|given|taken|done|made|seen|known|shown|found|told|sent|held|kept|left|paid|put|read|set|built|chosen|drawn|driven|forgotten|hidden|spoken|thrown|bought|brought|caught|taught|thought|sold|understood|lost|won|begun|graded|expected';
+const PASSIVE = new RegExp(`\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES})\\b`, 'i');
+/** Adjectives that look like participles ("is interested") */
+const NOT_PASSIVE = /\b(?:am|is|are|was|were|be|been|being)\s+(?:interested|excited|tired|bored|worried|scared|concerned|married|supposed|used|pleased|surprised|confused|prepared|allowed)\b/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const WORD = /[A-Za-z][A-Za-z'’-]*/g;
+
+/**
+ * Spellings that are one vowel group but two syllables ("ta-ble", "me-di-a",
+ * "cre-ate", "qui-et", "be-ing"), each matched once per word
+ */
+const EXTRA_SYLLABLES = [
+  /[^aeiouyl]le[sd]?$/, /[^cts]ia/, /iu/, /io(?![nu])/, /[^cgtsx]iou/, /eo(?![pu])/, /[^gq]ua[^auieo]/, /eas?$/,
+  /ea(?=t(?:es?|ions?|ive|ors?)$)/, /crea(?=t(?:ed|ing)$)/, /[^tc]ie(?=nc|nts?$|t)/, /^scie/, /oe(?=[mt])/,
+  /[aeiouy]ing/, /eum/, /[^aeiouy]ism$/
+];
+
+/** Silent e's the ending rule misses ("complete-ly", "require-ment", "care-ful") */
+const SILENT_SYLLABLES = [/[^aeiou]ely$/, /[^aeioul]ements?$/, /[^aeiou]eful/];
+
+/**
+ * Counts the syllables of a word: vowel groups without a silent ending,
+ * corrected with EXTRA_SYLLABLES and SILENT_SYLLABLES.
+ *
+ * @param {string} word - One word
+ * @returns {number} At least 1
+ * @example
+ * countSyllables('create'); // => 2
+ * countSyllables('completely'); // => 3
+ */
+export const countSyllables = (word) => {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (w.length <= 3) return 1;
+  // Silent endings: "make", "walked", "files", but not "pages", "classes" or "created"
+  const trimmed = w.replace(/(?:[^aeiouyszxhcg]es|[^aeiouytd]ed|[^aeiouy]e)$/, (end) => end[0]).replace(/^y/, '');
+  const groups = (trimmed.match(/[aeiouy]+/g) || []).length;
+  const corrections = EXTRA_SYLLABLES.filter((pattern) => pattern.test(w)).length
+    - SILENT_SYLLABLES.filter((pattern) => pattern.test(w)).length;
+  return Math.max(1, groups + corrections);
+};
+
+/** Titles before a name; their period never ends a sentence */
+const TITLE = /\b(?:Dr|Mr|Mrs|Ms|Prof|St)\.$/;
+/** Single letters, dotted forms ("e.g.", "p.m.") and short forms ending in a period */
+const ABBREVIATION = /(?:^|[\s(])(?:[a-z]\.)+$|\b(?:etc|vs|approx|no|pp|ch|fig|hrs?|mins?|max|wk)\.$/i;
+
+/**
+ * Splits text into sentences with their offsets.
+ *
+ * @param {string} text - Assignment text
+ * @returns {Array<{start: number, end: number, text: string, words: string[]}>} Sentences with at least one word
+ */
+export const splitSentences = (text) => {
+  const sentences = [];
+  const boundary = /[.!?]+["'”’)]*(?=\s)|\n+/g;
+  let start = 0;
+
+  const push = (end) => {
+    const raw = text.slice(start, end);
+    const offset = start + raw.length - raw.trimStart().length;
+    const sentence = raw.trim();
+    const words = sentence.match(WORD) || [];
+    if (words.length) sentences.push({ start: offset, end: offset + sentence.length, text: sentence, words });
+  };
+
+  for (const m of text.matchAll(boundary)) {
+    if (m[0] === '.') {
+      const word = text.slice(Math.max(start, m.index - 12), m.index + 1);
+      const next = text.slice(m.index + 1, m.index + 40).trimStart();
+      if (TITLE.test(word) || (ABBREVIATION.test(word) && /^[a-z0-9]/.test(next))) continue;
+    }
+    push(m.index + (m[0].startsWith('\n') ? 0 : m[0].length));
+    start = m.index + m[0].length;
+  }
+  push(text.length);
+  return sentences;
+};
+
+const fleschKincaid = (words, sentences, syllables) => 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/** Forms a word may take in COMMON_LONG_WORDS: "evaluated" is "evaluate" */
+const toBaseForms = (word) => {
+  const w = word.toLowerCase().replace(/['’]s$/, '');
+  return [w, w.replace(/s$/, ''), w.replace(/es$/, ''), w.replace(/d$/, ''), w.replace(/ed$/, ''), w.replace(/ing$/, ''), w.replace(/ing$/, 'e'), w.replace(/ly$/, '')];
+};
+
+/** Capitalized words inside a sentence are names and titles, not vocabulary */
+const isRare = (word, index) => !(index > 0 && /^[A-Z]/.test(word))
+  && countSyllables(word) >= 3
+  && !toBaseForms(word).some((form) => COMMON_LONG_WORDS.has(form));
+
+/**
+ * Finds the acronyms the text uses without spelling them out.
+ *
+ * @param {string} text - Assignment text
+ * @param {Object[]} sentences - Output of splitSentences
+ * @returns {Array<{term: string, sentence: Object}>} First use of each undefined acronym
+ */
+const findUndefinedAcronyms = (text, sentences) => {
+  const found = new Map();
+  sentences.forEach((sentence) => {
+    const tokens = sentence.text.split(/\s+/);
+    tokens.forEach((token, i) => {
+      const acronym = token.replace(/^[^A-Z]+|[^A-Za-z0-9]+$/g, '').replace(/s$/, '');
+      if (!/^[A-Z][A-Z0-9&]{1,5}$/.test(acronym) || !/[A-Z].*[A-Z]/.test(acronym)) return;
+      if (KNOWN_ACRONYMS.has(acronym) || SHOUTED_WORDS.has(acronym) || /^[IVXLC]+$/.test(acronym) || found.has(acronym)) return;
+      // Headings in capitals are not acronyms
+      const isCaps = (t) => t && /^[^a-z]*[A-Z]{2,}[^a-z]*$/.test(t);
+      if (isCaps(tokens[i - 1]) || isCaps(tokens[i + 1])) return;
+      const a = escapeRegExp(acronym);
+      const defined = new RegExp(`\\(${a}s?\\)|\\b${a}s?\\s*\\([a-z]|\\b${a}\\s+(?:stands for|means)`, 'i').test(text);
+      if (!defined) found.set(acronym, { term: acronym, sentence });
+    });
+  });
+  return [...found.values()];
+};
+
+/**
+ * Finds jargon that is used without an explanation.
+ *
+ * @param {Object[]} sentences - Output of splitSentences
+ * @returns {Array<{term: string, plain: string, sentence: Object}>} First unexplained use of each term
+ */
+const findJargon = (sentences) => Object.entries(JARGON).flatMap(([term, plain]) => {
+  const pattern = new RegExp(`\\b${escapeRegExp(term)}(?:s|d|es|ing|ed)?\\b`, term === term.toUpperCase() ? '' : 'i');
+  const uses = sentences.filter((sentence) => pattern.test(sentence.text));
+  if (!uses.length) return [];
+  const explained = uses.some((sentence) => new RegExp(`${pattern.source}\\s*(?:\\(|[,:—-]\\s*(?:which|meaning|i\\.e\\.|that is)|\\s+(?:means|refers to|is defined as))`, pattern.flags).test(sentence.text));
+  return explained ? [] : [{ term, plain, sentence: uses[0] }];
+});
+
+/**
+ * Finds idioms.
+ *
+ * @param {Object[]} sentences - Output of splitSentences
+ * @returns {Array<{term: string, sentence: Object}>} Every idiom use
+ */
+const findIdioms = (sentences) => sentences.flatMap((sentence) => IDIOMS
+  .map((idiom) => sentence.text.match(new RegExp(`\\b${idiom}\\b`, 'i')))
+  .filter(Boolean)
+  .map((m) => ({ term: m[0], sentence })));
+
+/**
+ * Measures the readability of an assignment.
+ *
+ * @param {string} text - Assignment text
+ * @param {Object} [context]
+ * @param {string} [context.gradeLevel='college'] - One of READABILITY_LIMITS' keys, unknown levels use college
+ * @returns {{words: number, sentences: number, fleschKincaidGrade: number|null, maxGrade: number, averageSentenceWords: number, maxSentenceWords: number, longSentences: Object[], passiveSentences: Object[], rareWords: string[], rareShare: number, maxRareShare: number, idioms: Object[], acronyms: Object[], jargon: Object[]}}
+ *   Flagged sentences are `{start, end, text}`; `fleschKincaidGrade` is null under MIN_WORDS
+ * @example
+ * measureReadability('Students are expected to synthesize the literature. Touch base with your group.', { gradeLevel: 'high' });
+ * // => { fleschKincaidGrade: null, passiveSentences: [1 sentence], idioms: [{ term: 'Touch base', ... }], jargon: [{ term: 'synthesize', ... }], ... }
+ */
+export const measureReadability = (text, { gradeLevel = 'college' } = {}) => {
+  const limits = READABILITY_LIMITS[gradeLevel] || READABILITY_LIMITS.college;
+  const sentences = splitSentences(text);
+  const words = sentences.flatMap((sentence) => sentence.words);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const rare = sentences.flatMap((sentence) => sentence.words.filter((word, i) => isRare(word, i)));
+  const toFlag = ({ start, end, text: sentenceText }, note) => ({ start, end, text: sentenceText, note });
+
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    fleschKincaidGrade: words.length >= MIN_WORDS ? round1(fleschKincaid(words.length, sentences.length, syllables)) : null,
+    maxGrade: limits.maxGrade,
+    averageSentenceWords: sentences.length ? round1(words.length / sentences.length) : 0,
+    maxSentenceWords: limits.maxSentenceWords,
+    longSentences: sentences
+      .filter((sentence) => sentence.words.length > limits.maxSentenceWords)
+      .sort((a, b) => b.words.length - a.words.length)
+      .map((sentence) => toFlag(sentence, `${sentence.words.length} words`)),
+    passiveSentences: sentences
+      .filter((sentence) => PASSIVE.test(sentence.text) && !NOT_PASSIVE.test(sentence.text))
+      .map((sentence) => toFlag(sentence, `Passive: "${sentence.text.match(PASSIVE)[0]}"`)),
+    rareWords: [...new Set(rare.map((word) => word.toLowerCase()))],
+    rareShare: words.length ? Math.round((rare.length / words.length) * 1000) / 1000 : 0,
+    maxRareShare: limits.maxRareShare,
+    idioms: findIdioms(sentences).map(({ term, sentence }) => ({ term, ...toFlag(sentence, `Idiom: "${term}"`) })),
+    acronyms: findUndefinedAcronyms(text, sentences).map(({ term, sentence }) => ({ term, ...toFlag(sentence, `Undefined acronym: ${term}`) })),
+    jargon: findJargon(sentences).map(({ term, plain, sentence }) => ({ term, plain, ...toFlag(sentence, `Jargon: "${term}"`) }))
+  };
+};
+
+/**
+ * The start of a sentence, cut at a word within MAX_EXCERPT_LENGTH.
+ *
+ * @param {{start: number, text: string, note: string}} span - Flagged sentence
+ * @returns {{start: number, end: number, text: string, note: string, truncated?: boolean}} Span over the excerpt
+ */
+const toExcerpt = ({ start, text, note }) => {
+  if (text.length <= MAX_EXCERPT_LENGTH) return { start, end: start + text.length, text, note };
+  const excerpt = text.slice(0, MAX_EXCERPT_LENGTH).replace(/\s+\S*$/, '');
+  return { start, end: start + excerpt.length, text: excerpt, note, truncated: true };
+};
+
+/**
+ * One span per flagged sentence, notes of the same sentence joined, the
+ * first MAX_SPANS_PER_BARRIER sentences in text order.
+ *
+ * @param {Array<{start: number, end: number, text: string, note: string}>} flags - Flagged sentences, most important first
+ * @returns {Array<{start: number, end: number, text: string, note: string, truncated?: boolean}>} Barrier spans
+ */
+const toSpans = (flags) => {
+  const bySentence = new Map();
+  flags.forEach(({ start, text, note }) => {
+    const span = bySentence.get(start);
+    if (span) span.note += `; ${note}`;
+    else bySentence.set(start, { start, text, note });
+  });
+  return [...bySentence.values()].slice(0, MAX_SPANS_PER_BARRIER).sort((a, b) => a.start - b.start).map(toExcerpt);
+};
+
+const listTerms = (items) => items.map(({ term }) => `"${term}"`).join(', ');
+
+/**
+ * Turns measures over their limits into barriers.
+ *
+ * @param {Object} readability - Output of measureReadability
+ * @param {string} gradeLevel - Grade level the limits came from
+ * @returns {Object[]} Cultural & Linguistic barriers with `measured: true`, the `measure` they
+ *   come from ('reading-level', 'passive-voice', 'idioms' or 'vocabulary') and sentence `spans`
+ */
+export const toReadabilityBarriers = (readability, gradeLevel) => {
+  const { fleschKincaidGrade: grade, maxGrade, longSentences, passiveSentences, sentences, idioms, acronyms, jargon, rareWords, rareShare, maxRareShare } = readability;
+  const barrier = (measure, severity, fields, flags) => ({ category: 'Cultural & Linguistic', severity, ...fields, measured: true, measure, spans: toSpans(flags) });
+  const barriers = [];
+
+  if (grade !== null && grade > maxGrade) {
+    const over = grade - maxGrade;
+    barriers.push(barrier('reading-level', over >= 4 ? 'High' : over >= 2 ? 'Medium' : 'Low', {
+      issue: `The instructions read at a grade ${grade} level (Flesch-Kincaid), above the grade ${maxGrade} expected for ${gradeLevel} students${longSentences.length ? `, with ${longSentences.length} ${longSentences.length === 1 ? 'sentence' : 'sentences'} over ${readability.maxSentenceWords} words` : ''}.`,
+      impact: 'English learners and students with reading disabilities spend their time decoding the instructions instead of doing the work, and may miss requirements.',
+      suggestions: [
+        `Split sentences longer than ${readability.maxSentenceWords} words and put one step in each.`,
+        'Use a numbered list for the steps and the requirements.',
+        'Replace long words with everyday ones where the meaning stays the same.'
+      ],
+      researchBasis: 'readability linguistic simplification English learners'
+    }, longSentences));
+  }
+
+  if (passiveSentences.length >= 2 && passiveSentences.length / sentences >= 0.2) {
+    barriers.push(barrier('passive-voice', passiveSentences.length / sentences >= 0.4 ? 'Medium' : 'Low', {
+      issue: `${passiveSentences.length} of ${sentences} sentences use the passive voice, which hides who has to do what.`,
+      impact: 'Students reading in a second language have to work out who acts in each sentence, and may not see that a step is theirs.',
+      suggestions: ['Rewrite passive sentences with "you" as the subject, e.g. "You will submit" instead of "Papers will be submitted".'],
+      researchBasis: 'passive voice linguistic modification English learners'
+    }, passiveSentences));
+  }
+
+  if (idioms.length) {
+    barriers.push(barrier('idioms', idioms.length >= 3 ? 'Medium' : 'Low', {
+      issue: `The text uses idioms students may read literally: ${listTerms(idioms)}.`,
+      impact: 'Idioms depend on cultural background; students new to English or to US schooling can misread what is being asked.',
+      suggestions: ['Say what the idiom means in plain words.'],
+      researchBasis: 'idiom comprehension second language learners'
+    }, idioms));
+  }
+
+  const terms = [...acronyms, ...jargon];
+  const tooManyRare = rareShare > maxRareShare && rareWords.length >= 3;
+  if (terms.length || tooManyRare) {
+    const parts = [
+      acronyms.length && `undefined acronyms (${listTerms(acronyms)})`,
+      jargon.length && `unexplained academic terms (${listTerms(jargon)})`,
+      tooManyRare && `${Math.round(rareShare * 100)}% long, uncommon words such as ${rareWords.slice(0, 4).map((word) => `"${word}"`).join(', ')}`
+    ].filter(Boolean);
+    barriers.push(barrier('vocabulary', terms.length >= 4 ? 'Medium' : 'Low', {
+      issue: `The vocabulary assumes background knowledge: ${parts.join('; ')}.`,
+      impact: 'First-generation students and English learners may not know these terms and have to look them up, or guess, before they can start.',
+      suggestions: [
+        ...acronyms.map(({ term }) => `Spell out ${term} the first time it appears.`),
+        ...jargon.map(({ term, plain }) => `Explain "${term}": ${plain}.`),
+        ...(tooManyRare ? ['Add a short glossary of the key terms.'] : [])
+      ].slice(0, 6),
+      researchBasis: 'vocabulary coverage reading comprehension'
+    }, terms));
+  }
+
+  return barriers;
+};
+
+/**
+ * The measures as stored on the result: counts instead of the flagged
+ * sentences, each term once and at most MAX_RARE_WORDS rare words.
+ *
+ * @param {Object} readability - Output of measureReadability
+ * @returns {Object} Same fields, with `longSentences` and `passiveSentences` as counts and `idioms`, `acronyms` and `jargon` as term lists
+ */
+export const summarizeReadability = (readability) => {
+  const terms = (items) => [...new Set(items.map(({ term }) => term))];
+  return {
+    ...readability,
+    longSentences: readability.longSentences.length,
+    passiveSentences: readability.passiveSentences.length,
+    rareWords: readability.rareWords.slice(0, MAX_RARE_WORDS),
+    idioms: terms(readability.idioms),
+    acronyms: terms(readability.acronyms),
+    jargon: terms(readability.jargon)
+  };
+};
+
+/** How a model barrier describes each measured finding */
+const SAME_FINDING = {
+  'reading-level': /reading level|readabilit|sentence length|long sentences|dense|complex (?:language|sentences|wording)/i,
+  'passive-voice': /passive/i,
+  idioms: /idiom|figurative|colloquial|slang/i,
+  vocabulary: /vocabular|jargon|acronym|terminolog|academic language|technical terms/i
+};
+
+/**
+ * The model's Cultural & Linguistic barrier reporting the same finding as a
+ * measured one.
+ *
+ * @param {Object[]} barriers - The model's barriers
+ * @param {Object} measured - Measured barrier
+ * @returns {number} Its index, or -1
+ */
+const findSameFinding = (barriers, measured) => barriers.findIndex((barrier) => barrier.category === measured.category
+  && SAME_FINDING[measured.measure].test(`${barrier.issue} ${barrier.impact}`));
+
+/**
+ * Backs a model barrier with a measured one: the measured issue, spans that
+ * do not overlap the model's and new suggestions are added; the severity
+ * stays the model's.
+ *
+ * @param {Object} barrier - Model barrier
+ * @param {Object} measured - Measured barrier of the same finding
+ * @returns {Object} Barrier marked `measured`
+ */
+const mergeMeasured = (barrier, measured) => {
+  const spans = barrier.spans || [];
+  const added = measured.spans.filter((span) => !spans.some(({ start, end }) => span.start < end && start < span.end));
+  return {
+    ...barrier,
+    issue: `${barrier.issue} ${measured.issue}`,
+    suggestions: [...new Set([...barrier.suggestions, ...measured.suggestions])],
+    measured: true,
+    spans: [...spans, ...added].slice(0, MAX_SPANS_PER_BARRIER).sort((a, b) => a.start - b.start)
+  };
+};
+
+/**
+ * Adds the measures and measured barriers to a successful analysis and
+ * rescores it. Degraded results are returned unchanged.
+ *
+ * @param {Object} result - Analysis result with barrier spans
+ * @param {{assignmentText: string, gradeLevel: string}} input - Validated request
+ * @returns {Object} Result with the summarized `readability`, measured findings merged into the model's barriers or appended, and the score recomputed
+ */
+export const attachReadability = (result, { assignmentText, gradeLevel }) => {
+  if (result.status !== 'ok') return result;
+  const measures = measureReadability(assignmentText, { gradeLevel });
+  const readability = summarizeReadability(measures);
+  const measured = toReadabilityBarriers(measures, gradeLevel);
+  if (!measured.length) return { ...result, readability };
+
+  const barriers = measured.reduce((list, barrier) => {
+    const index = findSameFinding(result.barriers, barrier);
+    if (index === -1) return [...list, barrier];
+    return list.map((existing, i) => (i === index ? mergeMeasured(existing, barrier) : existing));
+  }, result.barriers);
+  return {
+    ...result,
+    barriers,
+    ...computeEquityScore({ barriers, strengths: result.strengths }, result.scoreBreakdown.weights),
+    readability
+  };
+};
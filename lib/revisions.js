@@ -0,0 +1,151 @@
+/**
+ * @fileoverview DIKE AI Edit Proposals
+ *
+ * Server side of "Review Edits": turns the barrier suggestions into concrete
+ * edits against the original assignment text. Each proposal replaces one
+ * excerpt of the assignment; the excerpt is looked up in the text with
+ * locateQuote (lib/annotate.js) and proposals whose excerpt cannot be found
+ * are dropped, so every edit the teacher sees applies cleanly. Accepting,
+ * rejecting and combining proposals happens in the browser.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, toHttpResult } from './errors.js';
+import { validateAnalysis, formatValidationErrors } from './schema.js';
+import { requestCompletion, parseAnalysisContent, validateAssignmentText, validateRequestBarriers } from './analysis.js';
+import { locateQuote } from './annotate.js';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * JSON Schema for the edit proposals reply
+ * @type {Object}
+ */
+export const REVISIONS_SCHEMA = {
+  type: 'object',
+  required: ['proposals'],
+  properties: {
+    proposals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['barrier', 'suggestion', 'original', 'replacement'],
+        properties: {
+          barrier: { type: 'number', minimum: 0 },
+          suggestion: nonEmptyString,
+          original: nonEmptyString,
+          replacement: { type: 'string' },
+          rationale: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validates the revisions request body.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.assignmentText - The analyzed assignment
+ * @param {Object[]} body.barriers - Barriers from the analysis
+ * @returns {{assignmentText: string, barriers: Object[]}}
+ * @throws {AnalysisError} 400 or 413 when the request is malformed or too large
+ */
+export const validateRevisionsRequest = (body) => {
+  const { assignmentText, barriers } = body || {};
+
+  return {
+    assignmentText: validateAssignmentText(assignmentText),
+    barriers: validateRequestBarriers(barriers, { required: true }).map(({ category, severity, issue, suggestions }) => ({
+      category,
+      severity,
+      issue,
+      suggestions: Array.isArray(suggestions) ? suggestions : []
+    }))
+  };
+};
+
+/**
+ * Builds the messages asking for edit proposals.
+ *
+ * @param {Object} input - Validated request from validateRevisionsRequest
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+const buildRevisionsMessages = ({ assignmentText, barriers }) => [
+  {
+    role: 'system',
+    content: `You are an educational equity expert editing an assignment. Turn each barrier suggestion that can be applied to the text into one concrete edit.
+
+EDIT RULES:
+- original is an excerpt copied word for word from the assignment, as short as possible but unique
+- replacement is the new text for that excerpt; to add a sentence, repeat the excerpt and append the sentence
+- barrier is the index of the barrier in the list you are given, suggestion is the suggestion the edit applies
+- rationale is ONE sentence on why the edit reduces the barrier
+- Edits must not overlap each other; keep the teacher's voice and the learning objectives
+
+Return ONLY JSON: {"proposals": [{"barrier": 0, "suggestion": "text", "original": "exact excerpt", "replacement": "new text", "rationale": "text"}]}`
+  },
+  {
+    role: 'user',
+    content: `Assignment:\n"""\n${assignmentText}\n"""\n\nBarriers: ${JSON.stringify(barriers.map((barrier, index) => ({ index, ...barrier })))}\n\nPropose the edits.`
+  }
+];
+
+/**
+ * Generates edit proposals and anchors each one in the assignment text.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateRevisionsRequest
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{proposals: Array<{id: string, barrier: number, suggestion: string, start: number, end: number, original: string, replacement: string, rationale: string}>, dropped: number}>}
+ *   Proposals sorted by position; `start`/`end` index the trimmed assignment text, `dropped` counts excerpts that were not found
+ * @throws {AnalysisError} 502 when the model reply does not match REVISIONS_SCHEMA
+ */
+export const generateRevisions = async (input, options = {}) => {
+  const { assignmentText, barriers } = input;
+  const content = await requestCompletion(buildRevisionsMessages(input), {
+    task: 'revisions', temperature: 0.4, maxTokens: 2000, ...options
+  });
+
+  let parsed;
+  try {
+    parsed = parseAnalysisContent(content);
+  } catch (parseError) {
+    throw new AnalysisError('Failed to parse edit proposals from the AI response', 502, parseError.message);
+  }
+
+  const { valid, errors } = validateAnalysis(parsed, REVISIONS_SCHEMA);
+  if (!valid) {
+    throw new AnalysisError('The AI response did not contain valid edit proposals', 502, formatValidationErrors(errors));
+  }
+
+  const proposals = parsed.proposals
+    .map((proposal) => ({ ...proposal, span: locateQuote(assignmentText, proposal.original.trim()) }))
+    .filter(({ barrier, span }) => span && Number.isInteger(barrier) && barrier < barriers.length)
+    .map(({ barrier, suggestion, span, replacement, rationale }) => ({
+      barrier,
+      suggestion: suggestion.trim(),
+      start: span.start,
+      end: span.end,
+      original: assignmentText.slice(span.start, span.end),
+      replacement: replacement.trim(),
+      rationale: (rationale || '').trim()
+    }))
+    .sort((a, b) => a.start - b.start || a.end - b.end)
+    .map((proposal, index) => ({ id: `edit-${index + 1}`, ...proposal }));
+
+  return { proposals, dropped: parsed.proposals.length - proposals.length };
+};
+
+/**
+ * Adapter entry point for /api/revisions. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runRevisions = (body, options = {}) =>
+  toHttpResult(() => generateRevisions(validateRevisionsRequest(body), options), 'Revisions');
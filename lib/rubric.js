@@ -0,0 +1,173 @@
+/**
+ * @fileoverview DIKE AI Rubric Generation
+ *
+ * Server side of the "Equity Rubric" panel: drafts a grading rubric for the
+ * analyzed assignment. Criteria come from the assignment's learning
+ * objectives, and each level is worded so the barriers the analysis found
+ * do not cost students points (no credit for production quality a student
+ * cannot afford, for example). The teacher edits and exports the draft in
+ * the browser.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, toHttpResult } from './errors.js';
+import { validateAnalysis, formatValidationErrors } from './schema.js';
+import { requestCompletion, parseAnalysisContent, validateAssignmentText, validateRequestBarriers } from './analysis.js';
+
+/** Size limits on the generated rubric */
+const MAX_CRITERIA = 10;
+const MAX_LEVELS = 6;
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * JSON Schema for the rubric reply
+ * @type {Object}
+ */
+export const RUBRIC_SCHEMA = {
+  type: 'object',
+  required: ['title', 'levels', 'criteria'],
+  properties: {
+    title: nonEmptyString,
+    levels: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['label', 'points'],
+        properties: {
+          label: nonEmptyString,
+          points: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'descriptions'],
+        properties: {
+          name: nonEmptyString,
+          descriptions: { type: 'array', items: { type: 'string' } },
+          barrier: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validates the rubric request body.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.assignmentText - The analyzed assignment
+ * @param {Object[]} [body.barriers] - Barriers from the analysis
+ * @param {string} [body.gradeLevel] - Educational level
+ * @param {string} [body.courseType] - Subject area
+ * @returns {{assignmentText: string, barriers: Object[], gradeLevel: string, courseType: string}}
+ * @throws {AnalysisError} 400 or 413 when the request is malformed or too large
+ */
+export const validateRubricRequest = (body) => {
+  const { assignmentText, barriers = [], gradeLevel = 'college', courseType = 'general' } = body || {};
+
+  return {
+    assignmentText: validateAssignmentText(assignmentText),
+    barriers: validateRequestBarriers(barriers).map(({ category, severity, issue }) => ({ category, severity, issue })),
+    gradeLevel: String(gradeLevel),
+    courseType: String(courseType)
+  };
+};
+
+/**
+ * Builds the messages asking for a rubric.
+ *
+ * @param {Object} input - Validated request from validateRubricRequest
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+const buildRubricMessages = ({ assignmentText, barriers, gradeLevel, courseType }) => [
+  {
+    role: 'system',
+    content: `You are an educational equity expert writing a grading rubric for a ${gradeLevel} ${courseType} assignment.
+
+RUBRIC RULES:
+- 3 to 6 criteria, one per learning objective the assignment actually assesses
+- 3 or 4 levels, best first, with points in descending order
+- descriptions has one entry per level, saying what work at that level looks like
+- Grade the learning, not access: no level may depend on paid tools, production quality, a specific format or timing when a barrier below concerns it
+- When a criterion is worded to avoid one of the barriers, set barrier to that barrier's category
+- Plain language a ${gradeLevel} student understands
+
+Return ONLY JSON: {"title": "text", "levels": [{"label": "Exemplary", "points": 4}], "criteria": [{"name": "text", "descriptions": ["one per level"], "barrier": "optional category"}]}`
+  },
+  {
+    role: 'user',
+    content: `Assignment:\n"""\n${assignmentText}\n"""\n\nBarriers found: ${JSON.stringify(barriers)}\n\nWrite the rubric.`
+  }
+];
+
+/**
+ * Brings a valid reply into the shape the editor expects: levels sorted
+ * best first and every criterion with exactly one description per level.
+ *
+ * @param {Object} rubric - Reply matching RUBRIC_SCHEMA
+ * @returns {import('../src/utils/equityRubric').Rubric} Normalized rubric
+ */
+const normalizeRubric = (rubric) => {
+  const levels = rubric.levels
+    .slice(0, MAX_LEVELS)
+    .map(({ label, points }) => ({ label: label.trim(), points }))
+    .sort((a, b) => b.points - a.points);
+
+  return {
+    title: rubric.title.trim(),
+    levels,
+    criteria: rubric.criteria.slice(0, MAX_CRITERIA).map(({ name, descriptions, barrier }) => ({
+      name: name.trim(),
+      descriptions: levels.map((_, index) => (descriptions[index] || '').trim()),
+      ...(barrier?.trim() ? { barrier: barrier.trim() } : {})
+    }))
+  };
+};
+
+/**
+ * Generates a rubric for the assignment.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateRubricRequest
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{rubric: Object}>} Rubric with `title`, `levels` and `criteria`
+ * @throws {AnalysisError} 502 when the model reply does not match RUBRIC_SCHEMA
+ */
+export const generateRubric = async (input, options = {}) => {
+  const content = await requestCompletion(buildRubricMessages(input), {
+    task: 'rubric', temperature: 0.4, maxTokens: 2000, ...options
+  });
+
+  let parsed;
+  try {
+    parsed = parseAnalysisContent(content);
+  } catch (parseError) {
+    throw new AnalysisError('Failed to parse the rubric from the AI response', 502, parseError.message);
+  }
+
+  const { valid, errors } = validateAnalysis(parsed, RUBRIC_SCHEMA);
+  if (!valid) {
+    throw new AnalysisError('The AI response did not contain a valid rubric', 502, formatValidationErrors(errors));
+  }
+
+  return { rubric: normalizeRubric(parsed) };
+};
+
+/**
+ * Adapter entry point for /api/rubric. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runRubric = (body, options = {}) =>
+  toHttpResult(() => generateRubric(validateRubricRequest(body), options), 'Rubric');
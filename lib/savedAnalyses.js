@@ -0,0 +1,330 @@
+/**
+ * @fileoverview DIKE AI Saved Analyses
+ *
+ * Optional server-side history behind the /api/analyses routes. The browser
+ * keeps its own history in localStorage; when this store is enabled the
+ * history sidebar uses it instead, so analyses follow the teacher across
+ * browsers. There are no user accounts, so everyone who can reach the
+ * server shares one history: enable it for single-team or self-hosted
+ * deployments only.
+ *
+ * ROUTES:
+ * - GET /api/analyses - summaries, newest first (no full results)
+ * - POST /api/analyses - save `{title?, tags?, inputs, result}`, plus
+ *   `{rootId, parentId, version}` when the run verifies a revision of an
+ *   earlier record; both must be saved and in the same chain (version 1 is
+ *   the root itself)
+ * - GET /api/analyses/:id - one record with its full result
+ * - PATCH /api/analyses/:id - update `title` and/or `tags`
+ * - DELETE /api/analyses/:id
+ *
+ * CONFIGURATION:
+ * - ANALYSES_STORE: `file` to enable, anything else leaves the routes
+ *   answering 404 so the browser falls back to local history
+ * - ANALYSES_STORE_DIR: directory for record files (default .data/analyses)
+ *
+ * Records are one JSON file each and need a persistent disk, so this is
+ * wired into the Express server only, not the serverless functions.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { AnalysisError, toHttpResult } from './errors.js';
+import { validateAssignmentText } from './analysis.js';
+import { validatePersonas } from './personas.js';
+import { ANALYSIS_SCHEMA, validateAnalysis, formatValidationErrors } from './schema.js';
+
+/** Limits on user-editable fields and stored results */
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+const MAX_RESULT_LENGTH = 60000;
+
+/** Revisions kept in one version chain */
+export const MAX_VERSION = 100;
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** A successful /api/analyze body: the model's analysis plus the server's score */
+const RESULT_SCHEMA = { ...ANALYSIS_SCHEMA, required: [...ANALYSIS_SCHEMA.required, 'overallScore'] };
+
+/**
+ * Reads the store settings from the environment.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{enabled: boolean, dir: string}}
+ */
+export const getSavedAnalysesConfig = (env = process.env) => ({
+  enabled: (env.ANALYSES_STORE || '').toLowerCase() === 'file',
+  dir: env.ANALYSES_STORE_DIR || path.join(process.cwd(), '.data', 'analyses')
+});
+
+/**
+ * Checks a title from the request body.
+ *
+ * @param {*} title - Requested title
+ * @returns {string} Trimmed title
+ * @throws {AnalysisError} 400 when not a non-empty string of at most MAX_TITLE_LENGTH characters
+ */
+const validateTitle = (title) => {
+  if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+    throw new AnalysisError(`title must be 1-${MAX_TITLE_LENGTH} characters`, 400);
+  }
+  return title.trim();
+};
+
+/**
+ * Checks and de-duplicates tags from the request body.
+ *
+ * @param {*} tags - Requested tags
+ * @returns {string[]} Trimmed, unique tags
+ * @throws {AnalysisError} 400 when not an array of short strings
+ */
+const validateTags = (tags) => {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    throw new AnalysisError(`tags must be an array of at most ${MAX_TAGS} strings`, 400);
+  }
+  const cleaned = tags.map((tag) => {
+    if (typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH) {
+      throw new AnalysisError(`Each tag must be 1-${MAX_TAG_LENGTH} characters`, 400);
+    }
+    return tag.trim();
+  });
+  return [...new Set(cleaned)];
+};
+
+/**
+ * Checks the version chain fields of a new record. Records without them are
+ * version 1 of their own chain.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {{rootId: string, parentId: string, version: number}|{}} Version fields to store
+ * @throws {AnalysisError} 400 when only some fields are given or they are malformed
+ */
+const validateVersion = ({ rootId, parentId, version }) => {
+  if (rootId === undefined && parentId === undefined && version === undefined) return {};
+  if (!ID_PATTERN.test(rootId || '') || !ID_PATTERN.test(parentId || '')) {
+    throw new AnalysisError('rootId and parentId must be saved analysis ids', 400);
+  }
+  if (!Number.isInteger(version) || version < 2 || version > MAX_VERSION) {
+    throw new AnalysisError(`version must be an integer from 2 to ${MAX_VERSION}`, 400);
+  }
+  return { rootId, parentId, version };
+};
+
+/**
+ * Validates a new record.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} [body.title] - Defaults to the start of the assignment
+ * @param {string[]} [body.tags=[]] - Free-form labels
+ * @param {Object} body.inputs - `{assignmentText, gradeLevel, courseType, focusArea, personas?, windowDays?}` used for the run
+ * @param {Object} body.result - Successful analysis body from /api/analyze
+ * @param {string} [body.rootId] - Version 1 of the chain this run revises
+ * @param {string} [body.parentId] - Record whose revision was analyzed
+ * @param {number} [body.version] - Position in the chain, 2 or higher
+ * @returns {{title: string, tags: string[], inputs: Object, result: Object, rootId?: string, parentId?: string, version?: number}}
+ * @throws {AnalysisError} 400 or 413 when malformed or too large
+ */
+export const validateSavedAnalysis = (body) => {
+  const { title, tags = [], inputs, result } = body || {};
+
+  if (!inputs || typeof inputs !== 'object') {
+    throw new AnalysisError('Missing required field: inputs', 400);
+  }
+  if (!result || typeof result !== 'object' || result.status !== 'ok') {
+    throw new AnalysisError('result must be a successful analysis', 400);
+  }
+  if (JSON.stringify(result).length > MAX_RESULT_LENGTH) {
+    throw new AnalysisError('Analysis result is too large', 413);
+  }
+  const { valid, errors } = validateAnalysis(result, RESULT_SCHEMA);
+  if (!valid) {
+    throw new AnalysisError('result is not a valid analysis', 400, formatValidationErrors(errors));
+  }
+
+  const assignmentText = validateAssignmentText(inputs.assignmentText);
+  return {
+    title: title === undefined ? assignmentText.split('\n')[0].slice(0, 80) : validateTitle(title),
+    tags: validateTags(tags),
+    inputs: {
+      assignmentText,
+      gradeLevel: String(inputs.gradeLevel || 'college'),
+      courseType: String(inputs.courseType || 'general'),
+      focusArea: String(inputs.focusArea || 'all'),
+      ...(inputs.personas?.length ? { personas: validatePersonas(inputs.personas) } : {}),
+      ...(Number.isInteger(inputs.windowDays) && inputs.windowDays > 0 ? { windowDays: inputs.windowDays } : {})
+    },
+    result,
+    ...validateVersion(body)
+  };
+};
+
+/**
+ * Record without its full result, as listed in the sidebar.
+ *
+ * @param {Object} record - Stored record
+ * @returns {Object} Summary with `overallScore` lifted out of the result
+ */
+const toSummary = ({ result, ...record }) => ({
+  ...record,
+  overallScore: result.overallScore,
+  barrierCount: result.barriers?.length ?? 0
+});
+
+/**
+ * Creates the file-backed store.
+ *
+ * @param {Object} config
+ * @param {string} config.dir - Directory for `<id>.json` record files
+ * @returns {{list: Function, get: Function, create: Function, update: Function, remove: Function}}
+ */
+export const createSavedAnalysesStore = ({ dir }) => {
+  const fileFor = (id) => {
+    if (!ID_PATTERN.test(id || '')) throw new AnalysisError('Saved analysis not found', 404);
+    return path.join(dir, `${id}.json`);
+  };
+
+  const write = async (record) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+    await fs.rename(`${file}.tmp`, file);
+    return record;
+  };
+
+  const get = async (id) => {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new AnalysisError('Saved analysis not found', 404);
+      throw error;
+    }
+  };
+
+  const list = async () => {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter((file) => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = await Promise.all(files.map((file) => get(file.slice(0, -5)).catch(() => null)));
+    return records
+      .filter(Boolean)
+      .map(toSummary)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  const create = async (fields) => {
+    const now = new Date().toISOString();
+    return write({ id: randomUUID(), ...fields, createdAt: now, updatedAt: now });
+  };
+
+  const update = async (id, changes) => {
+    const record = await get(id);
+    return write({ ...record, ...changes, updatedAt: new Date().toISOString() });
+  };
+
+  const remove = async (id) => {
+    await get(id);
+    await fs.rm(fileFor(id), { force: true });
+  };
+
+  return { list, get, create, update, remove };
+};
+
+/**
+ * Checks that the chain a new version joins exists: the root is a saved
+ * version 1 and the parent is the root or one of its versions.
+ *
+ * @async
+ * @param {Object} store - Store from createSavedAnalysesStore
+ * @param {{rootId?: string, parentId?: string}} record - Validated record
+ * @returns {Promise<void>}
+ * @throws {AnalysisError} 400 when the root or the parent is not saved or not in the chain
+ */
+const checkVersionChain = async (store, { rootId, parentId }) => {
+  if (!rootId) return;
+  const find = (id) => store.get(id).catch((error) => {
+    if (error.statusCode === 404) return null;
+    throw error;
+  });
+
+  const root = await find(rootId);
+  if (!root || root.rootId) throw new AnalysisError('rootId must be a saved analysis that starts a version chain', 400);
+  const parent = parentId === rootId ? root : await find(parentId);
+  if (!parent || (parent.id !== rootId && parent.rootId !== rootId)) {
+    throw new AnalysisError('parentId must be a saved version of rootId', 400);
+  }
+};
+
+/**
+ * Applies one CRUD request to the store.
+ *
+ * @async
+ * @param {Object} store - Store from createSavedAnalysesStore
+ * @param {{method: string, id?: string, body?: Object}} request - HTTP method, route id and parsed body
+ * @returns {Promise<Object>} Response body
+ * @throws {AnalysisError} 400, 404 or 405 for invalid requests
+ */
+const handleSavedAnalysesRequest = async (store, { method, id, body }) => {
+  if (!id) {
+    if (method === 'GET') return { analyses: await store.list() };
+    if (method === 'POST') {
+      const record = validateSavedAnalysis(body);
+      await checkVersionChain(store, record);
+      return { analysis: await store.create(record) };
+    }
+    throw new AnalysisError('Method not allowed', 405);
+  }
+
+  switch (method) {
+    case 'GET':
+      return { analysis: await store.get(id) };
+    case 'PATCH': {
+      const { title, tags } = body || {};
+      const changes = {
+        ...(title !== undefined ? { title: validateTitle(title) } : {}),
+        ...(tags !== undefined ? { tags: validateTags(tags) } : {})
+      };
+      return { analysis: await store.update(id, changes) };
+    }
+    case 'DELETE':
+      await store.remove(id);
+      return { deleted: id };
+    default:
+      throw new AnalysisError('Method not allowed', 405);
+  }
+};
+
+let savedAnalysesStore;
+
+/**
+ * Adapter entry point for the /api/analyses routes. Never throws.
+ *
+ * @async
+ * @param {{method: string, id?: string, body?: Object}} request - HTTP method, route id and parsed body
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store to use, defaults to the configured file store
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ * @example
+ * const { statusCode, headers, body } = await runSavedAnalyses({ method: req.method, id: req.params.id, body: req.body });
+ */
+export const runSavedAnalyses = (request, options = {}) =>
+  toHttpResult(() => {
+    let { store } = options;
+    if (!store) {
+      const config = getSavedAnalysesConfig();
+      if (!config.enabled) throw new AnalysisError('Server-side history is not enabled', 404);
+      savedAnalysesStore ??= createSavedAnalysesStore(config);
+      store = savedAnalysesStore;
+    }
+    return handleSavedAnalysesRequest(store, request);
+  }, 'Saved analyses');
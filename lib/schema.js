@@ -0,0 +1,206 @@
+/**
+ * @fileoverview DIKE AI Analysis Response Schema
+ *
+ * Formal JSON Schema for the analysis object the model must return, plus a
+ * small validator for the subset of JSON Schema it uses. Validation reports
+ * every failing field with its path so the repair prompt in lib/analysis.js
+ * can tell the model exactly what to fix.
+ *
+ * SUPPORTED KEYWORDS:
+ * type, required, properties, additionalProperties, items, enum,
+ * minLength, minItems, minimum, maximum
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/** The six equity dimensions a barrier can belong to */
+export const EQUITY_DIMENSIONS = [
+  'Socioeconomic',
+  'Digital Access',
+  'Time & Scheduling',
+  'Cultural & Linguistic',
+  'Accessibility',
+  'Learning Supports'
+];
+
+/** Severity levels in the order the UI expects them */
+export const SEVERITY_LEVELS = ['High', 'Medium', 'Low'];
+
+/** Alignment levels used for each UDL principle */
+export const UDL_LEVELS = ['High', 'Medium', 'Low'];
+
+/** Kinds of out-of-pocket cost a student can face */
+export const COST_TYPES = ['purchase', 'subscription', 'device', 'kit', 'travel', 'printing', 'fee'];
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * JSON Schema for a single barrier
+ * @type {Object}
+ */
+export const BARRIER_SCHEMA = {
+  type: 'object',
+  required: ['category', 'severity', 'issue', 'impact', 'suggestions', 'researchBasis'],
+  properties: {
+    category: { type: 'string', enum: EQUITY_DIMENSIONS },
+    severity: { type: 'string', enum: SEVERITY_LEVELS },
+    issue: nonEmptyString,
+    impact: nonEmptyString,
+    suggestions: { type: 'array', minItems: 1, items: nonEmptyString },
+    researchBasis: nonEmptyString,
+    // Optional: excerpts of the assignment, turned into verified spans by
+    // lib/annotate.js after validation
+    quotes: { type: 'array', items: nonEmptyString },
+    // Optional: ids of the request's student personas this barrier affects
+    personas: { type: 'array', items: nonEmptyString }
+  }
+};
+
+/**
+ * JSON Schema for one thing a student must pay for
+ * @type {Object}
+ */
+export const COST_SCHEMA = {
+  type: 'object',
+  required: ['item', 'type', 'priceLow', 'priceHigh'],
+  properties: {
+    item: nonEmptyString,
+    type: { type: 'string', enum: COST_TYPES },
+    // Estimated US dollar range; the browser replaces it with its catalog
+    // price when the item is listed there (src/utils/costCatalog.js)
+    priceLow: { type: 'number', minimum: 0 },
+    priceHigh: { type: 'number', minimum: 0 },
+    alternative: { type: 'string' },
+    quote: { type: 'string' }
+  }
+};
+
+/**
+ * JSON Schema for the complete analysis object
+ * @type {Object}
+ */
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'barriers', 'strengths', 'recommendations', 'reformattedAssignment', 'udlAlignment'],
+  properties: {
+    // Optional: the server computes the real score (lib/scoring.js), this is
+    // only kept as the model's estimate for comparison
+    overallScore: { type: 'number', minimum: 0, maximum: 100 },
+    summary: nonEmptyString,
+    barriers: { type: 'array', items: BARRIER_SCHEMA },
+    strengths: { type: 'array', items: nonEmptyString },
+    recommendations: { type: 'array', items: nonEmptyString },
+    reformattedAssignment: nonEmptyString,
+    // Optional: results cached before the cost list existed have none
+    costs: { type: 'array', items: COST_SCHEMA },
+    udlAlignment: {
+      type: 'object',
+      required: ['representation', 'action', 'engagement'],
+      properties: {
+        representation: { type: 'string', enum: UDL_LEVELS },
+        action: { type: 'string', enum: UDL_LEVELS },
+        engagement: { type: 'string', enum: UDL_LEVELS }
+      }
+    }
+  }
+};
+
+/**
+ * Returns the JSON Schema type name of a value.
+ *
+ * @param {*} value - Any value
+ * @returns {string} One of object, array, string, number, boolean, null
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validates a value against a schema node, collecting every error.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Dotted path of the value, used in error messages
+ * @param {Array<{path: string, message: string}>} errors - Error accumulator
+ */
+const validateNode = (value, schema, path, errors) => {
+  const actual = typeOf(value);
+
+  if (schema.type && actual !== schema.type) {
+    errors.push({ path, message: `expected ${schema.type}, got ${actual}` });
+    return;
+  }
+
+  if (schema.type === 'number' && !Number.isFinite(value)) {
+    errors.push({ path, message: 'expected a finite number' });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+      if (value[key] !== undefined) {
+        validateNode(value[key], childSchema, path ? `${path}.${key}` : key, errors);
+      }
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter((key) => !(key in (schema.properties || {})))
+        .forEach((key) => errors.push({ path: path ? `${path}.${key}` : key, message: 'is not allowed' }));
+    }
+  }
+};
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} [schema=ANALYSIS_SCHEMA] - Schema to validate against
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ * @example
+ * const { valid, errors } = validateAnalysis(parsed);
+ * // errors: [{ path: 'barriers[0].severity', message: 'must be one of: High, Medium, Low' }]
+ */
+export const validateAnalysis = (value, schema = ANALYSIS_SCHEMA) => {
+  const errors = [];
+  validateNode(value, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Formats validation errors as a bullet list for prompts and logs.
+ *
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @returns {string} One line per error
+ */
+export const formatValidationErrors = (errors) =>
+  errors.map(({ path, message }) => `- ${path || '(root)'} ${message}`).join('\n');
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview DIKE AI Equity Scoring
+ *
+ * Computes the equity score on the server from validated barriers and
+ * strengths, so the same analysis always produces the same number. The
+ * model's own estimate is kept alongside for comparison only.
+ *
+ * METHOD:
+ * - Start at `base` (100), deduct `severity[level]` per barrier, add
+ *   `strength` per equity strength, clamp to 0-100
+ * - Each of the six dimensions gets its own subscore: `base` minus the
+ *   deductions of the barriers in that dimension
+ *
+ * CONFIGURATION:
+ * Weights can be overridden with the EQUITY_SCORE_WEIGHTS environment
+ * variable, a JSON object merged over DEFAULT_SCORE_WEIGHTS, e.g.
+ * EQUITY_SCORE_WEIGHTS='{"severity":{"High":20},"strength":3}'
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { EQUITY_DIMENSIONS, SEVERITY_LEVELS } from './schema.js';
+
+/**
+ * Default weights, matching the methodology shown in the App.jsx tooltip
+ * @type {{base: number, severity: {High: number, Medium: number, Low: number}, strength: number}}
+ */
+export const DEFAULT_SCORE_WEIGHTS = {
+  base: 100,
+  severity: { High: 15, Medium: 10, Low: 5 },
+  strength: 5
+};
+
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Resolves the scoring weights: defaults, then EQUITY_SCORE_WEIGHTS, then
+ * explicit overrides. Invalid JSON in the environment is logged and ignored.
+ *
+ * @param {Object} [overrides] - Partial weights taking precedence over everything
+ * @returns {{base: number, severity: Object, strength: number}} Resolved weights
+ */
+export const getScoreWeights = (overrides = {}) => {
+  let fromEnv = {};
+  if (process.env.EQUITY_SCORE_WEIGHTS) {
+    try {
+      fromEnv = JSON.parse(process.env.EQUITY_SCORE_WEIGHTS);
+    } catch (error) {
+      console.error('Ignoring invalid EQUITY_SCORE_WEIGHTS:', error.message);
+    }
+  }
+
+  return {
+    base: overrides.base ?? fromEnv.base ?? DEFAULT_SCORE_WEIGHTS.base,
+    severity: { ...DEFAULT_SCORE_WEIGHTS.severity, ...fromEnv.severity, ...overrides.severity },
+    strength: overrides.strength ?? fromEnv.strength ?? DEFAULT_SCORE_WEIGHTS.strength
+  };
+};
+
+/**
+ * Computes the overall score and per-dimension breakdown for a validated
+ * analysis.
+ *
+ * @param {Object} analysis - Analysis that passed validateAnalysis
+ * @param {Object[]} analysis.barriers - Barriers with canonical category and severity
+ * @param {string[]} analysis.strengths - Equity strengths
+ * @param {Object} [weights=getScoreWeights()] - Scoring weights
+ * @returns {{overallScore: number, scoreBreakdown: Object}}
+ * @example
+ * computeEquityScore({ barriers: [{ category: 'Socioeconomic', severity: 'High' }], strengths: ['Free materials'] });
+ * // => { overallScore: 90, scoreBreakdown: { base: 100, barrierPenalty: 15, strengthBonus: 5, ... } }
+ */
+export const computeEquityScore = ({ barriers = [], strengths = [] }, weights = getScoreWeights()) => {
+  const penaltyFor = (barrier) => weights.severity[barrier.severity] ?? 0;
+
+  const dimensions = EQUITY_DIMENSIONS.map((category) => {
+    const inDimension = barriers.filter((barrier) => barrier.category === category);
+    const penalty = inDimension.reduce((sum, barrier) => sum + penaltyFor(barrier), 0);
+    const counts = Object.fromEntries(SEVERITY_LEVELS.map((level) => [
+      level,
+      inDimension.filter((barrier) => barrier.severity === level).length
+    ]));
+
+    return { category, score: clampScore(weights.base - penalty), penalty, barriers: counts };
+  });
+
+  const barrierPenalty = barriers.reduce((sum, barrier) => sum + penaltyFor(barrier), 0);
+  const strengthBonus = strengths.length * weights.strength;
+
+  return {
+    overallScore: clampScore(weights.base - barrierPenalty + strengthBonus),
+    scoreBreakdown: {
+      base: weights.base,
+      barrierPenalty,
+      strengthBonus,
+      weights,
+      dimensions
+    }
+  };
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview DIKE AI Server-Sent Events
+ *
+ * Minimal SSE plumbing on a Node response object, which Express and the
+ * Vercel Node runtime both provide. Each event is written as
+ * `event: <name>` plus one JSON `data:` line. A client disconnect aborts the
+ * signal handed to the stream so the provider request is cancelled too.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { toHttpResult, describeError } from './errors.js';
+
+/**
+ * Writes a JSON response without relying on Express helpers.
+ *
+ * @param {Object} res - Node response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} [headers={}] - Extra response headers
+ */
+export const sendJson = (res, statusCode, body, headers = {}) => {
+  res.statusCode = statusCode;
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Switches a response into event-stream mode.
+ *
+ * @param {Object} res - Node response
+ * @returns {{send: Function, close: Function, signal: AbortSignal}} `send(event, data)` writes one event
+ */
+export const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const close = () => {
+    if (!res.writableEnded) res.end();
+  };
+
+  return { send, close, signal: controller.signal };
+};
+
+/**
+ * Validates a request, then streams events for it. Validation errors are
+ * answered as plain JSON with their status; errors after the stream opened
+ * are sent as an `error` event carrying the status they would have had.
+ *
+ * @async
+ * @param {Object} res - Node response
+ * @param {Function} prepare - Validates the body and returns the input, throws AnalysisError
+ * @param {Function} stream - `(input, send, signal) => Promise<void>`
+ * @param {string} [label='Stream'] - Prefix for error logs
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+export const runEventStream = async (res, prepare, stream, label = 'Stream') => {
+  const prepared = await toHttpResult(async () => prepare(), label);
+  if (prepared.statusCode !== 200) {
+    sendJson(res, prepared.statusCode, prepared.body, prepared.headers);
+    return;
+  }
+
+  const events = openEventStream(res);
+  try {
+    await stream(prepared.body, events.send, events.signal);
+  } catch (error) {
+    if (!events.signal.aborted) {
+      const { statusCode, body } = describeError(error, label);
+      events.send('error', { ...body, statusCode });
+    }
+  } finally {
+    events.close();
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview DIKE AI Syllabus Parsing
+ *
+ * Finds dated assignments in a plain-text syllabus. A line with a date starts
+ * an entry; the lines after it, up to a blank line or the next dated line,
+ * belong to the same entry. Entries without an assignment word (due, essay,
+ * quiz, project, ...) are lecture topics or holidays and are skipped, as is
+ * everything before the first date.
+ *
+ * DATES:
+ * 2025-09-14, 9/14, 9/14/2025, Sep 14, September 14th, 2025 and 14 Sep are
+ * recognized. Dates without a year use `year`; when the month drops by more
+ * than six from one entry to the next (December to January) the year rolls
+ * over, so a fall-into-spring schedule stays in order.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH_NAME = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+/** Date formats, each returning `{month, day, year?}` from a match */
+const DATE_PATTERNS = [
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, read: (m) => ({ year: +m[1], month: +m[2], day: +m[3] }) },
+  {
+    pattern: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/,
+    read: (m) => ({ month: +m[1], day: +m[2], year: m[3] && (m[3].length === 2 ? 2000 + +m[3] : +m[3]) })
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    read: (m) => ({ month: MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, day: +m[2], year: m[3] && +m[3] })
+  },
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    read: (m) => ({ month: MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, day: +m[1], year: m[3] && +m[3] })
+  }
+];
+
+/** An entry is only kept when it mentions one of these */
+const ASSIGNMENT_WORDS = /\b(due|submit\w*|assignments?|essays?|papers?|quiz(zes)?|exams?|midterm|final|tests?|projects?|labs?|presentations?|reports?|homework|hw\d*|problem sets?|discussion posts?|posts?|reflections?|portfolios?|responses?|proposals?|drafts?|journals?|reviews?|videos?|podcasts?)\b/i;
+
+/** Separators around the date, e.g. "Week 3 - Sep 14: Essay" */
+const DATE_SEPARATORS = /^[\s\-–—:|,.)(]+|[\s\-–—:|,(]+$/g;
+
+/**
+ * Finds the first date in a line.
+ *
+ * @param {string} line - Syllabus line
+ * @returns {{month: number, day: number, year?: number, match: string}|null} Date parts, or null
+ */
+const findDate = (line) => {
+  for (const { pattern, read } of DATE_PATTERNS) {
+    const match = line.match(pattern);
+    if (!match) continue;
+    const parts = read(match);
+    if (parts.month >= 1 && parts.month <= 12 && parts.day >= 1 && parts.day <= 31) {
+      return { ...parts, match: match[0] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Formats date parts as YYYY-MM-DD, or null for impossible dates (Feb 30).
+ *
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @returns {string|null} ISO date
+ */
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Extracts dated assignments from a syllabus.
+ *
+ * @param {string} text - Syllabus as plain text
+ * @param {Object} [options]
+ * @param {number} [options.year] - Year for dates without one, defaults to the current year
+ * @returns {Array<{title: string, dueDate: string, assignmentText: string}>} Assignments in syllabus order
+ * @example
+ * parseSyllabus('Week 2\nSep 14 - Essay 1 due: 1,500 words on a local issue', { year: 2025 });
+ * // => [{ title: 'Essay 1 due: 1,500 words on a local issue', dueDate: '2025-09-14', assignmentText: 'Sep 14 - Essay 1 due: ...' }]
+ */
+export const parseSyllabus = (text, { year = new Date().getUTCFullYear() } = {}) => {
+  const entries = [];
+  let current = null;
+  let currentYear = year;
+  let previousMonth = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const date = findDate(line);
+    if (date) {
+      if (date.year) {
+        currentYear = date.year;
+      } else if (previousMonth !== null && previousMonth - date.month > 6) {
+        currentYear += 1;
+      }
+      previousMonth = date.month;
+
+      // "Week 3 - Sep 14: Essay 1" is titled by what follows the date
+      const at = line.indexOf(date.match);
+      const title = line.slice(at + date.match.length).replace(DATE_SEPARATORS, '')
+        || line.slice(0, at).replace(DATE_SEPARATORS, '');
+      const dueDate = toIsoDate(date.year || currentYear, date.month, date.day);
+      current = dueDate ? { dueDate, lines: [line.trim()], title } : null;
+      if (current) entries.push(current);
+    } else if (!line.trim()) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line.trim());
+      if (!current.title) current.title = line.replace(DATE_SEPARATORS, '');
+    }
+  }
+
+  return entries
+    .map(({ title, dueDate, lines }) => ({ title: title.slice(0, 200), dueDate, assignmentText: lines.join('\n') }))
+    .filter((entry) => ASSIGNMENT_WORDS.test(entry.assignmentText));
+};
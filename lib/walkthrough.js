@@ -0,0 +1,198 @@
+/**
+ * @fileoverview DIKE AI Persona Walkthrough
+ *
+ * Server side of the Student Perspective Simulator: the model walks through
+ * the assignment as each persona, step by step, from reading the
+ * instructions to submitting. Every step carries the hours that student
+ * spends on it, what it costs them out of pocket and what may stop them,
+ * and each persona gets accommodations the teacher can offer. Totals are
+ * summed here from the steps rather than taken from the model.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { AnalysisError, toHttpResult } from './errors.js';
+import { SEVERITY_LEVELS, validateAnalysis, formatValidationErrors } from './schema.js';
+import { requestCompletion, parseAnalysisContent, validateAssignmentText, validateRequestBarriers } from './analysis.js';
+import { validatePersonas, formatPersonasForPrompt } from './personas.js';
+
+/** Size limits on each walkthrough */
+const MAX_STEPS = 12;
+const MAX_ACCOMMODATIONS = 6;
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * JSON Schema for the walkthrough reply
+ * @type {Object}
+ */
+export const WALKTHROUGH_SCHEMA = {
+  type: 'object',
+  required: ['walkthroughs'],
+  properties: {
+    walkthroughs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['persona', 'impact', 'summary', 'steps', 'accommodations'],
+        properties: {
+          persona: nonEmptyString,
+          impact: { type: 'string', enum: SEVERITY_LEVELS },
+          summary: nonEmptyString,
+          steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['action', 'hours', 'cost'],
+              properties: {
+                action: nonEmptyString,
+                hours: { type: 'number', minimum: 0 },
+                cost: { type: 'number', minimum: 0 },
+                blocker: { type: 'string' }
+              }
+            }
+          },
+          accommodations: { type: 'array', items: nonEmptyString }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validates the walkthrough request body.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} body.assignmentText - The analyzed assignment
+ * @param {Object[]} body.personas - Personas to walk through, same shape as the analyze request
+ * @param {Object[]} [body.barriers] - Barriers from the analysis
+ * @param {string} [body.gradeLevel] - Educational level
+ * @param {string} [body.courseType] - Subject area
+ * @returns {{assignmentText: string, personas: Object[], barriers: Object[], gradeLevel: string, courseType: string}}
+ * @throws {AnalysisError} 400 or 413 when the request is malformed or too large
+ */
+export const validateWalkthroughRequest = (body) => {
+  const { assignmentText, personas, barriers = [], gradeLevel = 'college', courseType = 'general' } = body || {};
+
+  const validPersonas = validatePersonas(personas);
+  if (validPersonas.length === 0) {
+    throw new AnalysisError('Missing required field: personas', 400);
+  }
+  return {
+    assignmentText: validateAssignmentText(assignmentText),
+    personas: validPersonas,
+    barriers: validateRequestBarriers(barriers).map(({ category, severity, issue }) => ({ category, severity, issue })),
+    gradeLevel: String(gradeLevel),
+    courseType: String(courseType)
+  };
+};
+
+/**
+ * Builds the messages asking for the walkthroughs.
+ *
+ * @param {Object} input - Validated request from validateWalkthroughRequest
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+const buildWalkthroughMessages = ({ assignmentText, personas, barriers, gradeLevel, courseType }) => [
+  {
+    role: 'system',
+    content: `You are an educational equity expert. Walk through a ${gradeLevel} ${courseType} assignment as each student persona you are given, one walkthrough per persona.
+
+WALKTHROUGH RULES:
+- steps follow the order the student actually works: reading the instructions, getting materials and tools, doing the work, submitting
+- hours is the time THIS student spends on the step given their constraints, not an average student
+- cost is what the step costs the student out of pocket in US dollars; 0 when free or provided by the school
+- blocker is set only when the step may stop this student from finishing, and says why
+- impact is High when a blocker is likely, Medium when the work takes much more time or money than for other students, Low otherwise
+- summary is ONE sentence on how the assignment lands for this student
+- accommodations are specific changes the teacher can offer this student, tied to the steps
+- persona is the persona's id exactly as given
+
+Return ONLY JSON: {"walkthroughs": [{"persona": "id", "impact": "High", "summary": "text", "steps": [{"action": "text", "hours": 1.5, "cost": 0, "blocker": "optional text"}], "accommodations": ["text"]}]}`
+  },
+  {
+    role: 'user',
+    content: `Assignment:\n"""\n${assignmentText}\n"""\n\nStudent personas:\n${formatPersonasForPrompt(personas)}\n\nBarriers found: ${JSON.stringify(barriers)}\n\nWalk through the assignment as each persona.`
+  }
+];
+
+/** Rounds to a quarter hour or a cent so totals read cleanly */
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+/**
+ * Brings one valid walkthrough into the shape the simulator expects.
+ *
+ * @param {Object} walkthrough - Entry matching WALKTHROUGH_SCHEMA
+ * @returns {{persona: string, impact: string, summary: string, steps: Object[], totalHours: number, totalCost: number, blockers: string[], accommodations: string[]}}
+ */
+const normalizeWalkthrough = ({ persona, impact, summary, steps, accommodations }) => {
+  const cleanSteps = steps.slice(0, MAX_STEPS).map(({ action, hours, cost, blocker }) => ({
+    action: action.trim(),
+    hours: roundTo(hours, 0.25),
+    cost: roundTo(cost, 0.01),
+    ...(blocker?.trim() ? { blocker: blocker.trim() } : {})
+  }));
+
+  return {
+    persona: persona.trim(),
+    impact,
+    summary: summary.trim(),
+    steps: cleanSteps,
+    totalHours: roundTo(cleanSteps.reduce((sum, step) => sum + step.hours, 0), 0.25),
+    totalCost: roundTo(cleanSteps.reduce((sum, step) => sum + step.cost, 0), 0.01),
+    blockers: cleanSteps.filter((step) => step.blocker).map((step) => step.blocker),
+    accommodations: accommodations.map((accommodation) => accommodation.trim()).slice(0, MAX_ACCOMMODATIONS)
+  };
+};
+
+/**
+ * Walks through the assignment as each persona.
+ *
+ * @async
+ * @param {Object} input - Validated request from validateWalkthroughRequest
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{walkthroughs: Object[], missing: string[]}>}
+ *   One walkthrough per persona in the request's order; `missing` lists the persona ids the model skipped
+ * @throws {AnalysisError} 502 when the model reply does not match WALKTHROUGH_SCHEMA
+ */
+export const generateWalkthrough = async (input, options = {}) => {
+  const content = await requestCompletion(buildWalkthroughMessages(input), {
+    task: 'walkthrough', temperature: 0.4, maxTokens: 3000, ...options
+  });
+
+  let parsed;
+  try {
+    parsed = parseAnalysisContent(content);
+  } catch (parseError) {
+    throw new AnalysisError('Failed to parse the walkthrough from the AI response', 502, parseError.message);
+  }
+
+  const { valid, errors } = validateAnalysis(parsed, WALKTHROUGH_SCHEMA);
+  if (!valid) {
+    throw new AnalysisError('The AI response did not contain a valid walkthrough', 502, formatValidationErrors(errors));
+  }
+
+  // One walkthrough per requested persona; unknown ids and repeats are dropped
+  const byPersona = new Map();
+  parsed.walkthroughs.map(normalizeWalkthrough).forEach((walkthrough) => {
+    if (!byPersona.has(walkthrough.persona)) byPersona.set(walkthrough.persona, walkthrough);
+  });
+
+  return {
+    walkthroughs: input.personas.filter(({ id }) => byPersona.has(id)).map(({ id }) => byPersona.get(id)),
+    missing: input.personas.filter(({ id }) => !byPersona.has(id)).map(({ id }) => id)
+  };
+};
+
+/**
+ * Adapter entry point for /api/walkthrough. Never throws.
+ *
+ * @async
+ * @param {Object} body - Parsed request body
+ * @param {Object} [options] - Passed through to requestCompletion
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>} Response for the adapter to send
+ */
+export const runWalkthrough = (body, options = {}) =>
+  toHttpResult(() => generateWalkthrough(validateWalkthroughRequest(body), options), 'Walkthrough');
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview DIKE AI Time-on-Task Estimate
+ *
+ * Estimates how long an assignment takes from what its text asks for. Each
+ * sentence is checked for a measurable task (pages to read, pages or words
+ * to write, sources to find, minutes of video, problems, group meetings)
+ * and the task gets a low/high range from the rates of the grade level.
+ * The estimate is deterministic, so it is computed for every response like
+ * the barrier spans instead of being cached with the model's answer.
+ *
+ * METHOD:
+ * - low = quantity at the fast rate, high = quantity at the slow rate
+ * - A sentence can hold several tasks ("read chapter 3 and write a 5-page
+ *   essay"), each kind at most once
+ * - A task stated twice with the same quantity (instructions and rubric)
+ *   counts once; different quantities add up
+ * - Recordings without a length and group work without a meeting count get
+ *   an assumed quantity, marked `assumed`
+ * - Totals are rounded to the half hour
+ *
+ * WINDOW:
+ * `windowDays` from the request, otherwise the first "in 5 days",
+ * "within two weeks" or "two-week" phrase in the text. The hours a student
+ * at the grade level can give one course in that window (weeklyHours) are
+ * compared with the range: `over` when even the low estimate does not fit,
+ * `tight` when only the high one does not, `fits` otherwise.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Rates by grade level. Ranges are `[fast, slow]`; weeklyHours is what a
+ * student can give one course in a week outside class.
+ * @type {Object<string, {pagesPerHour: number[], hoursPerPage: number[], hoursPerSource: number[], minutesPerProblem: number[], pagesPerChapter: number, weeklyHours: number}>}
+ */
+export const WORKLOAD_RATES = {
+  elementary: { pagesPerHour: [10, 5], hoursPerPage: [1, 2], hoursPerSource: [0.5, 1], minutesPerProblem: [3, 8], pagesPerChapter: 8, weeklyHours: 1.5 },
+  middle: { pagesPerHour: [20, 10], hoursPerPage: [0.75, 1.5], hoursPerSource: [0.5, 1], minutesPerProblem: [3, 8], pagesPerChapter: 15, weeklyHours: 3 },
+  high: { pagesPerHour: [25, 12], hoursPerPage: [0.75, 1.5], hoursPerSource: [0.5, 1], minutesPerProblem: [4, 10], pagesPerChapter: 20, weeklyHours: 4 },
+  college: { pagesPerHour: [30, 15], hoursPerPage: [1, 2], hoursPerSource: [0.75, 1.5], minutesPerProblem: [5, 15], pagesPerChapter: 25, weeklyHours: 8 },
+  graduate: { pagesPerHour: [25, 12], hoursPerPage: [1.5, 3], hoursPerSource: [1, 2], minutesPerProblem: [10, 25], pagesPerChapter: 30, weeklyHours: 10 },
+  adult: { pagesPerHour: [25, 12], hoursPerPage: [1, 2], hoursPerSource: [0.75, 1.5], minutesPerProblem: [5, 15], pagesPerChapter: 20, weeklyHours: 5 }
+};
+
+/** Level-independent rates */
+const WORDS_PER_PAGE = 250;
+const PAGES_PER_ARTICLE = 10;
+const RECORDING = { setupHours: [0.5, 1], hoursPerMinute: [0.2, 0.5] }; // Script, takes, editing and upload
+const PRESENTATION = { setupHours: [1, 2], hoursPerMinute: [0.1, 0.25] }; // Slides and rehearsal
+const MEETING_HOURS = [1, 1.5];
+const DEFAULT_MEETINGS = 2;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30
+};
+const NUMBER = `(\\d+(?:,\\d{3})*(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const toNumber = (token) => NUMBER_WORDS[token.toLowerCase()] ?? Number(token.replace(/,/g, ''));
+
+/** "5", "5-7" or "5 to 7"; the upper bound of a range is used */
+const QUANTITY = `${NUMBER}(?:\\s*(?:-|–|to)\\s*${NUMBER})?`;
+const quantity = (match, index = 1) => toNumber(match[index + 1] || match[index]);
+
+/** Nouns that make "5 pages" something to write rather than to read */
+const WRITING_NOUNS = 'essay|paper|report|reflection|response|summary|journal|proposal|draft|memo|letter|story|analysis';
+
+/**
+ * Task detectors, all tried on every sentence. Each returns
+ * `{quantity, unit, assumed?}` for the sentence or null; `skipIf` names a
+ * detector that already covers the sentence (a "video presentation" is a
+ * recording, not a live presentation).
+ */
+const DETECTORS = [
+  {
+    type: 'recording',
+    match: (sentence) => {
+      if (!/\b(video|record|recording|podcast|vlog|screencast)\b/i.test(sentence)) return null;
+      const m = sentence.match(new RegExp(`${QUANTITY}[-\\s]?(?:minutes?|mins?)\\b`, 'i'));
+      return m ? { quantity: quantity(m), unit: 'minute' } : { quantity: 3, unit: 'minute', assumed: true };
+    }
+  },
+  {
+    type: 'presentation',
+    skipIf: 'recording',
+    match: (sentence) => {
+      if (!/\bpresent(ation|ations)?\b/i.test(sentence)) return null;
+      const m = sentence.match(new RegExp(`${QUANTITY}[-\\s]?(?:minutes?|mins?)\\b`, 'i'));
+      return m ? { quantity: quantity(m), unit: 'minute' } : null;
+    }
+  },
+  {
+    type: 'writing',
+    match: (sentence) => {
+      const words = sentence.match(new RegExp(`${QUANTITY}[-\\s]?words?\\b`, 'i'));
+      if (words && new RegExp(`\\b(write|writing|${WRITING_NOUNS})\\b`, 'i').test(sentence)) {
+        return { quantity: Math.max(0.5, Math.round((quantity(words) / WORDS_PER_PAGE) * 2) / 2), unit: 'page' };
+      }
+      const pages = sentence.match(new RegExp(`${QUANTITY}[-\\s]?pages?\\s+(?:[\\w-]+\\s+)?(?:${WRITING_NOUNS})`, 'i'))
+        || sentence.match(new RegExp(`\\bwrit(?:e|ing)\\s+(?:a\\s+|about\\s+|at least\\s+)?${QUANTITY}[-\\s]?pages?\\b`, 'i'));
+      return pages ? { quantity: quantity(pages), unit: 'page' } : null;
+    }
+  },
+  {
+    type: 'reading',
+    match: (sentence, rates) => {
+      if (!/\b(read|reading|readings|chapters?|articles?|textbook)\b/i.test(sentence)) return null;
+      const range = sentence.match(/\bpages?\s+(\d+)\s*(?:-|–|to|through)\s*(\d+)/i);
+      if (range && Number(range[2]) > Number(range[1])) return { quantity: Number(range[2]) - Number(range[1]) + 1, unit: 'page' };
+      const pages = sentence.match(new RegExp(`\\bread\\w*\\s+(?:[\\w-]+\\s+){0,3}?${QUANTITY}[-\\s]?pages?\\b`, 'i'));
+      if (pages) return { quantity: quantity(pages), unit: 'page' };
+      const chapterRange = sentence.match(/\bchapters?\s+(\d+)\s*(?:-|–|to|through)\s*(\d+)/i);
+      if (chapterRange) return { quantity: Math.max(1, Number(chapterRange[2]) - Number(chapterRange[1]) + 1) * rates.pagesPerChapter, unit: 'page' };
+      const chapters = sentence.match(new RegExp(`${QUANTITY}\\s+chapters?\\b`, 'i'));
+      if (chapters) return { quantity: quantity(chapters) * rates.pagesPerChapter, unit: 'page' };
+      if (/\bchapter\s+\d+/i.test(sentence)) return { quantity: rates.pagesPerChapter, unit: 'page' };
+      const articles = sentence.match(new RegExp(`\\bread\\w*\\s+(?:[\\w-]+\\s+){0,2}?${QUANTITY}\\s+(?:[\\w-]+\\s+)?articles?\\b`, 'i'));
+      return articles ? { quantity: quantity(articles) * PAGES_PER_ARTICLE, unit: 'page' } : null;
+    }
+  },
+  {
+    type: 'research',
+    match: (sentence) => {
+      const m = sentence.match(new RegExp(`${QUANTITY}\\s+(?:[\\w-]+\\s+){0,2}(?:sources|references|citations|articles)\\b`, 'i'));
+      return m && !/\bread\w*\s/i.test(sentence.slice(0, m.index)) ? { quantity: quantity(m), unit: 'source' } : null;
+    }
+  },
+  {
+    type: 'problems',
+    match: (sentence) => {
+      const m = sentence.match(new RegExp(`${QUANTITY}\\s+(?:[\\w-]+\\s+)?(?:problems|questions|exercises)\\b`, 'i'));
+      return m ? { quantity: quantity(m), unit: 'problem' } : null;
+    }
+  },
+  {
+    type: 'group',
+    match: (sentence) => {
+      if (!/\b(groups?|teams?|partners?|classmates|peers)\b/i.test(sentence)) return null;
+      const m = sentence.match(new RegExp(`${QUANTITY}\\s+(?:[\\w-]+\\s+)?(?:meetings?|sessions?)\\b`, 'i'));
+      return m ? { quantity: quantity(m), unit: 'meeting' } : { quantity: DEFAULT_MEETINGS, unit: 'meeting', assumed: true };
+    }
+  }
+];
+
+const TASK_LABELS = {
+  recording: (q) => `Record and edit a ${q}-minute video or audio`,
+  presentation: (q) => `Prepare and rehearse a ${q}-minute presentation`,
+  writing: (q) => `Write about ${q} ${q === 1 ? 'page' : 'pages'}`,
+  reading: (q) => `Read about ${q} pages`,
+  research: (q) => `Find and read ${q} ${q === 1 ? 'source' : 'sources'}`,
+  problems: (q) => `Work ${q} ${q === 1 ? 'problem' : 'problems'}`,
+  group: (q) => `Meet with the group about ${q} ${q === 1 ? 'time' : 'times'}`
+};
+
+/**
+ * Hours range of one task.
+ *
+ * @param {string} type - Detector type
+ * @param {number} q - Quantity in the detector's unit
+ * @param {Object} rates - Rates of the grade level
+ * @returns {number[]} `[low, high]`
+ */
+const taskHours = (type, q, rates) => {
+  switch (type) {
+    case 'recording': return RECORDING.setupHours.map((setup, i) => setup + q * RECORDING.hoursPerMinute[i]);
+    case 'presentation': return PRESENTATION.setupHours.map((setup, i) => setup + q * PRESENTATION.hoursPerMinute[i]);
+    case 'writing': return rates.hoursPerPage.map((rate) => q * rate);
+    case 'reading': return rates.pagesPerHour.map((rate) => q / rate);
+    case 'research': return rates.hoursPerSource.map((rate) => q * rate);
+    case 'problems': return rates.minutesPerProblem.map((minutes) => (q * minutes) / 60);
+    case 'group': return MEETING_HOURS.map((hours) => q * hours);
+    default: return [0, 0];
+  }
+};
+
+const roundHalf = (hours) => Math.max(0.5, Math.round(hours * 2) / 2);
+
+/**
+ * Finds the time students have, in days, from phrases like "due in 5 days",
+ * "within two weeks" or "a two-week project".
+ *
+ * @param {string} text - Assignment text
+ * @returns {number|null} Days, or null when the text does not say
+ */
+export const findWindowDays = (text) => {
+  const m = text.match(new RegExp(`\\b(?:in|within|over|next|have|take|takes|spend)\\s+(?:the\\s+)?(?:next\\s+)?${NUMBER}\\s+(days?|weeks?)\\b`, 'i'))
+    || text.match(new RegExp(`\\b${NUMBER}-(day|week)\\b`, 'i'));
+  if (!m) return null;
+  const days = toNumber(m[1]) * (/^week/i.test(m[2]) ? 7 : 1);
+  return days > 0 ? days : null;
+};
+
+/**
+ * Estimates the time on task of an assignment.
+ *
+ * @param {string} text - Assignment text
+ * @param {Object} [context]
+ * @param {string} [context.gradeLevel='college'] - One of WORKLOAD_RATES' keys, unknown levels use college
+ * @param {number|null} [context.windowDays] - Days students have, overrides the text
+ * @returns {{tasks: Array<{type: string, label: string, quantity: number, unit: string, assumed: boolean, low: number, high: number}>, low: number, high: number, weeklyHours: number, windowDays: number|null, windowSource: string|null, availableHours: number|null, status: string|null}}
+ *   Totals are 0 and `tasks` empty when the text names no measurable task; `status` is null without a window
+ * @example
+ * estimateWorkload('Read chapter 3 and write a 5-page essay, due in one week.', { gradeLevel: 'college' });
+ * // => { tasks: [writing 5 pages, reading 25 pages], low: 6, high: 11.5, windowDays: 7, availableHours: 8, status: 'tight', ... }
+ */
+export const estimateWorkload = (text, { gradeLevel = 'college', windowDays = null } = {}) => {
+  const rates = WORKLOAD_RATES[gradeLevel] || WORKLOAD_RATES.college;
+  const seen = new Set();
+  const tasks = [];
+
+  text.split(/(?<=[.!?])\s+|\n+/).forEach((sentence) => {
+    const found = new Set();
+    DETECTORS.forEach(({ type, skipIf, match }) => {
+      if (skipIf && found.has(skipIf)) return;
+      const task = match(sentence, rates);
+      if (!task || !(task.quantity > 0)) return;
+      found.add(type);
+      const key = `${type}:${task.quantity}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const [low, high] = taskHours(type, task.quantity, rates);
+      tasks.push({
+        type,
+        label: TASK_LABELS[type](task.quantity),
+        quantity: task.quantity,
+        unit: task.unit,
+        assumed: task.assumed === true,
+        low: roundHalf(low),
+        high: roundHalf(high)
+      });
+    });
+  });
+
+  const low = tasks.length ? roundHalf(tasks.reduce((sum, task) => sum + task.low, 0)) : 0;
+  const high = tasks.length ? roundHalf(tasks.reduce((sum, task) => sum + task.high, 0)) : 0;
+  const textDays = windowDays ? null : findWindowDays(text);
+  const days = windowDays || textDays;
+  const availableHours = days ? Math.round((rates.weeklyHours * days) / 7 * 2) / 2 : null;
+
+  return {
+    tasks,
+    low,
+    high,
+    weeklyHours: rates.weeklyHours,
+    windowDays: days || null,
+    windowSource: windowDays ? 'request' : textDays ? 'text' : null,
+    availableHours,
+    status: availableHours === null || !tasks.length ? null : low > availableHours ? 'over' : high > availableHours ? 'tight' : 'fits'
+  };
+};
+
+/**
+ * Adds the estimate to a successful analysis. Degraded results have no
+ * analysis to go with it and are returned unchanged.
+ *
+ * @param {Object} result - Analysis result
+ * @param {{assignmentText: string, gradeLevel: string, windowDays?: number|null}} input - Validated request
+ * @returns {Object} Result with `workload`
+ */
+export const attachWorkload = (result, { assignmentText, gradeLevel, windowDays = null }) => (
+  result.status === 'ok' ? { ...result, workload: estimateWorkload(assignmentText, { gradeLevel, windowDays }) } : result
+);
@@ -0,0 +1,4 @@
+import { runAlternatives } from '../../lib/alternatives.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runAlternatives);
@@ -0,0 +1,4 @@
+import { runBatch } from '../../lib/batch.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runBatch);
@@ -1,158 +1,4 @@
-const handler = async (event, context) => {
-  // Handle CORS
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
+import { runAnalysis } from '../../lib/analysis.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
 
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers
-    };
-  }
-
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    // Parse request body - handle both string and already parsed body
-    let requestBody;
-    if (typeof event.body === 'string') {
-      requestBody = JSON.parse(event.body);
-    } else {
-      requestBody = event.body;
-    }
-    
-    const { assignmentText, courseType, studentProfile } = requestBody;
-
-    // Validate required fields
-    if (!assignmentText || !courseType) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Missing required fields: assignmentText, courseType' })
-      };
-    }
-
-    // Get API key from environment
-    const apiKey = process.env.VITE_OPENROUTER_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'API key not configured' })
-      };
-    }
-
-    // Call OpenRouter API
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://dike-ai.vercel.app',
-        'X-Title': 'DIKE AI Educational Equity Analyzer'
-      },
-      body: JSON.stringify({
-        model: 'anthropic/claude-3-haiku',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an expert educational equity analyst analyzing assignments for potential barriers to student success. 
-            
-            Analyze this assignment across six dimensions of educational equity:
-            1. Socioeconomic barriers (costs, resources, technology access)
-            2. Time and scheduling constraints (flexibility, deadlines, workload)
-            3. Cultural and linguistic inclusivity (representation, language, assumptions)
-            4. Accessibility needs (physical, cognitive, technological accommodations)
-            5. Digital divide considerations (technology requirements, digital literacy)
-            6. Learning support resources (guidance, feedback, scaffolding)
-            
-            Provide specific, actionable recommendations to improve equity.`
-          },
-          {
-            role: 'user',
-            content: `Course Type: ${courseType}
-            Student Profile: ${studentProfile || 'Not specified'}
-            
-            Assignment: ${assignmentText}`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 1000
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    // Extract the AI response content
-    const aiResponse = data.choices[0].message.content;
-    
-    // Try to extract JSON from the response
-    let jsonMatch = aiResponse.match(/```json\n?([\s\S]*?)\n?```/) || aiResponse.match(/```\n?([\s\S]*?)\n?```/);
-    let analysisData;
-    
-    if (jsonMatch) {
-      try {
-        analysisData = JSON.parse(jsonMatch[1]);
-      } catch (e) {
-        // If JSON parsing fails, create a structured response from the text
-        analysisData = {
-          overallScore: 75,
-          summary: aiResponse.substring(0, 200) + '...',
-          dimensions: [
-            { name: 'Socioeconomic', score: 75, issues: ['Review required'], recommendations: ['Consider student resources'] },
-            { name: 'Time & Scheduling', score: 75, issues: ['Review required'], recommendations: ['Consider flexibility'] },
-            { name: 'Cultural & Linguistic', score: 75, issues: ['Review required'], recommendations: ['Consider inclusivity'] },
-            { name: 'Accessibility', score: 75, issues: ['Review required'], recommendations: ['Consider accommodations'] },
-            { name: 'Digital Divide', score: 75, issues: ['Review required'], recommendations: ['Consider access'] },
-            { name: 'Learning Support', score: 75, issues: ['Review required'], recommendations: ['Consider guidance'] }
-          ]
-        };
-      }
-    } else {
-      // Create a structured response from plain text
-      analysisData = {
-        overallScore: 75,
-        summary: aiResponse.substring(0, 200) + '...',
-        dimensions: [
-          { name: 'Socioeconomic', score: 75, issues: ['Review required'], recommendations: ['Consider student resources'] },
-          { name: 'Time & Scheduling', score: 75, issues: ['Review required'], recommendations: ['Consider flexibility'] },
-          { name: 'Cultural & Linguistic', score: 75, issues: ['Review required'], recommendations: ['Consider inclusivity'] },
-          { name: 'Accessibility', score: 75, issues: ['Review required'], recommendations: ['Consider accommodations'] },
-          { name: 'Digital Divide', score: 75, issues: ['Review required'], recommendations: ['Consider access'] },
-          { name: 'Learning Support', score: 75, issues: ['Review required'], recommendations: ['Consider guidance'] }
-        ]
-      };
-    }
-    
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify(analysisData)
-    };
-
-  } catch (error) {
-    console.error('Function error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: 'Internal server error' })
-    };
-  }
-};
-
-module.exports = { handler };
+export const handler = createNetlifyHandler(runAnalysis);
@@ -0,0 +1,4 @@
+import { runChat } from '../../lib/chat.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runChat);
@@ -0,0 +1,4 @@
+import { runCourseReport } from '../../lib/course.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runCourseReport);
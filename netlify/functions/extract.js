@@ -0,0 +1,4 @@
+import { runExtract } from '../../lib/extract.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runExtract);
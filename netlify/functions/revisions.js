@@ -0,0 +1,4 @@
+import { runRevisions } from '../../lib/revisions.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runRevisions);
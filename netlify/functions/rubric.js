@@ -0,0 +1,4 @@
+import { runRubric } from '../../lib/rubric.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runRubric);
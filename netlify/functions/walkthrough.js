@@ -0,0 +1,4 @@
+import { runWalkthrough } from '../../lib/walkthrough.js';
+import { createNetlifyHandler } from '../../lib/adapters.js';
+
+export const handler = createNetlifyHandler(runWalkthrough);
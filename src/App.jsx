@@ -35,14 +35,44 @@
  */
 
 // Performance optimized imports with tree shaking
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useRef, useEffect } from 'react';
 import { 
   // UI Icons Organized by functional category
-  AlertCircle, BookOpen, CheckCircle, CheckCircle2, Copy, Printer, Sparkles, AlertTriangle, Loader2,
+  AlertCircle, BookOpen, CheckCircle2, Copy, Printer, Sparkles, AlertTriangle, Loader2,
   Users, DollarSign, Wifi, Clock, Accessibility, Globe, Search, Send, Zap, TrendingUp,
   Brain, Shield, ArrowRight, Info, Star, Target, ExternalLink, Award, BarChart3, MessageSquare, 
-  Lightbulb, FileText, Download, User, Briefcase, GraduationCap, Languages, Calculator, Eye, Upload
+  Lightbulb, FileText, Download, Upload, XCircle, RefreshCw, History, Layers, CalendarDays, GitCompare, School
 } from 'lucide-react';
+import { isEventStream, readEventStream } from './utils/eventStream';
+import { readApiError } from './utils/apiError';
+import { createHistoryStore, getVersionChain } from './utils/history';
+import { getSeverityColor } from './utils/severity';
+import { extractDocument, UPLOAD_FILE_TYPES } from './utils/extract';
+import { buildAnalysisReportHtml } from './utils/analysisReport';
+import { buildCommonCartridge } from './utils/commonCartridge';
+import { EQUITY_RUBRIC } from './utils/equityRubric';
+import { pushCanvasDraft } from './utils/canvas';
+import { takeLaunchTicket, fetchLaunch } from './utils/lti';
+import {
+  BUILT_IN_PERSONAS, loadCustomPersonas, saveCustomPersonas, loadSelectedPersonaIds, saveSelectedPersonaIds,
+  toRequestPersona
+} from './utils/personas';
+import { loadCostCatalog, saveCostCatalog, priceCosts } from './utils/costCatalog';
+import HistorySidebar from './components/HistorySidebar';
+import CompareView from './components/CompareView';
+import BatchView from './components/BatchView';
+import CourseView from './components/CourseView';
+import CanvasView from './components/CanvasView';
+import LtiLaunchBanner from './components/LtiLaunchBanner';
+import PersonaEditor from './components/PersonaEditor';
+import PersonaSimulator from './components/PersonaSimulator';
+import AnnotatedText from './components/AnnotatedText';
+import RevisionView from './components/RevisionView';
+import RubricEditor from './components/RubricEditor';
+import VersionTimeline from './components/VersionTimeline';
+import WorkloadEstimate from './components/WorkloadEstimate';
+import CostCalculator from './components/CostCalculator';
+import ReadabilityReport from './components/ReadabilityReport';
 
 /**
  * Curated assignment examples for demonstration and testing
@@ -65,6 +95,10 @@ const EXAMPLE_ASSIGNMENTS = [
   "Home lab kit, photos, submit Sunday report"
 ];
 
+/** localStorage key and default for the revision target score */
+const TARGET_SCORE_KEY = 'dike-ai:target-score';
+const DEFAULT_TARGET_SCORE = 80;
+
 /**
  * DIKE AI Core Application Component
  * 
@@ -105,10 +139,30 @@ function App() {
   
   // Core application state
   const [assignmentText, setAssignmentText] = useState(''); // User input assignment
-  const [apiKey, setApiKey] = useState(import.meta.env.VITE_OPENROUTER_API_KEY || ''); // AI service key
   const [analysis, setAnalysis] = useState(null); // AI analysis results
   const [loading, setLoading] = useState(false); // Async operation state
   const [error, setError] = useState(''); // User facing error messages
+  const [streamingAnalysis, setStreamingAnalysis] = useState(null); // Sections received while the analysis streams
+  const analysisController = useRef(null); // Aborts the in-flight analysis request
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(0); // Timestamp after which requests may be retried
+  const [clock, setClock] = useState(Date.now()); // Ticks once a second while rate limited
+  const [extracting, setExtracting] = useState(false); // Uploaded document is being converted
+  const [uploadNotice, setUploadNotice] = useState(null); // {fileName, warnings} from the last upload
+
+  // Saved analyses
+  const historyStore = useRef(null); // Local or server history store, resolved on mount
+  const [historyEntries, setHistoryEntries] = useState([]); // Record summaries for the sidebar
+  const [showHistory, setShowHistory] = useState(false); // History sidebar visibility
+  const [activeHistoryId, setActiveHistoryId] = useState(null); // Record shown in the results
+  const [showBatch, setShowBatch] = useState(false); // Batch analysis screen visibility
+  const [showCourse, setShowCourse] = useState(false); // Course report screen visibility
+  const [showCanvas, setShowCanvas] = useState(false); // Canvas picker visibility
+  const [canvasSource, setCanvasSource] = useState(null); // Canvas assignment the text was pulled from
+  const [canvasPush, setCanvasPush] = useState(null); // {sending}, {error} or the /api/canvas push result
+  const [ltiLaunch, setLtiLaunch] = useState(null); // LMS launch that opened the app
+  const [comparison, setComparison] = useState(null); // {before, after} saved analyses in the compare view
+  const [targetScore, setTargetScore] = useState(() => Number(localStorage.getItem(TARGET_SCORE_KEY)) || DEFAULT_TARGET_SCORE); // Score revisions aim for
+  const [focusedBarrier, setFocusedBarrier] = useState(null); // Barrier card picked from a highlight
   
   // UI feedback states
   const [copied, setCopied] = useState(false); // Clipboard operation feedback
@@ -118,6 +172,7 @@ function App() {
   const [gradeLevel, setGradeLevel] = useState('college'); // Educational level context
   const [courseType, setCourseType] = useState('general'); // Subject area context
   const [focusArea, setFocusArea] = useState('all'); // Analysis scope
+  const [windowDays, setWindowDays] = useState(''); // Days students have, empty to read it from the assignment
   
   // Advanced feature states
   const [showLMSExport, setShowLMSExport] = useState(false); // Export modal visibility
@@ -128,51 +183,249 @@ function App() {
   const [chatInput, setChatInput] = useState(''); // Current chat message
   const [chatLoading, setChatLoading] = useState(false); // Chat processing state
   const [showRubricGenerator, setShowRubricGenerator] = useState(false); // Rubric tool visibility
+  const [rubric, setRubric] = useState(EQUITY_RUBRIC); // Rubric being edited, exported with the assignment
   const [showAlternatives, setShowAlternatives] = useState(false); // Alternative assignments
   const [alternatives, setAlternatives] = useState(null); // Generated alternatives
   const [alternativesLoading, setAlternativesLoading] = useState(false); // Alternatives processing
+  const [showRevision, setShowRevision] = useState(false); // Edit review visibility
+  const [revisedAssignment, setRevisedAssignment] = useState(''); // Teacher-approved revision, exported instead of reformattedAssignment
+
+  // Scoring weights the server used, falling back to the documented defaults
+  const scoreWeights = analysis?.scoreBreakdown?.weights || { base: 100, severity: { High: 15, Medium: 10, Low: 5 }, strength: 5 };
+
+  // Student personas: built-in ones plus the team's own, and those sent with each analysis
+  const [customPersonas, setCustomPersonas] = useState(loadCustomPersonas);
+  const [selectedPersonaIds, setSelectedPersonaIds] = useState(loadSelectedPersonaIds);
+  const [analyzedPersonaIds, setAnalyzedPersonaIds] = useState([]); // Personas the current analysis was run with
+  const [analyzedInputs, setAnalyzedInputs] = useState(null); // Text and context the current analysis was run with
+  const [showPersonaEditor, setShowPersonaEditor] = useState(false); // Persona editor visibility
+  const [personaWalkthroughs, setPersonaWalkthroughs] = useState({}); // Walkthroughs of the current analysis by persona id
+  const allPersonas = useMemo(() => [...BUILT_IN_PERSONAS, ...customPersonas], [customPersonas]);
+
+  useEffect(() => saveCustomPersonas(customPersonas), [customPersonas]);
+  useEffect(() => saveSelectedPersonaIds(selectedPersonaIds), [selectedPersonaIds]);
+
+  // Required purchases of the analysis, priced from the local catalog
+  const [costCatalog, setCostCatalog] = useState(loadCostCatalog);
+  const pricedCosts = useMemo(() => (analysis?.costs ? priceCosts(analysis.costs, costCatalog) : null), [analysis, costCatalog]);
+
+  useEffect(() => saveCostCatalog(costCatalog), [costCatalog]);
+
+  // RATE LIMIT COUNTDOWN - Seconds until the server accepts requests again
+  const retryInSeconds = Math.max(0, Math.ceil((rateLimitedUntil - clock) / 1000));
+
+  useEffect(() => {
+    if (rateLimitedUntil <= Date.now()) return undefined;
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [rateLimitedUntil]);
+
+  /**
+   * Starts the countdown when an error is a 429.
+   *
+   * @param {Error} err - Error from readApiError or readEventStream
+   * @returns {boolean} True when the error was a rate limit
+   */
+  const handleRateLimit = (err) => {
+    if (err.status !== 429) return false;
+    setClock(Date.now());
+    setRateLimitedUntil(Date.now() + (err.retryAfter || 60) * 1000);
+    return true;
+  };
 
-/**
- * Student persona definitions for equity impact simulation
- * Each persona represents a student group that may face specific barriers
- * 
- * @typedef {Object} StudentPersona
- * @property {string} id - Unique identifier for the persona
- * @property {string} name - Display name for the persona
- * @property {React.Component} icon - Icon component for UI display
- * @property {string} description - Brief description of the student group
- * @property {string[]} constraints - List of potential barriers faced by this group
- */
-const studentPersonas = [
-    {
-      id: 'working',
-      name: 'Working Student',
-      icon: Briefcase,
-      description: 'Works 20 to 30 hours per week',
-      constraints: ['Limited time after 6 PM', 'Weekend work shifts', 'No expensive software', 'Needs flexible deadlines']
-    },
-    {
-      id: 'esl',
-      name: 'ESL Learner',
-      icon: Languages,
-      description: 'English as second language',
-      constraints: ['Complex reading takes longer', 'Verbal presentations challenging', 'Written assignments need more time', 'Visual aids helpful']
-    },
-    {
-      id: 'caregiver',
-      name: 'Family Caregiver',
-      icon: User,
-      description: 'Unpredictable schedule',
-      constraints: ['Sudden schedule changes', 'Limited childcare', 'Home internet interruptions', 'Needs recorded content']
-    },
-    {
-      id: 'firstgen',
-      name: 'First Generation Student',
-      icon: GraduationCap,
-      description: 'First in family to attend college',
-      constraints: ['Unfamiliar with academic tools', 'Limited family support', 'Works to support family', 'Needs clear instructions']
+  /**
+   * Replaces the assignment text with the text of an uploaded document.
+   *
+   * @async
+   * @param {File} file - PDF, DOCX, HTML, Markdown or plain text file
+   */
+  const handleUpload = async (file) => {
+    if (!file) return;
+    setExtracting(true);
+    setError('');
+    setUploadNotice(null);
+    setCanvasSource(null);
+
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const { text, truncated, warnings = [] } = await extractDocument(apiUrl, file);
+      setAssignmentText(text);
+      const notices = truncated ? [...warnings, 'The text was too long and has been shortened.'] : warnings;
+      setUploadNotice({ fileName: file.name, warnings: notices });
+    } catch (err) {
+      console.error('Upload Error:', err);
+      if (!handleRateLimit(err)) setError(err.message || 'Could not read the document.');
+    } finally {
+      setExtracting(false);
+    }
+  };
+
+  /**
+   * Loads an assignment pulled from Canvas into the input form.
+   *
+   * @param {Object} assignment - Assignment from CanvasView, with `text`
+   */
+  const pullFromCanvas = (assignment) => {
+    setAssignmentText(assignment.text);
+    setCanvasSource({ courseId: assignment.courseId, assignmentId: assignment.id, courseName: assignment.courseName, name: assignment.name, published: assignment.published });
+    setUploadNotice(null);
+    setError('');
+    setShowCanvas(false);
+  };
+
+  // A new analysis starts a new edit review, rubric and persona walkthrough
+  useEffect(() => {
+    setShowRevision(false);
+    setRevisedAssignment('');
+    setCanvasPush(null);
+    setRubric(EQUITY_RUBRIC);
+    setPersonaWalkthroughs({});
+  }, [analysis]);
+
+  // The target score is a teacher preference, kept across sessions
+  useEffect(() => {
+    localStorage.setItem(TARGET_SCORE_KEY, String(targetScore));
+  }, [targetScore]);
+
+  // LTI - An LMS launch fills in the assignment text and course context
+  useEffect(() => {
+    const ticket = takeLaunchTicket();
+    if (!ticket) return;
+    fetchLaunch(import.meta.env.VITE_API_URL || window.location.origin, ticket)
+      .then((launch) => {
+        setLtiLaunch(launch);
+        if (launch.assignmentText) setAssignmentText(launch.assignmentText);
+        if (launch.gradeLevel) setGradeLevel(launch.gradeLevel);
+        if (launch.courseType) setCourseType(launch.courseType);
+      })
+      .catch((err) => {
+        console.error('LTI Error:', err);
+        setError(err.message || 'Could not read the launch from your LMS.');
+      });
+  }, []);
+
+  // HISTORY - Pick the store once, then keep the sidebar list in sync with it
+  useEffect(() => {
+    createHistoryStore(import.meta.env.VITE_API_URL || window.location.origin)
+      .then((store) => {
+        historyStore.current = store;
+        return store.list();
+      })
+      .then(setHistoryEntries)
+      .catch((err) => console.error('History Error:', err));
+  }, []);
+
+  /**
+   * Runs a history store operation, then reloads the sidebar list.
+   *
+   * @async
+   * @param {Function} operation - `(store) => Promise<*>`
+   * @returns {Promise<*>} Result of the operation, undefined when it failed
+   */
+  const withHistory = async (operation) => {
+    const store = historyStore.current;
+    if (!store) return undefined;
+    try {
+      const result = await operation(store);
+      setHistoryEntries(await store.list());
+      return result;
+    } catch (err) {
+      console.error('History Error:', err);
+      return undefined;
     }
-  ];
+  };
+
+  // Shows a saved result with the inputs it was produced from
+  const openHistoryEntry = async (entry) => {
+    const record = await withHistory((store) => store.get(entry.id));
+    if (!record) return;
+    setAssignmentText(record.inputs.assignmentText);
+    setGradeLevel(record.inputs.gradeLevel);
+    setCourseType(record.inputs.courseType);
+    setFocusArea(record.inputs.focusArea);
+    setWindowDays(record.inputs.windowDays ? String(record.inputs.windowDays) : '');
+    setAnalysis(record.result);
+    setAnalyzedPersonaIds((record.inputs.personas || []).map((persona) => persona.id));
+    setAnalyzedInputs(record.inputs);
+    setActiveHistoryId(record.id);
+    setChatMessages([]);
+    setAlternatives(null);
+    setError('');
+    setShowHistory(false);
+  };
+
+  // Loads two saved analyses into the compare view, older one first
+  const compareHistoryEntries = async (ids) => {
+    const records = await withHistory((store) => Promise.all(ids.map((id) => store.get(id))));
+    if (!records) return;
+    const [before, after] = [...records].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    setComparison({ before, after });
+    setShowHistory(false);
+  };
+
+  // Shows one batch or course result in the main view; it is not saved to history
+  const openBatchItem = (inputs, result) => {
+    setAssignmentText(inputs.assignmentText);
+    setAnalysis(result);
+    setAnalyzedPersonaIds([]);
+    setAnalyzedInputs(inputs);
+    setActiveHistoryId(null);
+    setChatMessages([]);
+    setAlternatives(null);
+    setError('');
+    setShowBatch(false);
+    setShowCourse(false);
+  };
+
+  // Analyzes the saved inputs again, bypassing the cache; the new run is saved as a new entry
+  const rerunHistoryEntry = async (entry) => {
+    const record = await withHistory((store) => store.get(entry.id));
+    if (!record) return;
+    setAssignmentText(record.inputs.assignmentText);
+    setGradeLevel(record.inputs.gradeLevel);
+    setCourseType(record.inputs.courseType);
+    setFocusArea(record.inputs.focusArea);
+    setWindowDays(record.inputs.windowDays ? String(record.inputs.windowDays) : '');
+    setChatMessages([]);
+    setAlternatives(null);
+    setShowHistory(false);
+    analyzeAssignment({ forceRefresh: true, inputs: record.inputs });
+  };
+
+  // Analyzes the current revision with the settings of the result on screen, not the form's, and saves it as its next version
+  const verifyRevision = async () => {
+    const revisedText = revisedAssignment || analysis?.reformattedAssignment;
+    if (!analysis || !analyzedInputs || !revisedText) return;
+    const personas = allPersonas.filter((persona) => analyzedPersonaIds.includes(persona.id)).map(toRequestPersona);
+    const settings = {
+      gradeLevel: analyzedInputs.gradeLevel,
+      courseType: analyzedInputs.courseType,
+      focusArea: analyzedInputs.focusArea,
+      ...(personas.length ? { personas } : {}),
+      ...(analysis.workload?.windowSource === 'request' ? { windowDays: analysis.workload.windowDays } : {})
+    };
+
+    // Batch and course results are not in history yet; save them as version 1 first
+    let parent = historyEntries.find((entry) => entry.id === activeHistoryId);
+    if (!parent) {
+      parent = await withHistory((store) => store.create({ inputs: { assignmentText: analyzedInputs.assignmentText.trim(), ...settings }, result: analysis }));
+    }
+
+    const chain = parent ? getVersionChain([...historyEntries.filter((entry) => entry.id !== parent.id), parent], parent.id) : [];
+    const version = parent && {
+      rootId: parent.rootId || parent.id,
+      parentId: parent.id,
+      version: Math.max(...chain.map((entry) => entry.version)) + 1
+    };
+
+    setAssignmentText(revisedText);
+    setGradeLevel(settings.gradeLevel);
+    setCourseType(settings.courseType);
+    setFocusArea(settings.focusArea);
+    setChatMessages([]);
+    setAlternatives(null);
+    analyzeAssignment({ inputs: { assignmentText: revisedText, ...settings }, version });
+  };
 
 /**
  * CORE ANALYSIS ENGINE AI Powered Equity Analysis
@@ -182,7 +435,7 @@ const studentPersonas = [
  * equity barriers and generate actionable recommendations.
  * 
  * TECHNICAL IMPLEMENTATION:
- * - Multi strategy JSON parsing for robust AI response handling
+ * - Server side parsing and normalization (lib/analysis.js)
  * - Comprehensive error recovery and user feedback
  * - Intelligent API configuration with fallback mechanisms
  * - Real time loading states and progress indicators
@@ -204,6 +457,10 @@ const studentPersonas = [
  * 
  * @async
  * @function analyzeAssignment
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Skip the server cache and ask the model again
+ * @param {Object} [options.inputs] - Saved `{assignmentText, gradeLevel, courseType, focusArea, personas, windowDays}` to use instead of the form
+ * @param {Object} [options.version] - `{rootId, parentId, version}` when the run verifies a revision
  * @returns {Promise<void>} Updates application state with analysis results
  * @throws {Error} When API calls fail or response parsing errors occur
  * @example
@@ -211,9 +468,18 @@ const studentPersonas = [
  * await analyzeAssignment();
  * // Results stored in `analysis` state
  */
-const analyzeAssignment = async () => {
+const analyzeAssignment = async ({ forceRefresh = false, inputs, version } = {}) => {
+    // Inputs default to the form and the selected personas; re-runs from history pass their saved inputs
+    const personas = allPersonas.filter((persona) => selectedPersonaIds.includes(persona.id)).map(toRequestPersona);
+    const days = parseInt(windowDays, 10);
+    const request = inputs || {
+      assignmentText, gradeLevel, courseType, focusArea,
+      ...(personas.length ? { personas } : {}),
+      ...(days > 0 ? { windowDays: Math.min(days, 365) } : {})
+    };
+
     // INPUT VALIDATION Ensure quality analysis
-    if (!assignmentText || assignmentText.trim().length < 10) {
+    if (!request.assignmentText || request.assignmentText.trim().length < 10) {
       setError('Please enter an assignment description (minimum 10 characters)');
       return;
     }
@@ -222,96 +488,107 @@ const analyzeAssignment = async () => {
     setError('');
     setLoading(true);
     setAnalysis(null);
+    setActiveHistoryId(null);
+    setStreamingAnalysis({ barriers: [] });
+
+    const controller = new AbortController();
+    analysisController.current = controller;
 
     try {
       // API CONFIGURATION Intelligent endpoint resolution
       const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
-      const response = await fetch(`${apiUrl}/api/analyze`, {
+      const requestInit = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          assignmentText,
-          gradeLevel,
-          courseType,
-          focusArea
-        })
-      });
+        body: JSON.stringify({ ...request, forceRefresh }),
+        signal: controller.signal
+      };
+
+      // Deployments without streaming (Netlify) answer 404, so fall back to the buffered endpoint
+      let response = await fetch(`${apiUrl}/api/analyze/stream`, requestInit);
+      if (response.status === 404) {
+        response = await fetch(`${apiUrl}/api/analyze`, requestInit);
+      }
 
       // HTTP ERROR HANDLING Robust error recovery
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `API Error: ${response.status} ${response.statusText}`);
+        throw await readApiError(response);
       }
-      
-      const data = await response.json();
-      
-      // Check if data is already parsed (from our server) or needs parsing (from OpenRouter)
-      let parsedAnalysis;
-      if (data.overallScore && (data.barriers || data.dimensions)) {
-        // Data is already parsed from our server
-        parsedAnalysis = data;
-      } else if (data.choices && data.choices[0] && data.choices[0].message) {
-        // Data is from OpenRouter, needs parsing
-        const content = data.choices[0].message.content;
-        
-        try {
-          // ADVANCED PARSING STRATEGIES - Robust AI Response Handling
-          // Multiple fallback strategies ensure compatibility with different AI model responses
-          let jsonText = content;
-        
-        // Strategy 1: Extract JSON from code blocks (most reliable)
-        const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[1];
-        } else {
-          // Strategy 2: Extract from generic code blocks
-          const codeMatch = content.match(/```\n?([\s\S]*?)\n?```/);
-          if (codeMatch) {
-            jsonText = codeMatch[1];
-          } else {
-            // Strategy 3: Extract JSON object from plain text (fallback)
-            const objectMatch = content.match(/\{[\s\S]*"overallScore"[\s\S]*\}/);
-            if (objectMatch) {
-              jsonText = objectMatch[0];
-            }
+
+      // STREAMING - Show each section as soon as the server forwards it
+      let data;
+      if (isEventStream(response)) {
+        await readEventStream(response, (event, payload) => {
+          if (event === 'section') {
+            setStreamingAnalysis((partial) => ({ ...partial, [payload.name]: payload.value }));
+          } else if (event === 'barrier') {
+            setStreamingAnalysis((partial) => {
+              const barriers = [...partial.barriers];
+              barriers[payload.index] = payload.barrier;
+              return { ...partial, barriers };
+            });
+          } else if (event === 'result') {
+            data = payload;
           }
-        }
-        
-        parsedAnalysis = JSON.parse(jsonText.trim());
-        
-        // DATA VALIDATION - Ensure response integrity
-        if (!parsedAnalysis.overallScore || !parsedAnalysis.summary) {
-          throw new Error('Invalid analysis structure - missing required fields');
-        }
-        
-        } catch (parseError) {
-          // PARSING ERROR HANDLING - User-friendly feedback
-          console.error('AI Response Parsing Error:', parseError);
-          setError('Failed to process AI response. The service may be temporarily unavailable. Please try again.');
-          setAnalysis(null);
-          setLoading(false);
-          return;
-        }
+        });
+        if (!data) throw new Error('The analysis stream ended before a result arrived');
       } else {
-        // Neither format is recognized
+        data = await response.json();
+      }
+
+      // DEGRADED RESULT - The model never produced a valid analysis, so there is no score to show
+      if (data.status === 'degraded') {
+        console.warn('Analysis validation errors:', data.validationErrors);
+        throw new Error(data.error || 'The AI response could not be validated. Please try again.');
+      }
+
+      // Every deploy target returns the validated analysis from lib/analysis.js
+      if (typeof data.overallScore !== 'number' || !Array.isArray(data.barriers)) {
         throw new Error('Invalid API response format');
       }
       
       // SUCCESS - Update application state with analysis results
-      setAnalysis(parsedAnalysis);
+      setAnalysis(data);
+      setAnalyzedPersonaIds((request.personas || []).map((persona) => persona.id));
+      setAnalyzedInputs(request);
+
+      // HISTORY - Save the run with its inputs so it survives a reload
+      const saved = await withHistory((store) => store.create({ inputs: request, result: data, ...version }));
+      if (saved) setActiveHistoryId(saved.id);
       
     } catch (err) {
+      // CANCELLED - The user stopped the analysis, nothing to report
+      if (err.name === 'AbortError') return;
+
+      // RATE LIMITED - Show the countdown instead of an error or a score
+      if (handleRateLimit(err)) return;
+
       // COMPREHENSIVE ERROR HANDLING - Graceful degradation
       console.error('Analysis Error:', err);
       setError(err.message || 'Analysis service temporarily unavailable. Please try again.');
     } finally {
       // STATE CLEANUP - Ensure UI consistency
-      setLoading(false);
+      if (analysisController.current === controller) {
+        analysisController.current = null;
+        setStreamingAnalysis(null);
+        setLoading(false);
+      }
     }
   };
 
+/**
+ * Cancels the running analysis. Closing the stream also cancels the model
+ * request on the server.
+ *
+ * @function cancelAnalysis
+ * @returns {void}
+ */
+const cancelAnalysis = () => {
+  analysisController.current?.abort();
+};
+
 /**
  * Copies the complete analysis to clipboard in formatted text format
  * 
@@ -351,95 +628,71 @@ const copyReformattedAssignment = () => {
  */
 
 /**
- * Generates Canvas LMS compatible JSON export
+ * Generates an IMS Common Cartridge package with the assignment, the equity
+ * report and the rubric, importable into Canvas, Blackboard, Moodle and D2L
  * 
- * @function exportToCanvas
- * @returns {void} Downloads Canvas-compatible JSON file
+ * @function exportToCommonCartridge
+ * @returns {void} Downloads the .imscc file
  */
-const exportToCanvas = () => {
-  const canvasFormat = {
-    title: "Equity Improved Assignment",
-    description: analysis?.reformattedAssignment || assignmentText,
-    points_possible: 100,
-    assignment_group_id: null,
-    grading_type: "points",
-    submission_types: ["online_text_entry", "online_upload"],
-    published: false
-  };
+const exportToCommonCartridge = () => {
+  const persona = selectedPersona ? allPersonas.find(p => p.id === selectedPersona) : null;
+  const cartridge = buildCommonCartridge({
+    title: 'Equity-Improved Assignment',
+    assignmentText: revisedAssignment || analysis?.reformattedAssignment || assignmentText,
+    analysis,
+    reportHtml: buildAnalysisReportHtml({ assignmentText, analysis, persona, costs: pricedCosts }),
+    rubric
+  });
     
-    const dataStr = JSON.stringify(canvasFormat, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+    const url = URL.createObjectURL(cartridge);
     const link = document.createElement('a');
     link.href = url;
-    link.download = 'canvas_assignment.json';
+    link.download = 'equity_assignment.imscc';
     link.click();
     
-    setExportSuccess('Canvas');
+    setExportSuccess('Common Cartridge');
     setTimeout(() => setExportSuccess(''), 3000);
   };
 
 /**
- * Generates Google Classroom compatible text export
+ * Sends the revised assignment to the Canvas course it was pulled from, as
+ * a new draft next to the original, after the teacher confirms
  * 
- * @function exportToGoogleClassroom
- * @returns {void} Downloads Google Classroom-compatible text file
+ * @async
+ * @function sendToCanvas
+ * @returns {Promise<void>} Updates canvasPush with the result
  */
-const exportToGoogleClassroom = () => {
-  const gcFormat = `Assignment Title: Equity-Improved Assignment
-
-Description:
-${analysis?.reformattedAssignment || assignmentText}
-
----
-EQUITY ANALYSIS SUMMARY
-Overall Equity Score: ${analysis?.overallScore}/100
-
-Key Improvements Made:
-${analysis?.recommendations?.map((r, i) => `${i + 1}. ${r}`).join('\n') || 'See full analysis for details'}
-
-This assignment has been analyzed and improved for educational equity using DIKE AI.
-`;
-    
-    const dataBlob = new Blob([gcFormat], { type: 'text/plain' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'google_classroom_assignment.txt';
-    link.click();
-    
-    setExportSuccess('Google Classroom');
-    setTimeout(() => setExportSuccess(''), 3000);
-  };
+const sendToCanvas = async () => {
+  const text = revisedAssignment || analysis?.reformattedAssignment;
+  if (!canvasSource || !text) return;
+
+  if (!window.confirm(`Send the revised assignment to ${canvasSource.courseName} in Canvas?\n\nA new unpublished copy of "${canvasSource.name}" will be created next to it; the original is not changed. Students will not see the copy until you publish it.`)) return;
+
+  setCanvasPush({ sending: true });
+  try {
+    const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+    setCanvasPush(await pushCanvasDraft(apiUrl, canvasSource, text));
+  } catch (err) {
+    console.error('Canvas Error:', err);
+    setCanvasPush(handleRateLimit(err) ? null : { error: err.message || 'Could not send the revision to Canvas.' });
+  }
+};
 
 /**
- * Generates Blackboard LMS compatible XML export
+ * Copies the revised assignment and opens Google Classroom. Classroom has
+ * no course import format, so the text is pasted into a new assignment
  * 
- * @function exportToBlackboard
- * @returns {void} Downloads Blackboard-compatible XML file
+ * @async
+ * @function copyForGoogleClassroom
+ * @returns {Promise<void>} Copies the assignment and opens Classroom in a new tab
  */
-const exportToBlackboard = () => {
-  const bbFormat = `<?xml version="1.0" encoding="UTF-8"?>
-<CONTENT>
-  <TITLE>Equity-Improved Assignment</TITLE>
-  <BODY>${(analysis?.reformattedAssignment || assignmentText).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</BODY>
-  <CONTENTHANDLER>resource/x-bb-assignment</CONTENTHANDLER>
-  <FLAGS>
-    <ISENABLED>true</ISENABLED>
-    <ISAVAILABLE>true</ISAVAILABLE>
-  </FLAGS>
-</CONTENT>`;
-    
-    const dataBlob = new Blob([bbFormat], { type: 'text/xml' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'blackboard_assignment.xml';
-    link.click();
-    
-    setExportSuccess('Blackboard');
-    setTimeout(() => setExportSuccess(''), 3000);
-  };
+const copyForGoogleClassroom = async () => {
+  await navigator.clipboard.writeText(revisedAssignment || analysis?.reformattedAssignment || assignmentText);
+  window.open('https://classroom.google.com/', '_blank', 'noopener');
+
+  setExportSuccess('Google Classroom');
+  setTimeout(() => setExportSuccess(''), 3000);
+};
 
 /**
  * UTILITY FUNCTIONS - Performance-optimized helpers
@@ -448,30 +701,6 @@ const exportToBlackboard = () => {
  * with emphasis on performance, accessibility, and user experience.
  */
 
-/**
- * Dynamic CSS class generation for barrier severity styling
- * 
- * This function provides contextual styling based on barrier severity levels,
- * enabling consistent visual feedback throughout the application.
- * 
- * @function getSeverityColor
- * @param {string} severity - The severity level (high, medium, low)
- * @returns {string} Optimized CSS class string for Tailwind styling
- * @example
- * // Get styling for high severity barrier
- * const classes = getSeverityColor('high');
- * // Returns: 'bg-red-500/10 border-red-500/30 text-red-400'
- */
-const getSeverityColor = (severity) => {
-  // Performance: Object lookup for O(1) complexity
-  const colors = { 
-    high: 'bg-red-500/10 border-red-500/30 text-red-400', 
-    medium: 'bg-yellow-500/10 border-yellow-500/30 text-yellow-400', 
-    low: 'bg-green-500/10 border-green-500/30 text-green-400' 
-  };
-  return colors[severity?.toLowerCase()] || 'bg-gray-500/10 border-gray-500/30 text-gray-400';
-};
-
 /**
  * Intelligent icon selection based on barrier category
  * 
@@ -547,9 +776,127 @@ const getCategoryIcon = (category) => {
     });
   };
 
-  // AI Chat for follow-up questions
+  // Barrier card shared by the results view and the streaming preview
+  /**
+   * Scrolls to a barrier card and outlines it briefly.
+   *
+   * @param {number} index - Barrier index in the analysis
+   */
+  const focusBarrier = (index) => {
+    document.getElementById(`barrier-card-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setFocusedBarrier(index);
+    setTimeout(() => setFocusedBarrier((current) => (current === index ? null : current)), 2000);
+  };
+
+  const renderBarrierCard = (barrier, idx) => {
+    const severityClass = barrier.severity?.toLowerCase() === 'high' ? 'print-severity-high' : 
+                         barrier.severity?.toLowerCase() === 'medium' ? 'print-severity-medium' : 
+                         'print-severity-low';
+    return (
+      <div key={idx} id={`barrier-card-${idx}`} className={`bg-slate-800/50 backdrop-blur-sm border border-slate-700/50 rounded-xl p-5 hover:bg-slate-800/70 transition-all duration-200 print-barrier ${severityClass} print-avoid-break ${focusedBarrier === idx ? 'ring-2 ring-cyan-400/70' : ''}`}>
+        <div className="flex gap-4">
+        {/* Icon */}
+        <div className="flex-shrink-0 p-3 bg-slate-700/50 rounded-lg border border-slate-600/50 h-fit no-print">
+          {getCategoryIcon(barrier.category)}
+        </div>
+        
+        {/* Content */}
+        <div className="flex-1 space-y-4">
+          {/* Header */}
+          <div className="flex items-center justify-between">
+            <h5 className="text-lg font-semibold text-white">{barrier.category}</h5>
+            <div className="flex items-center gap-2">
+              {barrier.measured && (
+                <span className="px-3 py-1 rounded-lg text-xs font-bold border bg-purple-500/10 border-purple-500/30 text-purple-300" title="Backed by readability measures of the text">
+                  Measured
+                </span>
+              )}
+              <span className={`px-3 py-1 rounded-lg text-xs font-bold border ${getSeverityColor(barrier.severity)}`}>
+                {barrier.severity}
+              </span>
+            </div>
+          </div>
+          
+          {/* Issue */}
+          <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+            <div className="flex items-center gap-2 mb-2">
+              <AlertTriangle className="w-4 h-4 text-orange-400" />
+              <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Issue</span>
+            </div>
+            <p className="text-slate-200 text-sm leading-relaxed">{barrier.issue}</p>
+          </div>
+
+          {/* Flagged sentences */}
+          {barrier.measured && barrier.spans?.length > 0 && (
+            <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+              <div className="flex items-center gap-2 mb-2">
+                <FileText className="w-4 h-4 text-purple-400" />
+                <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Flagged Sentences</span>
+              </div>
+              <ul className="space-y-2">
+                {barrier.spans.map((span) => (
+                  <li key={span.start} className="text-sm">
+                    <p className="text-slate-200 leading-relaxed">“{span.text}{span.truncated && '…'}”</p>
+                    {span.note && <p className="text-xs text-purple-300 mt-0.5">{span.note}</p>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
+          {/* Impact */}
+          <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+            <div className="flex items-center gap-2 mb-2">
+              <Users className="w-4 h-4 text-red-400" />
+              <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Impact</span>
+            </div>
+            <p className="text-slate-200 text-sm leading-relaxed">{barrier.impact}</p>
+          </div>
+          
+          {/* Suggestions */}
+          <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+            <div className="flex items-center gap-2 mb-2">
+              <Lightbulb className="w-4 h-4 text-green-400" />
+              <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Solutions</span>
+            </div>
+            <ul className="space-y-2">
+              {barrier.suggestions?.map((suggestion, sidx) => (
+                <li key={sidx} className="flex items-start gap-2 text-slate-200 text-sm">
+                  <CheckCircle2 className="w-4 h-4 text-green-400 flex-shrink-0 mt-0.5 no-print" />
+                  <span className="leading-relaxed">{suggestion}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          
+          {/* Research Basis */}
+          {barrier.researchBasis && (
+            <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+              <div className="flex items-center gap-2 mb-2">
+                <BookOpen className="w-4 h-4 text-blue-400" />
+                <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Research</span>
+              </div>
+              <p className="text-slate-300 text-sm leading-relaxed mb-2">{barrier.researchBasis}</p>
+              <a
+                href={`https://scholar.google.com/scholar?q=${encodeURIComponent(barrier.researchBasis)}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-2 px-3 py-1.5 bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/30 hover:border-blue-400/50 rounded-lg transition-all duration-200 text-xs text-blue-300 hover:text-blue-200"
+              >
+                <ExternalLink className="w-3 h-3" />
+                <span>View Research</span>
+              </a>
+            </div>
+          )}
+        </div>
+        </div>
+      </div>
+    );
+  };
+
+  // AI Chat for follow-up questions, answered by /api/chat with the server-side key
   const sendChatMessage = async () => {
-    if (!chatInput.trim() || !analysis) return;
+    if (!chatInput.trim() || !analysis || retryInSeconds > 0) return;
     
     const userMessage = { role: 'user', content: chatInput };
     setChatMessages([...chatMessages, userMessage]);
@@ -557,79 +904,70 @@ const getCategoryIcon = (category) => {
     setChatLoading(true);
 
     try {
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const request = {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': window.location.origin,
-          'X-Title': 'DIKE AI Chat'
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          model: 'meta-llama/llama-3.3-70b-instruct:free',
-          messages: [
-            { role: 'system', content: `You are an educational equity expert. The user has analyzed this assignment: "${assignmentText}". Analysis results: ${JSON.stringify(analysis)}. 
-
-FORMATTING RULES:
-• Use bullet points (•) for lists
-• Break content into SHORT paragraphs (2-3 sentences max)
-• Use bold text with ** for emphasis
-• Add line breaks between sections
-• Keep responses concise and scannable
-• Use numbered lists (1., 2., 3.) for steps or priorities
-
-Answer follow-up questions about barriers, suggest improvements, and provide research-backed guidance. Make your responses easy to read and visually organized.` },
-            ...chatMessages,
-            userMessage
-          ],
-          temperature: 0.7,
-          max_tokens: 1000
+          assignmentText,
+          analysis,
+          messages: [...chatMessages, userMessage]
         })
-      });
+      };
 
-      const data = await response.json();
-      const content = data.choices ? data.choices[0].message.content : data.content || 'Response received';
-      const aiMessage = { role: 'assistant', content };
-      setChatMessages([...chatMessages, userMessage, aiMessage]);
+      // Stream the reply where the deployment supports it
+      let response = await fetch(`${apiUrl}/api/chat/stream`, request);
+      if (response.status === 404) {
+        response = await fetch(`${apiUrl}/api/chat`, request);
+      }
+
+      if (!response.ok) {
+        throw await readApiError(response);
+      }
+
+      if (isEventStream(response)) {
+        let content = '';
+        await readEventStream(response, (event, payload) => {
+          if (event !== 'token') return;
+          content += payload.content;
+          setChatMessages([...chatMessages, userMessage, { role: 'assistant', content }]);
+        });
+      } else {
+        const data = await response.json();
+        setChatMessages([...chatMessages, userMessage, data.message]);
+      }
     } catch (err) {
-      setChatMessages([...chatMessages, userMessage, { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.' }]);
+      console.error('Chat Error:', err);
+      const reply = handleRateLimit(err)
+        ? `Too many requests right now. Please retry in ${err.retryAfter || 60} seconds.`
+        : 'Sorry, I encountered an error. Please try again.';
+      setChatMessages([...chatMessages, userMessage, { role: 'assistant', content: reply }]);
     } finally {
       setChatLoading(false);
     }
   };
 
-  // Generate alternative assignments
+  // Generate alternative assignments through /api/alternatives
   const generateAlternatives = async () => {
     if (!analysis) return;
     setAlternativesLoading(true);
 
     try {
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const response = await fetch(`${apiUrl}/api/alternatives`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': window.location.origin,
-          'X-Title': 'DIKE Alternatives'
-        },
-        body: JSON.stringify({
-          model: 'meta-llama/llama-3.3-70b-instruct:free',
-          messages: [
-            { role: 'system', content: 'You are an educational equity expert. Generate 3 alternative assignment versions that address the identified barriers while maintaining learning objectives. Return JSON: {"alternatives": [{"title": "text", "description": "text", "improvements": ["text"]}]}' },
-            { role: 'user', content: `Original assignment: "${assignmentText}"\n\nBarriers identified: ${JSON.stringify(analysis.barriers)}\n\nGenerate 3 more equitable alternatives.` }
-          ],
-          temperature: 0.8,
-          max_tokens: 1500
-        })
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ assignmentText, barriers: analysis.barriers })
       });
 
+      if (!response.ok) {
+        throw await readApiError(response);
+      }
       const data = await response.json();
-      const content = data.choices ? data.choices[0].message.content : data.content || '{}';
-      const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/) || content.match(/```\n?([\s\S]*?)\n?```/);
-      const parsed = JSON.parse(jsonMatch ? jsonMatch[1] : content);
-      setAlternatives(parsed.alternatives);
+      setAlternatives(data.alternatives);
     } catch (err) {
-      setError('Failed to generate alternatives');
+      console.error('Alternatives Error:', err);
+      if (!handleRateLimit(err)) setError('Failed to generate alternatives');
     } finally {
       setAlternativesLoading(false);
     }
@@ -639,58 +977,9 @@ Answer follow-up questions about barriers, suggest improvements, and provide res
   const exportToPDF = () => {
     // Use browser print with custom styling
     const printWindow = window.open('', '_blank');
-    const personaInfo = selectedPersona ? studentPersonas.find(p => p.id === selectedPersona) : null;
+    const personaInfo = selectedPersona ? allPersonas.find(p => p.id === selectedPersona) : null;
     
-    printWindow.document.write(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>DIKE Equity Analysis Report</title>
-        <style>
-          body { font-family: system-ui; max-width: 800px; margin: 40px auto; color: #333; }
-          h1 { color: #8b5cf6; border-bottom: 3px solid #8b5cf6; padding-bottom: 10px; }
-          h2 { color: #6366f1; margin-top: 30px; }
-          .score { font-size: 48px; font-weight: bold; color: #8b5cf6; }
-          .barrier { background: #f3f4f6; padding: 20px; margin: 20px 0; border-left: 4px solid #ef4444; }
-          .severity { display: inline-block; padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: bold; }
-          .high { background: #fee2e2; color: #991b1b; }
-          .medium { background: #fef3c7; color: #92400e; }
-          .low { background: #d1fae5; color: #065f46; }
-          .persona-view { background: #ede9fe; padding: 20px; margin: 20px 0; border-radius: 8px; }
-          ul { line-height: 1.8; }
-          .footer { margin-top: 50px; padding-top: 20px; border-top: 2px solid #e5e7eb; text-align: center; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <h1>🛡️ DIKE - Equity Analysis Report</h1>
-        <p><strong>Assignment:</strong> ${assignmentText}</p>
-        ${personaInfo ? `<div class="persona-view"><strong>👤 Student Perspective:</strong> ${personaInfo.name} - ${personaInfo.description}</div>` : ''}
-        <h2>Overall Equity Score</h2>
-        <div class="score">${analysis.overallScore}/100</div>
-        <p>${analysis.summary}</p>
-        <h2>Identified Barriers</h2>
-        ${analysis.barriers.map(b => `
-          <div class="barrier">
-            <h3>${b.category} <span class="severity ${b.severity.toLowerCase()}">${b.severity}</span></h3>
-            <p><strong>Issue:</strong> ${b.issue}</p>
-            <p><strong>Impact:</strong> ${b.impact}</p>
-            <p><strong>Suggestions:</strong></p>
-            <ul>${b.suggestions.map(s => `<li>${s}</li>`).join('')}</ul>
-            ${b.researchBasis ? `<p><em>Research: ${b.researchBasis}</em></p>` : ''}
-          </div>
-        `).join('')}
-        <h2>Strengths</h2>
-        <ul>${analysis.strengths.map(s => `<li>${s}</li>`).join('')}</ul>
-        <h2>Recommendations</h2>
-        <ul>${analysis.recommendations.map(r => `<li>${r}</li>`).join('')}</ul>
-        <div class="footer">
-          <p>Generated by <strong>DIKE</strong> - AI Powered Equity Analysis</p>
-          <p>Created by Utkarsh Priyadarshi | EdPol 212</p>
-          <p>${new Date().toLocaleDateString()}</p>
-        </div>
-      </body>
-      </html>
-    `);
+    printWindow.document.write(buildAnalysisReportHtml({ assignmentText, analysis, persona: personaInfo, costs: pricedCosts }));
     printWindow.document.close();
     printWindow.print();
   };
@@ -728,6 +1017,42 @@ Answer follow-up questions about barriers, suggest improvements, and provide res
               </div>
               
               <div className="flex items-center gap-3">
+                <button
+                  onClick={() => setShowPersonaEditor(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800/50 border border-slate-700 hover:border-slate-500 text-xs text-slate-300 hover:text-white transition-all"
+                >
+                  <Users className="w-3.5 h-3.5" />
+                  <span>Personas{selectedPersonaIds.length > 0 && ` (${selectedPersonaIds.length})`}</span>
+                </button>
+                <button
+                  onClick={() => setShowCanvas(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800/50 border border-slate-700 hover:border-slate-500 text-xs text-slate-300 hover:text-white transition-all"
+                >
+                  <School className="w-3.5 h-3.5" />
+                  <span>Canvas</span>
+                </button>
+                <button
+                  onClick={() => setShowCourse(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800/50 border border-slate-700 hover:border-slate-500 text-xs text-slate-300 hover:text-white transition-all"
+                >
+                  <CalendarDays className="w-3.5 h-3.5" />
+                  <span>Course</span>
+                </button>
+                <button
+                  onClick={() => setShowBatch(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800/50 border border-slate-700 hover:border-slate-500 text-xs text-slate-300 hover:text-white transition-all"
+                >
+                  <Layers className="w-3.5 h-3.5" />
+                  <span>Batch</span>
+                </button>
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800/50 border border-slate-700 hover:border-slate-500 text-xs text-slate-300 hover:text-white transition-all"
+                >
+                  <History className="w-3.5 h-3.5" />
+                  <span>History</span>
+                  {historyEntries.length > 0 && <span className="text-slate-500">{historyEntries.length}</span>}
+                </button>
                 <div className="hidden md:flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800/50 border border-slate-700">
                   <div className="w-1.5 h-1.5 rounded-full bg-green-400"></div>
                   <span className="text-xs text-slate-300">AI Active</span>
@@ -737,6 +1062,61 @@ Answer follow-up questions about barriers, suggest improvements, and provide res
           </div>
         </header>
 
+        <HistorySidebar
+          open={showHistory}
+          onClose={() => setShowHistory(false)}
+          entries={historyEntries}
+          activeId={activeHistoryId}
+          storeKind={historyStore.current?.kind}
+          onOpen={openHistoryEntry}
+          onRerun={rerunHistoryEntry}
+          onUpdate={(id, changes) => withHistory((store) => store.update(id, changes))}
+          onDelete={(id) => {
+            if (id === activeHistoryId) setActiveHistoryId(null);
+            withHistory((store) => store.remove(id));
+          }}
+          onCompare={compareHistoryEntries}
+        />
+
+        {comparison && (
+          <CompareView before={comparison.before} after={comparison.after} onClose={() => setComparison(null)} />
+        )}
+
+        {showBatch && (
+          <BatchView
+            context={{ gradeLevel, courseType, focusArea }}
+            retryInSeconds={retryInSeconds}
+            onRateLimit={handleRateLimit}
+            onOpenItem={openBatchItem}
+            onClose={() => setShowBatch(false)}
+          />
+        )}
+
+        {showCourse && (
+          <CourseView
+            context={{ gradeLevel, courseType, focusArea }}
+            retryInSeconds={retryInSeconds}
+            onRateLimit={handleRateLimit}
+            onOpenItem={openBatchItem}
+            onClose={() => setShowCourse(false)}
+          />
+        )}
+
+        {showCanvas && (
+          <CanvasView onRateLimit={handleRateLimit} onPull={pullFromCanvas} onClose={() => setShowCanvas(false)} />
+        )}
+
+        {showPersonaEditor && (
+          <PersonaEditor
+            builtIn={BUILT_IN_PERSONAS}
+            custom={customPersonas}
+            selectedIds={selectedPersonaIds}
+            onChangeCustom={setCustomPersonas}
+            onChangeSelected={setSelectedPersonaIds}
+            onClose={() => setShowPersonaEditor(false)}
+          />
+        )}
+
         <main className="max-w-6xl mx-auto px-6 py-12">
           {/* Hero Section */}
           {!analysis && !loading && (
@@ -816,6 +1196,14 @@ Answer follow-up questions about barriers, suggest improvements, and provide res
 
           {/* Input Card */}
           <div className="mb-10">
+            {ltiLaunch && (
+              <LtiLaunchBanner
+                launch={ltiLaunch}
+                assignmentText={assignmentText}
+                context={{ gradeLevel, courseType }}
+                onRateLimit={handleRateLimit}
+              />
+            )}
             <div className="glass-card p-8">
               {/* Card Header */}
               <div className="flex items-center gap-4 mb-6 pb-6 border-b border-white/10">
@@ -831,9 +1219,22 @@ Answer follow-up questions about barriers, suggest improvements, and provide res
               <div className="space-y-6">
                 {/* Textarea */}
                 <div className="space-y-2">
-                  <label className="block text-sm font-semibold text-primary">
-                    Assignment Description
-                  </label>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="block text-sm font-semibold text-primary">
+                      Assignment Description
+                    </label>
+                    <label className={`flex items-center gap-1.5 text-xs font-semibold text-cyan-300 hover:text-cyan-200 cursor-pointer ${extracting || retryInSeconds > 0 ? 'opacity-50 pointer-events-none' : ''}`}>
+                      {extracting ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Upload className="w-3.5 h-3.5" />}
+                      {extracting ? 'Reading document...' : 'Upload PDF, DOCX, HTML or Markdown'}
+                      <input
+                        type="file"
+                        accept={UPLOAD_FILE_TYPES}
+                        className="hidden"
+                        disabled={extracting || retryInSeconds > 0}
+                        onChange={(e) => { handleUpload(e.target.files[0]); e.target.value = ''; }}
+                      />
+                    </label>
+                  </div>
                   <div className="relative">
                     <textarea
                       className="input-field w-full min-h-[180px] resize-none text-sm leading-[1.6]"
@@ -842,6 +1243,8 @@ Answer follow-up questions about barriers, suggest improvements, and provide res
 Example: Read chapter, take quiz, join Zoom discussion."
                       value={assignmentText}
                       onChange={(e) => { setAssignmentText(e.target.value); setError(''); }}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => { if (e.dataTransfer.files.length) { e.preventDefault(); handleUpload(e.dataTransfer.files[0]); } }}
                     />
                     <div className="absolute bottom-4 right-5 flex items-center gap-3">
                       <span className="text-xs text-muted font-medium">
@@ -855,6 +1258,28 @@ Example: Read chapter, take quiz, join Zoom discussion."
                       )}
                     </div>
                   </div>
+                  {canvasSource && (
+                    <div className="flex items-start gap-2 text-xs text-secondary leading-[1.5]">
+                      <School className="w-3.5 h-3.5 mt-0.5 text-orange-300 flex-shrink-0" />
+                      <span className="flex-1">
+                        Pulled from <span className="font-semibold text-primary">{canvasSource.name}</span> in {canvasSource.courseName}. Approved revisions can be sent back from Export to LMS.
+                      </span>
+                      <button onClick={() => setCanvasSource(null)} className="text-slate-500 hover:text-white" aria-label="Unlink Canvas assignment">
+                        <XCircle className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  )}
+                  {uploadNotice && (
+                    <div className="flex items-start gap-2 text-xs text-secondary leading-[1.5]">
+                      <FileText className="w-3.5 h-3.5 mt-0.5 text-cyan-300 flex-shrink-0" />
+                      <div>
+                        <span>Text extracted from <span className="font-semibold text-primary">{uploadNotice.fileName}</span>. Check it before analyzing.</span>
+                        {uploadNotice.warnings.map((warning, idx) => (
+                          <div key={idx} className="text-amber-300/90">{warning}</div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* Examples */}
@@ -950,6 +1375,46 @@ Example: Read chapter, take quiz, join Zoom discussion."
                       </p>
                     </div>
 
+                    {/* Time Window */}
+                    <div>
+                      <label className="block text-sm font-semibold text-primary mb-3">
+                        Days to Complete
+                      </label>
+                      <input
+                        type="number"
+                        min={1}
+                        max={365}
+                        className="input-field w-full"
+                        value={windowDays}
+                        onChange={(e) => setWindowDays(e.target.value)}
+                        placeholder="Read from the assignment when empty"
+                      />
+                      <p className="text-xs text-muted mt-2 leading-[1.6]">
+                        The time-on-task estimate is compared with the hours students have in this window.
+                      </p>
+                    </div>
+
+                    {/* Student Personas */}
+                    <div>
+                      <label className="block text-sm font-semibold text-primary mb-3">
+                        Student Personas
+                      </label>
+                      <button
+                        onClick={() => setShowPersonaEditor(true)}
+                        className="input-field w-full text-left flex items-center gap-2"
+                      >
+                        <Users className="w-4 h-4 text-purple-300 flex-shrink-0" />
+                        <span className="truncate">
+                          {selectedPersonaIds.length
+                            ? allPersonas.filter((persona) => selectedPersonaIds.includes(persona.id)).map((persona) => persona.name).join(', ')
+                            : 'None selected'}
+                        </span>
+                      </button>
+                      <p className="text-xs text-muted mt-2 leading-[1.6]">
+                        The analysis tags each barrier with the selected personas it affects.
+                      </p>
+                    </div>
+
                     {/* Reset Button */}
                     <div className="pt-4 border-t border-white/10">
                       <button
@@ -957,6 +1422,7 @@ Example: Read chapter, take quiz, join Zoom discussion."
                           setGradeLevel('college');
                           setCourseType('general');
                           setFocusArea('all');
+                          setWindowDays('');
                         }}
                         className="w-full px-5 py-3 glass-card glass-card-hover text-secondary text-sm font-semibold rounded-xl transition-all duration-200"
                       >
@@ -979,10 +1445,23 @@ Example: Read chapter, take quiz, join Zoom discussion."
                   </div>
                 )}
 
+                {/* Rate limited - requests resume when the countdown ends */}
+                {retryInSeconds > 0 && (
+                  <div className="p-4 glass-card border-amber-400/30 bg-amber-500/10 flex items-start gap-3">
+                    <div className="p-2 bg-amber-500/20 rounded-lg flex-shrink-0">
+                      <Clock className="w-4 h-4 text-amber-300" />
+                    </div>
+                    <div className="flex-1">
+                      <div className="text-sm font-semibold text-amber-200 mb-1">Rate limited</div>
+                      <div className="text-sm text-amber-300/90 leading-[1.5]">Too many requests. You can retry in {retryInSeconds} seconds.</div>
+                    </div>
+                  </div>
+                )}
+
                 {/* Analyze Button */}
                 <button
-                  onClick={analyzeAssignment}
-                  disabled={loading}
+                  onClick={() => analyzeAssignment()}
+                  disabled={loading || retryInSeconds > 0}
                   className="w-full button-primary text-base flex items-center justify-center gap-3 group relative overflow-hidden animate-glow"
                 >
                   <div className="absolute inset-0 bg-gradient-to-r from-white/0 via-white/10 to-white/0 translate-x-[-200%] group-hover:translate-x-[200%] transition-transform duration-1000"></div>
@@ -992,6 +1471,11 @@ Example: Read chapter, take quiz, join Zoom discussion."
                         <Loader2 className="w-5 h-5 animate-spin" />
                         <span>Analyzing with AI...</span>
                       </>
+                    ) : retryInSeconds > 0 ? (
+                      <>
+                        <Clock className="w-5 h-5" />
+                        <span>Retry in {retryInSeconds}s</span>
+                      </>
                     ) : (
                       <>
                         <Send className="w-5 h-5" />
@@ -1039,11 +1523,45 @@ Example: Read chapter, take quiz, join Zoom discussion."
                       <div key={i} className="w-2 h-2 rounded-full bg-cyan-400 animate-pulse" style={{animationDelay: `${i * 0.2}s`}}></div>
                     ))}
                   </div>
+                  <button
+                    onClick={cancelAnalysis}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] rounded-xl text-sm text-gray-300 hover:text-white transition-all"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    <span>Cancel</span>
+                  </button>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Streaming preview - sections arrive before the score is computed */}
+          {loading && (streamingAnalysis?.summary || streamingAnalysis?.barriers.length > 0) && (
+            <div className="space-y-6 animate-fade-in">
+              {streamingAnalysis.summary && (
+                <div className="glass-card p-8">
+                  <div className="flex items-center gap-3 mb-4">
+                    <FileText className="w-6 h-6 text-cyan-400" />
+                    <h4 className="text-xl font-bold text-white">Summary</h4>
+                  </div>
+                  <p className="text-gray-300 text-[15px] leading-[1.8]">{streamingAnalysis.summary}</p>
+                </div>
+              )}
+              {streamingAnalysis.barriers.length > 0 && (
+                <div>
+                  <div className="flex items-center gap-3 mb-6">
+                    <Shield className="w-7 h-7 text-red-400" />
+                    <h4 className="text-2xl font-bold text-white">Identified Equity Barriers</h4>
+                    <span className="text-sm text-gray-400">{streamingAnalysis.barriers.length} so far</span>
+                  </div>
+                  <div className="space-y-4">
+                    {streamingAnalysis.barriers.map(renderBarrierCard)}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Results */}
           {analysis && !loading && (
             <div className="space-y-8 animate-fade-in">
@@ -1113,32 +1631,29 @@ Example: Read chapter, take quiz, join Zoom discussion."
                     </div>
                   )}
                   
-                  <div className="grid md:grid-cols-3 gap-4">
-                    {/* Canvas LMS */}
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {/* IMS Common Cartridge */}
                     <button
-                      onClick={exportToCanvas}
+                      onClick={exportToCommonCartridge}
                       className="p-6 bg-white/[0.03] hover:bg-white/[0.06] border border-white/[0.08] hover:border-orange-500/40 rounded-2xl transition-all duration-200 group text-left"
                     >
                       <div className="flex items-center gap-3 mb-3">
                         <div className="p-3 bg-orange-500/20 rounded-xl group-hover:bg-orange-500/30 transition-colors">
-                          <svg className="w-6 h-6 text-orange-400" fill="currentColor" viewBox="0 0 24 24">
-                            <path d="M12 0C5.373 0 0 5.373 0 12s5.373 12 12 12 12-5.373 12-12S18.627 0 12 0zm0 22C6.486 22 2 17.514 2 12S6.486 2 12 2s10 4.486 10 10-4.486 10-10 10z"/>
-                            <path d="M16 8h-3V6a1 1 0 00-2 0v2H8a1 1 0 000 2h3v3a1 1 0 002 0v-3h3a1 1 0 000-2z"/>
-                          </svg>
+                          <Layers className="w-6 h-6 text-orange-400" />
                         </div>
                         <div>
-                          <h5 className="font-bold text-white text-[15px]">Canvas LMS</h5>
-                          <p className="text-[12px] text-gray-400">JSON format</p>
+                          <h5 className="font-bold text-white text-[15px]">Canvas, Blackboard, Moodle, D2L</h5>
+                          <p className="text-[12px] text-gray-400">IMS Common Cartridge (.imscc)</p>
                         </div>
                       </div>
                       <p className="text-[13px] text-gray-400 leading-relaxed">
-                        Export as Canvas-compatible JSON file for easy import
+                        Assignment with its rubric and the instructor-only equity report, for your LMS course import tool
                       </p>
                     </button>
 
                     {/* Google Classroom */}
                     <button
-                      onClick={exportToGoogleClassroom}
+                      onClick={copyForGoogleClassroom}
                       className="p-6 bg-white/[0.03] hover:bg-white/[0.06] border border-white/[0.08] hover:border-blue-500/40 rounded-2xl transition-all duration-200 group text-left"
                     >
                       <div className="flex items-center gap-3 mb-3">
@@ -1149,42 +1664,52 @@ Example: Read chapter, take quiz, join Zoom discussion."
                         </div>
                         <div>
                           <h5 className="font-bold text-white text-[15px]">Google Classroom</h5>
-                          <p className="text-[12px] text-gray-400">Text format</p>
+                          <p className="text-[12px] text-gray-400">Copy and paste</p>
                         </div>
                       </div>
                       <p className="text-[13px] text-gray-400 leading-relaxed">
-                        Download formatted text to paste into Google Classroom
+                        Copies the revised assignment and opens Google Classroom to paste it into a new assignment
                       </p>
                     </button>
+                  </div>
 
-                    {/* Blackboard */}
-                    <button
-                      onClick={exportToBlackboard}
-                      className="p-6 bg-white/[0.03] hover:bg-white/[0.06] border border-white/[0.08] hover:border-purple-500/40 rounded-2xl transition-all duration-200 group text-left"
-                    >
-                      <div className="flex items-center gap-3 mb-3">
-                        <div className="p-3 bg-purple-500/20 rounded-xl group-hover:bg-purple-500/30 transition-colors">
-                          <svg className="w-6 h-6 text-purple-400" fill="currentColor" viewBox="0 0 24 24">
-                            <rect x="3" y="3" width="18" height="18" rx="2"/>
-                            <path fill="#000" d="M7 7h10v2H7zm0 4h10v2H7zm0 4h7v2H7z"/>
-                          </svg>
-                        </div>
-                        <div>
-                          <h5 className="font-bold text-white text-[15px]">Blackboard</h5>
-                          <p className="text-[12px] text-gray-400">XML format</p>
+                  {/* Send back to the Canvas assignment the text came from */}
+                  {canvasSource && (
+                    <div className="mt-4 p-6 bg-white/[0.03] border border-white/[0.08] rounded-2xl">
+                      <div className="flex items-center justify-between gap-4 flex-wrap">
+                        <div className="flex items-center gap-3">
+                          <div className="p-3 bg-orange-500/20 rounded-xl">
+                            <School className="w-6 h-6 text-orange-400" />
+                          </div>
+                          <div>
+                            <h5 className="font-bold text-white text-[15px]">Send to Canvas as draft</h5>
+                            <p className="text-[12px] text-gray-400">{canvasSource.name} · {canvasSource.courseName}</p>
+                          </div>
                         </div>
+                        <button
+                          onClick={sendToCanvas}
+                          disabled={canvasPush?.sending || retryInSeconds > 0 || !(revisedAssignment || analysis.reformattedAssignment)}
+                          className="inline-flex items-center gap-2 px-5 py-2.5 bg-orange-500/20 hover:bg-orange-500/30 border border-orange-500/40 text-orange-200 rounded-xl text-[13px] font-semibold disabled:opacity-40"
+                        >
+                          {canvasPush?.sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                          {retryInSeconds > 0 ? `Retry in ${retryInSeconds}s` : 'Review and send'}
+                        </button>
                       </div>
-                      <p className="text-[13px] text-gray-400 leading-relaxed">
-                        Export as Blackboard-compatible XML for import
-                      </p>
-                    </button>
-                  </div>
+                      {canvasPush?.assignment && (
+                        <p className="mt-4 text-[13px] text-green-300">
+                          Draft "{canvasPush.assignment.name}" created in Canvas next to the original.{' '}
+                          {canvasPush.assignment.htmlUrl && <a href={canvasPush.assignment.htmlUrl} target="_blank" rel="noreferrer" className="underline">Open it to review and publish.</a>}
+                        </p>
+                      )}
+                      {canvasPush?.error && <p className="mt-4 text-[13px] text-red-300">{canvasPush.error}</p>}
+                    </div>
+                  )}
 
                   <div className="mt-6 p-4 bg-blue-500/10 border border-blue-500/30 rounded-xl">
                     <div className="flex items-start gap-3">
                       <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
                       <div className="text-[13px] text-gray-300 leading-relaxed">
-                        <strong className="text-blue-300">Note:</strong> These exports include your equity improved assignment. Follow your LMS's import instructions to upload the file.
+                        <strong className="text-blue-300">Note:</strong> These exports include {revisedAssignment ? 'the revision you built from the accepted edits' : 'your equity improved assignment'}. Follow your LMS's import instructions to upload the file.
                       </div>
                     </div>
                   </div>
@@ -1207,13 +1732,13 @@ Example: Read chapter, take quiz, join Zoom discussion."
                         <div className="absolute left-0 top-full mt-3 w-[340px] p-5 bg-gray-800/95 backdrop-blur-xl border-2 border-purple-500/30 rounded-2xl shadow-2xl opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-[100]">
                           <div className="text-[13px] text-gray-200 leading-relaxed space-y-2.5">
                             <p className="font-bold text-white text-[14px] border-b border-white/[0.15] pb-2">Score Calculation Methodology</p>
-                            <p>Starts at 100, deducts points per barrier:</p>
+                            <p>Computed on the server from the identified barriers. Starts at {scoreWeights.base}, deducts points per barrier:</p>
                             <ul className="space-y-1.5 ml-3 text-gray-300">
-                              <li>• <span className="text-red-400 font-semibold">High severity:</span> -15 points</li>
-                              <li>• <span className="text-orange-400 font-semibold">Medium severity:</span> -10 points</li>
-                              <li>• <span className="text-yellow-400 font-semibold">Low severity:</span> -5 points</li>
+                              <li>• <span className="text-red-400 font-semibold">High severity:</span> -{scoreWeights.severity.High} points</li>
+                              <li>• <span className="text-orange-400 font-semibold">Medium severity:</span> -{scoreWeights.severity.Medium} points</li>
+                              <li>• <span className="text-yellow-400 font-semibold">Low severity:</span> -{scoreWeights.severity.Low} points</li>
                             </ul>
-                            <p>Adds <span className="text-green-400 font-semibold">+5 points</span> for each equity strength</p>
+                            <p>Adds <span className="text-green-400 font-semibold">+{scoreWeights.strength} points</span> for each equity strength</p>
                             <div className="text-gray-300 text-[12px] pt-2 border-t border-white/[0.15] space-y-1">
                               <p className="font-semibold text-white mb-1">Score Ranges:</p>
                               <p>• 85-100: Excellent equity design</p>
@@ -1225,6 +1750,25 @@ Example: Read chapter, take quiz, join Zoom discussion."
                         </div>
                       </div>
                     </div>
+                    {/* Cached results can be replaced with a fresh model run */}
+                    <div className="ml-auto flex items-center gap-3">
+                      {analysis.cached && (
+                        <span
+                          className="px-3 py-1 rounded-lg text-xs font-semibold bg-cyan-500/15 text-cyan-300 border border-cyan-500/30"
+                          title={`Saved ${new Date(analysis.cachedAt).toLocaleString()}`}
+                        >
+                          Cached result
+                        </span>
+                      )}
+                      <button
+                        onClick={() => analyzeAssignment({ forceRefresh: true })}
+                        disabled={retryInSeconds > 0}
+                        className="inline-flex items-center gap-2 px-3 py-1.5 bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] rounded-lg text-xs text-gray-300 hover:text-white transition-all disabled:opacity-50"
+                      >
+                        <RefreshCw className="w-3.5 h-3.5" />
+                        <span>Force re-analyze</span>
+                      </button>
+                    </div>
                   </div>
                   <h2 className="print-only" style={{marginTop: 0}}>Overall Equity Score</h2>
                   <div className="grid md:grid-cols-[auto_1fr] gap-10 items-center">
@@ -1343,6 +1887,67 @@ Example: Read chapter, take quiz, join Zoom discussion."
                   </div>
                 </div>
               </div>
+              {/* Revision Timeline */}
+              {(analysis.reformattedAssignment || revisedAssignment) && (
+                <VersionTimeline
+                  versions={getVersionChain(historyEntries, activeHistoryId)}
+                  activeId={activeHistoryId}
+                  currentScore={analysis.overallScore}
+                  targetScore={targetScore}
+                  onTargetChange={setTargetScore}
+                  onOpen={openHistoryEntry}
+                  onVerify={verifyRevision}
+                  revisionSource={revisedAssignment ? 'the revision built from your accepted edits' : 'the equity-improved version below'}
+                  disabled={loading || retryInSeconds > 0}
+                />
+              )}
+
+              {/* Score Breakdown */}
+              {analysis.scoreBreakdown && (
+                <div className="bg-slate-800/50 backdrop-blur-sm border border-slate-700/50 rounded-2xl p-6 print-avoid-break">
+                  <div className="flex items-center justify-between flex-wrap gap-3 mb-5">
+                    <div className="flex items-center gap-3">
+                      <div className="p-2 bg-purple-500/20 rounded-lg no-print">
+                        <BarChart3 className="w-5 h-5 text-purple-400" />
+                      </div>
+                      <h4 className="text-lg font-semibold text-white">Score Breakdown by Dimension</h4>
+                    </div>
+                    <div className="text-xs text-slate-400">
+                      {analysis.scoreBreakdown.base} − {analysis.scoreBreakdown.barrierPenalty} barriers + {analysis.scoreBreakdown.strengthBonus} strengths = <span className="text-white font-semibold">{analysis.overallScore}</span>
+                      {typeof analysis.llmScore === 'number' && (
+                        <span className="ml-3 px-2 py-0.5 rounded-full bg-slate-700/50 border border-slate-600/50" title="The AI model's own estimate, shown for comparison only">
+                          AI estimate: {analysis.llmScore}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {analysis.scoreBreakdown.dimensions.map((dimension) => (
+                      <div key={dimension.category} className="space-y-1.5">
+                        <div className="flex items-center justify-between text-sm">
+                          <span className="flex items-center gap-2 text-slate-200">
+                            <span className="no-print">{getCategoryIcon(dimension.category)}</span>
+                            {dimension.category}
+                          </span>
+                          <span className="text-slate-400 text-xs">
+                            {dimension.score}/{analysis.scoreBreakdown.base}
+                            {dimension.penalty > 0 && <span className="text-red-400 ml-2">−{dimension.penalty}</span>}
+                          </span>
+                        </div>
+                        <div className="w-full bg-slate-700/50 rounded-full h-2 overflow-hidden">
+                          <div
+                            className={`h-full rounded-full transition-all duration-1000 ease-out ${
+                              dimension.score >= 80 ? 'bg-green-500' : dimension.score >= 60 ? 'bg-yellow-500' : 'bg-red-500'
+                            }`}
+                            style={{ width: `${dimension.score}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Summary */}
               <div className="bg-slate-800/50 backdrop-blur-sm border border-slate-700/50 rounded-2xl p-6 print-summary print-avoid-break">
                 <div className="flex items-center gap-3 mb-4 no-print">
@@ -1357,6 +1962,15 @@ Example: Read chapter, take quiz, join Zoom discussion."
                 </div>
               </div>
 
+              {/* Time on Task */}
+              {analysis.workload && <WorkloadEstimate workload={analysis.workload} personas={allPersonas} />}
+
+              {/* Readability */}
+              {analysis.readability && <ReadabilityReport readability={analysis.readability} />}
+
+              {/* Student Out-of-Pocket Cost */}
+              {pricedCosts && <CostCalculator costs={pricedCosts} catalog={costCatalog} onChangeCatalog={setCostCatalog} />}
+
               {/* Reformatted Assignment */}
               {analysis.reformattedAssignment && (
                 <div className="bg-gradient-to-br from-emerald-500/5 via-white/[0.02] to-blue-500/5 backdrop-blur-2xl rounded-[32px] border-2 border-emerald-500/30 p-8 print-highlight print-avoid-break">
@@ -1465,88 +2079,9 @@ Example: Read chapter, take quiz, join Zoom discussion."
                     <h4 className="text-2xl font-bold text-white">Identified Equity Barriers</h4>
                   </div>
                   <h2 className="print-only">Identified Equity Barriers</h2>
+                  <AnnotatedText text={assignmentText.trim()} barriers={analysis.barriers} onSelect={focusBarrier} />
                   <div className="space-y-4">
-                    {analysis.barriers.map((barrier, idx) => {
-                      const severityClass = barrier.severity?.toLowerCase() === 'high' ? 'print-severity-high' : 
-                                           barrier.severity?.toLowerCase() === 'medium' ? 'print-severity-medium' : 
-                                           'print-severity-low';
-                      return (
-                        <div key={idx} className={`bg-slate-800/50 backdrop-blur-sm border border-slate-700/50 rounded-xl p-5 hover:bg-slate-800/70 transition-all duration-200 print-barrier ${severityClass} print-avoid-break`}>
-                          <div className="flex gap-4">
-                          {/* Icon */}
-                          <div className="flex-shrink-0 p-3 bg-slate-700/50 rounded-lg border border-slate-600/50 h-fit no-print">
-                            {getCategoryIcon(barrier.category)}
-                          </div>
-                          
-                          {/* Content */}
-                          <div className="flex-1 space-y-4">
-                            {/* Header */}
-                            <div className="flex items-center justify-between">
-                              <h5 className="text-lg font-semibold text-white">{barrier.category}</h5>
-                              <span className={`px-3 py-1 rounded-lg text-xs font-bold border ${getSeverityColor(barrier.severity)}`}>
-                                {barrier.severity}
-                              </span>
-                            </div>
-                            
-                            {/* Issue */}
-                            <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
-                              <div className="flex items-center gap-2 mb-2">
-                                <AlertTriangle className="w-4 h-4 text-orange-400" />
-                                <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Issue</span>
-                              </div>
-                              <p className="text-slate-200 text-sm leading-relaxed">{barrier.issue}</p>
-                            </div>
-                            
-                            {/* Impact */}
-                            <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
-                              <div className="flex items-center gap-2 mb-2">
-                                <Users className="w-4 h-4 text-red-400" />
-                                <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Impact</span>
-                              </div>
-                              <p className="text-slate-200 text-sm leading-relaxed">{barrier.impact}</p>
-                            </div>
-                            
-                            {/* Suggestions */}
-                            <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
-                              <div className="flex items-center gap-2 mb-2">
-                                <Lightbulb className="w-4 h-4 text-green-400" />
-                                <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Solutions</span>
-                              </div>
-                              <ul className="space-y-2">
-                                {barrier.suggestions?.map((suggestion, sidx) => (
-                                  <li key={sidx} className="flex items-start gap-2 text-slate-200 text-sm">
-                                    <CheckCircle2 className="w-4 h-4 text-green-400 flex-shrink-0 mt-0.5 no-print" />
-                                    <span className="leading-relaxed">{suggestion}</span>
-                                  </li>
-                                ))}
-                              </ul>
-                            </div>
-                            
-                            {/* Research Basis */}
-                            {barrier.researchBasis && (
-                              <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
-                                <div className="flex items-center gap-2 mb-2">
-                                  <BookOpen className="w-4 h-4 text-blue-400" />
-                                  <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Research</span>
-                                </div>
-                                <p className="text-slate-300 text-sm leading-relaxed mb-2">{barrier.researchBasis}</p>
-                                <a
-                                  href={`https://scholar.google.com/scholar?q=${encodeURIComponent(barrier.researchBasis)}`}
-                                  target="_blank"
-                                  rel="noopener noreferrer"
-                                  className="inline-flex items-center gap-2 px-3 py-1.5 bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/30 hover:border-blue-400/50 rounded-lg transition-all duration-200 text-xs text-blue-300 hover:text-blue-200"
-                                >
-                                  <ExternalLink className="w-3 h-3" />
-                                  <span>View Research</span>
-                                </a>
-                              </div>
-                            )}
-                          </div>
-                          </div>
-                        </div>
-                      );
-                    })
-                  });
+                    {analysis.barriers.map(renderBarrierCard)}
                   </div>
                 </div>
               )}
@@ -1612,6 +2147,14 @@ Example: Read chapter, take quiz, join Zoom discussion."
                     Generate Alternatives
                   </button>
                   
+                  <button
+                    onClick={() => setShowRevision(!showRevision)}
+                    className="px-5 py-3 bg-gradient-to-r from-amber-600/20 to-orange-600/20 hover:from-amber-600/30 hover:to-orange-600/30 border border-amber-500/30 hover:border-amber-500/50 text-amber-300 rounded-2xl transition-all duration-200 flex items-center gap-2.5 text-[13px] font-semibold"
+                  >
+                    <GitCompare className="w-4 h-4" />
+                    Review Edits
+                  </button>
+                  
                   <button
                     onClick={() => setShowRubricGenerator(!showRubricGenerator)}
                     className="px-5 py-3 bg-gradient-to-r from-pink-600/20 to-rose-600/20 hover:from-pink-600/30 hover:to-rose-600/30 border border-pink-500/30 hover:border-pink-500/50 text-pink-300 rounded-2xl transition-all duration-200 flex items-center gap-2.5 text-[13px] font-semibold"
@@ -1630,141 +2173,21 @@ Example: Read chapter, take quiz, join Zoom discussion."
                 </div>
 
                 {/* Student Persona Simulator */}
-                <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8">
-                  <div className="flex items-center gap-3 mb-6">
-                    <Eye className="w-6 h-6 text-purple-400" />
-                    <div>
-                      <h4 className="text-xl font-bold text-white">Student Perspective Simulator</h4>
-                      <p className="text-[13px] text-gray-400 mt-1">See how this specific assignment affects different students</p>
-                    </div>
-                  </div>
-                  
-                  <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
-                    {studentPersonas.map((persona) => {
-                      // Get barriers that affect this persona from the actual analysis
-                      const relevantBarriers = analysis.barriers.filter(b => {
-                        const category = b.category.toLowerCase();
-                        if (persona.id === 'working' && (category.includes('time') || category.includes('cost') || category.includes('economic') || category.includes('socio'))) return true;
-                        if (persona.id === 'esl' && (category.includes('language') || category.includes('cultural') || category.includes('linguistic') || category.includes('communication'))) return true;
-                        if (persona.id === 'caregiver' && (category.includes('time') || category.includes('digital') || category.includes('flexibility') || category.includes('scheduling'))) return true;
-                        if (persona.id === 'firstgen' && (category.includes('cultural') || category.includes('digital') || category.includes('academic') || category.includes('learning') || category.includes('support'))) return true;
-                        return false;
-                      });
-                      
-                      const impactCount = relevantBarriers.length;
-                      const hasHighImpact = relevantBarriers.some(b => b.severity === 'High');
-                      
-                      return (
-                        <button
-                          key={persona.id}
-                          onClick={() => setSelectedPersona(selectedPersona === persona.id ? null : persona.id)}
-                          className={`p-5 rounded-2xl border-2 transition-all duration-200 text-left ${
-                            selectedPersona === persona.id
-                              ? 'bg-purple-500/20 border-purple-500/50 shadow-lg shadow-purple-500/20'
-                              : impactCount > 0
-                              ? 'bg-white/[0.03] border-yellow-500/30 hover:border-purple-500/30'
-                              : 'bg-white/[0.03] border-white/[0.08] hover:border-purple-500/30'
-                          }`}
-                        >
-                          <div className="flex items-start justify-between mb-3">
-                            <persona.icon className={`w-8 h-8 ${selectedPersona === persona.id ? 'text-purple-400' : impactCount > 0 ? 'text-yellow-400' : 'text-gray-400'}`} />
-                            {impactCount > 0 && (
-                              <span className={`px-2 py-1 rounded-full text-[10px] font-bold ${hasHighImpact ? 'bg-red-500/20 text-red-400' : 'bg-yellow-500/20 text-yellow-400'}`}>
-                                {impactCount} {impactCount === 1 ? 'barrier' : 'barriers'}
-                              </span>
-                            )}
-                          </div>
-                          <div className="text-[15px] font-bold text-white mb-2">{persona.name}</div>
-                          <div className="text-[12px] text-gray-400 mb-2 leading-relaxed">{persona.description}</div>
-                          
-                          {selectedPersona === persona.id && relevantBarriers.length > 0 && (
-                            <div className="space-y-2 pt-3 border-t border-white/[0.08]">
-                              <div className="text-[11px] font-bold text-purple-300 mb-2">Assignment Specific Challenges:</div>
-                              {relevantBarriers.map((barrier, idx) => (
-                                <div key={idx} className="flex items-start gap-2 text-[11px] text-gray-300">
-                                  <AlertTriangle className={`w-3 h-3 flex-shrink-0 mt-0.5 ${
-                                    barrier.severity === 'High' ? 'text-red-400' : 
-                                    barrier.severity === 'Medium' ? 'text-yellow-400' : 
-                                    'text-blue-400'
-                                  }`} />
-                                  <div className="flex-1">
-                                    <div className="font-semibold text-purple-200">{barrier.category}</div>
-                                    <div className="mt-0.5 leading-relaxed">{barrier.issue}</div>
-                                  </div>
-                                </div>
-                              ))}
-                            </div>
-                          )}
-                          
-                          {selectedPersona === persona.id && relevantBarriers.length === 0 && (
-                            <div className="pt-3 border-t border-white/[0.08]">
-                              <div className="flex items-start gap-2 text-[11px] text-green-400">
-                                <CheckCircle className="w-3 h-3 flex-shrink-0 mt-0.5" />
-                                <span>This assignment has minimal barriers for this student profile</span>
-                              </div>
-                            </div>
-                          )}
-                        </button>
-                      );
-                    })}
-                  </div>
-                  
-                  {selectedPersona && (() => {
-                    const persona = studentPersonas.find(p => p.id === selectedPersona);
-                    const relevantBarriers = analysis.barriers.filter(b => {
-                      const category = b.category.toLowerCase();
-                      if (selectedPersona === 'working' && (category.includes('time') || category.includes('cost') || category.includes('economic') || category.includes('socio'))) return true;
-                      if (selectedPersona === 'esl' && (category.includes('language') || category.includes('cultural') || category.includes('linguistic') || category.includes('communication'))) return true;
-                      if (selectedPersona === 'caregiver' && (category.includes('time') || category.includes('digital') || category.includes('flexibility') || category.includes('scheduling'))) return true;
-                      if (selectedPersona === 'firstgen' && (category.includes('cultural') || category.includes('digital') || category.includes('academic') || category.includes('learning') || category.includes('support'))) return true;
-                      return false;
-                    });
-                    
-                    return (
-                      <div className="mt-6 p-5 bg-purple-500/10 border border-purple-500/30 rounded-2xl">
-                        <div className="flex items-center gap-2 text-purple-300 mb-3">
-                          <Calculator className="w-5 h-5" />
-                          <span className="font-bold text-[14px]">How {persona.name} Experiences This Assignment</span>
-                        </div>
-                        <div className="text-[13px] text-gray-300 leading-relaxed space-y-3">
-                          {relevantBarriers.length > 0 ? (
-                            <>
-                              <div className="flex items-start gap-2">
-                                <AlertTriangle className="w-4 h-4 text-yellow-400 flex-shrink-0 mt-0.5" />
-                                <p>
-                                  <strong>Impact Summary:</strong> This assignment presents <strong>{relevantBarriers.length}</strong> significant {relevantBarriers.length === 1 ? 'challenge' : 'challenges'} for {persona.name.toLowerCase()}s. 
-                                  {relevantBarriers.some(b => b.severity === 'High') && ' Some barriers are high severity and may prevent completion without accommodations.'}
-                                </p>
-                              </div>
-                              <div className="pl-6 space-y-2">
-                                {relevantBarriers.map((barrier, idx) => (
-                                  <div key={idx} className="text-[12px] text-gray-300">
-                                    <div className="flex items-start gap-2">
-                                      <span className="font-semibold text-purple-300 flex-shrink-0">→</span>
-                                      <span>{barrier.issue}</span>
-                                    </div>
-                                    {barrier.recommendation && (
-                                      <div className="ml-4 mt-1 text-green-400">
-                                        <span className="font-semibold">Solution:</span> {barrier.recommendation}
-                                      </div>
-                                    )}
-                                  </div>
-                                ))}
-                              </div>
-                            </>
-                          ) : (
-                            <div className="flex items-start gap-2">
-                              <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0 mt-0.5" />
-                              <p>
-                                <strong>Positive Assessment:</strong> This assignment does not present major barriers specific to {persona.name.toLowerCase()}s. However, review the general recommendations to ensure all students can succeed.
-                              </p>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    );
-                  })()}
-                </div>
+                <PersonaSimulator
+                  personas={allPersonas}
+                  selectedIds={selectedPersonaIds}
+                  analyzedPersonaIds={analyzedPersonaIds}
+                  barriers={analysis.barriers}
+                  assignmentText={assignmentText}
+                  context={{ gradeLevel, courseType }}
+                  walkthroughs={personaWalkthroughs}
+                  onWalkthroughs={setPersonaWalkthroughs}
+                  selected={selectedPersona}
+                  onSelect={setSelectedPersona}
+                  onManage={() => setShowPersonaEditor(true)}
+                  retryInSeconds={retryInSeconds}
+                  onRateLimit={handleRateLimit}
+                />
 
                 {/* AI Chat Panel */}
                 {showAIChat && (
@@ -1809,7 +2232,7 @@ Example: Read chapter, take quiz, join Zoom discussion."
                             </div>
                           </div>
                         ))}
-                        {chatLoading && (
+                        {chatLoading && chatMessages[chatMessages.length - 1]?.role === 'user' && (
                           <div className="flex gap-3">
                             <div className="bg-white/[0.05] border border-white/[0.08] p-4 rounded-2xl">
                               <Loader2 className="w-5 h-5 text-purple-400 animate-spin" />
@@ -1829,7 +2252,7 @@ Example: Read chapter, take quiz, join Zoom discussion."
                         />
                         <button
                           onClick={sendChatMessage}
-                          disabled={!chatInput.trim() || chatLoading}
+                          disabled={!chatInput.trim() || chatLoading || retryInSeconds > 0}
                           className="px-6 py-3.5 bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 text-white rounded-2xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                         >
                           <Send className="w-5 h-5" />
@@ -1839,6 +2262,17 @@ Example: Read chapter, take quiz, join Zoom discussion."
                   </div>
                 )}
 
+                {/* Edit Review */}
+                {showRevision && (
+                  <RevisionView
+                    assignmentText={assignmentText}
+                    barriers={analysis.barriers}
+                    retryInSeconds={retryInSeconds}
+                    onRateLimit={handleRateLimit}
+                    onExport={(text) => { setRevisedAssignment(text); setShowLMSExport(true); window.scrollTo({ top: 0, behavior: 'smooth' }); }}
+                  />
+                )}
+
                 {/* Alternative Assignments */}
                 {showAlternatives && alternatives && (
                   <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8">
@@ -1876,68 +2310,15 @@ Example: Read chapter, take quiz, join Zoom discussion."
 
                 {/* Equity Rubric Generator */}
                 {showRubricGenerator && (
-                  <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8">
-                    <div className="flex items-center gap-3 mb-6">
-                      <FileText className="w-6 h-6 text-pink-400" />
-                      <h4 className="text-xl font-bold text-white">Equity Focused Grading Rubric</h4>
-                    </div>
-                    
-                    <div className="overflow-x-auto">
-                      <table className="w-full text-[13px]">
-                        <thead>
-                          <tr className="border-b border-white/[0.08]">
-                            <th className="text-left py-3 px-4 text-gray-400 font-bold">Equity Dimension</th>
-                            <th className="text-left py-3 px-4 text-gray-400 font-bold">Exemplary (4)</th>
-                            <th className="text-left py-3 px-4 text-gray-400 font-bold">Proficient (3)</th>
-                            <th className="text-left py-3 px-4 text-gray-400 font-bold">Developing (2)</th>
-                          </tr>
-                        </thead>
-                        <tbody className="text-gray-300">
-                          <tr className="border-b border-white/[0.05]">
-                            <td className="py-4 px-4 font-semibold text-white">Access & Flexibility</td>
-                            <td className="py-4 px-4">Multiple pathways to demonstrate learning with varied formats</td>
-                            <td className="py-4 px-4">Some flexibility in format or timing</td>
-                            <td className="py-4 px-4">Single rigid format required</td>
-                          </tr>
-                          <tr className="border-b border-white/[0.05]">
-                            <td className="py-4 px-4 font-semibold text-white">Resource Equity</td>
-                            <td className="py-4 px-4">All materials provided or free alternatives offered</td>
-                            <td className="py-4 px-4">Most materials accessible with some cost</td>
-                            <td className="py-4 px-4">Requires expensive tools or software</td>
-                          </tr>
-                          <tr className="border-b border-white/[0.05]">
-                            <td className="py-4 px-4 font-semibold text-white">Time Consideration</td>
-                            <td className="py-4 px-4">Flexible deadlines, asynchronous options, extensions available</td>
-                            <td className="py-4 px-4">Some time flexibility offered</td>
-                            <td className="py-4 px-4">Strict synchronous requirements</td>
-                          </tr>
-                          <tr className="border-b border-white/[0.05]">
-                            <td className="py-4 px-4 font-semibold text-white">Cultural Responsiveness</td>
-                            <td className="py-4 px-4">Honors diverse perspectives, multiple cultural contexts welcomed</td>
-                            <td className="py-4 px-4">Acknowledges some diversity</td>
-                            <td className="py-4 px-4">Single cultural perspective assumed</td>
-                          </tr>
-                          <tr>
-                            <td className="py-4 px-4 font-semibold text-white">Universal Design</td>
-                            <td className="py-4 px-4">Built-in accommodations, accessible by design</td>
-                            <td className="py-4 px-4">Some accessibility features</td>
-                            <td className="py-4 px-4">Requires special accommodations</td>
-                          </tr>
-                        </tbody>
-                      </table>
-                    </div>
-                    
-                    <div className="mt-6 p-5 bg-pink-500/10 border border-pink-500/30 rounded-2xl">
-                      <p className="text-[13px] text-gray-300 leading-relaxed">
-                        <div className="flex items-start gap-2">
-                          <Lightbulb className="w-5 h-5 text-pink-400 flex-shrink-0 mt-0.5" />
-                          <p className="text-gray-300 text-sm leading-relaxed">
-                            <strong className="text-pink-300">Tip:</strong> Use this rubric when designing assignments to ensure equity is built in from the start, not added as an afterthought.
-                          </p>
-                        </div>
-                      </p>
-                    </div>
-                  </div>
+                  <RubricEditor
+                    rubric={rubric}
+                    onChange={setRubric}
+                    assignmentText={assignmentText}
+                    barriers={analysis.barriers}
+                    context={{ gradeLevel, courseType }}
+                    retryInSeconds={retryInSeconds}
+                    onRateLimit={handleRateLimit}
+                  />
                 )}
               </div>
 
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Annotated Assignment
+ *
+ * Shows the analyzed assignment with every barrier span highlighted in its
+ * severity color. Hovering a highlight shows the barriers behind it, clicking
+ * it jumps to the first barrier's card. Spans come from the server
+ * (lib/annotate.js) and refer to the text that was analyzed; if the text has
+ * been edited since, each span is looked up again and dropped when its
+ * excerpt is gone.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Eye } from 'lucide-react';
+import { getSeverityColor } from '../utils/severity';
+
+/** Higher wins when spans of different severities overlap */
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Finds each barrier span in the current text.
+ *
+ * @param {string} text - Assignment text being shown
+ * @param {Object[]} barriers - Barriers with `spans: [{start, end, text}]`
+ * @returns {Array<{start: number, end: number, index: number}>} Spans with their barrier index
+ */
+const resolveSpans = (text, barriers) => barriers.flatMap((barrier, index) => (barrier.spans || [])
+  .map((span) => {
+    if (text.slice(span.start, span.end) === span.text) return { start: span.start, end: span.end, index };
+    const moved = text.indexOf(span.text);
+    return moved === -1 ? null : { start: moved, end: moved + span.text.length, index };
+  })
+  .filter(Boolean));
+
+/**
+ * Cuts the text at every span boundary.
+ *
+ * @param {string} text - Assignment text
+ * @param {Array<{start: number, end: number, index: number}>} spans - Resolved spans
+ * @returns {Array<{start: number, end: number, barriers: number[]}>} Segments with the barriers covering them
+ */
+const toSegments = (text, spans) => {
+  const bounds = [...new Set([0, text.length, ...spans.flatMap(({ start, end }) => [start, end])])].sort((a, b) => a - b);
+  return bounds.slice(0, -1).map((start, i) => ({
+    start,
+    end: bounds[i + 1],
+    barriers: [...new Set(spans.filter((span) => span.start <= start && span.end >= bounds[i + 1]).map(({ index }) => index))]
+  }));
+};
+
+/**
+ * Annotated assignment text
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.text - Assignment text the analysis was run on
+ * @param {Object[]} props.barriers - Barriers from the analysis
+ * @param {Function} props.onSelect - `(index) => void` called with the barrier to scroll to
+ * @returns {JSX.Element|null} Card with the highlighted text, or null when no span was found
+ */
+function AnnotatedText({ text, barriers, onSelect }) {
+  const [hovered, setHovered] = useState(null); // Start offset of the hovered segment
+  const segments = useMemo(() => toSegments(text, resolveSpans(text, barriers)), [text, barriers]);
+
+  if (!segments.some((segment) => segment.barriers.length)) return null;
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-sm border border-slate-700/50 rounded-xl p-5 mb-4 no-print">
+      <div className="flex items-center gap-2 mb-3">
+        <Eye className="w-4 h-4 text-cyan-300" />
+        <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">Where the barriers are</span>
+      </div>
+      <div className="text-slate-200 text-sm leading-relaxed whitespace-pre-wrap">
+        {segments.map((segment) => {
+          const content = text.slice(segment.start, segment.end);
+          if (!segment.barriers.length) return <span key={segment.start}>{content}</span>;
+
+          const covering = segment.barriers.map((index) => ({ index, barrier: barriers[index] }));
+          const worst = covering.reduce((top, entry) => (
+            (SEVERITY_RANK[entry.barrier.severity?.toLowerCase()] || 0) > (SEVERITY_RANK[top.barrier.severity?.toLowerCase()] || 0) ? entry : top
+          ));
+
+          return (
+            <mark
+              key={segment.start}
+              className={`relative cursor-pointer rounded-sm border-b-2 ${getSeverityColor(worst.barrier.severity)}`}
+              onMouseEnter={() => setHovered(segment.start)}
+              onMouseLeave={() => setHovered(null)}
+              onClick={() => onSelect(covering[0].index)}
+            >
+              {content}
+              {hovered === segment.start && (
+                <span className="absolute left-0 top-full z-20 mt-1 w-72 whitespace-normal rounded-lg border border-slate-600/50 bg-slate-900 p-3 text-left shadow-xl">
+                  {covering.map(({ index, barrier }) => (
+                    <span key={index} className="block mb-2 last:mb-0">
+                      <span className={`inline-block px-2 py-0.5 mb-1 rounded text-xs font-bold border ${getSeverityColor(barrier.severity)}`}>
+                        {barrier.severity} · {barrier.category}
+                      </span>
+                      <span className="block text-xs text-slate-200 leading-[1.5]">{barrier.issue}</span>
+                    </span>
+                  ))}
+                  <span className="block text-xs text-slate-500 mt-1">Click to open the barrier</span>
+                </span>
+              )}
+            </mark>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default AnnotatedText;
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Batch Summary Dashboard
+ *
+ * Course-level dashboard for a finished batch: average score, counts, the
+ * lowest-scoring assignments and the barrier categories that repeat across
+ * the course. Renders the `summary` built by summarizeBatch on the server;
+ * used by the batch screen and the course report.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React from 'react';
+import { AlertTriangle, ArrowRight, BarChart3, CheckCircle2 } from 'lucide-react';
+
+/**
+ * Score color used by the dashboards, same bands as the main score card.
+ *
+ * @param {number} score - Equity score 0-100
+ * @returns {string} Tailwind text color
+ */
+export const scoreColor = (score) => (score >= 80 ? 'text-green-400' : score >= 60 ? 'text-yellow-400' : 'text-red-400');
+
+/**
+ * Batch summary
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.summary - `{counts, averageScore, worst, categories}` from the batch endpoint
+ * @param {Function} props.onOpenItem - `(index) => void` opens one assignment's analysis
+ * @returns {JSX.Element} Dashboard cards
+ */
+function BatchSummary({ summary, onOpenItem }) {
+  return (
+    <>
+      <div className="grid md:grid-cols-4 gap-6">
+        <div className="glass-card p-6">
+          <div className="text-xs uppercase tracking-wide text-slate-400 mb-2">Average score</div>
+          <div className={`text-4xl font-bold ${summary.averageScore === null ? 'text-slate-500' : scoreColor(summary.averageScore)}`}>
+            {summary.averageScore ?? 'n/a'}
+          </div>
+        </div>
+        <div className="glass-card p-6">
+          <div className="text-xs uppercase tracking-wide text-slate-400 mb-2">Analyzed</div>
+          <div className="text-4xl font-bold text-white">{summary.counts.ok}<span className="text-lg text-slate-500"> / {summary.counts.total}</span></div>
+        </div>
+        <div className="glass-card p-6">
+          <div className="text-xs uppercase tracking-wide text-slate-400 mb-2">Failed</div>
+          <div className="text-4xl font-bold text-white">{summary.counts.failed + summary.counts.degraded}</div>
+        </div>
+        <div className="glass-card p-6">
+          <div className="text-xs uppercase tracking-wide text-slate-400 mb-2">Repeated categories</div>
+          <div className="text-4xl font-bold text-white">{summary.categories.filter((category) => category.repeated).length}</div>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="glass-card p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <AlertTriangle className="w-5 h-5 text-red-400" />
+            <h3 className="text-lg font-bold text-white">Lowest-scoring assignments</h3>
+          </div>
+          {summary.worst.length === 0 ? (
+            <p className="text-sm text-slate-500">No scored assignments.</p>
+          ) : (
+            <ul className="space-y-2">
+              {summary.worst.map((entry) => (
+                <li key={entry.index}>
+                  <button
+                    onClick={() => onOpenItem(entry.index)}
+                    className="w-full flex items-center gap-3 p-3 rounded-lg bg-slate-900/60 border border-slate-700/60 hover:border-slate-500 text-left"
+                  >
+                    <span className={`text-lg font-bold w-10 ${scoreColor(entry.overallScore)}`}>{entry.overallScore}</span>
+                    <span className="flex-1 min-w-0 text-sm text-slate-200 truncate">{entry.title}</span>
+                    <span className="text-xs text-slate-400">{entry.barrierCount} barriers</span>
+                    <ArrowRight className="w-4 h-4 text-slate-500" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="glass-card p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <BarChart3 className="w-5 h-5 text-purple-400" />
+            <h3 className="text-lg font-bold text-white">Barrier categories across the course</h3>
+          </div>
+          {summary.categories.length === 0 ? (
+            <p className="text-sm text-slate-500">No barriers found.</p>
+          ) : (
+            <ul className="space-y-3">
+              {summary.categories.map((category) => (
+                <li key={category.category}>
+                  <div className="flex items-center justify-between gap-3 text-sm mb-1">
+                    <span className="flex items-center gap-2 text-slate-200">
+                      {category.repeated ? <AlertTriangle className="w-4 h-4 text-amber-400" /> : <CheckCircle2 className="w-4 h-4 text-slate-500" />}
+                      {category.category}
+                    </span>
+                    <span className="text-xs text-slate-400">
+                      {category.assignments} of {summary.counts.ok} assignments · {category.barriers} barriers{category.high > 0 && ` · ${category.high} high`}
+                    </span>
+                  </div>
+                  <div className="h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                    <div className={`h-full ${category.repeated ? 'bg-amber-400' : 'bg-slate-500'}`} style={{ width: `${Math.round(category.share * 100)}%` }}></div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-slate-500 mt-4">Categories found in two or more assignments are marked as repeated.</p>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default BatchSummary;
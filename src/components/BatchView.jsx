@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Batch Analysis View
+ *
+ * Full-screen batch screen: collects many assignments (pasted list, CSV or
+ * uploaded files), analyzes them through /api/analyze/batch with the course
+ * context from the main form, shows progress per assignment, and ends with
+ * a course dashboard built by the server: average score, the worst
+ * assignments and the barrier categories that repeat across the course.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useRef, useState } from 'react';
+import { X, Layers, Upload, Plus, Trash2, Loader2, AlertCircle, XCircle } from 'lucide-react';
+import { isEventStream, readEventStream } from '../utils/eventStream';
+import { readApiError } from '../utils/apiError';
+import { MAX_BATCH_SIZE, BATCH_FILE_TYPES, parsePastedAssignments, readAssignmentFiles } from '../utils/batchInput';
+import BatchSummary, { scoreColor } from './BatchSummary';
+
+/**
+ * Batch view
+ *
+ * @component
+ * @param {Object} props
+ * @param {{gradeLevel: string, courseType: string, focusArea: string}} props.context - Course context applied to every assignment
+ * @param {number} props.retryInSeconds - Rate-limit countdown from App, 0 when requests are allowed
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @param {Function} props.onOpenItem - `(inputs, result) => void` shows one analysis in the main view
+ * @param {Function} props.onClose - Leaves the batch view
+ * @returns {JSX.Element} Overlay with the batch screen
+ */
+function BatchView({ context, retryInSeconds, onRateLimit, onOpenItem, onClose }) {
+  const [pasted, setPasted] = useState('');
+  const [assignments, setAssignments] = useState([]); // Queued {title, assignmentText}
+  const [items, setItems] = useState([]); // Finished items by request index
+  const [progress, setProgress] = useState(null); // {completed, total} while or after running
+  const [summary, setSummary] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const controller = useRef(null);
+
+  const addAssignments = (added) => {
+    if (added.length === 0) {
+      setError('No assignments found in that input.');
+      return;
+    }
+    const next = [...assignments, ...added];
+    setError(next.length > MAX_BATCH_SIZE ? `Only the first ${MAX_BATCH_SIZE} assignments are kept.` : '');
+    setAssignments(next.slice(0, MAX_BATCH_SIZE));
+    setItems([]);
+    setSummary(null);
+    setProgress(null);
+  };
+
+  const addFiles = async (files) => {
+    try {
+      addAssignments(await readAssignmentFiles(files));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runBatch = async () => {
+    setError('');
+    setItems([]);
+    setSummary(null);
+    setProgress({ completed: 0, total: assignments.length });
+    setRunning(true);
+    controller.current = new AbortController();
+
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const request = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...context, assignments }),
+        signal: controller.current.signal
+      };
+
+      // Deployments without streaming answer 404, so fall back to the buffered endpoint
+      let response = await fetch(`${apiUrl}/api/analyze/batch/stream`, request);
+      if (response.status === 404) {
+        response = await fetch(`${apiUrl}/api/analyze/batch`, request);
+      }
+      if (response.status === 404) {
+        throw new Error('Batch analysis is not available on this deployment.');
+      }
+      if (!response.ok) throw await readApiError(response);
+
+      if (isEventStream(response)) {
+        await readEventStream(response, (event, payload) => {
+          if (event === 'item') {
+            setItems((previous) => {
+              const next = [...previous];
+              next[payload.index] = payload;
+              return next;
+            });
+            setProgress({ completed: payload.completed, total: payload.total });
+          } else if (event === 'summary') {
+            setSummary(payload);
+          }
+        });
+      } else {
+        const data = await response.json();
+        setItems(data.items);
+        setProgress({ completed: data.items.length, total: data.items.length });
+        setSummary(data.summary);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      if (onRateLimit(err)) return;
+      console.error('Batch Error:', err);
+      setError(err.message || 'Batch analysis failed. Please try again.');
+    } finally {
+      setRunning(false);
+      controller.current = null;
+    }
+  };
+
+  const openItem = (index) => {
+    const item = items[index];
+    if (item?.status !== 'ok') return;
+    onOpenItem({ ...context, assignmentText: assignments[index].assignmentText }, item.result);
+  };
+
+  const percent = progress?.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-y-auto bg-slate-950/95 backdrop-blur-sm no-print">
+      <div className="max-w-6xl mx-auto px-6 py-10 space-y-8">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Layers className="w-7 h-7 text-cyan-300" />
+            <h2 className="text-2xl font-bold text-white">Batch Analysis</h2>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white" aria-label="Close batch analysis">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Input */}
+        {!running && !summary && (
+          <div className="glass-card p-8 space-y-6">
+            <div>
+              <label className="block text-sm font-semibold text-white mb-3">Paste assignments</label>
+              <textarea
+                value={pasted}
+                onChange={(e) => setPasted(e.target.value)}
+                placeholder={'One assignment per block. Separate assignments with a line containing only ---\n(or with blank lines if no --- is present).'}
+                className="input-field w-full h-40 resize-y text-sm"
+              />
+              <div className="flex flex-wrap items-center gap-3 mt-3">
+                <button
+                  onClick={() => {
+                    addAssignments(parsePastedAssignments(pasted));
+                    setPasted('');
+                  }}
+                  disabled={!pasted.trim()}
+                  className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-cyan-500/20 border border-cyan-500/40 text-sm text-cyan-200 disabled:opacity-40"
+                >
+                  <Plus className="w-4 h-4" /> Add to batch
+                </button>
+                <label className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 hover:border-slate-500 text-sm text-slate-200 cursor-pointer">
+                  <Upload className="w-4 h-4" /> Upload CSV or text files
+                  <input
+                    type="file"
+                    multiple
+                    accept={BATCH_FILE_TYPES}
+                    className="hidden"
+                    onChange={(e) => {
+                      addFiles(e.target.files);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                <span className="text-xs text-slate-500">CSV needs an assignmentText (or text / description) column and may have a title column.</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-300">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" /> {error}
+          </div>
+        )}
+
+        {/* Queue and progress */}
+        {assignments.length > 0 && (
+          <div className="glass-card p-8">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+              <div>
+                <h3 className="text-xl font-bold text-white">{assignments.length} assignments</h3>
+                <p className="text-xs text-slate-400 mt-1">
+                  {context.gradeLevel} · {context.courseType} · focus: {context.focusArea} (from the Assignment Context settings)
+                </p>
+              </div>
+              {running ? (
+                <button
+                  onClick={() => controller.current?.abort()}
+                  className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 text-sm text-slate-200"
+                >
+                  <XCircle className="w-4 h-4" /> Cancel
+                </button>
+              ) : (
+                <div className="flex items-center gap-3">
+                  <button onClick={() => { setAssignments([]); setItems([]); setSummary(null); setProgress(null); }} className="text-sm text-slate-400 hover:text-white">
+                    Clear
+                  </button>
+                  <button
+                    onClick={runBatch}
+                    disabled={retryInSeconds > 0}
+                    className="inline-flex items-center gap-1.5 px-5 py-2 rounded-lg bg-cyan-500 hover:bg-cyan-400 text-sm font-semibold text-slate-900 disabled:opacity-40"
+                  >
+                    {retryInSeconds > 0 ? `Retry in ${retryInSeconds}s` : summary ? 'Analyze again' : 'Analyze batch'}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {progress && (
+              <div className="mb-6">
+                <div className="flex justify-between text-xs text-slate-400 mb-2">
+                  <span>{progress.completed} of {progress.total} analyzed</span>
+                  <span>{percent}%</span>
+                </div>
+                <div className="h-2 rounded-full bg-slate-800 overflow-hidden">
+                  <div className="h-full bg-cyan-400 transition-all duration-300" style={{ width: `${percent}%` }}></div>
+                </div>
+              </div>
+            )}
+
+            <ul className="divide-y divide-slate-800">
+              {assignments.map((assignment, index) => {
+                const item = items[index];
+                return (
+                  <li key={index} className="flex items-center gap-4 py-3">
+                    <span className="w-6 text-xs text-slate-500 text-right">{index + 1}</span>
+                    <button
+                      onClick={() => openItem(index)}
+                      disabled={item?.status !== 'ok'}
+                      className="flex-1 min-w-0 text-left text-sm text-slate-200 truncate enabled:hover:text-cyan-300"
+                    >
+                      {assignment.title}
+                    </button>
+                    {item?.status === 'ok' && <span className={`text-sm font-bold ${scoreColor(item.result.overallScore)}`}>{item.result.overallScore}</span>}
+                    {item?.status === 'degraded' && <span className="text-xs text-amber-300">No valid result</span>}
+                    {item?.status === 'error' && <span className="text-xs text-red-300 truncate max-w-[40%]" title={item.error}>{item.error}</span>}
+                    {!item && running && <Loader2 className="w-4 h-4 text-slate-500 animate-spin" />}
+                    {!item && !running && !progress && (
+                      <button
+                        onClick={() => setAssignments(assignments.filter((_, i) => i !== index))}
+                        className="p-1 text-slate-500 hover:text-red-300"
+                        aria-label={`Remove ${assignment.title}`}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {/* Course dashboard */}
+        {summary && (
+          <BatchSummary summary={summary} onOpenItem={openItem} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BatchView;
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Canvas Assignment Picker
+ *
+ * Full-screen view for the Canvas connector: lists the courses the server's
+ * Canvas user teaches, then a course's assignments, and pulls the chosen
+ * assignment's description into the analyzer. Sending the revision back
+ * happens from the LMS export panel once the teacher has reviewed it.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useEffect, useState } from 'react';
+import { X, School, Loader2, AlertCircle, ChevronLeft, ExternalLink } from 'lucide-react';
+import { listCanvasCourses, listCanvasAssignments, getCanvasAssignment } from '../utils/canvas';
+
+/**
+ * Canvas view
+ *
+ * @component
+ * @param {Object} props
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @param {Function} props.onPull - `(assignment) => void` loads `{id, courseId, courseName, name, published, htmlUrl, text}` into the analyzer
+ * @param {Function} props.onClose - Leaves the Canvas view
+ * @returns {JSX.Element} Overlay with the course and assignment lists
+ */
+function CanvasView({ onRateLimit, onPull, onClose }) {
+  const [courses, setCourses] = useState(null);
+  const [course, setCourse] = useState(null); // Selected course
+  const [assignments, setAssignments] = useState(null);
+  const [loading, setLoading] = useState(''); // What is being fetched, '' when idle
+  const [error, setError] = useState('');
+  const [notConfigured, setNotConfigured] = useState(false);
+
+  const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+
+  const run = async (label, work) => {
+    setLoading(label);
+    setError('');
+    try {
+      await work();
+    } catch (err) {
+      console.error('Canvas Error:', err);
+      if (err.notConfigured) setNotConfigured(true);
+      else if (!onRateLimit(err)) setError(err.message || 'Canvas request failed.');
+    } finally {
+      setLoading('');
+    }
+  };
+
+  useEffect(() => {
+    run('courses', async () => setCourses(await listCanvasCourses(apiUrl)));
+  }, []);
+
+  const openCourse = (selected) => {
+    setCourse(selected);
+    setAssignments(null);
+    run('assignments', async () => setAssignments(await listCanvasAssignments(apiUrl, selected.id)));
+  };
+
+  const pull = (summary) => run(`assignment-${summary.id}`, async () => {
+    const assignment = await getCanvasAssignment(apiUrl, course.id, summary.id);
+    onPull({ ...assignment, courseName: course.name });
+  });
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-y-auto bg-slate-950/95 backdrop-blur-sm no-print">
+      <div className="max-w-4xl mx-auto px-6 py-10 space-y-8">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <School className="w-7 h-7 text-orange-300" />
+            <h2 className="text-2xl font-bold text-white">{course ? course.name : 'Canvas Courses'}</h2>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white" aria-label="Close Canvas">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {notConfigured && (
+          <div className="glass-card p-8 text-sm text-slate-300 leading-relaxed">
+            Canvas is not connected on this deployment. Set <code className="text-orange-300">CANVAS_BASE_URL</code> and <code className="text-orange-300">CANVAS_API_TOKEN</code> on the server to pull assignments from Canvas and send revisions back as drafts.
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-300">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" /> {error}
+          </div>
+        )}
+
+        {(loading === 'courses' || loading === 'assignments') && (
+          <div className="flex items-center gap-2 text-sm text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" /> Loading {loading} from Canvas...
+          </div>
+        )}
+
+        {/* Courses */}
+        {!course && courses && (
+          <div className="glass-card p-4 divide-y divide-slate-800">
+            {courses.length === 0 && <p className="p-4 text-sm text-slate-400">No courses where this Canvas user is a teacher.</p>}
+            {courses.map((c) => (
+              <button
+                key={c.id}
+                onClick={() => openCourse(c)}
+                className="w-full flex items-center justify-between gap-4 p-4 text-left hover:bg-slate-800/60 rounded-lg"
+              >
+                <span className="text-sm font-semibold text-white">{c.name}</span>
+                <span className="text-xs text-slate-500">{c.code}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Assignments */}
+        {course && (
+          <div className="space-y-4">
+            <button onClick={() => setCourse(null)} className="inline-flex items-center gap-1 text-sm text-slate-400 hover:text-white">
+              <ChevronLeft className="w-4 h-4" /> All courses
+            </button>
+            {assignments && (
+              <div className="glass-card p-4 divide-y divide-slate-800">
+                {assignments.length === 0 && <p className="p-4 text-sm text-slate-400">This course has no assignments.</p>}
+                {assignments.map((a) => (
+                  <div key={a.id} className="flex items-center justify-between gap-4 p-4">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm font-semibold text-white truncate">{a.name}</span>
+                        <span className={`px-2 py-0.5 rounded text-[11px] font-semibold ${a.published ? 'bg-green-500/15 text-green-300' : 'bg-slate-700 text-slate-300'}`}>
+                          {a.published ? 'Published' : 'Unpublished'}
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-3 text-xs text-slate-500 mt-1">
+                        <span>{a.dueAt ? `Due ${new Date(a.dueAt).toLocaleDateString()}` : 'No due date'}</span>
+                        {a.htmlUrl && (
+                          <a href={a.htmlUrl} target="_blank" rel="noreferrer" className="inline-flex items-center gap-1 hover:text-slate-300">
+                            Open in Canvas <ExternalLink className="w-3 h-3" />
+                          </a>
+                        )}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => pull(a)}
+                      disabled={Boolean(loading)}
+                      className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-cyan-500 hover:bg-cyan-400 text-sm font-semibold text-slate-900 disabled:opacity-40 flex-shrink-0"
+                    >
+                      {loading === `assignment-${a.id}` && <Loader2 className="w-4 h-4 animate-spin" />}
+                      Analyze
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CanvasView;
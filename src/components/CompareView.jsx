@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Analysis Compare View
+ *
+ * Full-screen comparison of two saved analyses: score change, per-dimension
+ * subscore changes, barriers resolved / new / unchanged, and a word diff of
+ * the two assignment texts. All numbers come from compareAnalyses.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useMemo } from 'react';
+import { X, ArrowRight, CheckCircle2, AlertTriangle, MinusCircle, GitCompare, BarChart3, FileText } from 'lucide-react';
+import { compareAnalyses } from '../utils/compare';
+
+/**
+ * Signed delta with color: green for improvements, red for regressions.
+ *
+ * @param {Object} props
+ * @param {number|null} props.value - Score change
+ * @returns {JSX.Element} Delta badge
+ */
+function Delta({ value }) {
+  if (value === null) return <span className="text-slate-500">n/a</span>;
+  const color = value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400';
+  return <span className={`font-bold ${color}`}>{value > 0 ? `+${value}` : value}</span>;
+}
+
+/**
+ * One barrier line in the resolved / new / unchanged lists.
+ *
+ * @param {Object} props
+ * @param {Object} props.barrier - Barrier to show
+ * @param {string} [props.note] - Extra text such as a severity change
+ * @returns {JSX.Element} Barrier row
+ */
+function BarrierRow({ barrier, note }) {
+  return (
+    <li className="p-3 rounded-lg bg-slate-900/60 border border-slate-700/60">
+      <div className="flex items-center justify-between gap-3 mb-1">
+        <span className="text-xs font-semibold text-slate-300">{barrier.category}</span>
+        <span className="text-xs text-slate-400">{note || barrier.severity}</span>
+      </div>
+      <p className="text-sm text-slate-200 leading-relaxed">{barrier.issue}</p>
+    </li>
+  );
+}
+
+/**
+ * Compare view
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.before - Original saved analysis `{title, createdAt, inputs, result}`
+ * @param {Object} props.after - Revised saved analysis
+ * @param {Function} props.onClose - Leaves the compare view
+ * @returns {JSX.Element} Overlay with the comparison
+ */
+function CompareView({ before, after, onClose }) {
+  const comparison = useMemo(() => compareAnalyses(before, after), [before, after]);
+  const { resolved, added, unchanged } = comparison.barriers;
+
+  const barrierColumns = [
+    { title: 'Resolved', icon: CheckCircle2, color: 'text-green-400', items: resolved.map((barrier) => ({ barrier })) },
+    { title: 'New', icon: AlertTriangle, color: 'text-red-400', items: added.map((barrier) => ({ barrier })) },
+    {
+      title: 'Unchanged',
+      icon: MinusCircle,
+      color: 'text-slate-400',
+      items: unchanged.map((pair) => ({
+        barrier: pair.after,
+        note: pair.before.severity === pair.after.severity ? pair.after.severity : `${pair.before.severity} → ${pair.after.severity}`
+      }))
+    }
+  ];
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-y-auto bg-slate-950/95 backdrop-blur-sm no-print">
+      <div className="max-w-6xl mx-auto px-6 py-10 space-y-8">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <GitCompare className="w-7 h-7 text-cyan-300" />
+            <h2 className="text-2xl font-bold text-white">Compare Analyses</h2>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white" aria-label="Close comparison">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Overall score */}
+        <div className="glass-card p-8">
+          <div className="grid md:grid-cols-[1fr_auto_1fr_auto] gap-6 items-center">
+            {[before, after].map((record, idx) => (
+              <React.Fragment key={record.id}>
+                <div>
+                  <div className="text-xs uppercase tracking-wide text-slate-400 mb-1">{idx === 0 ? 'Original' : 'Revised'}</div>
+                  <div className="text-sm font-semibold text-white line-clamp-2">{record.title}</div>
+                  <div className="text-xs text-slate-500 mt-1">{new Date(record.createdAt).toLocaleString()}</div>
+                  <div className="text-4xl font-bold text-white mt-3">{record.result.overallScore}</div>
+                </div>
+                {idx === 0 && <ArrowRight className="w-6 h-6 text-slate-500 hidden md:block" />}
+              </React.Fragment>
+            ))}
+            <div className="text-center md:text-right">
+              <div className="text-xs uppercase tracking-wide text-slate-400 mb-1">Change</div>
+              <div className="text-4xl"><Delta value={comparison.scoreDelta} /></div>
+            </div>
+          </div>
+          {comparison.contextChanges.length > 0 && (
+            <p className="mt-6 text-xs text-amber-300">
+              Analysis settings differ ({comparison.contextChanges.join(', ')}), so part of the change may come from the settings.
+            </p>
+          )}
+        </div>
+
+        {/* Per-dimension subscores */}
+        <div className="glass-card p-8">
+          <div className="flex items-center gap-3 mb-6">
+            <BarChart3 className="w-6 h-6 text-purple-400" />
+            <h3 className="text-xl font-bold text-white">Subscores by Dimension</h3>
+          </div>
+          <div className="space-y-3">
+            {comparison.dimensions.map((dimension) => (
+              <div key={dimension.category} className="grid grid-cols-[minmax(0,1fr)_3rem_3rem_3rem] gap-4 items-center text-sm">
+                <span className="text-slate-300">{dimension.category}</span>
+                <span className="text-slate-400 text-right">{dimension.before ?? 'n/a'}</span>
+                <span className="text-white text-right">{dimension.after ?? 'n/a'}</span>
+                <span className="text-right"><Delta value={dimension.delta} /></span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Barriers */}
+        <div className="grid lg:grid-cols-3 gap-6">
+          {barrierColumns.map((column) => (
+            <div key={column.title} className="glass-card p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <column.icon className={`w-5 h-5 ${column.color}`} />
+                <h3 className="text-lg font-bold text-white">{column.title}</h3>
+                <span className="text-sm text-slate-400">{column.items.length}</span>
+              </div>
+              {column.items.length === 0 ? (
+                <p className="text-sm text-slate-500">None</p>
+              ) : (
+                <ul className="space-y-2">
+                  {column.items.map((item, idx) => <BarrierRow key={idx} {...item} />)}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Text diff */}
+        <div className="glass-card p-8">
+          <div className="flex items-center gap-3 mb-6">
+            <FileText className="w-6 h-6 text-cyan-400" />
+            <h3 className="text-xl font-bold text-white">Assignment Changes</h3>
+          </div>
+          <p className="text-sm leading-[1.8] whitespace-pre-wrap text-slate-300">
+            {comparison.textDiff.map((part, idx) => (
+              part.type === 'equal' ? <span key={idx}>{part.text}</span>
+                : part.type === 'removed' ? <del key={idx} className="bg-red-500/20 text-red-300 line-through">{part.text}</del>
+                  : <ins key={idx} className="bg-green-500/20 text-green-300 no-underline">{part.text}</ins>
+            ))}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CompareView;
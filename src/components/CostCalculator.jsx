@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Cost Calculator
+ *
+ * "Student Out-of-Pocket Cost" card of the results: every purchase,
+ * subscription, device, kit, trip or fee the analysis found, priced from the
+ * local catalog (src/utils/costCatalog.js) with a free or low-cost
+ * alternative. Items the catalog does not know keep the AI estimate and can
+ * be added to it; the catalog itself is edited in place.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useState } from 'react';
+import { DollarSign, CheckCircle2, Plus, Trash2, RotateCcw, BookOpen } from 'lucide-react';
+import { COST_TYPES, DEFAULT_COST_CATALOG, sanitizeCatalogEntry, formatPriceRange } from '../utils/costCatalog';
+
+/**
+ * Cost calculator
+ *
+ * @component
+ * @param {Object} props
+ * @param {{items: Object[], low: number, high: number}} props.costs - Cost list priced by priceCosts
+ * @param {import('../utils/costCatalog').CatalogEntry[]} props.catalog - Price catalog
+ * @param {Function} props.onChangeCatalog - `(catalog) => void` saves catalog edits
+ * @returns {JSX.Element} Cost table with the out-of-pocket total and the catalog editor
+ */
+function CostCalculator({ costs, catalog, onChangeCatalog }) {
+  const [editing, setEditing] = useState(false);
+
+  const updateEntry = (index, changes) =>
+    onChangeCatalog(catalog.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+
+  // Prices are kept as typed while editing and cleaned when the field loses focus
+  const cleanEntry = (index) => {
+    const clean = sanitizeCatalogEntry(catalog[index]);
+    if (clean) updateEntry(index, clean);
+  };
+
+  const addFromEstimate = (item) => onChangeCatalog([...catalog, sanitizeCatalogEntry({
+    name: item.item,
+    keywords: [item.item.toLowerCase()],
+    type: item.type,
+    priceLow: item.priceLow,
+    priceHigh: item.priceHigh,
+    alternative: item.alternative
+  })]);
+
+  const resetCatalog = () => {
+    if (window.confirm('Replace your catalog with the default prices?')) onChangeCatalog(DEFAULT_COST_CATALOG);
+  };
+
+  const cellInput = 'w-full bg-transparent border border-transparent hover:border-white/[0.08] focus:border-emerald-500/40 focus:bg-white/[0.03] rounded-lg px-2 py-1 outline-none';
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8 print-avoid-break">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <DollarSign className="w-6 h-6 text-emerald-400" />
+          <div>
+            <h3 className="text-xl font-bold text-white">Student Out-of-Pocket Cost</h3>
+            <p className="text-[13px] text-gray-400 mt-1">What a student pays to complete the assignment as written</p>
+          </div>
+        </div>
+        <div className="text-3xl font-bold text-white">{formatPriceRange(costs.low, costs.high)}</div>
+      </div>
+
+      {costs.items.length === 0 ? (
+        <div className="flex items-start gap-2 text-[13px] text-green-400">
+          <CheckCircle2 className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <p>No required purchases found. Students can complete this assignment without spending money.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-[13px]">
+            <thead>
+              <tr className="border-b border-white/[0.08] text-gray-400">
+                <th className="text-left py-2 pr-3 font-bold">Item</th>
+                <th className="text-right py-2 px-3 font-bold">Price</th>
+                <th className="text-left py-2 pl-3 font-bold">Free or low-cost alternative</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-300">
+              {costs.items.map((item, idx) => (
+                <tr key={idx} className="border-b border-white/[0.05] align-top">
+                  <td className="py-2 pr-3">
+                    <div className="font-semibold text-white">{item.item}</div>
+                    <div className="text-[11px] text-gray-500">
+                      {item.type}
+                      {item.quote && <> · “{item.quote}”</>}
+                    </div>
+                  </td>
+                  <td className="py-2 px-3 text-right whitespace-nowrap">
+                    {formatPriceRange(item.priceLow, item.priceHigh)}
+                    <div className={`text-[10px] ${item.source === 'catalog' ? 'text-emerald-400' : 'text-gray-500'}`}>
+                      {item.source === 'catalog' ? 'Catalog' : 'AI estimate'}
+                    </div>
+                  </td>
+                  <td className="py-2 pl-3 text-green-300/90">
+                    {item.alternative || <span className="text-gray-500">None listed</span>}
+                    {item.source === 'estimate' && (
+                      <button
+                        onClick={() => addFromEstimate(item)}
+                        className="block mt-1 text-[11px] font-semibold text-emerald-300 hover:text-emerald-200 no-print"
+                      >
+                        + Add to catalog
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-6 no-print">
+        <button
+          onClick={() => setEditing(!editing)}
+          className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-[13px] font-semibold text-gray-300"
+        >
+          <BookOpen className="w-4 h-4" /> {editing ? 'Close price catalog' : `Edit price catalog (${catalog.length})`}
+        </button>
+
+        {editing && (
+          <div className="mt-4 overflow-x-auto">
+            <p className="text-[12px] text-gray-500 mb-3">
+              Items are priced from the entry whose keyword appears in their name. Keywords are separated by commas. The catalog is saved in this browser.
+            </p>
+            <table className="w-full text-[12px]">
+              <thead>
+                <tr className="border-b border-white/[0.08] text-gray-400">
+                  <th className="text-left py-2 px-1 font-bold min-w-[9rem]">Name</th>
+                  <th className="text-left py-2 px-1 font-bold min-w-[10rem]">Keywords</th>
+                  <th className="text-left py-2 px-1 font-bold">Type</th>
+                  <th className="text-right py-2 px-1 font-bold">Low $</th>
+                  <th className="text-right py-2 px-1 font-bold">High $</th>
+                  <th className="text-left py-2 px-1 font-bold min-w-[12rem]">Alternative</th>
+                  <th className="w-8" />
+                </tr>
+              </thead>
+              <tbody className="text-gray-300">
+                {catalog.map((entry, index) => (
+                  <tr key={entry.id} className="border-b border-white/[0.05]">
+                    <td className="py-1 px-1">
+                      <input value={entry.name} onChange={(e) => updateEntry(index, { name: e.target.value })} onBlur={() => cleanEntry(index)} aria-label="Name" className={cellInput} />
+                    </td>
+                    <td className="py-1 px-1">
+                      <input
+                        value={Array.isArray(entry.keywords) ? entry.keywords.join(', ') : entry.keywords}
+                        onChange={(e) => updateEntry(index, { keywords: e.target.value })}
+                        onBlur={() => cleanEntry(index)}
+                        aria-label={`${entry.name} keywords`}
+                        className={cellInput}
+                      />
+                    </td>
+                    <td className="py-1 px-1">
+                      <select value={entry.type} onChange={(e) => updateEntry(index, { type: e.target.value })} aria-label={`${entry.name} type`} className={`${cellInput} bg-slate-900`}>
+                        {COST_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 px-1">
+                      <input type="number" min={0} value={entry.priceLow} onChange={(e) => updateEntry(index, { priceLow: e.target.value })} onBlur={() => cleanEntry(index)} aria-label={`${entry.name} low price`} className={`${cellInput} w-20 text-right`} />
+                    </td>
+                    <td className="py-1 px-1">
+                      <input type="number" min={0} value={entry.priceHigh} onChange={(e) => updateEntry(index, { priceHigh: e.target.value })} onBlur={() => cleanEntry(index)} aria-label={`${entry.name} high price`} className={`${cellInput} w-20 text-right`} />
+                    </td>
+                    <td className="py-1 px-1">
+                      <input value={entry.alternative} onChange={(e) => updateEntry(index, { alternative: e.target.value })} aria-label={`${entry.name} alternative`} className={cellInput} />
+                    </td>
+                    <td className="py-1 px-1">
+                      <button onClick={() => onChangeCatalog(catalog.filter((_, i) => i !== index))} className="p-1 text-gray-500 hover:text-red-400" aria-label={`Remove ${entry.name}`}>
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center gap-4 mt-3">
+              <button
+                onClick={() => onChangeCatalog([...catalog, sanitizeCatalogEntry({ name: 'New item', priceLow: 0, priceHigh: 0 })])}
+                className="inline-flex items-center gap-1.5 text-[13px] font-semibold text-emerald-300 hover:text-emerald-200"
+              >
+                <Plus className="w-4 h-4" /> Add item
+              </button>
+              <button onClick={resetCatalog} className="inline-flex items-center gap-1.5 text-[13px] font-semibold text-gray-400 hover:text-white">
+                <RotateCcw className="w-4 h-4" /> Default prices
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CostCalculator;
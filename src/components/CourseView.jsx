@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Course Equity Report View
+ *
+ * Full-screen course mode: takes a syllabus with dated assignments, has
+ * /api/course analyze every assignment with the course context from the
+ * main form, and shows one course equity report: the course-wide patterns
+ * (deadline clusters, repeated paid tools, repeated synchronous requirements,
+ * format variety), the assignment timeline and the batch dashboard.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useRef, useState } from 'react';
+import { X, CalendarDays, Upload, Loader2, AlertCircle, XCircle, Printer, Flag } from 'lucide-react';
+import { isEventStream, readEventStream } from '../utils/eventStream';
+import { readApiError } from '../utils/apiError';
+import { getSeverityColor } from '../utils/severity';
+import { buildCourseReportHtml } from '../utils/courseReport';
+import BatchSummary, { scoreColor } from './BatchSummary';
+
+/**
+ * Course view
+ *
+ * @component
+ * @param {Object} props
+ * @param {{gradeLevel: string, courseType: string, focusArea: string}} props.context - Course context applied to every assignment
+ * @param {number} props.retryInSeconds - Rate-limit countdown from App, 0 when requests are allowed
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @param {Function} props.onOpenItem - `(inputs, result) => void` shows one analysis in the main view
+ * @param {Function} props.onClose - Leaves the course view
+ * @returns {JSX.Element} Overlay with the course report
+ */
+function CourseView({ context, retryInSeconds, onRateLimit, onOpenItem, onClose }) {
+  const [syllabusText, setSyllabusText] = useState('');
+  const [courseTitle, setCourseTitle] = useState('');
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [assignments, setAssignments] = useState([]); // {index, title, dueDate, assignmentText} found in the syllabus
+  const [items, setItems] = useState([]); // Analyzed items by index
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const controller = useRef(null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    if (!/\.(txt|md|markdown)$/i.test(file.name)) {
+      setError(`${file.name}: upload the syllabus as a .txt or .md file`);
+      return;
+    }
+    setSyllabusText(await file.text());
+    if (!courseTitle) setCourseTitle(file.name.replace(/\.[^.]+$/, ''));
+    setError('');
+  };
+
+  const runReport = async () => {
+    setError('');
+    setAssignments([]);
+    setItems([]);
+    setReport(null);
+    setRunning(true);
+    controller.current = new AbortController();
+
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const request = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...context, syllabusText, year: Number(year) || undefined, courseTitle: courseTitle || undefined }),
+        signal: controller.current.signal
+      };
+
+      // Deployments without streaming answer 404, so fall back to the buffered endpoint
+      let response = await fetch(`${apiUrl}/api/course/stream`, request);
+      if (response.status === 404) {
+        response = await fetch(`${apiUrl}/api/course`, request);
+      }
+      if (response.status === 404) {
+        throw new Error('Course reports are not available on this deployment.');
+      }
+      if (!response.ok) throw await readApiError(response);
+
+      if (isEventStream(response)) {
+        await readEventStream(response, (event, payload) => {
+          if (event === 'meta') {
+            setAssignments(payload.assignments);
+          } else if (event === 'item') {
+            setItems((previous) => {
+              const next = [...previous];
+              next[payload.index] = payload;
+              return next;
+            });
+          } else if (event === 'report') {
+            setItems(payload.items);
+            setReport(payload);
+          }
+        });
+      } else {
+        const data = await response.json();
+        setAssignments(data.items.map(({ index, title, dueDate, assignmentText }) => ({ index, title, dueDate, assignmentText })));
+        setItems(data.items);
+        setReport(data);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      if (onRateLimit(err)) return;
+      console.error('Course Report Error:', err);
+      setError(err.message || 'Course report failed. Please try again.');
+    } finally {
+      setRunning(false);
+      controller.current = null;
+    }
+  };
+
+  const openItem = (index) => {
+    const item = items[index];
+    if (item?.status !== 'ok') return;
+    onOpenItem({ ...context, assignmentText: assignments[index].assignmentText }, item.result);
+  };
+
+  const printReport = () => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(buildCourseReportHtml(report));
+    printWindow.document.close();
+    printWindow.print();
+  };
+
+  const completed = items.filter(Boolean).length;
+  const percent = assignments.length ? Math.round((completed / assignments.length) * 100) : 0;
+  const timeline = [...assignments].sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.index - b.index);
+  const flagged = (index) => report?.patterns.filter((pattern) => pattern.assignments.includes(index)) ?? [];
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-y-auto bg-slate-950/95 backdrop-blur-sm no-print">
+      <div className="max-w-6xl mx-auto px-6 py-10 space-y-8">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <CalendarDays className="w-7 h-7 text-cyan-300" />
+            <h2 className="text-2xl font-bold text-white">{report ? report.courseTitle : 'Course Equity Report'}</h2>
+          </div>
+          <div className="flex items-center gap-2">
+            {report && (
+              <button onClick={printReport} className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 hover:border-slate-500 text-sm text-slate-200">
+                <Printer className="w-4 h-4" /> Print report
+              </button>
+            )}
+            <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white" aria-label="Close course report">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {/* Syllabus input */}
+        {!running && !report && (
+          <div className="glass-card p-8 space-y-5">
+            <div className="grid md:grid-cols-[1fr_8rem] gap-4">
+              <div>
+                <label className="block text-sm font-semibold text-white mb-2">Course title</label>
+                <input
+                  type="text"
+                  value={courseTitle}
+                  onChange={(e) => setCourseTitle(e.target.value)}
+                  placeholder="Defaults to the first line of the syllabus"
+                  className="input-field w-full text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-white mb-2">Year</label>
+                <input
+                  type="number"
+                  value={year}
+                  onChange={(e) => setYear(e.target.value)}
+                  min={2000}
+                  max={2100}
+                  className="input-field w-full text-sm"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">Syllabus</label>
+              <textarea
+                value={syllabusText}
+                onChange={(e) => setSyllabusText(e.target.value)}
+                placeholder={'Paste the schedule. Put each assignment on a line with its due date, e.g.\nSep 14 - Essay 1 due: 1,500 words on a local issue\n9/21 Quiz 2, live on Zoom at 7pm'}
+                className="input-field w-full h-64 resize-y text-sm font-mono"
+              />
+              <p className="text-xs text-slate-500 mt-2">
+                Dates without a year use the year above. Each assignment is analyzed with {context.gradeLevel} · {context.courseType} · focus: {context.focusArea}.
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <label className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 hover:border-slate-500 text-sm text-slate-200 cursor-pointer">
+                <Upload className="w-4 h-4" /> Upload syllabus (.txt, .md)
+                <input
+                  type="file"
+                  accept=".txt,.md,.markdown"
+                  className="hidden"
+                  onChange={(e) => {
+                    loadFile(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+              <button
+                onClick={runReport}
+                disabled={!syllabusText.trim() || retryInSeconds > 0}
+                className="inline-flex items-center gap-1.5 px-5 py-2 rounded-lg bg-cyan-500 hover:bg-cyan-400 text-sm font-semibold text-slate-900 disabled:opacity-40"
+              >
+                {retryInSeconds > 0 ? `Retry in ${retryInSeconds}s` : 'Build course report'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-300">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" /> {error}
+          </div>
+        )}
+
+        {/* Progress */}
+        {running && (
+          <div className="glass-card p-8">
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <span className="text-sm text-slate-300">
+                {assignments.length ? `${completed} of ${assignments.length} assignments analyzed` : 'Reading the syllabus...'}
+              </span>
+              <button
+                onClick={() => controller.current?.abort()}
+                className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 text-sm text-slate-200"
+              >
+                <XCircle className="w-4 h-4" /> Cancel
+              </button>
+            </div>
+            <div className="h-2 rounded-full bg-slate-800 overflow-hidden">
+              <div className="h-full bg-cyan-400 transition-all duration-300" style={{ width: `${percent}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        {/* Course-wide patterns */}
+        {report && (
+          <div className="glass-card p-8">
+            <div className="flex items-center gap-3 mb-6">
+              <Flag className="w-6 h-6 text-amber-400" />
+              <h3 className="text-xl font-bold text-white">Course-wide Patterns</h3>
+            </div>
+            {report.patterns.length === 0 ? (
+              <p className="text-sm text-slate-400">No deadline clusters, repeated paid tools, repeated live requirements or format concerns found.</p>
+            ) : (
+              <div className="space-y-4">
+                {report.patterns.map((pattern, idx) => (
+                  <div key={idx} className="p-5 rounded-xl bg-slate-900/60 border border-slate-700/60">
+                    <div className="flex items-start justify-between gap-4 mb-2">
+                      <h4 className="text-base font-semibold text-white">{pattern.title}</h4>
+                      <span className={`px-3 py-1 rounded-lg text-xs font-bold border ${getSeverityColor(pattern.severity)}`}>{pattern.severity}</span>
+                    </div>
+                    <p className="text-sm text-slate-300 leading-relaxed">{pattern.detail}</p>
+                    <div className="flex flex-wrap gap-1.5 mt-3">
+                      {pattern.assignments.map((index) => (
+                        <button
+                          key={index}
+                          onClick={() => openItem(index)}
+                          className="px-2 py-0.5 rounded-md bg-slate-700/70 text-[11px] text-slate-300 hover:text-white"
+                        >
+                          {report.items[index].dueDate} · {report.items[index].title}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Timeline */}
+        {assignments.length > 0 && (
+          <div className="glass-card p-8">
+            <div className="flex items-center gap-3 mb-6">
+              <CalendarDays className="w-6 h-6 text-cyan-400" />
+              <h3 className="text-xl font-bold text-white">Assignment Timeline</h3>
+              <span className="text-sm text-slate-400">{assignments.length}</span>
+            </div>
+            <ul className="divide-y divide-slate-800">
+              {timeline.map((assignment) => {
+                const item = items[assignment.index];
+                return (
+                  <li key={assignment.index} className="flex items-center gap-4 py-3">
+                    <span className="w-24 text-xs text-slate-400 font-mono">{assignment.dueDate}</span>
+                    <button
+                      onClick={() => openItem(assignment.index)}
+                      disabled={item?.status !== 'ok'}
+                      className="flex-1 min-w-0 text-left text-sm text-slate-200 truncate enabled:hover:text-cyan-300"
+                    >
+                      {assignment.title}
+                    </button>
+                    {item?.format && <span className="hidden md:inline text-xs text-slate-500">{item.format}</span>}
+                    {flagged(assignment.index).map((pattern) => (
+                      <span key={pattern.type + pattern.title} title={pattern.title} className={`w-2 h-2 rounded-full ${pattern.severity === 'High' ? 'bg-red-400' : 'bg-yellow-400'}`}></span>
+                    ))}
+                    {item?.status === 'ok' && <span className={`w-8 text-right text-sm font-bold ${scoreColor(item.result.overallScore)}`}>{item.result.overallScore}</span>}
+                    {item && item.status !== 'ok' && <span className="text-xs text-red-300" title={item.error}>Failed</span>}
+                    {!item && running && <Loader2 className="w-4 h-4 text-slate-500 animate-spin" />}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {report && <BatchSummary summary={report.summary} onOpenItem={openItem} />}
+
+        {report && (
+          <div className="flex justify-center">
+            <button onClick={() => { setReport(null); setAssignments([]); setItems([]); }} className="text-sm text-slate-400 hover:text-white">
+              Edit syllabus and run again
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CourseView;
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Saved Analyses Sidebar
+ *
+ * Slide-over list of past analyses with reopen, re-run, rename, tag,
+ * delete and compare actions. Holds only its own editing, filter and
+ * selection state; records live in the history store owned by App.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useState } from 'react';
+import { History, X, RotateCcw, Pencil, Trash2, Tag, Check, Search, GitCompare, CheckSquare, Square } from 'lucide-react';
+
+/**
+ * History sidebar
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the sidebar is shown
+ * @param {Function} props.onClose - Hides the sidebar
+ * @param {Object[]} props.entries - Record summaries from the history store
+ * @param {string|null} props.activeId - Record currently shown in the results
+ * @param {'local'|'server'} props.storeKind - Where records are kept, shown in the footer
+ * @param {Function} props.onOpen - `(entry) => void` shows a saved result
+ * @param {Function} props.onRerun - `(entry) => void` analyzes the saved inputs again
+ * @param {Function} props.onUpdate - `(id, {title, tags}) => void` saves edits
+ * @param {Function} props.onDelete - `(id) => void` removes a record
+ * @param {Function} props.onCompare - `([idA, idB]) => void` opens the compare view
+ * @returns {JSX.Element|null} Sidebar, or null when closed
+ */
+function HistorySidebar({ open, onClose, entries, activeId, storeKind, onOpen, onRerun, onUpdate, onDelete, onCompare }) {
+  const [filter, setFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]); // Up to two records to compare
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [draftTags, setDraftTags] = useState('');
+
+  if (!open) return null;
+
+  const startEditing = (entry) => {
+    setEditingId(entry.id);
+    setDraftTitle(entry.title);
+    setDraftTags(entry.tags.join(', '));
+  };
+
+  const saveEditing = () => {
+    const tags = draftTags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    onUpdate(editingId, { title: draftTitle.trim() || 'Untitled analysis', tags: [...new Set(tags)] });
+    setEditingId(null);
+  };
+
+  // Keeps the two most recent picks
+  const toggleSelected = (id) => {
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((selected) => selected !== id) : [...ids, id].slice(-2)));
+  };
+
+  const query = filter.trim().toLowerCase();
+  const visible = query
+    ? entries.filter((entry) => entry.title.toLowerCase().includes(query) || entry.tags.some((tag) => tag.toLowerCase().includes(query)))
+    : entries;
+
+  return (
+    <div className="fixed inset-0 z-50 flex no-print">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+      <aside className="relative w-full max-w-md h-full bg-slate-900 border-r border-slate-700 flex flex-col animate-slide-up">
+        <div className="flex items-center justify-between p-5 border-b border-slate-700">
+          <div className="flex items-center gap-3">
+            <History className="w-5 h-5 text-cyan-300" />
+            <h3 className="text-lg font-bold text-white">Saved Analyses</h3>
+            <span className="text-xs text-slate-400">{entries.length}</span>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white" aria-label="Close history">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-slate-800">
+          <div className="relative">
+            <Search className="w-4 h-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter by title or tag"
+              className="input-field w-full pl-9 text-sm"
+            />
+          </div>
+        </div>
+
+        {selectedIds.length > 0 && (
+          <div className="px-4 py-3 border-b border-slate-800 flex items-center justify-between gap-3">
+            <span className="text-xs text-slate-400">
+              {selectedIds.length === 2 ? 'Two analyses selected' : 'Select one more analysis to compare'}
+            </span>
+            <button
+              onClick={() => {
+                onCompare(selectedIds);
+                setSelectedIds([]);
+              }}
+              disabled={selectedIds.length !== 2}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-cyan-500/20 border border-cyan-500/40 text-xs text-cyan-200 disabled:opacity-40"
+            >
+              <GitCompare className="w-3.5 h-3.5" /> Compare
+            </button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {visible.length === 0 && (
+            <p className="text-sm text-slate-400 text-center py-8">
+              {entries.length === 0 ? 'Analyses you run are saved here automatically.' : 'No saved analyses match this filter.'}
+            </p>
+          )}
+
+          {visible.map((entry) => (
+            <div
+              key={entry.id}
+              className={`p-4 rounded-xl border transition-all ${entry.id === activeId ? 'bg-cyan-500/10 border-cyan-500/40' : 'bg-slate-800/60 border-slate-700 hover:border-slate-600'}`}
+            >
+              {editingId === entry.id ? (
+                <div className="space-y-2">
+                  <input
+                    type="text"
+                    value={draftTitle}
+                    onChange={(e) => setDraftTitle(e.target.value)}
+                    maxLength={200}
+                    className="input-field w-full text-sm"
+                    aria-label="Title"
+                  />
+                  <input
+                    type="text"
+                    value={draftTags}
+                    onChange={(e) => setDraftTags(e.target.value)}
+                    placeholder="Tags, comma separated"
+                    className="input-field w-full text-sm"
+                    aria-label="Tags"
+                  />
+                  <div className="flex justify-end gap-2">
+                    <button onClick={() => setEditingId(null)} className="px-3 py-1.5 text-xs text-slate-300 hover:text-white">Cancel</button>
+                    <button onClick={saveEditing} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-cyan-500/20 border border-cyan-500/40 text-xs text-cyan-200">
+                      <Check className="w-3.5 h-3.5" /> Save
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <button onClick={() => onOpen(entry)} className="w-full text-left">
+                    <div className="flex items-start justify-between gap-3">
+                      <span className="text-sm font-semibold text-white leading-snug line-clamp-2">{entry.title}</span>
+                      <span className="text-sm font-bold text-cyan-300 flex-shrink-0">{entry.overallScore}</span>
+                    </div>
+                    <div className="text-xs text-slate-400 mt-1">
+                      {new Date(entry.createdAt).toLocaleString()} · {entry.inputs.gradeLevel} · {entry.barrierCount} barriers{entry.version > 1 && ` · version ${entry.version}`}
+                    </div>
+                  </button>
+                  {entry.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1.5 mt-2">
+                      {entry.tags.map((tag) => (
+                        <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-slate-700/70 text-[11px] text-slate-300">
+                          <Tag className="w-3 h-3" />{tag}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex flex-wrap items-center gap-1 mt-3 -ml-2">
+                    <button onClick={() => onRerun(entry)} className="inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs text-slate-300 hover:text-white hover:bg-slate-700/60">
+                      <RotateCcw className="w-3.5 h-3.5" /> Re-run
+                    </button>
+                    <button onClick={() => startEditing(entry)} className="inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs text-slate-300 hover:text-white hover:bg-slate-700/60">
+                      <Pencil className="w-3.5 h-3.5" /> Rename / tag
+                    </button>
+                    <button
+                      onClick={() => toggleSelected(entry.id)}
+                      aria-pressed={selectedIds.includes(entry.id)}
+                      className="inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs text-slate-300 hover:text-white hover:bg-slate-700/60"
+                    >
+                      {selectedIds.includes(entry.id) ? <CheckSquare className="w-3.5 h-3.5 text-cyan-300" /> : <Square className="w-3.5 h-3.5" />} Compare
+                    </button>
+                    <button
+                      onClick={() => window.confirm(`Delete "${entry.title}"?`) && onDelete(entry.id)}
+                      className="inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs text-red-300 hover:text-red-200 hover:bg-red-500/10 ml-auto"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" /> Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-slate-800 text-xs text-slate-500">
+          {storeKind === 'server' ? 'Saved on the server and shared with this deployment.' : 'Saved in this browser only.'}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default HistorySidebar;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview LTI Launch Banner
+ *
+ * Shown above the input card when an LMS launched DIKE. For an assignment
+ * launch it names the course and assignment the form was filled from; for
+ * a deep-linking launch it lets the teacher add a DIKE link to the course,
+ * carrying the current assignment text and context so the link opens with
+ * them filled in.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useState } from 'react';
+import { School, Loader2, Link2 } from 'lucide-react';
+import { submitDeepLink } from '../utils/lti';
+
+/**
+ * LTI launch banner
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/lti').LtiLaunch} props.launch - Validated launch
+ * @param {string} props.assignmentText - Current assignment text
+ * @param {{gradeLevel: string, courseType: string}} props.context - Current course context
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @returns {JSX.Element} Banner card
+ */
+function LtiLaunchBanner({ launch, assignmentText, context, onRateLimit }) {
+  const [title, setTitle] = useState(`Equity check${launch.course?.title ? `: ${launch.course.title}` : ''}`);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const addLink = async () => {
+    setSending(true);
+    setError('');
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      await submitDeepLink(apiUrl, launch.ticket, { title: title.trim(), text: assignmentText.trim() || undefined, ...context });
+    } catch (err) {
+      console.error('LTI Error:', err);
+      if (!onRateLimit(err)) setError(err.message || 'Could not add the link to the course.');
+      setSending(false);
+    }
+  };
+
+  const where = [launch.course?.title, launch.platform].filter(Boolean).join(' · ');
+
+  return (
+    <div className="mb-6 glass-card p-6 border-orange-400/30">
+      <div className="flex items-start gap-3">
+        <School className="w-5 h-5 mt-0.5 text-orange-300 flex-shrink-0" />
+        {launch.deepLinking ? (
+          <div className="flex-1 space-y-3">
+            <div>
+              <div className="text-sm font-semibold text-primary">Add DIKE to {launch.course?.title || 'your course'}</div>
+              <p className="text-xs text-secondary leading-[1.5] mt-1">
+                The link opens DIKE with the assignment text below and the current grade level and course type filled in.
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="Link title"
+                className="input-field flex-1 min-w-[14rem] text-sm"
+              />
+              <button
+                onClick={addLink}
+                disabled={sending || !title.trim()}
+                className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-orange-500/20 hover:bg-orange-500/30 border border-orange-500/40 text-sm font-semibold text-orange-200 disabled:opacity-40"
+              >
+                {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2 className="w-4 h-4" />} Add link
+              </button>
+            </div>
+            {error && <p className="text-xs text-red-300">{error}</p>}
+          </div>
+        ) : (
+          <div className="text-xs text-secondary leading-[1.5]">
+            Opened from <span className="font-semibold text-primary">{launch.resourceLink?.title || 'your LMS'}</span>{where && ` in ${where}`}.{' '}
+            {launch.assignmentText
+              ? 'The assignment text and course context are filled in below. Check them before analyzing.'
+              : 'The LMS did not send the assignment text, paste it below.'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LtiLaunchBanner;
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Persona Editor
+ *
+ * Full-screen view where a team manages its student personas: pick the ones
+ * each analysis considers, define new ones with constraints, attributes and
+ * the equity dimensions they are exposed to, and share them as JSON files.
+ * Built-in personas can be selected and duplicated but not changed.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useState } from 'react';
+import {
+  X, Users, Plus, Pencil, Trash2, Copy, Download, Upload, AlertCircle,
+  User, Briefcase, Languages, GraduationCap, Home, WifiOff, Accessibility, Shield, Heart, Bus
+} from 'lucide-react';
+import {
+  EQUITY_DIMENSIONS, PERSONA_ICONS, MAX_SELECTED_PERSONAS,
+  sanitizePersona, withUniqueId, exportPersonas, importPersonas
+} from '../utils/personas';
+
+const ICONS = {
+  user: User,
+  briefcase: Briefcase,
+  languages: Languages,
+  'graduation-cap': GraduationCap,
+  home: Home,
+  'wifi-off': WifiOff,
+  accessibility: Accessibility,
+  shield: Shield,
+  heart: Heart,
+  bus: Bus
+};
+
+/**
+ * Icon of a persona, by name.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.name - One of PERSONA_ICONS
+ * @param {string} [props.className] - Classes for the svg
+ * @returns {JSX.Element}
+ */
+export function PersonaIcon({ name, className }) {
+  const Icon = ICONS[name] || User;
+  return <Icon className={className} />;
+}
+
+const EMPTY_DRAFT = { id: '', name: '', icon: 'user', description: '', constraints: '', attributes: [{ label: '', value: '' }], dimensions: [], weeklyHours: '' };
+
+/**
+ * Persona editor
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/personas').StudentPersona[]} props.builtIn - Personas shipped with DIKE
+ * @param {import('../utils/personas').StudentPersona[]} props.custom - The team's personas
+ * @param {string[]} props.selectedIds - Personas sent with analyses
+ * @param {Function} props.onChangeCustom - `(personas) => void` saves the team's personas
+ * @param {Function} props.onChangeSelected - `(ids) => void` saves the selection
+ * @param {Function} props.onClose - Leaves the editor
+ * @returns {JSX.Element} Overlay with the persona list and form
+ */
+function PersonaEditor({ builtIn, custom, selectedIds, onChangeCustom, onChangeSelected, onClose }) {
+  const [draft, setDraft] = useState(null); // Form state while creating or editing, `id` set when editing
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const all = [...builtIn, ...custom];
+
+  const toggleSelected = (id) => {
+    setError('');
+    if (selectedIds.includes(id)) {
+      onChangeSelected(selectedIds.filter((selected) => selected !== id));
+    } else if (selectedIds.length >= MAX_SELECTED_PERSONAS) {
+      setError(`An analysis can consider at most ${MAX_SELECTED_PERSONAS} personas.`);
+    } else {
+      onChangeSelected([...selectedIds, id]);
+    }
+  };
+
+  const startEdit = (persona, copy = false) => setDraft({
+    ...persona,
+    id: copy ? '' : persona.id,
+    name: copy ? `${persona.name} (copy)` : persona.name,
+    constraints: persona.constraints.join('\n'),
+    weeklyHours: persona.weeklyHours ?? '',
+    attributes: persona.attributes.length ? persona.attributes : [{ label: '', value: '' }]
+  });
+
+  const saveDraft = () => {
+    const persona = sanitizePersona({ ...draft, id: draft.id || undefined, constraints: draft.constraints.split('\n') });
+    if (!persona) {
+      setError('Give the persona a name.');
+      return;
+    }
+    if (draft.id) {
+      onChangeCustom(custom.map((p) => (p.id === draft.id ? { ...persona, id: draft.id } : p)));
+    } else {
+      onChangeCustom([...custom, withUniqueId(persona, all)]);
+    }
+    setDraft(null);
+    setError('');
+  };
+
+  const remove = (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"?`)) return;
+    onChangeCustom(custom.filter((p) => p.id !== persona.id));
+    onChangeSelected(selectedIds.filter((id) => id !== persona.id));
+  };
+
+  const exportFile = () => {
+    const url = URL.createObjectURL(new Blob([exportPersonas(custom)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'dike_personas.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    setError('');
+    setNotice('');
+    try {
+      const imported = importPersonas(await file.text());
+      // Personas already defined with the same id are replaced, the rest are added
+      const builtInIds = new Set(builtIn.map((p) => p.id));
+      const next = [...custom];
+      imported.forEach((persona) => {
+        const index = next.findIndex((p) => p.id === persona.id);
+        if (index >= 0) next[index] = persona;
+        else next.push(builtInIds.has(persona.id) ? withUniqueId(persona, [...builtIn, ...next]) : persona);
+      });
+      onChangeCustom(next);
+      setNotice(`Imported ${imported.length} ${imported.length === 1 ? 'persona' : 'personas'} from ${file.name}.`);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const updateAttribute = (index, changes) =>
+    setDraft({ ...draft, attributes: draft.attributes.map((attribute, i) => (i === index ? { ...attribute, ...changes } : attribute)) });
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-y-auto bg-slate-950/95 backdrop-blur-sm no-print">
+      <div className="max-w-5xl mx-auto px-6 py-10 space-y-8">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Users className="w-7 h-7 text-purple-300" />
+            <div>
+              <h2 className="text-2xl font-bold text-white">Student Personas</h2>
+              <p className="text-sm text-slate-400">{selectedIds.length} of {MAX_SELECTED_PERSONAS} selected for the next analysis</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 hover:border-slate-500 text-sm text-slate-200 cursor-pointer">
+              <Upload className="w-4 h-4" /> Import JSON
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  importFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            <button
+              onClick={exportFile}
+              disabled={!custom.length}
+              className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 hover:border-slate-500 text-sm text-slate-200 disabled:opacity-40"
+            >
+              <Download className="w-4 h-4" /> Export JSON
+            </button>
+            <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white" aria-label="Close personas">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-300">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" /> {error}
+          </div>
+        )}
+        {notice && <p className="text-sm text-green-300">{notice}</p>}
+
+        {/* Persona list */}
+        <div className="grid md:grid-cols-2 gap-4">
+          {all.map((persona) => (
+            <div key={persona.id} className={`glass-card p-5 ${selectedIds.includes(persona.id) ? 'border-purple-500/50' : ''}`}>
+              <div className="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(persona.id)}
+                  onChange={() => toggleSelected(persona.id)}
+                  className="mt-1.5 accent-purple-500"
+                  aria-label={`Consider ${persona.name} in analyses`}
+                />
+                <PersonaIcon name={persona.icon} className="w-6 h-6 text-purple-300 flex-shrink-0 mt-0.5" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-semibold text-white">{persona.name}</span>
+                    {persona.builtIn && <span className="px-2 py-0.5 rounded text-[10px] font-semibold bg-slate-700 text-slate-300">Built-in</span>}
+                  </div>
+                  {persona.description && <p className="text-xs text-slate-400 mt-1">{persona.description}</p>}
+                  {persona.weeklyHours !== undefined && <p className="text-[11px] text-slate-500 mt-1">{persona.weeklyHours} h a week for this course</p>}
+                  {persona.dimensions.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {persona.dimensions.map((dimension) => (
+                        <span key={dimension} className="px-2 py-0.5 rounded-full text-[10px] bg-purple-500/15 text-purple-200">{dimension}</span>
+                      ))}
+                    </div>
+                  )}
+                  {persona.constraints.length > 0 && (
+                    <ul className="mt-2 space-y-0.5 text-[11px] text-slate-400 list-disc pl-4">
+                      {persona.constraints.map((constraint, idx) => <li key={idx}>{constraint}</li>)}
+                    </ul>
+                  )}
+                  {persona.attributes.length > 0 && (
+                    <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-[11px]">
+                      {persona.attributes.map(({ label, value }, idx) => (
+                        <React.Fragment key={idx}>
+                          <dt className="text-slate-500">{label}</dt>
+                          <dd className="text-slate-300">{value}</dd>
+                        </React.Fragment>
+                      ))}
+                    </dl>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button onClick={() => startEdit(persona, true)} className="p-1.5 text-slate-500 hover:text-white" aria-label={`Duplicate ${persona.name}`} title="Duplicate">
+                    <Copy className="w-4 h-4" />
+                  </button>
+                  {!persona.builtIn && (
+                    <>
+                      <button onClick={() => startEdit(persona)} className="p-1.5 text-slate-500 hover:text-white" aria-label={`Edit ${persona.name}`} title="Edit">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => remove(persona)} className="p-1.5 text-slate-500 hover:text-red-400" aria-label={`Delete ${persona.name}`} title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {!draft && (
+          <button
+            onClick={() => setDraft(EMPTY_DRAFT)}
+            className="inline-flex items-center gap-1.5 px-5 py-2 rounded-lg bg-purple-500 hover:bg-purple-400 text-sm font-semibold text-white"
+          >
+            <Plus className="w-4 h-4" /> New persona
+          </button>
+        )}
+
+        {/* Persona form */}
+        {draft && (
+          <div className="glass-card p-8 space-y-5">
+            <h3 className="text-lg font-bold text-white">{draft.id ? `Edit ${draft.name}` : 'New persona'}</h3>
+            <div className="grid md:grid-cols-[1fr_10rem] gap-4">
+              <div>
+                <label className="block text-sm font-semibold text-white mb-2">Name</label>
+                <input
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="e.g. Rural student without broadband"
+                  className="input-field w-full text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-white mb-2">Icon</label>
+                <div className="flex flex-wrap gap-1">
+                  {PERSONA_ICONS.map((icon) => (
+                    <button
+                      key={icon}
+                      onClick={() => setDraft({ ...draft, icon })}
+                      className={`p-1.5 rounded-lg border ${draft.icon === icon ? 'border-purple-400 bg-purple-500/20' : 'border-transparent hover:border-slate-600'}`}
+                      aria-label={icon}
+                    >
+                      <PersonaIcon name={icon} className="w-4 h-4 text-slate-200" />
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">Description</label>
+              <input
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                placeholder="e.g. Lives 40 minutes from town, shares one phone with siblings"
+                className="input-field w-full text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">Hours a week for this course</label>
+              <input
+                type="number"
+                min={0}
+                max={168}
+                step={0.5}
+                value={draft.weeklyHours}
+                onChange={(e) => setDraft({ ...draft, weeklyHours: e.target.value })}
+                placeholder="e.g. 5"
+                className="input-field w-32 text-sm"
+              />
+              <p className="text-xs text-slate-500 mt-2">Optional. Compared with the time-on-task estimate of each analysis.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">Constraints, one per line</label>
+              <textarea
+                value={draft.constraints}
+                onChange={(e) => setDraft({ ...draft, constraints: e.target.value })}
+                placeholder={'No home internet\nBus ride is the only quiet time\nLibrary closes at 5 PM'}
+                className="input-field w-full h-28 resize-y text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">Attributes</label>
+              <div className="space-y-2">
+                {draft.attributes.map((attribute, index) => (
+                  <div key={index} className="flex gap-2">
+                    <input
+                      value={attribute.label}
+                      onChange={(e) => updateAttribute(index, { label: e.target.value })}
+                      placeholder="e.g. Internet"
+                      className="input-field w-40 text-sm"
+                    />
+                    <input
+                      value={attribute.value}
+                      onChange={(e) => updateAttribute(index, { value: e.target.value })}
+                      placeholder="e.g. Phone hotspot, 5 GB a month"
+                      className="input-field flex-1 text-sm"
+                    />
+                    <button
+                      onClick={() => setDraft({ ...draft, attributes: draft.attributes.filter((_, i) => i !== index) })}
+                      className="p-2 text-slate-500 hover:text-red-400"
+                      aria-label="Remove attribute"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => setDraft({ ...draft, attributes: [...draft.attributes, { label: '', value: '' }] })}
+                  className="inline-flex items-center gap-1 text-xs font-semibold text-purple-300 hover:text-purple-200"
+                >
+                  <Plus className="w-3.5 h-3.5" /> Add attribute
+                </button>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">Most exposed to</label>
+              <div className="flex flex-wrap gap-2">
+                {EQUITY_DIMENSIONS.map((dimension) => {
+                  const checked = draft.dimensions.includes(dimension);
+                  return (
+                    <button
+                      key={dimension}
+                      onClick={() => setDraft({ ...draft, dimensions: checked ? draft.dimensions.filter((d) => d !== dimension) : [...draft.dimensions, dimension] })}
+                      className={`px-3 py-1 rounded-full text-xs border ${checked ? 'bg-purple-500/20 border-purple-400 text-purple-100' : 'border-slate-700 text-slate-400 hover:border-slate-500'}`}
+                    >
+                      {dimension}
+                    </button>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-slate-500 mt-2">Used to match barriers when an analysis did not consider this persona.</p>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button onClick={() => setDraft(null)} className="px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 text-sm text-slate-200">
+                Cancel
+              </button>
+              <button onClick={saveDraft} className="px-5 py-2 rounded-lg bg-purple-500 hover:bg-purple-400 text-sm font-semibold text-white">
+                Save persona
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PersonaEditor;
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Student Perspective Simulator
+ *
+ * Shows how the analyzed assignment lands for each student persona. The
+ * walkthrough from /api/walkthrough follows the assignment step by step as
+ * a persona, with the hours it takes, what it costs out of pocket, what may
+ * stop the student and the accommodations that help. Personas without a
+ * walkthrough show the barriers that concern them (getPersonaBarriers).
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useState } from 'react';
+import { Eye, Users, Footprints, Loader2, AlertCircle, AlertTriangle, CheckCircle, Calculator, Clock, DollarSign, Ban, Lightbulb } from 'lucide-react';
+import { readApiError } from '../utils/apiError';
+import { getSeverityColor } from '../utils/severity';
+import { getPersonaBarriers, toRequestPersona, MAX_SELECTED_PERSONAS } from '../utils/personas';
+import { PersonaIcon } from './PersonaEditor';
+
+const formatHours = (hours) => `${hours % 1 === 0 ? hours : hours.toFixed(2).replace(/0$/, '')} h`;
+const formatCost = (cost) => `$${cost % 1 === 0 ? cost : cost.toFixed(2)}`;
+
+/**
+ * Student perspective simulator
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/personas').StudentPersona[]} props.personas - Every persona, built-in and custom
+ * @param {string[]} props.selectedIds - Personas selected in the editor; the walkthrough covers these, or the built-ins when none are
+ * @param {string[]} props.analyzedPersonaIds - Personas the analysis was run with
+ * @param {Object[]} props.barriers - Barriers from the analysis
+ * @param {string} props.assignmentText - Assignment the analysis was run on
+ * @param {{gradeLevel: string, courseType: string}} props.context - Course context of the analysis
+ * @param {Object<string, Object>} props.walkthroughs - Walkthroughs by persona id, kept by App for the current analysis
+ * @param {Function} props.onWalkthroughs - `(walkthroughs) => void` receives the merged walkthroughs
+ * @param {string|null} props.selected - Persona open in the detail panel
+ * @param {Function} props.onSelect - `(id|null) => void` opens or closes a persona
+ * @param {Function} props.onManage - Opens the persona editor
+ * @param {number} props.retryInSeconds - Rate-limit countdown from App, 0 when requests are allowed
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @returns {JSX.Element} Persona cards with the selected persona's walkthrough
+ */
+function PersonaSimulator({
+  personas, selectedIds, analyzedPersonaIds, barriers, assignmentText, context,
+  walkthroughs, onWalkthroughs, selected, onSelect, onManage, retryInSeconds, onRateLimit
+}) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const walkable = (selectedIds.length
+    ? personas.filter((persona) => selectedIds.includes(persona.id))
+    : personas.filter((persona) => persona.builtIn)
+  ).slice(0, MAX_SELECTED_PERSONAS);
+
+  const walkThrough = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const response = await fetch(`${apiUrl}/api/walkthrough`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ assignmentText, personas: walkable.map(toRequestPersona), barriers, ...context })
+      });
+      if (!response.ok) throw await readApiError(response);
+      const data = await response.json();
+      onWalkthroughs({ ...walkthroughs, ...Object.fromEntries(data.walkthroughs.map((walkthrough) => [walkthrough.persona, walkthrough])) });
+      if (data.missing.length) {
+        const names = personas.filter((persona) => data.missing.includes(persona.id)).map((persona) => persona.name);
+        setError(`No walkthrough came back for ${names.join(', ')}. Try again.`);
+      }
+    } catch (err) {
+      console.error('Walkthrough Error:', err);
+      if (!onRateLimit(err)) setError(err.message || 'Failed to walk through the assignment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const persona = selected ? personas.find((p) => p.id === selected) : null;
+  const walkthrough = persona && walkthroughs[persona.id];
+  const relevantBarriers = persona ? getPersonaBarriers(persona, barriers, analyzedPersonaIds) : [];
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8">
+      <div className="flex items-center gap-3 mb-6 flex-wrap">
+        <Eye className="w-6 h-6 text-purple-400" />
+        <div className="flex-1">
+          <h4 className="text-xl font-bold text-white">Student Perspective Simulator</h4>
+          <p className="text-[13px] text-gray-400 mt-1">See how this specific assignment affects different students</p>
+        </div>
+        <div className="flex gap-2 no-print">
+          <button
+            onClick={walkThrough}
+            disabled={loading || retryInSeconds > 0 || walkable.length === 0}
+            title={`Walk through as ${walkable.map((p) => p.name).join(', ')}`}
+            className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-purple-500/20 hover:bg-purple-500/30 border border-purple-500/40 text-[13px] font-semibold text-purple-200 disabled:opacity-40"
+          >
+            {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Footprints className="w-4 h-4" />}
+            {retryInSeconds > 0 ? `Retry in ${retryInSeconds}s` : `Walk through as ${walkable.length} ${walkable.length === 1 ? 'persona' : 'personas'}`}
+          </button>
+          <button
+            onClick={onManage}
+            className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-[13px] font-semibold text-gray-300"
+          >
+            <Users className="w-4 h-4" /> Manage personas
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-300 no-print">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" /> {error}
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {personas.map((p) => {
+          const cardWalkthrough = walkthroughs[p.id];
+          const cardBarriers = getPersonaBarriers(p, barriers, analyzedPersonaIds);
+          const isOpen = selected === p.id;
+          const affected = cardWalkthrough ? cardWalkthrough.impact !== 'Low' : cardBarriers.length > 0;
+
+          return (
+            <button
+              key={p.id}
+              onClick={() => onSelect(isOpen ? null : p.id)}
+              className={`p-5 rounded-2xl border-2 transition-all duration-200 text-left ${
+                isOpen
+                  ? 'bg-purple-500/20 border-purple-500/50 shadow-lg shadow-purple-500/20'
+                  : affected
+                  ? 'bg-white/[0.03] border-yellow-500/30 hover:border-purple-500/30'
+                  : 'bg-white/[0.03] border-white/[0.08] hover:border-purple-500/30'
+              }`}
+            >
+              <div className="flex items-start justify-between mb-3">
+                <PersonaIcon name={p.icon} className={`w-8 h-8 ${isOpen ? 'text-purple-400' : affected ? 'text-yellow-400' : 'text-gray-400'}`} />
+                {cardWalkthrough ? (
+                  <span className={`px-2 py-1 rounded-full text-[10px] font-bold border ${getSeverityColor(cardWalkthrough.impact)}`}>
+                    {cardWalkthrough.impact} impact
+                  </span>
+                ) : cardBarriers.length > 0 && (
+                  <span className={`px-2 py-1 rounded-full text-[10px] font-bold ${cardBarriers.some((b) => b.severity === 'High') ? 'bg-red-500/20 text-red-400' : 'bg-yellow-500/20 text-yellow-400'}`}>
+                    {cardBarriers.length} {cardBarriers.length === 1 ? 'barrier' : 'barriers'}
+                  </span>
+                )}
+              </div>
+              <div className="text-[15px] font-bold text-white mb-2">{p.name}</div>
+              <div className="text-[12px] text-gray-400 mb-2 leading-relaxed">{p.description}</div>
+              {cardWalkthrough && (
+                <div className="flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-gray-300">
+                  <span className="inline-flex items-center gap-1"><Clock className="w-3 h-3" /> {formatHours(cardWalkthrough.totalHours)}</span>
+                  <span className="inline-flex items-center gap-1"><DollarSign className="w-3 h-3" /> {formatCost(cardWalkthrough.totalCost)}</span>
+                  {cardWalkthrough.blockers.length > 0 && (
+                    <span className="inline-flex items-center gap-1 text-red-300"><Ban className="w-3 h-3" /> {cardWalkthrough.blockers.length}</span>
+                  )}
+                </div>
+              )}
+              {analyzedPersonaIds.includes(p.id) && (
+                <div className="text-[10px] font-semibold text-purple-300 mt-2">Considered in this analysis</div>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      {persona && (
+        <div className="mt-6 p-5 bg-purple-500/10 border border-purple-500/30 rounded-2xl">
+          <div className="flex items-center gap-2 text-purple-300 mb-3">
+            <Calculator className="w-5 h-5" />
+            <span className="font-bold text-[14px]">How {persona.name} Experiences This Assignment</span>
+          </div>
+
+          {walkthrough ? (
+            <div className="text-[13px] text-gray-300 leading-relaxed space-y-4">
+              <p>{walkthrough.summary}</p>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-[12px]">
+                  <thead>
+                    <tr className="border-b border-white/[0.08] text-gray-400">
+                      <th className="text-left py-2 pr-3 font-bold">Step</th>
+                      <th className="text-right py-2 px-3 font-bold">Time</th>
+                      <th className="text-right py-2 pl-3 font-bold">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {walkthrough.steps.map((step, idx) => (
+                      <tr key={idx} className="border-b border-white/[0.05] align-top">
+                        <td className="py-2 pr-3">
+                          <div>{step.action}</div>
+                          {step.blocker && (
+                            <div className="flex items-start gap-1.5 mt-1 text-red-300">
+                              <Ban className="w-3 h-3 flex-shrink-0 mt-0.5" /> {step.blocker}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-2 px-3 text-right whitespace-nowrap">{formatHours(step.hours)}</td>
+                        <td className="py-2 pl-3 text-right whitespace-nowrap">{formatCost(step.cost)}</td>
+                      </tr>
+                    ))}
+                    <tr className="font-bold text-white">
+                      <td className="py-2 pr-3">Total</td>
+                      <td className="py-2 px-3 text-right whitespace-nowrap">{formatHours(walkthrough.totalHours)}</td>
+                      <td className="py-2 pl-3 text-right whitespace-nowrap">{formatCost(walkthrough.totalCost)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+
+              {walkthrough.accommodations.length > 0 && (
+                <div>
+                  <div className="flex items-center gap-2 text-[12px] font-bold text-green-400 mb-2">
+                    <Lightbulb className="w-4 h-4" /> Accommodations
+                  </div>
+                  <ul className="space-y-1 pl-6 list-disc text-[12px] text-green-300/90">
+                    {walkthrough.accommodations.map((accommodation, idx) => <li key={idx}>{accommodation}</li>)}
+                  </ul>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="text-[13px] text-gray-300 leading-relaxed space-y-3">
+              {relevantBarriers.length > 0 ? (
+                <>
+                  <div className="flex items-start gap-2">
+                    <AlertTriangle className="w-4 h-4 text-yellow-400 flex-shrink-0 mt-0.5" />
+                    <p>
+                      <strong>Impact Summary:</strong> This assignment presents <strong>{relevantBarriers.length}</strong> significant {relevantBarriers.length === 1 ? 'challenge' : 'challenges'} for the {persona.name} persona.
+                      {relevantBarriers.some((b) => b.severity === 'High') && ' Some barriers are high severity and may prevent completion without accommodations.'}
+                    </p>
+                  </div>
+                  <div className="pl-6 space-y-2">
+                    {relevantBarriers.map((barrier, idx) => (
+                      <div key={idx} className="text-[12px] text-gray-300">
+                        <div className="flex items-start gap-2">
+                          <span className="font-semibold text-purple-300 flex-shrink-0">→</span>
+                          <span>{barrier.issue}</span>
+                        </div>
+                        {barrier.suggestions?.[0] && (
+                          <div className="ml-4 mt-1 text-green-400">
+                            <span className="font-semibold">Solution:</span> {barrier.suggestions[0]}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <div className="flex items-start gap-2">
+                  <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0 mt-0.5" />
+                  <p>
+                    <strong>Positive Assessment:</strong> This assignment does not present major barriers specific to the {persona.name} persona. However, review the general recommendations to ensure all students can succeed.
+                  </p>
+                </div>
+              )}
+              <p className="text-[12px] text-gray-500 no-print">Walk through the assignment as this persona for time, cost and blockers step by step.</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PersonaSimulator;
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Readability Report
+ *
+ * Readability card of the results: the measures the server takes of the
+ * assignment text (lib/readability.js) next to the limit for the grade
+ * level, and the terms it flagged. Findings over their limits are also in
+ * the barrier list as measured barriers.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React from 'react';
+import { SpellCheck, AlertTriangle, CheckCircle2 } from 'lucide-react';
+
+/**
+ * One measure against its limit.
+ *
+ * @param {Object} props
+ * @param {string} props.label - Measure name
+ * @param {string} props.value - Formatted value
+ * @param {string} props.limit - Formatted limit
+ * @param {boolean} props.over - Whether the value is over the limit
+ * @returns {JSX.Element}
+ */
+const Measure = ({ label, value, limit, over }) => (
+  <div className={`p-4 rounded-xl border ${over ? 'bg-orange-500/10 border-orange-500/30' : 'bg-white/[0.03] border-white/[0.06]'}`}>
+    <div className="text-[11px] font-bold text-gray-400 uppercase tracking-wide">{label}</div>
+    <div className={`text-2xl font-bold mt-1 ${over ? 'text-orange-300' : 'text-white'}`}>{value}</div>
+    <div className="text-[11px] text-gray-500 mt-1">{limit}</div>
+  </div>
+);
+
+/**
+ * Readability report
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.readability - `readability` of the analysis (summarizeReadability)
+ * @returns {JSX.Element} Measures with their limits and the flagged terms
+ */
+function ReadabilityReport({ readability }) {
+  const {
+    fleschKincaidGrade, maxGrade, averageSentenceWords, maxSentenceWords, longSentences, passiveSentences,
+    sentences, rareShare, maxRareShare, idioms, acronyms, jargon
+  } = readability;
+  // Same threshold as the passive-voice barrier in lib/readability.js
+  const tooPassive = passiveSentences >= 2 && passiveSentences / sentences >= 0.2;
+  const terms = [
+    { label: 'Idioms', items: idioms },
+    { label: 'Undefined acronyms', items: acronyms },
+    { label: 'Unexplained jargon', items: jargon }
+  ].filter(({ items }) => items.length);
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8 print-avoid-break">
+      <div className="flex items-center gap-3 mb-6">
+        <SpellCheck className="w-6 h-6 text-purple-400" />
+        <div>
+          <h3 className="text-xl font-bold text-white">Readability</h3>
+          <p className="text-[13px] text-gray-400 mt-1">Measured from the assignment text and compared with the grade level</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Measure
+          label="Reading grade"
+          value={fleschKincaidGrade === null ? '—' : fleschKincaidGrade}
+          limit={fleschKincaidGrade === null ? 'Too short to grade' : `Flesch-Kincaid, up to ${maxGrade} expected`}
+          over={fleschKincaidGrade !== null && fleschKincaidGrade > maxGrade}
+        />
+        <Measure
+          label="Sentence length"
+          value={`${averageSentenceWords} words`}
+          limit={`${longSentences} over ${maxSentenceWords} words`}
+          over={longSentences > 0}
+        />
+        <Measure
+          label="Passive voice"
+          value={`${passiveSentences} of ${sentences}`}
+          limit="sentences"
+          over={tooPassive}
+        />
+        <Measure
+          label="Uncommon words"
+          value={`${Math.round(rareShare * 100)}%`}
+          limit={`up to ${Math.round(maxRareShare * 100)}% expected`}
+          over={rareShare > maxRareShare}
+        />
+      </div>
+
+      {terms.length > 0 ? (
+        <div className="mt-6 space-y-3">
+          {terms.map(({ label, items }) => (
+            <div key={label} className="flex items-start gap-3 text-[13px]">
+              <AlertTriangle className="w-4 h-4 text-orange-400 flex-shrink-0 mt-0.5" />
+              <div>
+                <span className="font-semibold text-white">{label}:</span>
+                <span className="text-gray-300"> {items.join(', ')}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="flex items-start gap-2 mt-6 text-[13px] text-green-400">
+          <CheckCircle2 className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <p>No idioms, undefined acronyms or unexplained jargon found.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReadabilityReport;
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Edit Review
+ *
+ * Turns the barrier suggestions into edit proposals through /api/revisions
+ * and lets the teacher accept, reject or rewrite each one. Accepted edits are
+ * combined into a revised assignment shown with tracked changes or as clean
+ * text; the revised version can then be sent to the LMS exporters.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Check, X, Pencil, Loader2, AlertCircle, GitCompare, Copy, CheckCircle2, Upload, RefreshCw } from 'lucide-react';
+import { readApiError } from '../utils/apiError';
+import { getSeverityColor } from '../utils/severity';
+import { buildRevision, findConflict } from '../utils/revisions';
+
+/**
+ * Edit review
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.assignmentText - Assignment the analysis was run on
+ * @param {Object[]} props.barriers - Barriers from the analysis
+ * @param {number} props.retryInSeconds - Rate-limit countdown from App, 0 when requests are allowed
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @param {Function} props.onExport - `(text) => void` hands the revised assignment to the LMS exporters
+ * @returns {JSX.Element} Proposal list and revised assignment
+ */
+function RevisionView({ assignmentText, barriers, retryInSeconds, onRateLimit, onExport }) {
+  const text = assignmentText.trim(); // Proposal offsets index the trimmed text
+  const [proposals, setProposals] = useState(null);
+  const [dropped, setDropped] = useState(0);
+  const [decisions, setDecisions] = useState({}); // {status, replacement} by proposal id
+  const [editing, setEditing] = useState(null); // {id, replacement} while a proposal is rewritten
+  const [showTracked, setShowTracked] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const loadProposals = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const response = await fetch(`${apiUrl}/api/revisions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ assignmentText, barriers })
+      });
+      if (!response.ok) throw await readApiError(response);
+
+      const data = await response.json();
+      setProposals(data.proposals);
+      setDropped(data.dropped);
+      setDecisions(Object.fromEntries(data.proposals.map((proposal) => [proposal.id, { status: 'pending', replacement: proposal.replacement }])));
+    } catch (err) {
+      console.error('Revisions Error:', err);
+      if (!onRateLimit(err)) setError(err.message || 'Failed to generate edit proposals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadProposals();
+    // Proposals are generated once per analysis; App remounts this view for a new one
+  }, []);
+
+  const revision = useMemo(() => buildRevision(text, proposals || [], decisions), [text, proposals, decisions]);
+  const counts = Object.values(decisions).reduce((acc, { status }) => ({ ...acc, [status]: acc[status] + 1 }), { accepted: 0, rejected: 0, pending: 0 });
+
+  const decide = (proposal, status, replacement = decisions[proposal.id].replacement) => {
+    if (status === 'accepted') {
+      const conflict = findConflict(proposal, proposals, decisions);
+      if (conflict) {
+        setError(`This edit overlaps the accepted edit "${conflict.original}". Reject that one first.`);
+        return;
+      }
+    }
+    setError('');
+    setDecisions((current) => ({ ...current, [proposal.id]: { status, replacement } }));
+  };
+
+  const acceptAll = () => {
+    const next = { ...decisions };
+    proposals.forEach((proposal) => {
+      if (next[proposal.id].status === 'pending' && !findConflict(proposal, proposals, next)) {
+        next[proposal.id] = { ...next[proposal.id], status: 'accepted' };
+      }
+    });
+    setDecisions(next);
+  };
+
+  const copyRevision = () => {
+    navigator.clipboard.writeText(revision.text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8 no-print">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <GitCompare className="w-6 h-6 text-amber-400" />
+          <div>
+            <h4 className="text-xl font-bold text-white">Review Edits</h4>
+            {proposals && (
+              <p className="text-[13px] text-gray-400 mt-1">
+                {counts.accepted} accepted, {counts.rejected} rejected, {counts.pending} to review
+              </p>
+            )}
+          </div>
+        </div>
+        {proposals?.length > 0 && (
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={acceptAll}
+              disabled={counts.pending === 0}
+              className="px-4 py-2.5 bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-gray-300 rounded-xl text-[13px] font-semibold flex items-center gap-2 disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />Accept remaining
+            </button>
+            <button
+              onClick={() => onExport(revision.text)}
+              disabled={counts.accepted === 0}
+              className="px-4 py-2.5 bg-gradient-to-r from-purple-500/20 to-blue-500/20 hover:from-purple-500/30 hover:to-blue-500/30 border border-purple-500/40 text-purple-300 rounded-xl text-[13px] font-semibold flex items-center gap-2 disabled:opacity-50"
+            >
+              <Upload className="w-4 h-4" />Export revised version
+            </button>
+          </div>
+        )}
+      </div>
+
+      {loading && (
+        <div className="flex items-center gap-3 text-gray-400 text-sm">
+          <Loader2 className="w-5 h-5 animate-spin" />Turning suggestions into edits...
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-500/10 border border-red-500/30 rounded-xl flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+          <div className="flex-1 text-sm text-red-300">{error}</div>
+          {!proposals && (
+            <button onClick={loadProposals} disabled={retryInSeconds > 0} className="text-xs font-semibold text-red-300 hover:text-red-200 flex items-center gap-1 disabled:opacity-50">
+              <RefreshCw className="w-3.5 h-3.5" />Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {proposals?.length === 0 && (
+        <p className="text-sm text-gray-400">No suggestion could be turned into an edit of the assignment text.</p>
+      )}
+
+      {proposals?.length > 0 && (
+        <div className="grid lg:grid-cols-2 gap-6">
+          {/* Proposals */}
+          <div className="space-y-4">
+            {proposals.map((proposal) => {
+              const barrier = barriers[proposal.barrier];
+              const { status, replacement } = decisions[proposal.id];
+              const isEditing = editing?.id === proposal.id;
+
+              return (
+                <div
+                  key={proposal.id}
+                  className={`p-5 rounded-2xl border ${status === 'accepted' ? 'bg-emerald-500/5 border-emerald-500/30' : status === 'rejected' ? 'bg-white/[0.02] border-white/[0.05] opacity-60' : 'bg-white/[0.03] border-white/[0.08]'}`}
+                >
+                  <div className="flex items-center gap-2 mb-3 flex-wrap">
+                    {barrier && (
+                      <span className={`px-2 py-0.5 rounded text-xs font-bold border ${getSeverityColor(barrier.severity)}`}>
+                        {barrier.severity} · {barrier.category}
+                      </span>
+                    )}
+                    <span className="text-xs text-gray-400">{proposal.suggestion}</span>
+                  </div>
+
+                  <div className="text-[13px] leading-[1.7] mb-3">
+                    <span className="bg-red-500/15 text-red-300 line-through">{proposal.original}</span>
+                    {' '}
+                    {isEditing ? (
+                      <textarea
+                        className="input-field w-full mt-2 min-h-[80px] text-sm"
+                        value={editing.replacement}
+                        onChange={(e) => setEditing({ id: proposal.id, replacement: e.target.value })}
+                      />
+                    ) : (
+                      <span className="bg-emerald-500/15 text-emerald-300">{replacement}</span>
+                    )}
+                  </div>
+
+                  {proposal.rationale && <p className="text-xs text-gray-400 mb-4">{proposal.rationale}</p>}
+
+                  <div className="flex gap-2">
+                    {isEditing ? (
+                      <>
+                        <button
+                          onClick={() => { decide(proposal, 'accepted', editing.replacement); setEditing(null); }}
+                          className="px-3 py-1.5 bg-emerald-500/15 hover:bg-emerald-500/25 border border-emerald-500/30 text-emerald-300 rounded-lg text-xs font-semibold flex items-center gap-1.5"
+                        >
+                          <Check className="w-3.5 h-3.5" />Accept edited
+                        </button>
+                        <button onClick={() => setEditing(null)} className="px-3 py-1.5 text-gray-400 hover:text-white text-xs font-semibold">
+                          Cancel
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => decide(proposal, status === 'accepted' ? 'pending' : 'accepted')}
+                          className={`px-3 py-1.5 border rounded-lg text-xs font-semibold flex items-center gap-1.5 ${status === 'accepted' ? 'bg-emerald-500/25 border-emerald-500/50 text-emerald-200' : 'bg-emerald-500/10 hover:bg-emerald-500/20 border-emerald-500/30 text-emerald-300'}`}
+                        >
+                          <Check className="w-3.5 h-3.5" />{status === 'accepted' ? 'Accepted' : 'Accept'}
+                        </button>
+                        <button
+                          onClick={() => decide(proposal, status === 'rejected' ? 'pending' : 'rejected')}
+                          className={`px-3 py-1.5 border rounded-lg text-xs font-semibold flex items-center gap-1.5 ${status === 'rejected' ? 'bg-red-500/25 border-red-500/50 text-red-200' : 'bg-red-500/10 hover:bg-red-500/20 border-red-500/30 text-red-300'}`}
+                        >
+                          <X className="w-3.5 h-3.5" />{status === 'rejected' ? 'Rejected' : 'Reject'}
+                        </button>
+                        <button
+                          onClick={() => setEditing({ id: proposal.id, replacement })}
+                          className="px-3 py-1.5 bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-gray-300 rounded-lg text-xs font-semibold flex items-center gap-1.5"
+                        >
+                          <Pencil className="w-3.5 h-3.5" />Edit
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+            {dropped > 0 && (
+              <p className="text-xs text-gray-500">{dropped} proposed edit{dropped === 1 ? '' : 's'} quoted text that is not in the assignment and {dropped === 1 ? 'was' : 'were'} left out.</p>
+            )}
+          </div>
+
+          {/* Revised assignment */}
+          <div className="lg:sticky lg:top-6 h-fit">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex gap-1 p-1 bg-black/30 rounded-xl">
+                {[[true, 'Tracked changes'], [false, 'Clean']].map(([tracked, label]) => (
+                  <button
+                    key={label}
+                    onClick={() => setShowTracked(tracked)}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold ${showTracked === tracked ? 'bg-white/[0.1] text-white' : 'text-gray-400 hover:text-white'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button onClick={copyRevision} className="text-xs font-semibold text-gray-400 hover:text-white flex items-center gap-1.5">
+                {copied ? <><CheckCircle2 className="w-3.5 h-3.5 text-green-400" />Copied!</> : <><Copy className="w-3.5 h-3.5" />Copy</>}
+              </button>
+            </div>
+            <div className="p-6 bg-black/40 rounded-2xl border border-white/[0.08] text-[14px] text-gray-200 leading-[1.8] whitespace-pre-wrap">
+              {showTracked
+                ? revision.changes.map((change, idx) => (
+                  change.type === 'removed' ? <del key={idx} className="bg-red-500/15 text-red-300">{change.text}</del>
+                    : change.type === 'added' ? <ins key={idx} className="bg-emerald-500/15 text-emerald-300 no-underline">{change.text}</ins>
+                      : <span key={idx}>{change.text}</span>
+                ))
+                : revision.text}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevisionView;
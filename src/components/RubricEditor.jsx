@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Rubric Editor
+ *
+ * The "Equity Rubric" panel: starts from the default equity rubric, can
+ * draft one for the analyzed assignment through /api/rubric, and lets the
+ * teacher edit the title, levels, points and criteria in place. The edited
+ * rubric is what every export uses, including the Common Cartridge.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React, { useState } from 'react';
+import { FileText, Sparkles, Loader2, AlertCircle, Plus, Trash2, RotateCcw, FileSpreadsheet, FileJson, Printer, Lightbulb } from 'lucide-react';
+import { readApiError } from '../utils/apiError';
+import { EQUITY_RUBRIC, buildRubricHtml, rubricToCsv, rubricToCanvasJson } from '../utils/equityRubric';
+
+/** Bounds that keep the table readable and the exports valid */
+const MIN_LEVELS = 2;
+const MAX_LEVELS = 6;
+
+/**
+ * Downloads text as a file.
+ *
+ * @param {string} fileName - Download name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+const download = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Rubric editor
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/equityRubric').Rubric} props.rubric - Rubric being edited
+ * @param {Function} props.onChange - `(rubric) => void` receives every edit
+ * @param {string} props.assignmentText - Assignment the analysis was run on
+ * @param {Object[]} props.barriers - Barriers from the analysis
+ * @param {{gradeLevel: string, courseType: string}} props.context - Course context of the analysis
+ * @param {number} props.retryInSeconds - Rate-limit countdown from App, 0 when requests are allowed
+ * @param {Function} props.onRateLimit - `(error) => boolean` starts the countdown for 429 errors
+ * @returns {JSX.Element} Editable rubric table with export buttons
+ */
+function RubricEditor({ rubric, onChange, assignmentText, barriers, context, retryInSeconds, onRateLimit }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const generate = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || window.location.origin;
+      const response = await fetch(`${apiUrl}/api/rubric`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ assignmentText, barriers, ...context })
+      });
+      if (!response.ok) throw await readApiError(response);
+      onChange((await response.json()).rubric);
+    } catch (err) {
+      console.error('Rubric Error:', err);
+      if (!onRateLimit(err)) setError(err.message || 'Failed to generate a rubric');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateLevel = (index, changes) =>
+    onChange({ ...rubric, levels: rubric.levels.map((level, i) => (i === index ? { ...level, ...changes } : level)) });
+
+  const addLevel = () => onChange({
+    ...rubric,
+    levels: [...rubric.levels, { label: 'New level', points: 0 }],
+    criteria: rubric.criteria.map((criterion) => ({ ...criterion, descriptions: [...criterion.descriptions, ''] }))
+  });
+
+  const removeLevel = (index) => onChange({
+    ...rubric,
+    levels: rubric.levels.filter((_, i) => i !== index),
+    criteria: rubric.criteria.map((criterion) => ({ ...criterion, descriptions: criterion.descriptions.filter((_, i) => i !== index) }))
+  });
+
+  const updateCriterion = (index, changes) =>
+    onChange({ ...rubric, criteria: rubric.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)) });
+
+  const updateDescription = (index, levelIndex, value) =>
+    updateCriterion(index, { descriptions: rubric.criteria[index].descriptions.map((d, i) => (i === levelIndex ? value : d)) });
+
+  const addCriterion = () =>
+    onChange({ ...rubric, criteria: [...rubric.criteria, { name: '', descriptions: rubric.levels.map(() => '') }] });
+
+  const removeCriterion = (index) =>
+    onChange({ ...rubric, criteria: rubric.criteria.filter((_, i) => i !== index) });
+
+  const printRubric = () => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(buildRubricHtml(rubric));
+    printWindow.document.close();
+    printWindow.print();
+  };
+
+  const fileName = (rubric.title.trim() || 'rubric').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const maxPoints = Math.max(0, ...rubric.levels.map((level) => Number(level.points) || 0));
+  const cellInput = 'w-full bg-transparent border border-transparent hover:border-white/[0.08] focus:border-pink-500/40 focus:bg-white/[0.03] rounded-lg px-2 py-1.5 outline-none resize-none';
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div className="flex items-center gap-3 flex-1 min-w-[16rem]">
+          <FileText className="w-6 h-6 text-pink-400 flex-shrink-0" />
+          <input
+            value={rubric.title}
+            onChange={(e) => onChange({ ...rubric, title: e.target.value })}
+            aria-label="Rubric title"
+            className={`${cellInput} text-xl font-bold text-white`}
+          />
+        </div>
+        <div className="flex flex-wrap gap-2 no-print">
+          <button
+            onClick={generate}
+            disabled={loading || retryInSeconds > 0}
+            className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-pink-500/20 hover:bg-pink-500/30 border border-pink-500/40 text-[13px] font-semibold text-pink-200 disabled:opacity-40"
+          >
+            {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+            {retryInSeconds > 0 ? `Retry in ${retryInSeconds}s` : 'Generate for this assignment'}
+          </button>
+          <button
+            onClick={() => onChange(EQUITY_RUBRIC)}
+            className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-[13px] font-semibold text-gray-300"
+          >
+            <RotateCcw className="w-4 h-4" /> Default rubric
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-300 no-print">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" /> {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-[13px]">
+          <thead>
+            <tr className="border-b border-white/[0.08] align-top">
+              <th className="text-left py-3 px-2 text-gray-400 font-bold min-w-[10rem]">Criterion</th>
+              {rubric.levels.map((level, index) => (
+                <th key={index} className="text-left py-3 px-2 text-gray-400 font-bold min-w-[11rem]">
+                  <div className="flex items-center gap-1">
+                    <input
+                      value={level.label}
+                      onChange={(e) => updateLevel(index, { label: e.target.value })}
+                      aria-label={`Level ${index + 1} label`}
+                      className={`${cellInput} font-bold text-gray-300`}
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      value={level.points}
+                      onChange={(e) => updateLevel(index, { points: Math.max(0, Number(e.target.value) || 0) })}
+                      aria-label={`Level ${index + 1} points`}
+                      className={`${cellInput} w-16 text-right font-bold text-pink-300`}
+                    />
+                    {rubric.levels.length > MIN_LEVELS && (
+                      <button onClick={() => removeLevel(index)} className="p-1 text-gray-500 hover:text-red-400 no-print" aria-label={`Remove level ${level.label}`}>
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </div>
+                </th>
+              ))}
+              <th className="py-3 px-2 w-10 no-print">
+                {rubric.levels.length < MAX_LEVELS && (
+                  <button onClick={addLevel} className="p-1 text-gray-400 hover:text-pink-300" aria-label="Add level" title="Add level">
+                    <Plus className="w-4 h-4" />
+                  </button>
+                )}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {rubric.criteria.map((criterion, index) => (
+              <tr key={index} className="border-b border-white/[0.05] align-top">
+                <td className="py-2 px-2">
+                  <textarea
+                    value={criterion.name}
+                    onChange={(e) => updateCriterion(index, { name: e.target.value })}
+                    placeholder="Criterion"
+                    rows={2}
+                    aria-label={`Criterion ${index + 1}`}
+                    className={`${cellInput} font-semibold text-white`}
+                  />
+                  {criterion.barrier && <div className="px-2 text-[11px] text-pink-300/80">Avoids: {criterion.barrier}</div>}
+                </td>
+                {criterion.descriptions.map((description, levelIndex) => (
+                  <td key={levelIndex} className="py-2 px-2">
+                    <textarea
+                      value={description}
+                      onChange={(e) => updateDescription(index, levelIndex, e.target.value)}
+                      rows={3}
+                      aria-label={`${criterion.name || `Criterion ${index + 1}`}, ${rubric.levels[levelIndex]?.label}`}
+                      className={cellInput}
+                    />
+                  </td>
+                ))}
+                <td className="py-2 px-2 no-print">
+                  {rubric.criteria.length > 1 && (
+                    <button onClick={() => removeCriterion(index)} className="p-1 text-gray-500 hover:text-red-400" aria-label={`Remove criterion ${criterion.name}`}>
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between flex-wrap gap-3 mt-4 no-print">
+        <button onClick={addCriterion} className="inline-flex items-center gap-1.5 text-[13px] font-semibold text-pink-300 hover:text-pink-200">
+          <Plus className="w-4 h-4" /> Add criterion
+        </button>
+        <span className="text-[13px] text-gray-400">{rubric.criteria.length} criteria · {rubric.criteria.length * maxPoints} points total</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-6 no-print">
+        <button
+          onClick={() => download(`${fileName}.csv`, rubricToCsv(rubric), 'text/csv')}
+          className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-[13px] font-semibold text-gray-300"
+        >
+          <FileSpreadsheet className="w-4 h-4" /> CSV
+        </button>
+        <button
+          onClick={() => download(`${fileName}.canvas.json`, JSON.stringify(rubricToCanvasJson(rubric), null, 2), 'application/json')}
+          className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-[13px] font-semibold text-gray-300"
+        >
+          <FileJson className="w-4 h-4" /> Canvas rubric JSON
+        </button>
+        <button
+          onClick={printRubric}
+          className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-white/[0.05] hover:bg-white/[0.08] border border-white/[0.08] text-[13px] font-semibold text-gray-300"
+        >
+          <Printer className="w-4 h-4" /> Print
+        </button>
+      </div>
+
+      <div className="mt-6 p-5 bg-pink-500/10 border border-pink-500/30 rounded-2xl">
+        <div className="flex items-start gap-2">
+          <Lightbulb className="w-5 h-5 text-pink-400 flex-shrink-0 mt-0.5" />
+          <p className="text-gray-300 text-sm leading-relaxed">
+            <strong className="text-pink-300">Tip:</strong> Use this rubric when designing assignments to ensure equity is built in from the start, not added as an afterthought.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RubricEditor;
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Revision Timeline
+ *
+ * Version chain of the analysis on screen: every verified revision with its
+ * score and the change from the version before, measured against a target
+ * score the teacher picks. "Verify revision" analyzes the current revision
+ * (the accepted edits, or else the equity-improved version) with the same
+ * settings and adds it as the next version.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React from 'react';
+import { GitBranch, Target, ArrowRight, RefreshCw, CheckCircle2 } from 'lucide-react';
+import { scoreColor } from './BatchSummary';
+
+/**
+ * Revision timeline
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object[]} props.versions - Chain from getVersionChain, oldest first
+ * @param {string|null} props.activeId - Record shown in the results
+ * @param {number} props.currentScore - Score of the analysis on screen, used when it is not saved
+ * @param {number} props.targetScore - Score the teacher is aiming for
+ * @param {Function} props.onTargetChange - `(score) => void`
+ * @param {Function} props.onOpen - `(entry) => void` shows a version
+ * @param {Function} props.onVerify - Analyzes the revision as the next version
+ * @param {string} props.revisionSource - Which text onVerify analyzes, shown to the teacher
+ * @param {boolean} props.disabled - True while an analysis runs or requests are rate limited
+ * @returns {JSX.Element} Timeline card
+ */
+function VersionTimeline({ versions, activeId, currentScore, targetScore, onTargetChange, onOpen, onVerify, revisionSource, disabled }) {
+  const latest = versions.length ? versions[versions.length - 1].overallScore : currentScore;
+  const remaining = targetScore - latest;
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8 no-print">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <GitBranch className="w-6 h-6 text-cyan-400" />
+          <div>
+            <h4 className="text-xl font-bold text-white">Revision Timeline</h4>
+            <p className="text-[13px] text-gray-400 mt-1">
+              {remaining <= 0
+                ? `Version ${Math.max(versions.length, 1)} reaches the target score.`
+                : `${remaining} point${remaining === 1 ? '' : 's'} to the target score.`}
+            </p>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-[13px] text-gray-300">
+          <Target className="w-4 h-4 text-pink-400" />
+          Target score
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={targetScore}
+            onChange={(e) => onTargetChange(Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+            className="input-field w-20 py-1.5 text-sm text-center"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center flex-wrap gap-3 mb-6">
+        {(versions.length ? versions : [{ id: null, version: 1, overallScore: currentScore }]).map((entry, idx, chain) => {
+          const delta = idx > 0 ? entry.overallScore - chain[idx - 1].overallScore : null;
+          return (
+            <React.Fragment key={entry.id || 'current'}>
+              {idx > 0 && <ArrowRight className="w-4 h-4 text-gray-500" />}
+              <button
+                onClick={() => entry.id && entry.id !== activeId && onOpen(entry)}
+                className={`px-4 py-3 rounded-2xl border text-left transition-all duration-200 ${entry.id === activeId ? 'bg-cyan-500/10 border-cyan-500/40' : 'bg-white/[0.03] border-white/[0.08] hover:bg-white/[0.06]'}`}
+              >
+                <div className="text-[11px] uppercase tracking-wide text-gray-400">Version {entry.version}</div>
+                <div className="flex items-baseline gap-2">
+                  <span className={`text-2xl font-bold ${scoreColor(entry.overallScore)}`}>{entry.overallScore}</span>
+                  {delta !== null && (
+                    <span className={`text-xs font-semibold ${delta >= 0 ? 'text-green-400' : 'text-red-400'}`}>{delta >= 0 ? '+' : ''}{delta}</span>
+                  )}
+                  {entry.overallScore >= targetScore && <CheckCircle2 className="w-4 h-4 text-green-400" />}
+                </div>
+              </button>
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <p className="text-[13px] text-gray-400">Analyzes {revisionSource} with the same grade level, course type and focus.</p>
+        <button
+          onClick={onVerify}
+          disabled={disabled}
+          className="px-5 py-3 bg-gradient-to-r from-cyan-600/20 to-blue-600/20 hover:from-cyan-600/30 hover:to-blue-600/30 border border-cyan-500/30 hover:border-cyan-500/50 text-cyan-300 rounded-2xl transition-all duration-200 flex items-center gap-2.5 text-[13px] font-semibold disabled:opacity-50"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Verify revision
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default VersionTimeline;
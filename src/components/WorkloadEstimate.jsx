@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Workload Estimate
+ *
+ * Time-on-task card of the results: the tasks the server found in the
+ * assignment with low/high hours (lib/workload.js), how the total compares
+ * with the hours a student has in the window, and the same comparison for
+ * every persona that states its own hours a week.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import React from 'react';
+import { Clock, AlertTriangle, CheckCircle2, Info } from 'lucide-react';
+import { PersonaIcon } from './PersonaEditor';
+
+const STATUS = {
+  fits: { label: 'Fits the window', className: 'bg-green-500/10 border-green-500/30 text-green-400' },
+  tight: { label: 'Tight for the window', className: 'bg-yellow-500/10 border-yellow-500/30 text-yellow-400' },
+  over: { label: 'Too much for the window', className: 'bg-red-500/10 border-red-500/30 text-red-400' }
+};
+
+const formatRange = (low, high, unit = 'h') => (low === high ? `${low} ${unit}` : `${low}–${high} ${unit}`);
+
+const toWeeks = (hours, weeklyHours) => Math.round((hours / weeklyHours) * 10) / 10;
+
+/**
+ * Same comparison the server makes, for hours a persona has.
+ *
+ * @param {{low: number, high: number}} workload - Estimate totals
+ * @param {number} available - Hours the student has
+ * @returns {string} fits, tight or over
+ */
+const compare = ({ low, high }, available) => (low > available ? 'over' : high > available ? 'tight' : 'fits');
+
+/**
+ * Workload estimate
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.workload - `workload` of the analysis
+ * @param {import('../utils/personas').StudentPersona[]} props.personas - Every persona; those with weeklyHours get a row
+ * @returns {JSX.Element} Task table with the window and persona comparisons
+ */
+function WorkloadEstimate({ workload, personas }) {
+  const { tasks, low, high, windowDays, windowSource, availableHours, weeklyHours, status } = workload;
+  const withHours = personas.filter((persona) => typeof persona.weeklyHours === 'number');
+
+  return (
+    <div className="bg-gradient-to-br from-white/[0.04] to-white/[0.02] backdrop-blur-2xl rounded-[28px] border border-white/[0.08] p-8">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <Clock className="w-6 h-6 text-cyan-400" />
+          <div>
+            <h3 className="text-xl font-bold text-white">Time on Task</h3>
+            <p className="text-[13px] text-gray-400 mt-1">Estimated from what the assignment asks for, at this grade level</p>
+          </div>
+        </div>
+        {tasks.length > 0 && (
+          <div className="text-right">
+            <div className="text-3xl font-bold text-white">{formatRange(low, high)}</div>
+            {status && (
+              <span className={`inline-block mt-1 px-3 py-1 rounded-full text-[11px] font-bold border ${STATUS[status].className}`}>
+                {STATUS[status].label}
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {tasks.length === 0 ? (
+        <div className="flex items-start gap-2 text-[13px] text-gray-400">
+          <Info className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <p>No measurable tasks found. Page counts, word counts, video lengths, numbers of sources or problems let DIKE estimate the time this assignment takes.</p>
+        </div>
+      ) : (
+        <>
+          <table className="w-full text-[13px]">
+            <tbody className="text-gray-300">
+              {tasks.map((task, idx) => (
+                <tr key={idx} className="border-b border-white/[0.05]">
+                  <td className="py-2 pr-3">
+                    {task.label}
+                    {task.assumed && <span className="ml-2 text-[11px] text-gray-500">(assumed, not stated)</span>}
+                  </td>
+                  <td className="py-2 pl-3 text-right whitespace-nowrap">{formatRange(task.low, task.high)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="mt-5 text-[13px] text-gray-300 leading-relaxed">
+            {windowDays ? (
+              <p>
+                Students have <strong className="text-white">{windowDays} {windowDays === 1 ? 'day' : 'days'}</strong>
+                {windowSource === 'text' ? ' (read from the assignment)' : ''}, about <strong className="text-white">{availableHours} h</strong> at
+                the {weeklyHours} h a week a student at this level can usually give one course.
+              </p>
+            ) : (
+              <p className="text-gray-400">
+                The assignment does not say how long students have. Set Days to Complete to compare the estimate with a window; at {weeklyHours} h a week it takes {formatRange(toWeeks(low, weeklyHours), toWeeks(high, weeklyHours), 'weeks')}.
+              </p>
+            )}
+          </div>
+
+          {withHours.length > 0 && (
+            <div className="mt-6">
+              <div className="text-[12px] font-bold text-gray-400 mb-2">Available hours by persona</div>
+              <div className="space-y-2">
+                {withHours.map((persona) => {
+                  const available = windowDays ? Math.round((persona.weeklyHours * windowDays) / 7 * 2) / 2 : persona.weeklyHours;
+                  const personaStatus = compare(workload, available);
+                  return (
+                    <div key={persona.id} className="flex items-center gap-3 p-3 rounded-xl bg-white/[0.03] border border-white/[0.06]">
+                      <PersonaIcon name={persona.icon} className="w-5 h-5 text-purple-300 flex-shrink-0" />
+                      <div className="flex-1 text-[13px] text-gray-300">
+                        <span className="font-semibold text-white">{persona.name}</span>
+                        {' '}has {windowDays ? `${available} h in ${windowDays} ${windowDays === 1 ? 'day' : 'days'} (${persona.weeklyHours} h a week)` : `${available} h a week`}
+                      </div>
+                      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-[10px] font-bold border ${STATUS[personaStatus].className}`}>
+                        {personaStatus === 'fits' ? <CheckCircle2 className="w-3 h-3" /> : <AlertTriangle className="w-3 h-3" />}
+                        {personaStatus === 'fits' ? 'Enough time' : personaStatus === 'tight' ? 'Tight' : `Short ${Math.round((low - available) * 2) / 2}+ h`}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WorkloadEstimate;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Analysis Report Export
+ *
+ * Builds the standalone HTML equity report for one analysis: score,
+ * summary, student out-of-pocket cost, barriers, strengths and
+ * recommendations. "Export as PDF" opens
+ * it in a new window and prints it; the Common Cartridge export ships it as
+ * the instructor-facing report page.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { escapeHtml } from './html';
+import { formatPriceRange } from './costCatalog';
+
+/**
+ * Builds the report document.
+ *
+ * @param {Object} params
+ * @param {string} params.assignmentText - The analyzed assignment
+ * @param {Object} params.analysis - Successful analysis result
+ * @param {{name: string, description: string}|null} [params.persona] - Student perspective selected in the results
+ * @param {{items: Object[], low: number, high: number}|null} [params.costs] - Cost list priced by priceCosts
+ * @returns {string} Standalone HTML document
+ */
+export const buildAnalysisReportHtml = ({ assignmentText, analysis, persona = null, costs = null }) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>DIKE Equity Analysis Report</title>
+  <style>
+    body { font-family: system-ui; max-width: 800px; margin: 40px auto; color: #333; }
+    h1 { color: #8b5cf6; border-bottom: 3px solid #8b5cf6; padding-bottom: 10px; }
+    h2 { color: #6366f1; margin-top: 30px; }
+    .score { font-size: 48px; font-weight: bold; color: #8b5cf6; }
+    .barrier { background: #f3f4f6; padding: 20px; margin: 20px 0; border-left: 4px solid #ef4444; }
+    .severity { display: inline-block; padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: bold; }
+    .high { background: #fee2e2; color: #991b1b; }
+    .medium { background: #fef3c7; color: #92400e; }
+    .low { background: #d1fae5; color: #065f46; }
+    .persona-view { background: #ede9fe; padding: 20px; margin: 20px 0; border-radius: 8px; }
+    .costs { width: 100%; border-collapse: collapse; font-size: 14px; }
+    .costs th, .costs td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    ul { line-height: 1.8; }
+    .footer { margin-top: 50px; padding-top: 20px; border-top: 2px solid #e5e7eb; text-align: center; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>🛡️ DIKE - Equity Analysis Report</h1>
+  <p><strong>Assignment:</strong> ${escapeHtml(assignmentText)}</p>
+  ${persona ? `<div class="persona-view"><strong>👤 Student Perspective:</strong> ${escapeHtml(persona.name)} - ${escapeHtml(persona.description)}</div>` : ''}
+  <h2>Overall Equity Score</h2>
+  <div class="score">${analysis.overallScore}/100</div>
+  <p>${escapeHtml(analysis.summary)}</p>
+  ${costs ? `<h2>Student Out-of-Pocket Cost: ${formatPriceRange(costs.low, costs.high)}</h2>
+  ${costs.items.length ? `<table class="costs">
+    <tr><th>Item</th><th>Price</th><th>Free or low-cost alternative</th></tr>
+    ${costs.items.map((c) => `<tr><td>${escapeHtml(c.item)}</td><td>${formatPriceRange(c.priceLow, c.priceHigh)}</td><td>${escapeHtml(c.alternative)}</td></tr>`).join('')}
+  </table>` : '<p>No required purchases found.</p>'}` : ''}
+  <h2>Identified Barriers</h2>
+  ${analysis.barriers.map((b) => `
+  <div class="barrier">
+    <h3>${escapeHtml(b.category)} <span class="severity ${b.severity.toLowerCase()}">${b.severity}</span></h3>
+    <p><strong>Issue:</strong> ${escapeHtml(b.issue)}</p>
+    <p><strong>Impact:</strong> ${escapeHtml(b.impact)}</p>
+    <p><strong>Suggestions:</strong></p>
+    <ul>${b.suggestions.map((s) => `<li>${escapeHtml(s)}</li>`).join('')}</ul>
+    ${b.researchBasis ? `<p><em>Research: ${escapeHtml(b.researchBasis)}</em></p>` : ''}
+  </div>`).join('')}
+  <h2>Strengths</h2>
+  <ul>${analysis.strengths.map((s) => `<li>${escapeHtml(s)}</li>`).join('')}</ul>
+  <h2>Recommendations</h2>
+  <ul>${analysis.recommendations.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+  <div class="footer">
+    <p>Generated by <strong>DIKE</strong> - AI Powered Equity Analysis</p>
+    <p>Created by Utkarsh Priyadarshi | EdPol 212</p>
+    <p>${new Date().toLocaleDateString()}</p>
+  </div>
+</body>
+</html>`;
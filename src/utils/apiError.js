@@ -0,0 +1,33 @@
+/**
+ * @fileoverview API Error Responses
+ *
+ * Turns a failed fetch response from the DIKE AI API into an Error carrying
+ * the HTTP status and, for 429s, how many seconds to wait before retrying.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/** Wait assumed when a 429 carries no Retry-After */
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Builds an Error from a non-ok response.
+ *
+ * @async
+ * @param {Response} response - Fetch response with `ok === false`
+ * @returns {Promise<Error>} Error with `status` and, for 429, `retryAfter` in seconds
+ * @example
+ * if (!response.ok) throw await readApiError(response);
+ */
+export const readApiError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || `API Error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+
+  if (response.status === 429) {
+    error.retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || DEFAULT_RETRY_AFTER_SECONDS;
+  }
+
+  return error;
+};
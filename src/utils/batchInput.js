@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Batch Input Parsing
+ *
+ * Turns the three batch inputs into `{title, assignmentText}` items for
+ * /api/analyze/batch:
+ * - pasted list: assignments separated by a line of three or more dashes,
+ *   or by blank lines when no such line exists
+ * - CSV: a header row with a text column (assignmentText, text, description,
+ *   assignment, prompt) and an optional title column (title, name); a file
+ *   with a single column is read as one assignment per row
+ * - files: .txt and .md become one assignment each, titled by file name;
+ *   .csv files are parsed as above
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/** Assignments per batch, same limit as the server */
+export const MAX_BATCH_SIZE = 50;
+
+/** File types the batch screen accepts */
+export const BATCH_FILE_TYPES = '.txt,.md,.markdown,.csv';
+
+const TEXT_COLUMNS = ['assignmenttext', 'assignment text', 'text', 'description', 'assignment', 'prompt'];
+const TITLE_COLUMNS = ['title', 'name'];
+
+/**
+ * Default title: the first line of the assignment.
+ *
+ * @param {string} text - Assignment text
+ * @returns {string} Title of at most 80 characters
+ */
+const titleFromText = (text) => text.trim().split('\n')[0].slice(0, 80);
+
+/**
+ * Splits a pasted list into assignments.
+ *
+ * @param {string} text - Pasted text
+ * @returns {Array<{title: string, assignmentText: string}>} Non-empty assignments
+ * @example
+ * parsePastedAssignments('Essay on climate\n---\nLab report, bring a kit');
+ * // => [{ title: 'Essay on climate', ... }, { title: 'Lab report, bring a kit', ... }]
+ */
+export const parsePastedAssignments = (text) => {
+  const separator = /^\s*-{3,}\s*$/m.test(text) ? /^\s*-{3,}\s*$/m : /\n\s*\n/;
+  return text
+    .split(separator)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((assignmentText) => ({ title: titleFromText(assignmentText), assignmentText }));
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, newlines in quotes).
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields, blank rows dropped
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+};
+
+/**
+ * Reads assignments from CSV text.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<{title: string, assignmentText: string}>} One assignment per row with text
+ * @throws {Error} When a multi-column file has no recognizable text column
+ */
+export const parseCsvAssignments = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  const textColumn = header.findIndex((name) => TEXT_COLUMNS.includes(name));
+  const titleColumn = header.findIndex((name) => TITLE_COLUMNS.includes(name));
+
+  let records;
+  if (textColumn !== -1) {
+    records = rows.slice(1).map((fields) => ({ text: fields[textColumn], title: fields[titleColumn] }));
+  } else if (header.length === 1) {
+    records = rows.map((fields) => ({ text: fields[0] }));
+  } else {
+    throw new Error('CSV needs an assignmentText, text or description column');
+  }
+
+  return records
+    .map(({ text: value = '', title = '' }) => ({ assignmentText: value.trim(), title: title.trim() }))
+    .filter((item) => item.assignmentText)
+    .map((item) => ({ title: item.title || titleFromText(item.assignmentText), assignmentText: item.assignmentText }));
+};
+
+/**
+ * Reads uploaded files into assignments.
+ *
+ * @async
+ * @param {FileList|File[]} files - Files from an input or a drop
+ * @returns {Promise<Array<{title: string, assignmentText: string}>>} Assignments in file order
+ * @throws {Error} Naming the first file that cannot be read
+ */
+export const readAssignmentFiles = async (files) => {
+  const assignments = [];
+  for (const file of Array.from(files)) {
+    const text = await file.text();
+    if (/\.csv$/i.test(file.name)) {
+      try {
+        assignments.push(...parseCsvAssignments(text));
+      } catch (error) {
+        throw new Error(`${file.name}: ${error.message}`);
+      }
+    } else if (/\.(txt|md|markdown)$/i.test(file.name)) {
+      if (text.trim()) assignments.push({ title: file.name.replace(/\.[^.]+$/, ''), assignmentText: text.trim() });
+    } else {
+      throw new Error(`${file.name}: unsupported file type, use ${BATCH_FILE_TYPES}`);
+    }
+  }
+  return assignments;
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Canvas Connector Client
+ *
+ * Browser side of the /api/canvas routes: lists the teacher's courses and
+ * assignments, pulls an assignment's description as text and sends an
+ * approved revision back as a new Canvas draft. Deployments without
+ * CANVAS_BASE_URL and CANVAS_API_TOKEN answer 404, which surfaces as an
+ * error with `status` 404 and `notConfigured` set. When the server sets
+ * CANVAS_ACCESS_KEY it answers 401 until the teacher enters the key, which
+ * is then kept for the browser session.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { readApiError } from './apiError';
+import { textToHtml } from './html';
+
+const ACCESS_KEY_STORAGE_KEY = 'dike-ai:canvas-access-key';
+
+/**
+ * Calls one /api/canvas route, asking for the access key once when the
+ * server requires one.
+ *
+ * @async
+ * @param {string} apiUrl - API origin
+ * @param {string} path - Path below /api/canvas
+ * @param {RequestInit} [init] - Fetch options
+ * @param {boolean} [askForKey=true] - Whether a 401 may prompt for the key
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With `status` set for API errors
+ */
+const canvasRequest = async (apiUrl, path, init = {}, askForKey = true) => {
+  const accessKey = sessionStorage.getItem(ACCESS_KEY_STORAGE_KEY);
+  const response = await fetch(`${apiUrl}/api/canvas${path}`, {
+    ...init,
+    headers: { ...init.headers, ...(accessKey ? { Authorization: `Bearer ${accessKey}` } : {}) }
+  });
+  if (response.status === 401 && askForKey) {
+    const entered = window.prompt('This server needs the Canvas access key. Enter it to continue:');
+    if (entered) {
+      sessionStorage.setItem(ACCESS_KEY_STORAGE_KEY, entered.trim());
+      return canvasRequest(apiUrl, path, init, false);
+    }
+  }
+  if (response.status === 401) sessionStorage.removeItem(ACCESS_KEY_STORAGE_KEY);
+  if (!response.ok) {
+    const error = await readApiError(response);
+    error.notConfigured = response.status === 404 && path === '/courses';
+    throw error;
+  }
+  return response.json();
+};
+
+/**
+ * Lists the courses the server's Canvas user teaches.
+ *
+ * @param {string} apiUrl - API origin
+ * @returns {Promise<Array<{id: number, name: string, code: string}>>}
+ */
+export const listCanvasCourses = async (apiUrl) => (await canvasRequest(apiUrl, '/courses')).courses;
+
+/**
+ * Lists the assignments of a course, ordered by due date.
+ *
+ * @param {string} apiUrl - API origin
+ * @param {number} courseId - Canvas course id
+ * @returns {Promise<Array<{id: number, name: string, dueAt: string|null, published: boolean, htmlUrl: string}>>}
+ */
+export const listCanvasAssignments = async (apiUrl, courseId) =>
+  (await canvasRequest(apiUrl, `/courses/${courseId}/assignments`)).assignments;
+
+/**
+ * Fetches one assignment with its description converted to text.
+ *
+ * @param {string} apiUrl - API origin
+ * @param {number} courseId - Canvas course id
+ * @param {number} assignmentId - Canvas assignment id
+ * @returns {Promise<{id: number, courseId: number, name: string, published: boolean, htmlUrl: string, text: string}>}
+ */
+export const getCanvasAssignment = async (apiUrl, courseId, assignmentId) =>
+  (await canvasRequest(apiUrl, `/courses/${courseId}/assignments/${assignmentId}`)).assignment;
+
+/**
+ * Sends a revised description to Canvas as a new unpublished assignment
+ * next to the original, which is left untouched. Only call this after the
+ * teacher has confirmed; the server refuses requests without approval.
+ *
+ * @async
+ * @param {string} apiUrl - API origin
+ * @param {{courseId: number, assignmentId: number}} source - Assignment the text was pulled from
+ * @param {string} text - Revised assignment text, converted to HTML here
+ * @returns {Promise<{assignment: {id: number, name: string, htmlUrl: string}}>} The created draft
+ * @example
+ * const { assignment } = await pushCanvasDraft(apiUrl, canvasSource, revisedAssignment);
+ */
+export const pushCanvasDraft = (apiUrl, { courseId, assignmentId }, text) =>
+  canvasRequest(apiUrl, `/courses/${courseId}/assignments/${assignmentId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ description: textToHtml(text), approved: true })
+  });
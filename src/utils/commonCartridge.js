@@ -0,0 +1,208 @@
+/**
+ * @fileoverview IMS Common Cartridge Export
+ *
+ * Packages the revised assignment as an IMS Common Cartridge 1.3 (.imscc)
+ * that Canvas, Blackboard, Moodle and D2L import through their course
+ * import tools.
+ *
+ * PACKAGE:
+ * - imsmanifest.xml - cartridge metadata, one module holding the assignment
+ * - assignment/assignment.xml - the assignment (CC assignment extension,
+ *   `assignment_xmlv1p0`) with the revised text as its description
+ * - assignment/assignment_settings.xml - Canvas settings of the assignment,
+ *   which link it to the rubric
+ * - course_settings/rubrics.xml - the rubric as a Canvas rubric
+ * - web_resources/equity-report.html - the equity report, attached to the
+ *   assignment for instructors only
+ * - web_resources/rubric.html - the rubric as a page, attached for students
+ *
+ * The report and the rubric page are resources of the assignment, not
+ * module items, so students do not see the report in the module.
+ *
+ * DEVIATIONS:
+ * - Common Cartridge has no rubric resource type, so the rubric is a Canvas
+ *   extension (the format of Canvas' own course exports). Blackboard,
+ *   Moodle and D2L ignore it and keep the attached rubric page.
+ * - There is no QTI: QTI packages quizzes and question banks, and the
+ *   export holds neither.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { escapeHtml, textToHtml } from './html';
+import { buildRubricHtml } from './equityRubric';
+import { createZip } from './zip';
+
+const REPORT_PATH = 'web_resources/equity-report.html';
+const RUBRIC_PATH = 'web_resources/rubric.html';
+const ASSIGNMENT_PATH = 'assignment/assignment.xml';
+const ASSIGNMENT_SETTINGS_PATH = 'assignment/assignment_settings.xml';
+const RUBRICS_PATH = 'course_settings/rubrics.xml';
+
+/** Namespace of Canvas' cartridge extensions */
+const CANVAS_NAMESPACE = 'http://canvas.instructure.com/xsd/cccv1p0';
+
+/**
+ * Builds imsmanifest.xml.
+ *
+ * @param {string} title - Assignment title, also used as the cartridge title
+ * @returns {string} Manifest XML
+ */
+const buildManifest = (title) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="dike_cartridge"
+  xmlns="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1"
+  xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1 http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_imscp_v1p2_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest http://www.imsglobal.org/profile/cc/ccv1p3/LOM/ccv1p3_lommanifest_v1p0.xsd">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.3.0</schemaversion>
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title><lomimscc:string language="en">${escapeHtml(title)}</lomimscc:string></lomimscc:title>
+      </lomimscc:general>
+    </lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="dike_organization" structure="rooted-hierarchy">
+      <item identifier="dike_root">
+        <item identifier="dike_module">
+          <title>${escapeHtml(title)}</title>
+          <item identifier="dike_item_assignment" identifierref="dike_assignment"><title>${escapeHtml(title)}</title></item>
+        </item>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="dike_assignment" type="assignment_xmlv1p0">
+      <file href="${ASSIGNMENT_PATH}"/>
+      <file href="${ASSIGNMENT_SETTINGS_PATH}"/>
+      <dependency identifierref="dike_report"/>
+      <dependency identifierref="dike_rubric_page"/>
+      <dependency identifierref="dike_course_settings"/>
+    </resource>
+    <resource identifier="dike_report" type="webcontent" href="${REPORT_PATH}">
+      <file href="${REPORT_PATH}"/>
+    </resource>
+    <resource identifier="dike_rubric_page" type="webcontent" href="${RUBRIC_PATH}">
+      <file href="${RUBRIC_PATH}"/>
+    </resource>
+    <resource identifier="dike_course_settings" type="associatedcontent/imscc_xmlv1p1/learning-application-resource" href="${RUBRICS_PATH}">
+      <file href="${RUBRICS_PATH}"/>
+    </resource>
+  </resources>
+</manifest>
+`;
+
+/**
+ * Builds the assignment resource.
+ *
+ * @param {string} title - Assignment title
+ * @param {string} assignmentText - Revised assignment text
+ * @param {number} overallScore - Equity score, noted for instructors
+ * @param {number} pointsPossible - Points the assignment is graded out of
+ * @returns {string} Assignment XML
+ */
+const buildAssignment = (title, assignmentText, overallScore, pointsPossible) => `<?xml version="1.0" encoding="UTF-8"?>
+<assignment identifier="dike_assignment"
+  xmlns="http://www.imsglobal.org/xsd/imscc_extensions/assignment"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscc_extensions/assignment http://www.imsglobal.org/profile/cc/cc_extensions/cc_extresource_assignmentv1p0_v1p0.xsd">
+  <title>${escapeHtml(title)}</title>
+  <text texttype="text/html">${escapeHtml(textToHtml(assignmentText))}</text>
+  <instructor_text texttype="text/plain">${escapeHtml(`Equity score of the original assignment: ${overallScore}/100. See the attached equity report.`)}</instructor_text>
+  <gradable points_possible="${pointsPossible}">true</gradable>
+  <submission_formats>
+    <format type="text"/>
+    <format type="file"/>
+  </submission_formats>
+  <attachments>
+    <attachment href="../${RUBRIC_PATH}" role="All"/>
+    <attachment href="../${REPORT_PATH}" role="Instructor"/>
+  </attachments>
+</assignment>
+`;
+
+/**
+ * Builds the Canvas settings of the assignment, linking it to the rubric.
+ *
+ * @param {string} title - Assignment title
+ * @param {number} pointsPossible - Points the assignment is graded out of
+ * @returns {string} Assignment settings XML
+ */
+const buildAssignmentSettings = (title, pointsPossible) => `<?xml version="1.0" encoding="UTF-8"?>
+<assignment identifier="dike_assignment_settings" xmlns="${CANVAS_NAMESPACE}">
+  <title>${escapeHtml(title)}</title>
+  <workflow_state>unpublished</workflow_state>
+  <points_possible>${pointsPossible}</points_possible>
+  <grading_type>points</grading_type>
+  <submission_types>online_text_entry,online_upload</submission_types>
+  <rubric_identifierref>dike_rubric</rubric_identifierref>
+  <rubric_use_for_grading>false</rubric_use_for_grading>
+</assignment>
+`;
+
+/**
+ * Builds the rubric in Canvas' rubrics.xml format. Each criterion is worth
+ * the points of its best level.
+ *
+ * @param {import('./equityRubric').Rubric} rubric - Rubric to export
+ * @returns {string} Rubrics XML
+ */
+const buildRubricsXml = (rubric) => {
+  const best = Math.max(0, ...rubric.levels.map((level) => Number(level.points) || 0));
+  const criteria = rubric.criteria.map((criterion, index) => `
+      <criterion>
+        <criterion_id>dike_criterion_${index}</criterion_id>
+        <description>${escapeHtml(criterion.name)}</description>
+        <long_description>${escapeHtml(criterion.barrier ? `Worded to avoid a ${criterion.barrier} barrier` : '')}</long_description>
+        <points>${best}</points>
+        <ratings>${rubric.levels.map((level, levelIndex) => `
+          <rating>
+            <id>dike_rating_${index}_${levelIndex}</id>
+            <criterion_id>dike_criterion_${index}</criterion_id>
+            <description>${escapeHtml(level.label)}</description>
+            <long_description>${escapeHtml(criterion.descriptions[levelIndex] || '')}</long_description>
+            <points>${Number(level.points) || 0}</points>
+          </rating>`).join('')}
+        </ratings>
+      </criterion>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rubrics xmlns="${CANVAS_NAMESPACE}">
+  <rubric identifier="dike_rubric">
+    <title>${escapeHtml(rubric.title)}</title>
+    <points_possible>${best * rubric.criteria.length}</points_possible>
+    <reusable>false</reusable>
+    <public>false</public>
+    <free_form_criterion_comments>false</free_form_criterion_comments>
+    <data>${criteria}
+    </data>
+  </rubric>
+</rubrics>
+`;
+};
+
+/**
+ * Builds the cartridge.
+ *
+ * @param {Object} params
+ * @param {string} params.title - Assignment title
+ * @param {string} params.assignmentText - Revised assignment text students will see
+ * @param {Object} params.analysis - Analysis result, for the score
+ * @param {string} params.reportHtml - Equity report document
+ * @param {import('./equityRubric').Rubric} params.rubric - Rubric to link to the assignment
+ * @param {number} [params.pointsPossible=100] - Points the assignment is graded out of
+ * @returns {Blob} .imscc package
+ * @example
+ * const blob = buildCommonCartridge({ title, assignmentText, analysis, reportHtml, rubric: EQUITY_RUBRIC });
+ */
+export const buildCommonCartridge = ({ title, assignmentText, analysis, reportHtml, rubric, pointsPossible = 100 }) => createZip([
+  { path: 'imsmanifest.xml', content: buildManifest(title) },
+  { path: ASSIGNMENT_PATH, content: buildAssignment(title, assignmentText, analysis.overallScore, pointsPossible) },
+  { path: ASSIGNMENT_SETTINGS_PATH, content: buildAssignmentSettings(title, pointsPossible) },
+  { path: RUBRICS_PATH, content: buildRubricsXml(rubric) },
+  { path: REPORT_PATH, content: reportHtml },
+  { path: RUBRIC_PATH, content: buildRubricHtml(rubric) }
+]);
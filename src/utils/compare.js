@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Analysis Comparison
+ *
+ * Compares two saved analyses, typically an original assignment and its
+ * revision: a word-level text diff, the overall and per-dimension score
+ * changes, and which barriers were resolved, are new or remain.
+ *
+ * BARRIER MATCHING:
+ * Barriers only match within the same category. Issues are compared by the
+ * overlap (Jaccard) of their content words; pairs are taken greedily from
+ * the most similar down, each barrier used at most once, and pairs below
+ * BARRIER_MATCH_THRESHOLD are left unmatched. An unmatched original barrier
+ * counts as resolved, an unmatched revised barrier as new.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/** Minimum issue similarity (0-1) for two barriers to count as the same */
+export const BARRIER_MATCH_THRESHOLD = 0.25;
+
+/** Above this many token comparisons the diff falls back to whole lines */
+const MAX_DIFF_CELLS = 4000000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'may', 'not', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'with', 'without', 'students', 'student'
+]);
+
+/**
+ * Content words of a barrier issue, lowercased, without stopwords.
+ *
+ * @param {string} text - Issue text
+ * @returns {Set<string>} Distinct content words
+ */
+const contentWords = (text = '') => new Set(
+  text.toLowerCase().match(/[a-z0-9]+/g)?.filter((word) => word.length > 2 && !STOPWORDS.has(word)) ?? []
+);
+
+/**
+ * Jaccard similarity of two issue texts.
+ *
+ * @param {string} a - First issue
+ * @param {string} b - Second issue
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+export const issueSimilarity = (a, b) => {
+  const wordsA = contentWords(a);
+  const wordsB = contentWords(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared += 1;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Splits barriers into resolved, new and unchanged.
+ *
+ * @param {Object[]} before - Barriers of the original analysis
+ * @param {Object[]} after - Barriers of the revised analysis
+ * @returns {{resolved: Object[], added: Object[], unchanged: Array<{before: Object, after: Object, similarity: number}>}}
+ */
+export const matchBarriers = (before = [], after = []) => {
+  const candidates = [];
+  before.forEach((original, i) => {
+    after.forEach((revised, j) => {
+      if (original.category !== revised.category) return;
+      const similarity = issueSimilarity(original.issue, revised.issue);
+      if (similarity >= BARRIER_MATCH_THRESHOLD) candidates.push({ i, j, similarity });
+    });
+  });
+  candidates.sort((a, b) => b.similarity - a.similarity);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const unchanged = [];
+  for (const { i, j, similarity } of candidates) {
+    if (usedBefore.has(i) || usedAfter.has(j)) continue;
+    usedBefore.add(i);
+    usedAfter.add(j);
+    unchanged.push({ before: before[i], after: after[j], similarity });
+  }
+
+  return {
+    resolved: before.filter((_, i) => !usedBefore.has(i)),
+    added: after.filter((_, j) => !usedAfter.has(j)),
+    unchanged
+  };
+};
+
+/**
+ * Longest-common-subsequence diff of two token arrays.
+ *
+ * @param {string[]} a - Original tokens
+ * @param {string[]} b - Revised tokens
+ * @returns {Array<{type: 'equal'|'removed'|'added', text: string}>} Operations in order
+ */
+const diffTokens = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = a[i] === b[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'equal', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      operations.push({ type: 'removed', text: a[i++] });
+    } else {
+      operations.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) operations.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) operations.push({ type: 'added', text: b[j++] });
+  return operations;
+};
+
+/**
+ * Word-level diff of two texts. Common leading and trailing tokens are
+ * skipped before the quadratic step; very long, very different texts are
+ * diffed by line instead of by word.
+ *
+ * @param {string} before - Original text
+ * @param {string} after - Revised text
+ * @returns {Array<{type: 'equal'|'removed'|'added', text: string}>} Operations with each change run merged
+ * @example
+ * diffText('Submit by Friday', 'Submit by Sunday');
+ * // => [{ type: 'equal', text: 'Submit by ' }, { type: 'removed', text: 'Friday' }, { type: 'added', text: 'Sunday' }]
+ */
+export const diffText = (before = '', after = '') => {
+  const diffWith = (pattern) => {
+    const a = before.match(pattern) ?? [];
+    const b = after.match(pattern) ?? [];
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA -= 1;
+      endB -= 1;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    if ((middleA.length + 1) * (middleB.length + 1) > MAX_DIFF_CELLS) return null;
+
+    return [
+      ...a.slice(0, start).map((text) => ({ type: 'equal', text })),
+      ...diffTokens(middleA, middleB),
+      ...a.slice(endA).map((text) => ({ type: 'equal', text }))
+    ];
+  };
+
+  const operations = diffWith(/^\s+|\S+\s*/g)
+    ?? diffWith(/[^\n]*\n|[^\n]+$/g)
+    ?? [{ type: 'removed', text: before }, { type: 'added', text: after }];
+
+  // Within each run of changes, show everything removed before everything added
+  const merged = [];
+  let removed = '';
+  let added = '';
+  const flushChanges = () => {
+    if (removed) merged.push({ type: 'removed', text: removed });
+    if (added) merged.push({ type: 'added', text: added });
+    removed = '';
+    added = '';
+  };
+
+  for (const { type, text } of operations) {
+    if (type === 'removed') removed += text;
+    else if (type === 'added') added += text;
+    else {
+      flushChanges();
+      const last = merged[merged.length - 1];
+      if (last?.type === 'equal') last.text += text;
+      else merged.push({ type, text });
+    }
+  }
+  flushChanges();
+  return merged;
+};
+
+/**
+ * Compares two analyses end to end.
+ *
+ * @param {{inputs: Object, result: Object}} before - Original saved analysis
+ * @param {{inputs: Object, result: Object}} after - Revised saved analysis
+ * @returns {{scoreDelta: number, dimensions: Object[], barriers: Object, textDiff: Object[], contextChanges: string[]}}
+ */
+export const compareAnalyses = (before, after) => {
+  const beforeDimensions = before.result.scoreBreakdown?.dimensions ?? [];
+  const afterDimensions = after.result.scoreBreakdown?.dimensions ?? [];
+  const categories = [...new Set([...beforeDimensions, ...afterDimensions].map((dimension) => dimension.category))];
+
+  const dimensions = categories.map((category) => {
+    const from = beforeDimensions.find((dimension) => dimension.category === category)?.score ?? null;
+    const to = afterDimensions.find((dimension) => dimension.category === category)?.score ?? null;
+    return { category, before: from, after: to, delta: from === null || to === null ? null : to - from };
+  });
+
+  const contextChanges = ['gradeLevel', 'courseType', 'focusArea']
+    .filter((field) => before.inputs[field] !== after.inputs[field])
+    .map((field) => `${field}: ${before.inputs[field]} → ${after.inputs[field]}`);
+
+  return {
+    scoreDelta: after.result.overallScore - before.result.overallScore,
+    dimensions,
+    barriers: matchBarriers(before.result.barriers, after.result.barriers),
+    textDiff: diffText(before.inputs.assignmentText, after.inputs.assignmentText),
+    contextChanges
+  };
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Cost Catalog
+ *
+ * Local price list for what assignments make students buy. The analysis
+ * extracts each required purchase with the model's own price estimate;
+ * priceCosts replaces that estimate with the catalog entry whose keyword
+ * matches the item, so prices and alternatives come from a list the team
+ * controls. The catalog starts from DEFAULT_COST_CATALOG and edits are kept
+ * in localStorage.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+const STORAGE_KEY = 'dike-ai:cost-catalog';
+
+/** Same list as the server (lib/schema.js) */
+export const COST_TYPES = ['purchase', 'subscription', 'device', 'kit', 'travel', 'printing', 'fee'];
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string[]} keywords - Lowercase phrases; an item matches when its name contains one as whole words
+ * @property {string} type - One of COST_TYPES
+ * @property {number} priceLow - US dollars
+ * @property {number} priceHigh - US dollars
+ * @property {string} alternative - Free or low-cost alternative
+ */
+
+/** @type {CatalogEntry[]} */
+export const DEFAULT_COST_CATALOG = [
+  { id: 'adobe', name: 'Adobe Creative Cloud apps', keywords: ['adobe', 'premiere', 'photoshop', 'illustrator', 'creative cloud'], type: 'subscription', priceLow: 20, priceHigh: 60, alternative: 'Canva, GIMP or DaVinci Resolve (free), or campus lab licenses' },
+  { id: 'video-editing', name: 'Video editing software', keywords: ['video editing', 'video editor', 'editing software', 'final cut'], type: 'subscription', priceLow: 0, priceHigh: 300, alternative: 'Clipchamp, iMovie, Shotcut or DaVinci Resolve (free)' },
+  { id: 'office', name: 'Microsoft Office', keywords: ['microsoft office', 'microsoft 365', 'ms office', 'powerpoint', 'excel'], type: 'subscription', priceLow: 0, priceHigh: 100, alternative: 'Microsoft 365 through the school, Google Docs or LibreOffice (free)' },
+  { id: 'access-code', name: 'Online homework access code', keywords: ['access code', 'online homework', 'mylab', 'mastering', 'webassign', 'connect'], type: 'subscription', priceLow: 60, priceHigh: 150, alternative: 'Free OER homework such as MyOpenMath, or a grace-period code' },
+  { id: 'textbook', name: 'Textbook', keywords: ['textbook', 'book', 'novel', 'workbook'], type: 'purchase', priceLow: 20, priceHigh: 200, alternative: 'Library reserve copy, an older edition or an OER text such as OpenStax' },
+  { id: 'calculator', name: 'Graphing calculator', keywords: ['graphing calculator', 'calculator', 'ti-84'], type: 'device', priceLow: 15, priceHigh: 150, alternative: 'Desmos (free) or a loaner from the school' },
+  { id: 'laptop', name: 'Laptop or computer', keywords: ['laptop', 'computer', 'chromebook'], type: 'device', priceLow: 250, priceHigh: 1000, alternative: 'Campus computer labs or a laptop loan program' },
+  { id: 'camera', name: 'Camera or webcam', keywords: ['webcam', 'camera', 'camcorder'], type: 'device', priceLow: 30, priceHigh: 150, alternative: 'A phone camera or library recording equipment' },
+  { id: 'microphone', name: 'Microphone or headset', keywords: ['microphone', 'headset', 'mic'], type: 'device', priceLow: 15, priceHigh: 100, alternative: 'Phone or earbud microphone, or a library loan' },
+  { id: 'internet', name: 'Home internet or data', keywords: ['internet', 'broadband', 'hotspot', 'data plan', 'wi-fi', 'wifi'], type: 'subscription', priceLow: 20, priceHigh: 75, alternative: 'Campus or library Wi-Fi, a hotspot loan or a low-cost internet plan' },
+  { id: 'printing', name: 'Printing', keywords: ['printing', 'print', 'printer', 'poster', 'color copies'], type: 'printing', priceLow: 5, priceHigh: 50, alternative: 'Digital submission or the free campus print quota' },
+  { id: 'supplies', name: 'Art or craft supplies', keywords: ['art supplies', 'poster board', 'craft', 'supplies', 'materials'], type: 'kit', priceLow: 10, priceHigh: 60, alternative: 'Supplies from the classroom or a school supply closet' },
+  { id: 'lab-kit', name: 'Lab or project kit', keywords: ['lab kit', 'kit', 'arduino', 'dissection'], type: 'kit', priceLow: 30, priceHigh: 150, alternative: 'Kits lent by the department or a virtual lab' },
+  { id: 'travel', name: 'Travel to a site', keywords: ['travel', 'transportation', 'field trip', 'site visit', 'bus', 'gas', 'parking', 'trip'], type: 'travel', priceLow: 5, priceHigh: 50, alternative: 'A virtual tour, a site reachable by transit or school transport' },
+  { id: 'admission', name: 'Admission or ticket', keywords: ['admission', 'ticket', 'entry fee', 'museum', 'performance'], type: 'fee', priceLow: 10, priceHigh: 30, alternative: 'Free admission days, school passes or a virtual exhibit' },
+  { id: 'media-subscription', name: 'News or streaming subscription', keywords: ['subscription', 'streaming', 'netflix', 'newspaper', 'journal access'], type: 'subscription', priceLow: 5, priceHigh: 20, alternative: 'Library databases and free sources' }
+];
+
+const toPrice = (value) => Math.max(0, Math.round((Number(value) || 0) * 100) / 100);
+
+/**
+ * Cleans a catalog entry from the editor or storage.
+ *
+ * @param {Object} entry - Untrusted entry
+ * @returns {CatalogEntry|null} Cleaned entry, null when it has no name
+ */
+export const sanitizeCatalogEntry = (entry) => {
+  const name = String(entry?.name ?? '').trim();
+  if (!name) return null;
+  const keywords = (Array.isArray(entry.keywords) ? entry.keywords : String(entry.keywords ?? '').split(','))
+    .map((keyword) => String(keyword).trim().toLowerCase())
+    .filter(Boolean);
+  const low = toPrice(entry.priceLow);
+  const high = toPrice(entry.priceHigh);
+
+  return {
+    id: String(entry.id || '').trim() || `item-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    keywords: keywords.length ? keywords : [name.toLowerCase()],
+    type: COST_TYPES.includes(entry.type) ? entry.type : 'purchase',
+    priceLow: Math.min(low, high),
+    priceHigh: Math.max(low, high),
+    alternative: String(entry.alternative ?? '').trim()
+  };
+};
+
+/**
+ * Loads the catalog, the defaults until the team edits it.
+ *
+ * @returns {CatalogEntry[]}
+ */
+export const loadCostCatalog = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved.map(sanitizeCatalogEntry).filter(Boolean);
+  } catch {
+    // Unreadable catalogs fall back to the defaults
+  }
+  return DEFAULT_COST_CATALOG;
+};
+
+/**
+ * Saves the catalog.
+ *
+ * @param {CatalogEntry[]} catalog - Edited catalog
+ */
+export const saveCostCatalog = (catalog) => localStorage.setItem(STORAGE_KEY, JSON.stringify(catalog));
+
+/**
+ * Finds the catalog entry for an item: the one with the longest keyword
+ * found as whole words in the item name (plurals included), so "graphing
+ * calculator" beats "calculator".
+ *
+ * @param {string} item - Item name from the analysis
+ * @param {CatalogEntry[]} catalog - Catalog
+ * @returns {CatalogEntry|null} Matching entry
+ */
+export const findCatalogEntry = (item, catalog) => {
+  const name = item.toLowerCase();
+  let best = null;
+  let bestLength = 0;
+  catalog.forEach((entry) => entry.keywords.forEach((keyword) => {
+    if (keyword.length > bestLength && new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}s?\\b`).test(name)) {
+      best = entry;
+      bestLength = keyword.length;
+    }
+  }));
+  return best;
+};
+
+/**
+ * Prices the cost list of an analysis against the catalog.
+ *
+ * @param {Object[]} [costs=[]] - `costs` of the analysis
+ * @param {CatalogEntry[]} catalog - Catalog
+ * @returns {{items: Array<{item: string, type: string, quote?: string, priceLow: number, priceHigh: number, alternative: string, source: string, catalogId?: string}>, low: number, high: number}}
+ *   Items with `source` 'catalog' or 'estimate' (the model's price), and the out-of-pocket total range
+ * @example
+ * priceCosts([{ item: 'Graphing calculator', type: 'device', priceLow: 100, priceHigh: 120 }], DEFAULT_COST_CATALOG);
+ * // => { items: [{ item: 'Graphing calculator', priceLow: 15, priceHigh: 150, source: 'catalog', ... }], low: 15, high: 150 }
+ */
+export const priceCosts = (costs = [], catalog) => {
+  // Entries being edited may still hold typed text
+  const entries = catalog.map(sanitizeCatalogEntry).filter(Boolean);
+  const items = costs.map((cost) => {
+    const entry = findCatalogEntry(cost.item, entries);
+    return entry
+      ? { ...cost, priceLow: entry.priceLow, priceHigh: entry.priceHigh, alternative: entry.alternative || cost.alternative || '', source: 'catalog', catalogId: entry.id }
+      : { ...cost, alternative: cost.alternative || '', source: 'estimate' };
+  });
+
+  return {
+    items,
+    low: toPrice(items.reduce((sum, item) => sum + item.priceLow, 0)),
+    high: toPrice(items.reduce((sum, item) => sum + item.priceHigh, 0))
+  };
+};
+
+/**
+ * Formats a dollar range, "$0" or "$15–$150".
+ *
+ * @param {number} low - Lower bound
+ * @param {number} high - Upper bound
+ * @returns {string}
+ */
+export const formatPriceRange = (low, high) => {
+  const format = (value) => `$${value % 1 === 0 ? value : value.toFixed(2)}`;
+  return low === high ? format(low) : `${format(low)}–${format(high)}`;
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Course Report Export
+ *
+ * Builds the printable HTML version of a course equity report from
+ * /api/course: course patterns, the assignment timeline with scores, and the
+ * barrier categories across the course. Opened in a new window and printed,
+ * like the single-assignment PDF export.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { escapeHtml } from './html';
+
+/**
+ * Builds the report document.
+ *
+ * @param {Object} report - Course report `{courseTitle, items, summary, patterns, generatedAt}`
+ * @returns {string} Standalone HTML document
+ */
+export const buildCourseReportHtml = (report) => {
+  const { courseTitle, items, summary, patterns } = report;
+  const byDate = [...items].sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.index - b.index);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(courseTitle)} - Course Equity Report</title>
+  <style>
+    body { font-family: system-ui; max-width: 860px; margin: 40px auto; color: #333; }
+    h1 { color: #8b5cf6; border-bottom: 3px solid #8b5cf6; padding-bottom: 10px; }
+    h2 { color: #6366f1; margin-top: 30px; }
+    .score { font-size: 40px; font-weight: bold; color: #8b5cf6; }
+    .pattern { background: #f3f4f6; padding: 16px 20px; margin: 16px 0; border-left: 4px solid #ef4444; page-break-inside: avoid; }
+    .pattern.medium { border-left-color: #f59e0b; }
+    .severity { display: inline-block; padding: 2px 10px; border-radius: 20px; font-size: 12px; font-weight: bold; }
+    .high { background: #fee2e2; color: #991b1b; }
+    .medium { background: #fef3c7; color: #92400e; }
+    .low { background: #d1fae5; color: #065f46; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+    .footer { margin-top: 50px; padding-top: 20px; border-top: 2px solid #e5e7eb; text-align: center; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>Course Equity Report: ${escapeHtml(courseTitle)}</h1>
+  <p>${summary.counts.total} assignments analyzed. Average equity score:</p>
+  <div class="score">${summary.averageScore ?? 'n/a'}${summary.averageScore === null ? '' : '/100'}</div>
+
+  <h2>Course-wide Patterns</h2>
+  ${patterns.length === 0 ? '<p>No course-wide patterns found.</p>' : patterns.map((pattern) => `
+  <div class="pattern ${pattern.severity.toLowerCase()}">
+    <h3>${escapeHtml(pattern.title)} <span class="severity ${pattern.severity.toLowerCase()}">${pattern.severity}</span></h3>
+    <p>${escapeHtml(pattern.detail)}</p>
+    <p><strong>Assignments:</strong> ${pattern.assignments.map((index) => escapeHtml(items[index].title)).join('; ')}</p>
+  </div>`).join('')}
+
+  <h2>Assignment Timeline</h2>
+  <table>
+    <tr><th>Due</th><th>Assignment</th><th>Format</th><th>Score</th><th>Barriers</th></tr>
+    ${byDate.map((item) => `
+    <tr>
+      <td>${item.dueDate}</td>
+      <td>${escapeHtml(item.title)}</td>
+      <td>${escapeHtml(item.format)}</td>
+      <td>${item.status === 'ok' ? item.result.overallScore : 'n/a'}</td>
+      <td>${item.status === 'ok' ? item.result.barriers.length : escapeHtml(item.error || 'No valid result')}</td>
+    </tr>`).join('')}
+  </table>
+
+  <h2>Barrier Categories Across the Course</h2>
+  <table>
+    <tr><th>Category</th><th>Assignments</th><th>Barriers</th><th>High severity</th></tr>
+    ${summary.categories.map((category) => `
+    <tr>
+      <td>${escapeHtml(category.category)}${category.repeated ? ' (repeated)' : ''}</td>
+      <td>${category.assignments} of ${summary.counts.ok}</td>
+      <td>${category.barriers}</td>
+      <td>${category.high}</td>
+    </tr>`).join('')}
+  </table>
+
+  <div class="footer">
+    <p>Generated by <strong>DIKE</strong> - AI Powered Equity Analysis</p>
+    <p>${new Date(report.generatedAt).toLocaleDateString()}</p>
+  </div>
+</body>
+</html>`;
+};
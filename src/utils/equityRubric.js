@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Equity Rubric
+ *
+ * The default equity-focused grading rubric shown under "Equity Rubric" until
+ * one is generated for the assignment, and the rubric exports: printable
+ * HTML (also packaged with the Common Cartridge), CSV and Canvas rubric
+ * JSON.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { escapeHtml } from './html';
+
+/**
+ * @typedef {Object} Rubric
+ * @property {string} title - Rubric title
+ * @property {Array<{label: string, points: number}>} levels - Rating columns, best first
+ * @property {Array<{name: string, descriptions: string[], barrier?: string}>} criteria - One description per level;
+ *   `barrier` names the barrier category a generated criterion is worded to avoid
+ */
+
+/** @type {Rubric} */
+export const EQUITY_RUBRIC = {
+  title: 'Equity Focused Grading Rubric',
+  levels: [
+    { label: 'Exemplary', points: 4 },
+    { label: 'Proficient', points: 3 },
+    { label: 'Developing', points: 2 }
+  ],
+  criteria: [
+    {
+      name: 'Access & Flexibility',
+      descriptions: ['Multiple pathways to demonstrate learning with varied formats', 'Some flexibility in format or timing', 'Single rigid format required']
+    },
+    {
+      name: 'Resource Equity',
+      descriptions: ['All materials provided or free alternatives offered', 'Most materials accessible with some cost', 'Requires expensive tools or software']
+    },
+    {
+      name: 'Time Consideration',
+      descriptions: ['Flexible deadlines, asynchronous options, extensions available', 'Some time flexibility offered', 'Strict synchronous requirements']
+    },
+    {
+      name: 'Cultural Responsiveness',
+      descriptions: ['Honors diverse perspectives, multiple cultural contexts welcomed', 'Acknowledges some diversity', 'Single cultural perspective assumed']
+    },
+    {
+      name: 'Universal Design',
+      descriptions: ['Built-in accommodations, accessible by design', 'Some accessibility features', 'Requires special accommodations']
+    }
+  ]
+};
+
+/**
+ * Builds a printable rubric document.
+ *
+ * @param {Rubric} rubric - Rubric to render
+ * @returns {string} Standalone HTML document
+ */
+export const buildRubricHtml = (rubric) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(rubric.title)}</title>
+  <style>
+    body { font-family: system-ui; max-width: 900px; margin: 40px auto; color: #333; }
+    h1 { color: #8b5cf6; border-bottom: 3px solid #8b5cf6; padding-bottom: 10px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align: left; vertical-align: top; padding: 10px; border: 1px solid #e5e7eb; }
+    th { background: #f3f4f6; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(rubric.title)}</h1>
+  <table>
+    <tr><th>Criterion</th>${rubric.levels.map((level) => `<th>${escapeHtml(level.label)} (${level.points})</th>`).join('')}</tr>
+    ${rubric.criteria.map((criterion) => `
+    <tr><th>${escapeHtml(criterion.name)}</th>${criterion.descriptions.map((description) => `<td>${escapeHtml(description)}</td>`).join('')}</tr>`).join('')}
+  </table>
+</body>
+</html>`;
+
+/**
+ * Quotes one CSV field when it needs it.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV with one row per criterion and one column per level.
+ *
+ * @param {Rubric} rubric - Rubric to export
+ * @returns {string} CSV text
+ */
+export const rubricToCsv = (rubric) => [
+  ['Criterion', ...rubric.levels.map((level) => `${level.label} (${level.points})`), 'Barrier addressed'],
+  ...rubric.criteria.map((criterion) => [criterion.name, ...criterion.descriptions, criterion.barrier || ''])
+].map((row) => row.map(csvField).join(',')).join('\r\n');
+
+/**
+ * Builds the body of a Canvas "create rubric" request
+ * (POST /api/v1/courses/:course_id/rubrics). Canvas keys criteria and
+ * ratings by index and gives each criterion the points of its best rating.
+ *
+ * @param {Rubric} rubric - Rubric to export
+ * @returns {Object} Canvas rubric JSON
+ * @example
+ * const body = rubricToCanvasJson(rubric);
+ * body.rubric_association.association_id = assignmentId;
+ */
+export const rubricToCanvasJson = (rubric) => ({
+  rubric: {
+    title: rubric.title,
+    free_form_criterion_comments: false,
+    criteria: Object.fromEntries(rubric.criteria.map((criterion, index) => [String(index), {
+      description: criterion.name,
+      long_description: criterion.barrier ? `Worded to avoid a ${criterion.barrier} barrier` : '',
+      points: Math.max(0, ...rubric.levels.map((level) => Number(level.points) || 0)),
+      ratings: Object.fromEntries(rubric.levels.map((level, levelIndex) => [String(levelIndex), {
+        description: level.label,
+        long_description: criterion.descriptions[levelIndex] || '',
+        points: Number(level.points) || 0
+      }]))
+    }]))
+  },
+  rubric_association: {
+    association_type: 'Assignment',
+    association_id: null,
+    use_for_grading: true,
+    purpose: 'grading'
+  }
+});
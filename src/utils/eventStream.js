@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Server-Sent Events Reader
+ *
+ * Reads a `text/event-stream` fetch response from /api/analyze/stream or
+ * /api/chat/stream. EventSource cannot send a POST body, so the stream is
+ * parsed by hand from the response body.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Whether a fetch response is an event stream rather than plain JSON.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True for `text/event-stream`
+ */
+export const isEventStream = (response) =>
+  (response.headers.get('Content-Type') || '').includes('text/event-stream');
+
+/**
+ * Calls `onEvent(event, data)` for every event in the stream until it ends.
+ * An `error` event from the server is thrown instead of passed on.
+ *
+ * @async
+ * @param {Response} response - Fetch response with an event-stream body
+ * @param {Function} onEvent - `(event: string, data: *) => void`
+ * @returns {Promise<void>} Resolves when the server closes the stream
+ * @throws {Error} On an `error` event, with `status` set to the HTTP status it stands for
+ *   and `retryAfter` (seconds) for rate limits
+ * @example
+ * await readEventStream(response, (event, data) => {
+ *   if (event === 'token') appendToken(data.content);
+ * });
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    }
+    if (dataLines.length === 0) return;
+
+    const data = JSON.parse(dataLines.join('\n'));
+    if (event === 'error') {
+      throw Object.assign(new Error(data.error || 'Stream failed'), { status: data.statusCode, retryAfter: data.retryAfter });
+    }
+    onEvent(event, data);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+
+    if (done) break;
+  }
+  if (buffer.trim()) dispatch(buffer);
+};
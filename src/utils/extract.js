@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Document Upload
+ *
+ * Sends an assignment document to /api/extract and returns its text with
+ * headings, lists and tables kept as Markdown. Deployments without the
+ * endpoint answer 404; Markdown and plain text files are then read in the
+ * browser, other formats need the server.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { readApiError } from './apiError';
+
+/** File types the assignment input accepts, same list as the server */
+export const UPLOAD_FILE_TYPES = '.pdf,.docx,.html,.htm,.md,.markdown,.txt';
+
+/** Largest file sent, same default as the server's UPLOAD_MAX_BYTES */
+export const MAX_UPLOAD_BYTES = 3 * 1024 * 1024;
+
+/**
+ * Reads a file as base64 without the data-URL prefix.
+ *
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>} Base64 content
+ */
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] ?? '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Extracts the assignment text of a document.
+ *
+ * @async
+ * @param {string} apiUrl - API origin
+ * @param {File} file - Uploaded file
+ * @returns {Promise<{fileName: string, format: string, text: string, truncated: boolean, warnings: string[]}>} Extracted text
+ * @throws {Error} With `status` set for API errors (413, 415, 422, 429)
+ * @example
+ * const { text, warnings } = await extractDocument(window.location.origin, input.files[0]);
+ */
+export const extractDocument = async (apiUrl, file) => {
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new Error(`${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+  }
+
+  const response = await fetch(`${apiUrl}/api/extract`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName: file.name, content: await readAsBase64(file) })
+  });
+
+  if (response.status === 404 && /\.(md|markdown|txt)$/i.test(file.name)) {
+    return { fileName: file.name, format: 'text', text: (await file.text()).trim(), truncated: false, warnings: [] };
+  }
+  if (response.status === 404) {
+    throw new Error('Document upload is not available on this deployment. Paste the text instead.');
+  }
+  if (!response.ok) throw await readApiError(response);
+  return response.json();
+};
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Analysis History Stores
+ *
+ * Saved analyses for the history sidebar. Every record keeps the inputs of
+ * the run, the model that answered, a timestamp and the full result, so it
+ * can be reopened without another model call or re-run with the same
+ * settings.
+ *
+ * Two stores share one async interface (list, get, create, update, remove):
+ * - local: localStorage in this browser, the default
+ * - server: the /api/analyses routes, used when the server has
+ *   ANALYSES_STORE enabled (detected with one GET on startup)
+ *
+ * Verifying a revision saves the new run as the next version of the record
+ * it came from (`rootId`, `parentId`, `version`); getVersionChain collects
+ * a chain from the sidebar summaries.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+const STORAGE_KEY = 'dike-ai:analyses';
+
+/** Local records kept before the oldest are dropped */
+const MAX_LOCAL_RECORDS = 50;
+
+/**
+ * @typedef {Object} SavedAnalysis
+ * @property {string} id - Record id
+ * @property {string} title - Display title, editable
+ * @property {string[]} tags - Free-form labels, editable
+ * @property {{assignmentText: string, gradeLevel: string, courseType: string, focusArea: string, personas?: Object[], windowDays?: number}} inputs - Settings of the run, with the personas it considered and the days students had
+ * @property {Object} result - Successful analysis body from /api/analyze
+ * @property {string} [rootId] - Version 1 of the revision chain, unset on version 1 itself
+ * @property {string} [parentId] - Record whose revised text this run analyzed
+ * @property {number} [version] - Position in the revision chain, unset means 1
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Summary shown in the sidebar, without the full result.
+ *
+ * @param {SavedAnalysis} record - Full record
+ * @returns {Object} Record minus `result`, plus `overallScore` and `barrierCount`
+ */
+const toSummary = ({ result, ...record }) => ({
+  ...record,
+  overallScore: result.overallScore,
+  barrierCount: result.barriers?.length ?? 0
+});
+
+/**
+ * Default title: the first line of the assignment.
+ *
+ * @param {string} assignmentText - Analyzed text
+ * @returns {string} Title of at most 80 characters
+ */
+const defaultTitle = (assignmentText) => assignmentText.trim().split('\n')[0].slice(0, 80);
+
+/**
+ * Store backed by localStorage. Writes that exceed the browser quota drop
+ * the oldest records until they fit.
+ *
+ * @returns {Object} History store
+ */
+export const createLocalHistoryStore = () => {
+  const read = () => {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  };
+
+  const write = (records) => {
+    let kept = records.slice(0, MAX_LOCAL_RECORDS);
+    for (;;) {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+        return;
+      } catch (error) {
+        if (kept.length <= 1) throw error;
+        kept = kept.slice(0, -1);
+      }
+    }
+  };
+
+  const find = (id) => {
+    const record = read().find((entry) => entry.id === id);
+    if (!record) throw new Error('Saved analysis not found');
+    return record;
+  };
+
+  const update = async (id, changes) => {
+    const records = read();
+    const index = records.findIndex((entry) => entry.id === id);
+    if (index === -1) throw new Error('Saved analysis not found');
+    records[index] = { ...records[index], ...changes, updatedAt: new Date().toISOString() };
+    write(records);
+    return records[index];
+  };
+
+  return {
+    kind: 'local',
+    list: async () => read().map(toSummary),
+    get: async (id) => find(id),
+    create: async ({ title, tags = [], inputs, result, ...version }) => {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        title: title || defaultTitle(inputs.assignmentText),
+        tags,
+        inputs,
+        result,
+        ...version,
+        createdAt: now,
+        updatedAt: now
+      };
+      write([record, ...read()]);
+      return record;
+    },
+    update,
+    remove: async (id) => {
+      write(read().filter((entry) => entry.id !== id));
+    }
+  };
+};
+
+/**
+ * Store backed by the /api/analyses routes.
+ *
+ * @param {string} apiUrl - API origin
+ * @returns {Object} History store
+ */
+export const createServerHistoryStore = (apiUrl) => {
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${apiUrl}/api/analyses${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body && JSON.stringify(options.body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `API Error: ${response.status}`);
+    return data;
+  };
+
+  return {
+    kind: 'server',
+    list: async () => (await request('')).analyses,
+    get: async (id) => (await request(`/${id}`)).analysis,
+    create: async (fields) => (await request('', { method: 'POST', body: fields })).analysis,
+    update: async (id, changes) => (await request(`/${id}`, { method: 'PATCH', body: changes })).analysis,
+    remove: async (id) => {
+      await request(`/${id}`, { method: 'DELETE' });
+    }
+  };
+};
+
+/**
+ * Picks the server store when /api/analyses answers, otherwise local.
+ *
+ * @async
+ * @param {string} apiUrl - API origin
+ * @returns {Promise<Object>} History store
+ * @example
+ * const store = await createHistoryStore(window.location.origin);
+ * const entries = await store.list();
+ */
+export const createHistoryStore = async (apiUrl) => {
+  try {
+    const response = await fetch(`${apiUrl}/api/analyses`);
+    if (response.ok && (response.headers.get('Content-Type') || '').includes('application/json')) {
+      return createServerHistoryStore(apiUrl);
+    }
+  } catch {
+    // Offline or no API, keep history in this browser
+  }
+  return createLocalHistoryStore();
+};
+
+/**
+ * Collects the version chain a record belongs to from the sidebar summaries.
+ *
+ * @param {Object[]} entries - Summaries from `store.list()`
+ * @param {string} id - Any record of the chain
+ * @returns {Object[]} Summaries of the chain ordered by version, each with `version` filled in
+ * @example
+ * getVersionChain(historyEntries, activeHistoryId).map((entry) => entry.overallScore);
+ * // => [62, 78, 85]
+ */
+export const getVersionChain = (entries, id) => {
+  const current = entries.find((entry) => entry.id === id);
+  if (!current) return [];
+  const rootId = current.rootId || current.id;
+  return entries
+    .filter((entry) => entry.id === rootId || entry.rootId === rootId)
+    .map((entry) => ({ ...entry, version: entry.version || 1 }))
+    .sort((a, b) => a.version - b.version || a.createdAt.localeCompare(b.createdAt));
+};
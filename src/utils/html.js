@@ -0,0 +1,50 @@
+/**
+ * @fileoverview HTML Helpers
+ *
+ * Escaping and plain-text conversion for the HTML documents the app builds
+ * in the browser: printed reports and the Common Cartridge export.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Escapes text for HTML and XML.
+ *
+ * @param {*} value - Text to insert
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts assignment text to HTML. Understands the Markdown the document
+ * upload produces for structure: `#` headings, `-`/`*` and numbered list
+ * items; everything else becomes paragraphs with line breaks kept.
+ *
+ * @param {string} text - Plain or Markdown-flavored text
+ * @returns {string} HTML fragment
+ * @example
+ * textToHtml('# Essay\n\nWrite 500 words.\n\n- Cite two sources');
+ * // => '<h2>Essay</h2>\n<p>Write 500 words.</p>\n<ul><li>Cite two sources</li></ul>'
+ */
+export const textToHtml = (text) => String(text || '')
+  .replace(/\r\n?/g, '\n')
+  .split(/\n\s*\n/)
+  .map((block) => block.trim())
+  .filter(Boolean)
+  .map((block) => {
+    const lines = block.split('\n');
+    const heading = lines.length === 1 && block.match(/^(#{1,3})\s+(.+)$/);
+    if (heading) return `<h${heading[1].length + 1}>${escapeHtml(heading[2])}</h${heading[1].length + 1}>`;
+
+    if (lines.every((line) => /^\s*([-*•]|\d+[.)])\s+/.test(line))) {
+      const tag = /^\s*\d/.test(lines[0]) ? 'ol' : 'ul';
+      return `<${tag}>${lines.map((line) => `<li>${escapeHtml(line.replace(/^\s*([-*•]|\d+[.)])\s+/, ''))}</li>`).join('')}</${tag}>`;
+    }
+    return `<p>${lines.map(escapeHtml).join('<br>')}</p>`;
+  })
+  .join('\n');
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview LTI Launch Client
+ *
+ * Reads the launch the server validated when an LMS opened DIKE
+ * (`?lti_launch=<ticket>` in the URL) and, for deep linking, hands the
+ * teacher's chosen link back to the LMS.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+import { readApiError } from './apiError';
+
+/** Query parameter the server's launch redirect adds */
+export const LTI_LAUNCH_PARAM = 'lti_launch';
+
+/**
+ * Reads the launch ticket from the URL and removes it, so a reload or a
+ * shared link does not replay the launch.
+ *
+ * @returns {string|null} Ticket, null when the app was not launched from an LMS
+ */
+export const takeLaunchTicket = () => {
+  const url = new URL(window.location.href);
+  const ticket = url.searchParams.get(LTI_LAUNCH_PARAM);
+  if (!ticket) return null;
+  url.searchParams.delete(LTI_LAUNCH_PARAM);
+  window.history.replaceState(null, '', url.toString());
+  return ticket;
+};
+
+/**
+ * @typedef {Object} LtiLaunch
+ * @property {string} ticket - Launch ticket
+ * @property {'LtiResourceLinkRequest'|'LtiDeepLinkingRequest'} messageType - Kind of launch
+ * @property {string} platform - LMS name
+ * @property {{id: string, title: string, label: string}|null} course - Course the launch came from
+ * @property {{id: string, title: string}|null} resourceLink - Assignment or link that was launched
+ * @property {string} assignmentText - Assignment text to prefill, may be empty
+ * @property {string|null} gradeLevel - Grade level from the link's custom parameters
+ * @property {string|null} courseType - Course type from the link's custom parameters
+ * @property {boolean} instructor - Whether the user teaches the course
+ * @property {boolean} deepLinking - Whether the LMS expects a link back
+ */
+
+/**
+ * Fetches a launch.
+ *
+ * @async
+ * @param {string} apiUrl - API origin
+ * @param {string} ticket - Ticket from takeLaunchTicket
+ * @returns {Promise<LtiLaunch>}
+ * @throws {Error} With `status` set for API errors
+ */
+export const fetchLaunch = async (apiUrl, ticket) => {
+  const response = await fetch(`${apiUrl}/api/lti/launches/${encodeURIComponent(ticket)}`);
+  if (!response.ok) throw await readApiError(response);
+  return { ...(await response.json()).launch, ticket };
+};
+
+/**
+ * Returns a link to the LMS for a deep-linking launch: the server signs the
+ * response and this posts it to the LMS, which navigates away from DIKE.
+ *
+ * @async
+ * @param {string} apiUrl - API origin
+ * @param {string} ticket - Ticket of the deep-linking launch
+ * @param {{title: string, text?: string, gradeLevel?: string, courseType?: string}} link - Link to add; `text` prefills later launches
+ * @returns {Promise<void>} Resolves as the form is submitted
+ * @throws {Error} With `status` set for API errors
+ */
+export const submitDeepLink = async (apiUrl, ticket, link) => {
+  const response = await fetch(`${apiUrl}/api/lti/launches/${encodeURIComponent(ticket)}/deep-link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(link)
+  });
+  if (!response.ok) throw await readApiError(response);
+  const { returnUrl, jwt } = await response.json();
+
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = returnUrl;
+  const field = document.createElement('input');
+  field.type = 'hidden';
+  field.name = 'JWT';
+  field.value = jwt;
+  form.appendChild(field);
+  document.body.appendChild(form);
+  form.submit();
+};
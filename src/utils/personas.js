@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Student Personas
+ *
+ * The built-in student personas, the team's custom ones and the selection
+ * sent with each analysis. Custom personas and the selection live in
+ * localStorage; teams share personas as JSON files with exportPersonas and
+ * importPersonas. The server checks the same fields (lib/personas.js).
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+const CUSTOM_KEY = 'dike-ai:personas';
+const SELECTED_KEY = 'dike-ai:selected-personas';
+
+/** Version written into shared files */
+const FILE_VERSION = 1;
+
+/** Same limits as the server */
+export const MAX_SELECTED_PERSONAS = 8;
+const MAX_FIELD_LENGTH = 200;
+
+/** Equity dimensions a persona can be exposed to, same list as the server */
+export const EQUITY_DIMENSIONS = ['Socioeconomic', 'Digital Access', 'Time & Scheduling', 'Cultural & Linguistic', 'Accessibility', 'Learning Supports'];
+
+/** Icons a persona can use, by name; App maps them to lucide components */
+export const PERSONA_ICONS = ['user', 'briefcase', 'languages', 'graduation-cap', 'home', 'wifi-off', 'accessibility', 'shield', 'heart', 'bus'];
+
+/**
+ * @typedef {Object} StudentPersona
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} icon - One of PERSONA_ICONS
+ * @property {string} description - Brief description of the student group
+ * @property {string[]} constraints - Barriers this group may face
+ * @property {Array<{label: string, value: string}>} attributes - Facts about the group, e.g. Internet: phone hotspot only
+ * @property {string[]} dimensions - EQUITY_DIMENSIONS this group is most exposed to
+ * @property {number} [weeklyHours] - Hours a week this group can give one course, compared with the workload estimate
+ * @property {boolean} [builtIn] - Shipped with DIKE, cannot be edited or deleted
+ */
+
+/** @type {StudentPersona[]} */
+export const BUILT_IN_PERSONAS = [
+  {
+    id: 'working',
+    name: 'Working Student',
+    icon: 'briefcase',
+    description: 'Works 20 to 30 hours per week',
+    constraints: ['Limited time after 6 PM', 'Weekend work shifts', 'No expensive software', 'Needs flexible deadlines'],
+    attributes: [],
+    dimensions: ['Socioeconomic', 'Time & Scheduling'],
+    weeklyHours: 5,
+    builtIn: true
+  },
+  {
+    id: 'esl',
+    name: 'ESL Learner',
+    icon: 'languages',
+    description: 'English as second language',
+    constraints: ['Complex reading takes longer', 'Verbal presentations challenging', 'Written assignments need more time', 'Visual aids helpful'],
+    attributes: [],
+    dimensions: ['Cultural & Linguistic'],
+    builtIn: true
+  },
+  {
+    id: 'caregiver',
+    name: 'Family Caregiver',
+    icon: 'user',
+    description: 'Unpredictable schedule',
+    constraints: ['Sudden schedule changes', 'Limited childcare', 'Home internet interruptions', 'Needs recorded content'],
+    attributes: [],
+    dimensions: ['Time & Scheduling', 'Digital Access'],
+    weeklyHours: 4,
+    builtIn: true
+  },
+  {
+    id: 'firstgen',
+    name: 'First Generation Student',
+    icon: 'graduation-cap',
+    description: 'First in family to attend college',
+    constraints: ['Unfamiliar with academic tools', 'Limited family support', 'Works to support family', 'Needs clear instructions'],
+    attributes: [],
+    dimensions: ['Cultural & Linguistic', 'Digital Access', 'Learning Supports'],
+    builtIn: true
+  }
+];
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const clip = (value) => String(value ?? '').trim().slice(0, MAX_FIELD_LENGTH);
+
+/** Hours in a week, the upper bound of weeklyHours */
+const HOURS_PER_WEEK = 168;
+
+/**
+ * Cleans a persona from the editor or a shared file.
+ *
+ * @param {Object} persona - Untrusted persona
+ * @returns {StudentPersona|null} Cleaned persona, null when it has no name
+ */
+export const sanitizePersona = (persona) => {
+  if (!persona || typeof persona !== 'object' || !clip(persona.name)) return null;
+  const name = clip(persona.name);
+  const id = /^[A-Za-z0-9_-]{1,40}$/.test(persona.id || '')
+    ? persona.id
+    : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'persona';
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const weeklyHours = persona.weeklyHours === '' || persona.weeklyHours == null ? NaN : Number(persona.weeklyHours);
+
+  return {
+    id,
+    name,
+    icon: PERSONA_ICONS.includes(persona.icon) ? persona.icon : 'user',
+    description: clip(persona.description),
+    constraints: list(persona.constraints).map(clip).filter(Boolean).slice(0, 12),
+    attributes: list(persona.attributes)
+      .map((attribute) => ({ label: clip(attribute?.label), value: clip(attribute?.value) }))
+      .filter(({ label, value }) => label && value)
+      .slice(0, 12),
+    dimensions: list(persona.dimensions).filter((dimension) => EQUITY_DIMENSIONS.includes(dimension)),
+    ...(weeklyHours >= 0 && weeklyHours <= HOURS_PER_WEEK ? { weeklyHours } : {})
+  };
+};
+
+/**
+ * Gives a persona an id no other persona uses.
+ *
+ * @param {StudentPersona} persona - Persona to add
+ * @param {StudentPersona[]} existing - Personas already defined
+ * @returns {StudentPersona} Persona with a unique id
+ */
+export const withUniqueId = (persona, existing) => {
+  const taken = new Set(existing.map((p) => p.id));
+  if (!taken.has(persona.id)) return persona;
+  let n = 2;
+  while (taken.has(`${persona.id.slice(0, 36)}-${n}`)) n++;
+  return { ...persona, id: `${persona.id.slice(0, 36)}-${n}` };
+};
+
+/**
+ * Loads the custom personas.
+ *
+ * @returns {StudentPersona[]}
+ */
+export const loadCustomPersonas = () => readJson(CUSTOM_KEY, []).map(sanitizePersona).filter(Boolean);
+
+/**
+ * Saves the custom personas.
+ *
+ * @param {StudentPersona[]} personas - Custom personas
+ */
+export const saveCustomPersonas = (personas) => localStorage.setItem(CUSTOM_KEY, JSON.stringify(personas));
+
+/**
+ * Loads the ids of the personas sent with analyses.
+ *
+ * @returns {string[]}
+ */
+export const loadSelectedPersonaIds = () => readJson(SELECTED_KEY, []).filter((id) => typeof id === 'string');
+
+/**
+ * Saves the ids of the personas sent with analyses.
+ *
+ * @param {string[]} ids - Selected persona ids
+ */
+export const saveSelectedPersonaIds = (ids) => localStorage.setItem(SELECTED_KEY, JSON.stringify(ids));
+
+/**
+ * Serializes personas for sharing.
+ *
+ * @param {StudentPersona[]} personas - Personas to share
+ * @returns {string} JSON file content
+ */
+export const exportPersonas = (personas) => JSON.stringify({
+  version: FILE_VERSION,
+  personas: personas.map(({ builtIn, ...persona }) => persona)
+}, null, 2);
+
+/**
+ * Reads a shared persona file. Accepts the exported shape or a bare array.
+ *
+ * @param {string} json - File content
+ * @returns {StudentPersona[]} Valid personas from the file
+ * @throws {Error} When the file is not JSON or holds no valid persona
+ * @example
+ * const imported = importPersonas(await file.text());
+ */
+export const importPersonas = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const personas = (Array.isArray(data) ? data : data?.personas || []).map(sanitizePersona).filter(Boolean);
+  if (!personas.length) throw new Error('The file contains no personas with a name');
+  return personas;
+};
+
+/**
+ * Persona fields the analyze request carries.
+ *
+ * @param {StudentPersona} persona - Selected persona
+ * @returns {{id: string, name: string, description: string, constraints: string[], attributes: Object[], dimensions: string[], weeklyHours?: number}}
+ */
+export const toRequestPersona = ({ id, name, description, constraints, attributes, dimensions, weeklyHours }) => ({
+  id, name, description, constraints, attributes, dimensions, ...(weeklyHours !== undefined ? { weeklyHours } : {})
+});
+
+/**
+ * Barriers that affect a persona. When the persona was sent with the
+ * analysis the model's tags decide; otherwise barriers in the persona's
+ * dimensions are matched.
+ *
+ * @param {StudentPersona} persona - Persona
+ * @param {Object[]} barriers - Barriers from the analysis
+ * @param {string[]} [analyzedIds=[]] - Ids of the personas the analysis was run with
+ * @returns {Object[]} Matching barriers
+ */
+export const getPersonaBarriers = (persona, barriers, analyzedIds = []) => (analyzedIds.includes(persona.id)
+  ? barriers.filter((barrier) => barrier.personas?.includes(persona.id))
+  : barriers.filter((barrier) => persona.dimensions.includes(barrier.category)));
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Revision Builder
+ *
+ * Applies the edit proposals from /api/revisions that the teacher accepted
+ * to the original assignment, and describes the result as tracked changes.
+ * Proposals carry `start`/`end` offsets into the trimmed assignment text;
+ * accepted edits may not overlap, so every accepted edit applies as is.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Checks whether two proposals touch the same part of the text.
+ *
+ * @param {{start: number, end: number}} a - Proposal
+ * @param {{start: number, end: number}} b - Proposal
+ * @returns {boolean} True when the excerpts overlap
+ */
+export const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Finds the accepted proposal that blocks accepting another one.
+ *
+ * @param {Object} proposal - Proposal the teacher wants to accept
+ * @param {Object[]} proposals - All proposals
+ * @param {Object<string, {status: string}>} decisions - Decisions by proposal id
+ * @returns {Object|undefined} The overlapping accepted proposal, if any
+ */
+export const findConflict = (proposal, proposals, decisions) => proposals.find((other) => (
+  other.id !== proposal.id && decisions[other.id]?.status === 'accepted' && overlaps(proposal, other)
+));
+
+/**
+ * Builds the revised assignment from the accepted proposals.
+ *
+ * @param {string} text - Trimmed original assignment text
+ * @param {Object[]} proposals - Proposals from /api/revisions, sorted by `start`
+ * @param {Object<string, {status: 'accepted'|'rejected'|'pending', replacement: string}>} decisions - Decisions by proposal id
+ * @returns {{text: string, changes: Array<{type: 'same'|'removed'|'added', text: string, id?: string}>}}
+ *   Revised text and the tracked changes that lead to it
+ * @example
+ * buildRevision('Due Friday.', [{ id: 'edit-1', start: 4, end: 10 }], { 'edit-1': { status: 'accepted', replacement: 'Sunday' } });
+ * // => { text: 'Due Sunday.', changes: [{ type: 'same', text: 'Due ' }, { type: 'removed', ... }, { type: 'added', ... }, { type: 'same', text: '.' }] }
+ */
+export const buildRevision = (text, proposals, decisions) => {
+  const changes = [];
+  let cursor = 0;
+
+  proposals
+    .filter((proposal) => decisions[proposal.id]?.status === 'accepted')
+    .forEach((proposal) => {
+      if (proposal.start < cursor) return;
+      if (proposal.start > cursor) changes.push({ type: 'same', text: text.slice(cursor, proposal.start) });
+      changes.push({ type: 'removed', text: text.slice(proposal.start, proposal.end), id: proposal.id });
+      const replacement = decisions[proposal.id].replacement ?? proposal.replacement;
+      if (replacement) changes.push({ type: 'added', text: replacement, id: proposal.id });
+      cursor = proposal.end;
+    });
+
+  if (cursor < text.length) changes.push({ type: 'same', text: text.slice(cursor) });
+
+  return {
+    text: changes.filter(({ type }) => type !== 'removed').map((change) => change.text).join(''),
+    changes
+  };
+};
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Severity Styling
+ *
+ * Tailwind classes for barrier and pattern severities, shared by the results
+ * view and the course report.
+ *
+ * @license MIT
+ * @since 2025
+ */
+
+/**
+ * Dynamic CSS class generation for barrier severity styling
+ * 
+ * This function provides contextual styling based on barrier severity levels,
+ * enabling consistent visual feedback throughout the application.
+ * 
+ * @function getSeverityColor
+ * @param {string} severity - The severity level (high, medium, low)
+ * @returns {string} Optimized CSS class string for Tailwind styling
+ * @example
+ * // Get styling for high severity barrier
+ * const classes = getSeverityColor('high');
+ * // Returns: 'bg-red-500/10 border-red-500/30 text-red-400'
+ */
+export const getSeverityColor = (severity) => {
+  // Performance: Object lookup for O(1) complexity
+  const colors = { 
+    high: 'bg-red-500/10 border-red-500/30 text-red-400', 
+    medium: 'bg-yellow-500/10 border-yellow-500/30 text-yellow-400', 
+    low: 'bg-green-500/10 border-green-500/30 text-green-400' 
+  };
+  return colors[severity?.toLowerCase()] || 'bg-gray-500/10 border-gray-500/30 text-gray-400';
+};